@@ -0,0 +1,211 @@
+// Default content moderation rules and score thresholds. These are copied
+// into the database the first time moderation runs; after that admins edit
+// them from the moderation console (see utils/moderationEngine.js).
+//
+// A listing's risk score is the sum of the weights of the rules that fire
+// (keyword and regex rules count each distinct match, up to 3 times):
+//   score < holdScore    -> published
+//   score >= holdScore   -> hidden until an admin approves it
+//   score >= rejectScore -> refused, with the matches shown to the owner
+
+const DEFAULT_THRESHOLDS = {
+  holdScore: 40,
+  rejectScore: 80
+};
+
+const DEFAULT_RULES = [
+  // ========== BAD LANGUAGE ==========
+  {
+    key: 'profanity',
+    name: 'Bad language',
+    type: 'profanity',
+    language: 'any',
+    weight: 100,
+    message: 'Remove offensive language',
+    // On top of the built-in English word list
+    keywords: [
+      'মূর্খ', 'বোকা', 'চোর', 'ভন্ড', 'হারামজাদা', 'কুত্তার বাচ্চা', 'শুয়োরের বাচ্চা',
+      'haramjada', 'haramzada', 'kuttar bacha', 'kuttar baccha', 'shuorer bacha', 'bokachoda'
+    ]
+  },
+
+  // ========== ADVANCE PAYMENT SCAMS ==========
+  {
+    key: 'payment-scam-en',
+    name: 'Payment scam phrases (English)',
+    type: 'keyword',
+    language: 'en',
+    weight: 40,
+    message: 'Tenants should never be asked to pay before seeing a property',
+    keywords: [
+      'wire transfer only', 'western union', 'moneygram', 'bitcoin only',
+      'send money first', 'pay before viewing', 'advance payment before viewing',
+      'pay the token money'
+    ]
+  },
+  {
+    key: 'payment-scam-bn',
+    name: 'Payment scam phrases (Bangla)',
+    type: 'keyword',
+    language: 'bn',
+    weight: 40,
+    message: 'Tenants should never be asked to pay before seeing a property',
+    keywords: [
+      'অগ্রিম টাকা পাঠান', 'আগে টাকা পাঠান', 'বিকাশে টাকা পাঠান', 'নগদে টাকা পাঠান',
+      'দেখার আগে টাকা', 'অগ্রিম পেমেন্ট', 'টোকেন মানি পাঠান'
+    ]
+  },
+  {
+    key: 'payment-scam-banglish',
+    name: 'Payment scam phrases (Banglish)',
+    type: 'keyword',
+    language: 'banglish',
+    weight: 40,
+    message: 'Tenants should never be asked to pay before seeing a property',
+    keywords: [
+      'advance taka pathan', 'age taka pathan', 'agrim taka', 'bkash e taka', 'bkash kore din',
+      'nagad e taka', 'dekhar age taka', 'token money pathan'
+    ]
+  },
+  {
+    key: 'wallet-number',
+    name: 'Mobile wallet number for payment',
+    type: 'regex',
+    language: 'any',
+    weight: 30,
+    message: 'Do not ask for payment to a bKash/Nagad/Rocket number in the listing',
+    pattern: '(bkash|bikash|nagad|rocket|বিকাশ|নগদ|রকেট)\\s*(personal|number|no\\.?|নম্বর|নাম্বার)?\\s*[:\\-]?\\s*(\\+?88)?01\\d{9}'
+  },
+  {
+    key: 'payment-before-viewing',
+    name: 'Payment before viewing',
+    type: 'regex',
+    language: 'en',
+    weight: 40,
+    message: 'Tenants should never be asked to pay before seeing a property',
+    pattern: '\\b(send|pay|transfer)\\b.{0,40}\\b(advance|deposit|money|token)\\b.{0,40}\\b(before|without)\\s+(viewing|visiting|seeing)'
+  },
+
+  // ========== GET-RICH / PRIZE SPAM ==========
+  {
+    key: 'spam-phrases-en',
+    name: 'Spam phrases (English)',
+    type: 'keyword',
+    language: 'en',
+    weight: 25,
+    message: 'Remove advertising or prize language',
+    keywords: [
+      'guaranteed', 'risk free', '100% profit', 'get rich quick', 'make money fast',
+      'no questions asked', 'free money', 'free cash', 'lottery',
+      'congratulations you won', 'claim your prize'
+    ]
+  },
+  {
+    key: 'spam-phrases-bn',
+    name: 'Spam phrases (Bangla)',
+    type: 'keyword',
+    language: 'bn',
+    weight: 25,
+    message: 'Remove advertising or prize language',
+    keywords: ['লটারি', 'পুরস্কার জিতেছেন', 'গ্যারান্টি লাভ', 'ফ্রি টাকা']
+  },
+  {
+    key: 'spam-phrases-banglish',
+    name: 'Spam phrases (Banglish)',
+    type: 'keyword',
+    language: 'banglish',
+    weight: 25,
+    message: 'Remove advertising or prize language',
+    keywords: ['lottery jitechen', 'puroskar', 'free taka']
+  },
+
+  // ========== PRESSURE WORDS (weak signals on their own) ==========
+  {
+    key: 'pressure-words-en',
+    name: 'Pressure words (English)',
+    type: 'keyword',
+    language: 'en',
+    weight: 10,
+    message: 'Avoid pressuring tenants to decide quickly',
+    keywords: [
+      'urgent', 'limited time', 'act now', 'click here', 'cash only',
+      'emergency sale', 'must sell today', 'prize'
+    ]
+  },
+  {
+    key: 'pressure-words-bn',
+    name: 'Pressure words (Bangla)',
+    type: 'keyword',
+    language: 'bn',
+    weight: 10,
+    message: 'Avoid pressuring tenants to decide quickly',
+    keywords: ['জরুরি', 'সীমিত সময়', 'এখনই যোগাযোগ', 'শেষ সুযোগ', 'শুধু ক্যাশ']
+  },
+  {
+    key: 'pressure-words-banglish',
+    name: 'Pressure words (Banglish)',
+    type: 'keyword',
+    language: 'banglish',
+    weight: 10,
+    message: 'Avoid pressuring tenants to decide quickly',
+    keywords: ['joruri', 'ekhoni call', 'sesh sujog', 'shudhu cash']
+  },
+
+  // ========== FAKE LISTING SIGNS ==========
+  {
+    key: 'fake-listing-en',
+    name: 'Too-good-to-be-true phrases',
+    type: 'keyword',
+    language: 'en',
+    weight: 20,
+    message: 'Describe the property plainly without bargain claims',
+    keywords: [
+      'too good to be true', 'unbelievable price', 'amazing deal',
+      'once in a lifetime', 'below market value', 'heavily discounted',
+      'sacrifice sale', 'distress sale', 'foreclosure'
+    ]
+  },
+  {
+    key: 'price-outlier',
+    name: 'Rent far from the local market',
+    type: 'price_outlier',
+    language: 'any',
+    // Enough on its own to hold the listing for review
+    weight: 40,
+    message: 'The rent is far from similar listings in this area - check the amount',
+    // Fires below this share of the local median, or above the median
+    // divided by it (0.4: under 40% or over 2.5 times)
+    threshold: 0.4
+  },
+
+  // ========== SPAM FORMATTING ==========
+  {
+    key: 'excessive-punctuation',
+    name: 'Excessive punctuation',
+    type: 'punctuation',
+    language: 'any',
+    weight: 20,
+    message: 'Use fewer exclamation or question marks',
+    threshold: 5
+  },
+  {
+    key: 'excessive-caps',
+    name: 'Too many capitalised words',
+    type: 'caps',
+    language: 'en',
+    weight: 15,
+    message: 'Write in normal case instead of capitals',
+    threshold: 3
+  },
+  {
+    key: 'too-many-links',
+    name: 'Too many links',
+    type: 'url_count',
+    language: 'any',
+    weight: 25,
+    message: 'Remove links to other websites',
+    threshold: 2
+  }
+];
+
+module.exports = { DEFAULT_THRESHOLDS, DEFAULT_RULES };
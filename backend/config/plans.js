@@ -0,0 +1,20 @@
+// Subscription plans for tenants. Prices are in BDT.
+const PLANS = {
+  premium: {
+    id: 'premium',
+    name: 'Rentnest Premium',
+    price: Number(process.env.PREMIUM_PRICE) || 299,
+    currency: 'BDT',
+    durationDays: 30,
+    features: [
+      'See owner phone numbers and emails',
+      'See new listings before everyone else',
+      'Message owners directly'
+    ]
+  }
+};
+
+// How long new listings are only visible to premium tenants
+const EARLY_ACCESS_HOURS = Number(process.env.EARLY_ACCESS_HOURS) || 24;
+
+module.exports = { PLANS, EARLY_ACCESS_HOURS };
@@ -0,0 +1,388 @@
+// Bangladesh administrative gazetteer: 8 divisions, 64 districts and their
+// upazilas. Dhaka, Chattogram, Khulna and Rajshahi also list the
+// metropolitan thanas, since that is how people name city neighbourhoods.
+//
+// Format (kept compact on purpose):
+//   [divisionName, divisionBnName, [
+//     [districtName, districtBnName, [
+//       [areaName, areaBnName, [aliases...]?], ...
+//     ], [districtAliases...]?], ...
+//   ], [divisionAliases...]?]
+//
+// Aliases cover older spellings ("Chittagong", "Jessore") and well-known
+// localities that sit inside a thana ("Bashundhara R/A" is in Vatara).
+// IDs are generated from the English names by utils/gazetteer.js.
+
+module.exports = [
+  ['Barishal', 'বরিশাল', [
+    ['Barguna', 'বরগুনা', [
+      ['Amtali', 'আমতলী'], ['Bamna', 'বামনা'], ['Barguna Sadar', 'বরগুনা সদর'],
+      ['Betagi', 'বেতাগী'], ['Patharghata', 'পাথরঘাটা'], ['Taltali', 'তালতলী']
+    ]],
+    ['Barishal', 'বরিশাল', [
+      ['Agailjhara', 'আগৈলঝাড়া'], ['Babuganj', 'বাবুগঞ্জ'], ['Bakerganj', 'বাকেরগঞ্জ'],
+      ['Banaripara', 'বানারীপাড়া'], ['Barishal Sadar', 'বরিশাল সদর', ['Barisal Sadar', 'Kotwali']],
+      ['Gaurnadi', 'গৌরনদী'], ['Hizla', 'হিজলা'], ['Mehendiganj', 'মেহেন্দিগঞ্জ'],
+      ['Muladi', 'মুলাদী'], ['Wazirpur', 'উজিরপুর']
+    ], ['Barisal']],
+    ['Bhola', 'ভোলা', [
+      ['Bhola Sadar', 'ভোলা সদর'], ['Burhanuddin', 'বোরহানউদ্দিন'], ['Char Fasson', 'চরফ্যাশন'],
+      ['Daulatkhan', 'দৌলতখান'], ['Lalmohan', 'লালমোহন'], ['Manpura', 'মনপুরা'],
+      ['Tazumuddin', 'তজুমদ্দিন']
+    ]],
+    ['Jhalokati', 'ঝালকাঠি', [
+      ['Jhalokati Sadar', 'ঝালকাঠি সদর'], ['Kathalia', 'কাঠালিয়া'], ['Nalchity', 'নলছিটি'],
+      ['Rajapur', 'রাজাপুর']
+    ], ['Jhalakathi', 'Jhalokathi']],
+    ['Patuakhali', 'পটুয়াখালী', [
+      ['Bauphal', 'বাউফল'], ['Dashmina', 'দশমিনা'], ['Dumki', 'দুমকি'],
+      ['Galachipa', 'গলাচিপা'], ['Kalapara', 'কলাপাড়া', ['Kuakata']], ['Mirzaganj', 'মির্জাগঞ্জ'],
+      ['Patuakhali Sadar', 'পটুয়াখালী সদর'], ['Rangabali', 'রাঙ্গাবালী']
+    ]],
+    ['Pirojpur', 'পিরোজপুর', [
+      ['Bhandaria', 'ভান্ডারিয়া'], ['Indurkani', 'ইন্দুরকানী'], ['Kawkhali', 'কাউখালী'],
+      ['Mathbaria', 'মঠবাড়িয়া'], ['Nazirpur', 'নাজিরপুর'], ['Nesarabad', 'নেছারাবাদ', ['Swarupkathi']],
+      ['Pirojpur Sadar', 'পিরোজপুর সদর']
+    ]]
+  ], ['Barisal']],
+
+  ['Chattogram', 'চট্টগ্রাম', [
+    ['Bandarban', 'বান্দরবান', [
+      ['Alikadam', 'আলীকদম'], ['Bandarban Sadar', 'বান্দরবান সদর'], ['Lama', 'লামা'],
+      ['Naikhongchhari', 'নাইক্ষ্যংছড়ি'], ['Rowangchhari', 'রোয়াংছড়ি'], ['Ruma', 'রুমা'],
+      ['Thanchi', 'থানচি']
+    ]],
+    ['Brahmanbaria', 'ব্রাহ্মণবাড়িয়া', [
+      ['Akhaura', 'আখাউড়া'], ['Ashuganj', 'আশুগঞ্জ'], ['Bancharampur', 'বাঞ্ছারামপুর'],
+      ['Bijoynagar', 'বিজয়নগর'], ['Brahmanbaria Sadar', 'ব্রাহ্মণবাড়িয়া সদর'], ['Kasba', 'কসবা'],
+      ['Nabinagar', 'নবীনগর'], ['Nasirnagar', 'নাসিরনগর'], ['Sarail', 'সরাইল']
+    ]],
+    ['Chandpur', 'চাঁদপুর', [
+      ['Chandpur Sadar', 'চাঁদপুর সদর'], ['Faridganj', 'ফরিদগঞ্জ'], ['Haimchar', 'হাইমচর'],
+      ['Haziganj', 'হাজীগঞ্জ'], ['Kachua', 'কচুয়া'], ['Matlab Dakshin', 'মতলব দক্ষিণ'],
+      ['Matlab Uttar', 'মতলব উত্তর'], ['Shahrasti', 'শাহরাস্তি']
+    ]],
+    ['Chattogram', 'চট্টগ্রাম', [
+      // Metropolitan thanas
+      ['Akbar Shah', 'আকবর শাহ'], ['Bakalia', 'বাকলিয়া'], ['Bandar', 'বন্দর'],
+      ['Bayazid Bostami', 'বায়েজিদ বোস্তামী'], ['Chandgaon', 'চান্দগাঁও'], ['Chawkbazar', 'চকবাজার'],
+      ['Double Mooring', 'ডবলমুরিং', ['Agrabad']], ['EPZ', 'ইপিজেড'], ['Halishahar', 'হালিশহর'],
+      ['Khulshi', 'খুলশী'], ['Kotwali', 'কোতোয়ালী'], ['Pahartali', 'পাহাড়তলী'],
+      ['Panchlaish', 'পাঁচলাইশ', ['Nasirabad', 'GEC']], ['Patenga', 'পতেঙ্গা'], ['Sadarghat', 'সদরঘাট'],
+      // Upazilas
+      ['Anwara', 'আনোয়ারা'], ['Banshkhali', 'বাঁশখালী'], ['Boalkhali', 'বোয়ালখালী'],
+      ['Chandanaish', 'চন্দনাইশ'], ['Fatikchhari', 'ফটিকছড়ি'], ['Hathazari', 'হাটহাজারী'],
+      ['Karnaphuli', 'কর্ণফুলী'], ['Lohagara', 'লোহাগাড়া'], ['Mirsharai', 'মীরসরাই'],
+      ['Patiya', 'পটিয়া'], ['Rangunia', 'রাঙ্গুনিয়া'], ['Raozan', 'রাউজান'],
+      ['Sandwip', 'সন্দ্বীপ'], ['Satkania', 'সাতকানিয়া'], ['Sitakunda', 'সীতাকুণ্ড']
+    ], ['Chittagong']],
+    ["Cox's Bazar", 'কক্সবাজার', [
+      ['Chakaria', 'চকরিয়া'], ["Cox's Bazar Sadar", 'কক্সবাজার সদর'], ['Eidgaon', 'ঈদগাঁও'],
+      ['Kutubdia', 'কুতুবদিয়া'], ['Maheshkhali', 'মহেশখালী'], ['Pekua', 'পেকুয়া'],
+      ['Ramu', 'রামু'], ['Teknaf', 'টেকনাফ'], ['Ukhiya', 'উখিয়া']
+    ], ['Coxs Bazar', 'Coxsbazar']],
+    ['Cumilla', 'কুমিল্লা', [
+      ['Barura', 'বরুড়া'], ['Brahmanpara', 'ব্রাহ্মণপাড়া'], ['Burichang', 'বুড়িচং'],
+      ['Chandina', 'চান্দিনা'], ['Chauddagram', 'চৌদ্দগ্রাম'], ['Cumilla Adarsha Sadar', 'কুমিল্লা আদর্শ সদর', ['Cumilla Sadar', 'Comilla Sadar']],
+      ['Cumilla Sadar Dakshin', 'কুমিল্লা সদর দক্ষিণ'], ['Daudkandi', 'দাউদকান্দি'], ['Debidwar', 'দেবিদ্বার'],
+      ['Homna', 'হোমনা'], ['Laksam', 'লাকসাম'], ['Lalmai', 'লালমাই'],
+      ['Meghna', 'মেঘনা'], ['Monohorgonj', 'মনোহরগঞ্জ'], ['Muradnagar', 'মুরাদনগর'],
+      ['Nangalkot', 'নাঙ্গলকোট'], ['Titas', 'তিতাস']
+    ], ['Comilla']],
+    ['Feni', 'ফেনী', [
+      ['Chhagalnaiya', 'ছাগলনাইয়া'], ['Daganbhuiyan', 'দাগনভূঞা'], ['Feni Sadar', 'ফেনী সদর'],
+      ['Fulgazi', 'ফুলগাজী'], ['Parshuram', 'পরশুরাম'], ['Sonagazi', 'সোনাগাজী']
+    ]],
+    ['Khagrachhari', 'খাগড়াছড়ি', [
+      ['Dighinala', 'দীঘিনালা'], ['Guimara', 'গুইমারা'], ['Khagrachhari Sadar', 'খাগড়াছড়ি সদর'],
+      ['Lakshmichhari', 'লক্ষ্মীছড়ি'], ['Mahalchhari', 'মহালছড়ি'], ['Manikchhari', 'মানিকছড়ি'],
+      ['Matiranga', 'মাটিরাঙ্গা'], ['Panchhari', 'পানছড়ি'], ['Ramgarh', 'রামগড়']
+    ], ['Khagrachari']],
+    ['Lakshmipur', 'লক্ষ্মীপুর', [
+      ['Kamalnagar', 'কমলনগর'], ['Lakshmipur Sadar', 'লক্ষ্মীপুর সদর'], ['Raipur', 'রায়পুর'],
+      ['Ramganj', 'রামগঞ্জ'], ['Ramgati', 'রামগতি']
+    ], ['Laxmipur']],
+    ['Noakhali', 'নোয়াখালী', [
+      ['Begumganj', 'বেগমগঞ্জ'], ['Chatkhil', 'চাটখিল'], ['Companiganj', 'কোম্পানীগঞ্জ'],
+      ['Hatiya', 'হাতিয়া'], ['Kabirhat', 'কবিরহাট'], ['Noakhali Sadar', 'নোয়াখালী সদর', ['Maijdee']],
+      ['Senbagh', 'সেনবাগ'], ['Sonaimuri', 'সোনাইমুড়ী'], ['Subarnachar', 'সুবর্ণচর']
+    ]],
+    ['Rangamati', 'রাঙ্গামাটি', [
+      ['Baghaichhari', 'বাঘাইছড়ি'], ['Barkal', 'বরকল'], ['Belaichhari', 'বিলাইছড়ি'],
+      ['Juraichhari', 'জুরাছড়ি'], ['Kaptai', 'কাপ্তাই'], ['Kawkhali', 'কাউখালী'],
+      ['Langadu', 'লংগদু'], ['Naniarchar', 'নানিয়ারচর'], ['Rajasthali', 'রাজস্থলী'],
+      ['Rangamati Sadar', 'রাঙ্গামাটি সদর']
+    ]]
+  ], ['Chittagong']],
+
+  ['Dhaka', 'ঢাকা', [
+    ['Dhaka', 'ঢাকা', [
+      // Metropolitan thanas
+      ['Adabor', 'আদাবর'], ['Badda', 'বাড্ডা', ['Merul Badda', 'Aftabnagar']], ['Banani', 'বনানী'],
+      ['Bangshal', 'বংশাল'], ['Bhashantek', 'ভাসানটেক'], ['Bimanbandar', 'বিমানবন্দর', ['Airport']],
+      ['Cantonment', 'ক্যান্টনমেন্ট', ['Mohakhali DOHS']], ['Chawkbazar', 'চকবাজার'], ['Dakshinkhan', 'দক্ষিণখান'],
+      ['Darus Salam', 'দারুস সালাম'], ['Demra', 'ডেমরা'], ['Dhanmondi', 'ধানমন্ডি', ['Dhanmondi R/A']],
+      ['Gendaria', 'গেন্ডারিয়া'], ['Gulshan', 'গুলশান', ['Gulshan 1', 'Gulshan 2']], ['Hatirjheel', 'হাতিরঝিল', ['Moghbazar']],
+      ['Hazaribagh', 'হাজারীবাগ'], ['Jatrabari', 'যাত্রাবাড়ী'], ['Kadamtali', 'কদমতলী'],
+      ['Kafrul', 'কাফরুল', ['Ibrahimpur']], ['Kalabagan', 'কলাবাগান'], ['Kamrangirchar', 'কামরাঙ্গীরচর'],
+      ['Khilgaon', 'খিলগাঁও'], ['Khilkhet', 'খিলক্ষেত', ['Nikunja']], ['Kotwali', 'কোতোয়ালী'],
+      ['Lalbagh', 'লালবাগ'], ['Mirpur', 'মিরপুর', ['Mirpur 1', 'Mirpur 2', 'Mirpur 10']], ['Mohammadpur', 'মোহাম্মদপুর'],
+      ['Motijheel', 'মতিঝিল'], ['Mugda', 'মুগদা'], ['New Market', 'নিউ মার্কেট'],
+      ['Pallabi', 'পল্লবী', ['Mirpur 11', 'Mirpur 12', 'Mirpur DOHS']], ['Paltan', 'পল্টন'], ['Ramna', 'রমনা', ['Eskaton']],
+      ['Rampura', 'রামপুরা', ['Banasree']], ['Rupnagar', 'রূপনগর'], ['Sabujbagh', 'সবুজবাগ', ['Basabo']],
+      ['Shah Ali', 'শাহ আলী'], ['Shahbagh', 'শাহবাগ'], ['Shahjahanpur', 'শাহজাহানপুর'],
+      ['Sher-e-Bangla Nagar', 'শেরেবাংলা নগর', ['Agargaon']], ['Shyampur', 'শ্যামপুর'], ['Sutrapur', 'সূত্রাপুর'],
+      ['Tejgaon', 'তেজগাঁও', ['Farmgate']], ['Tejgaon Industrial Area', 'তেজগাঁও শিল্পাঞ্চল'], ['Turag', 'তুরাগ'],
+      ['Uttara East', 'উত্তরা পূর্ব'], ['Uttara West', 'উত্তরা পশ্চিম'], ['Uttarkhan', 'উত্তরখান'],
+      // Uttara Model Town spans the Uttara East and West thanas
+      ['Uttara', 'উত্তরা', ['Uttara Model Town', 'Uttora', 'Uttra', 'Uttarah', 'উত্তরা মডেল টাউন']],
+      ['Vatara', 'ভাটারা', ['Bashundhara', 'Bashundhara R/A']], ['Wari', 'ওয়ারী'],
+      // Upazilas
+      ['Dhamrai', 'ধামরাই'], ['Dohar', 'দোহার'], ['Keraniganj', 'কেরানীগঞ্জ'],
+      ['Nawabganj', 'নবাবগঞ্জ'], ['Savar', 'সাভার', ['Ashulia']]
+    ]],
+    ['Faridpur', 'ফরিদপুর', [
+      ['Alfadanga', 'আলফাডাঙ্গা'], ['Bhanga', 'ভাঙ্গা'], ['Boalmari', 'বোয়ালমারী'],
+      ['Charbhadrasan', 'চরভদ্রাসন'], ['Faridpur Sadar', 'ফরিদপুর সদর'], ['Madhukhali', 'মধুখালী'],
+      ['Nagarkanda', 'নগরকান্দা'], ['Sadarpur', 'সদরপুর'], ['Saltha', 'সালথা']
+    ]],
+    ['Gazipur', 'গাজীপুর', [
+      ['Gazipur Sadar', 'গাজীপুর সদর', ['Tongi', 'Joydebpur']], ['Kaliakair', 'কালিয়াকৈর'], ['Kaliganj', 'কালীগঞ্জ'],
+      ['Kapasia', 'কাপাসিয়া'], ['Sreepur', 'শ্রীপুর']
+    ]],
+    ['Gopalganj', 'গোপালগঞ্জ', [
+      ['Gopalganj Sadar', 'গোপালগঞ্জ সদর'], ['Kashiani', 'কাশিয়ানী'], ['Kotalipara', 'কোটালীপাড়া'],
+      ['Muksudpur', 'মুকসুদপুর'], ['Tungipara', 'টুঙ্গিপাড়া']
+    ]],
+    ['Kishoreganj', 'কিশোরগঞ্জ', [
+      ['Austagram', 'অষ্টগ্রাম'], ['Bajitpur', 'বাজিতপুর'], ['Bhairab', 'ভৈরব'],
+      ['Hossainpur', 'হোসেনপুর'], ['Itna', 'ইটনা'], ['Karimganj', 'করিমগঞ্জ'],
+      ['Katiadi', 'কটিয়াদী'], ['Kishoreganj Sadar', 'কিশোরগঞ্জ সদর'], ['Kuliarchar', 'কুলিয়ারচর'],
+      ['Mithamain', 'মিঠামইন'], ['Nikli', 'নিকলী'], ['Pakundia', 'পাকুন্দিয়া'],
+      ['Tarail', 'তাড়াইল']
+    ], ['Kishorganj']],
+    ['Madaripur', 'মাদারীপুর', [
+      ['Dasar', 'ডাসার'], ['Kalkini', 'কালকিনি'], ['Madaripur Sadar', 'মাদারীপুর সদর'],
+      ['Rajoir', 'রাজৈর'], ['Shibchar', 'শিবচর']
+    ]],
+    ['Manikganj', 'মানিকগঞ্জ', [
+      ['Daulatpur', 'দৌলতপুর'], ['Ghior', 'ঘিওর'], ['Harirampur', 'হরিরামপুর'],
+      ['Manikganj Sadar', 'মানিকগঞ্জ সদর'], ['Saturia', 'সাটুরিয়া'], ['Shivalaya', 'শিবালয়'],
+      ['Singair', 'সিংগাইর']
+    ]],
+    ['Munshiganj', 'মুন্সিগঞ্জ', [
+      ['Gazaria', 'গজারিয়া'], ['Lohajang', 'লৌহজং'], ['Munshiganj Sadar', 'মুন্সিগঞ্জ সদর'],
+      ['Sirajdikhan', 'সিরাজদিখান'], ['Sreenagar', 'শ্রীনগর'], ['Tongibari', 'টংগিবাড়ী']
+    ]],
+    ['Narayanganj', 'নারায়ণগঞ্জ', [
+      ['Araihazar', 'আড়াইহাজার'], ['Bandar', 'বন্দর'], ['Narayanganj Sadar', 'নারায়ণগঞ্জ সদর', ['Fatullah', 'Siddhirganj']],
+      ['Rupganj', 'রূপগঞ্জ', ['Purbachal']], ['Sonargaon', 'সোনারগাঁও']
+    ]],
+    ['Narsingdi', 'নরসিংদী', [
+      ['Belabo', 'বেলাবো'], ['Monohardi', 'মনোহরদী'], ['Narsingdi Sadar', 'নরসিংদী সদর'],
+      ['Palash', 'পলাশ'], ['Raipura', 'রায়পুরা'], ['Shibpur', 'শিবপুর']
+    ], ['Narshingdi']],
+    ['Rajbari', 'রাজবাড়ী', [
+      ['Baliakandi', 'বালিয়াকান্দি'], ['Goalanda', 'গোয়ালন্দ'], ['Kalukhali', 'কালুখালী'],
+      ['Pangsha', 'পাংশা'], ['Rajbari Sadar', 'রাজবাড়ী সদর']
+    ]],
+    ['Shariatpur', 'শরীয়তপুর', [
+      ['Bhedarganj', 'ভেদরগঞ্জ'], ['Damudya', 'ডামুড্যা'], ['Gosairhat', 'গোসাইরহাট'],
+      ['Naria', 'নড়িয়া'], ['Shariatpur Sadar', 'শরীয়তপুর সদর'], ['Zajira', 'জাজিরা']
+    ]],
+    ['Tangail', 'টাঙ্গাইল', [
+      ['Basail', 'বাসাইল'], ['Bhuapur', 'ভূঞাপুর'], ['Delduar', 'দেলদুয়ার'],
+      ['Dhanbari', 'ধনবাড়ী'], ['Ghatail', 'ঘাটাইল'], ['Gopalpur', 'গোপালপুর'],
+      ['Kalihati', 'কালিহাতী'], ['Madhupur', 'মধুপুর'], ['Mirzapur', 'মির্জাপুর'],
+      ['Nagarpur', 'নাগরপুর'], ['Sakhipur', 'সখিপুর'], ['Tangail Sadar', 'টাঙ্গাইল সদর']
+    ]]
+  ]],
+
+  ['Khulna', 'খুলনা', [
+    ['Bagerhat', 'বাগেরহাট', [
+      ['Bagerhat Sadar', 'বাগেরহাট সদর'], ['Chitalmari', 'চিতলমারী'], ['Fakirhat', 'ফকিরহাট'],
+      ['Kachua', 'কচুয়া'], ['Mollahat', 'মোল্লাহাট'], ['Mongla', 'মোংলা'],
+      ['Morrelganj', 'মোরেলগঞ্জ'], ['Rampal', 'রামপাল'], ['Sarankhola', 'শরণখোলা']
+    ]],
+    ['Chuadanga', 'চুয়াডাঙ্গা', [
+      ['Alamdanga', 'আলমডাঙ্গা'], ['Chuadanga Sadar', 'চুয়াডাঙ্গা সদর'], ['Damurhuda', 'দামুড়হুদা'],
+      ['Jibannagar', 'জীবননগর']
+    ]],
+    ['Jashore', 'যশোর', [
+      ['Abhaynagar', 'অভয়নগর'], ['Bagherpara', 'বাঘারপাড়া'], ['Chaugachha', 'চৌগাছা'],
+      ['Jashore Sadar', 'যশোর সদর', ['Jessore Sadar']], ['Jhikargachha', 'ঝিকরগাছা'], ['Keshabpur', 'কেশবপুর'],
+      ['Manirampur', 'মণিরামপুর'], ['Sharsha', 'শার্শা', ['Benapole']]
+    ], ['Jessore']],
+    ['Jhenaidah', 'ঝিনাইদহ', [
+      ['Harinakunda', 'হরিণাকুন্ডু'], ['Jhenaidah Sadar', 'ঝিনাইদহ সদর'], ['Kaliganj', 'কালীগঞ্জ'],
+      ['Kotchandpur', 'কোটচাঁদপুর'], ['Maheshpur', 'মহেশপুর'], ['Shailkupa', 'শৈলকুপা']
+    ]],
+    ['Khulna', 'খুলনা', [
+      // Metropolitan thanas
+      ['Daulatpur', 'দৌলতপুর'], ['Khalishpur', 'খালিশপুর'], ['Khan Jahan Ali', 'খানজাহান আলী'],
+      ['Khulna Sadar', 'খুলনা সদর'], ['Sonadanga', 'সোনাডাঙ্গা'],
+      // Upazilas
+      ['Batiaghata', 'বটিয়াঘাটা'], ['Dacope', 'দাকোপ'], ['Dighalia', 'দিঘলিয়া'],
+      ['Dumuria', 'ডুমুরিয়া'], ['Koyra', 'কয়রা'], ['Paikgachha', 'পাইকগাছা'],
+      ['Phultala', 'ফুলতলা'], ['Rupsha', 'রূপসা'], ['Terokhada', 'তেরখাদা']
+    ]],
+    ['Kushtia', 'কুষ্টিয়া', [
+      ['Bheramara', 'ভেড়ামারা'], ['Daulatpur', 'দৌলতপুর'], ['Khoksa', 'খোকসা'],
+      ['Kumarkhali', 'কুমারখালী'], ['Kushtia Sadar', 'কুষ্টিয়া সদর'], ['Mirpur', 'মিরপুর']
+    ]],
+    ['Magura', 'মাগুরা', [
+      ['Magura Sadar', 'মাগুরা সদর'], ['Mohammadpur', 'মহম্মদপুর'], ['Shalikha', 'শালিখা'],
+      ['Sreepur', 'শ্রীপুর']
+    ]],
+    ['Meherpur', 'মেহেরপুর', [
+      ['Gangni', 'গাংনী'], ['Meherpur Sadar', 'মেহেরপুর সদর'], ['Mujibnagar', 'মুজিবনগর']
+    ]],
+    ['Narail', 'নড়াইল', [
+      ['Kalia', 'কালিয়া'], ['Lohagara', 'লোহাগড়া'], ['Narail Sadar', 'নড়াইল সদর']
+    ]],
+    ['Satkhira', 'সাতক্ষীরা', [
+      ['Assasuni', 'আশাশুনি'], ['Debhata', 'দেবহাটা'], ['Kalaroa', 'কলারোয়া'],
+      ['Kaliganj', 'কালীগঞ্জ'], ['Satkhira Sadar', 'সাতক্ষীরা সদর'], ['Shyamnagar', 'শ্যামনগর'],
+      ['Tala', 'তালা']
+    ]]
+  ]],
+
+  ['Mymensingh', 'ময়মনসিংহ', [
+    ['Jamalpur', 'জামালপুর', [
+      ['Bakshiganj', 'বকশীগঞ্জ'], ['Dewanganj', 'দেওয়ানগঞ্জ'], ['Islampur', 'ইসলামপুর'],
+      ['Jamalpur Sadar', 'জামালপুর সদর'], ['Madarganj', 'মাদারগঞ্জ'], ['Melandaha', 'মেলান্দহ'],
+      ['Sarishabari', 'সরিষাবাড়ী']
+    ]],
+    ['Mymensingh', 'ময়মনসিংহ', [
+      ['Bhaluka', 'ভালুকা'], ['Dhobaura', 'ধোবাউড়া'], ['Fulbaria', 'ফুলবাড়িয়া'],
+      ['Gaffargaon', 'গফরগাঁও'], ['Gauripur', 'গৌরীপুর'], ['Haluaghat', 'হালুয়াঘাট'],
+      ['Ishwarganj', 'ঈশ্বরগঞ্জ'], ['Muktagachha', 'মুক্তাগাছা'], ['Mymensingh Sadar', 'ময়মনসিংহ সদর'],
+      ['Nandail', 'নান্দাইল'], ['Phulpur', 'ফুলপুর'], ['Tara Khanda', 'তারাকান্দা'],
+      ['Trishal', 'ত্রিশাল']
+    ]],
+    ['Netrokona', 'নেত্রকোণা', [
+      ['Atpara', 'আটপাড়া'], ['Barhatta', 'বারহাট্টা'], ['Durgapur', 'দুর্গাপুর'],
+      ['Kalmakanda', 'কলমাকান্দা'], ['Kendua', 'কেন্দুয়া'], ['Khaliajuri', 'খালিয়াজুরী'],
+      ['Madan', 'মদন'], ['Mohanganj', 'মোহনগঞ্জ'], ['Netrokona Sadar', 'নেত্রকোণা সদর'],
+      ['Purbadhala', 'পূর্বধলা']
+    ], ['Netrakona']],
+    ['Sherpur', 'শেরপুর', [
+      ['Jhenaigati', 'ঝিনাইগাতী'], ['Nakla', 'নকলা'], ['Nalitabari', 'নালিতাবাড়ী'],
+      ['Sherpur Sadar', 'শেরপুর সদর'], ['Sreebardi', 'শ্রীবরদী']
+    ]]
+  ]],
+
+  ['Rajshahi', 'রাজশাহী', [
+    ['Bogura', 'বগুড়া', [
+      ['Adamdighi', 'আদমদীঘি'], ['Bogura Sadar', 'বগুড়া সদর', ['Bogra Sadar']], ['Dhunat', 'ধুনট'],
+      ['Dhupchanchia', 'দুপচাঁচিয়া'], ['Gabtali', 'গাবতলী'], ['Kahaloo', 'কাহালু'],
+      ['Nandigram', 'নন্দীগ্রাম'], ['Sariakandi', 'সারিয়াকান্দি'], ['Shajahanpur', 'শাজাহানপুর'],
+      ['Sherpur', 'শেরপুর'], ['Shibganj', 'শিবগঞ্জ'], ['Sonatala', 'সোনাতলা']
+    ], ['Bogra']],
+    ['Chapai Nawabganj', 'চাঁপাইনবাবগঞ্জ', [
+      ['Bholahat', 'ভোলাহাট'], ['Chapai Nawabganj Sadar', 'চাঁপাইনবাবগঞ্জ সদর'], ['Gomastapur', 'গোমস্তাপুর'],
+      ['Nachole', 'নাচোল'], ['Shibganj', 'শিবগঞ্জ']
+    ], ['Chapainawabganj', 'Nawabganj']],
+    ['Joypurhat', 'জয়পুরহাট', [
+      ['Akkelpur', 'আক্কেলপুর'], ['Joypurhat Sadar', 'জয়পুরহাট সদর'], ['Kalai', 'কালাই'],
+      ['Khetlal', 'ক্ষেতলাল'], ['Panchbibi', 'পাঁচবিবি']
+    ], ['Jaipurhat']],
+    ['Naogaon', 'নওগাঁ', [
+      ['Atrai', 'আত্রাই'], ['Badalgachhi', 'বদলগাছী'], ['Dhamoirhat', 'ধামইরহাট'],
+      ['Manda', 'মান্দা'], ['Mohadevpur', 'মহাদেবপুর'], ['Naogaon Sadar', 'নওগাঁ সদর'],
+      ['Niamatpur', 'নিয়ামতপুর'], ['Patnitala', 'পত্নীতলা'], ['Porsha', 'পোরশা'],
+      ['Raninagar', 'রাণীনগর'], ['Sapahar', 'সাপাহার']
+    ]],
+    ['Natore', 'নাটোর', [
+      ['Bagatipara', 'বাগাতিপাড়া'], ['Baraigram', 'বড়াইগ্রাম'], ['Gurudaspur', 'গুরুদাসপুর'],
+      ['Lalpur', 'লালপুর'], ['Naldanga', 'নলডাঙ্গা'], ['Natore Sadar', 'নাটোর সদর'],
+      ['Singra', 'সিংড়া']
+    ]],
+    ['Pabna', 'পাবনা', [
+      ['Atgharia', 'আটঘরিয়া'], ['Bera', 'বেড়া'], ['Bhangura', 'ভাঙ্গুড়া'],
+      ['Chatmohar', 'চাটমোহর'], ['Faridpur', 'ফরিদপুর'], ['Ishwardi', 'ঈশ্বরদী'],
+      ['Pabna Sadar', 'পাবনা সদর'], ['Santhia', 'সাঁথিয়া'], ['Sujanagar', 'সুজানগর']
+    ]],
+    ['Rajshahi', 'রাজশাহী', [
+      // Metropolitan thanas
+      ['Boalia', 'বোয়ালিয়া'], ['Motihar', 'মতিহার'], ['Rajpara', 'রাজপাড়া'],
+      ['Shah Makhdum', 'শাহ মখদুম'],
+      // Upazilas
+      ['Bagha', 'বাঘা'], ['Bagmara', 'বাগমারা'], ['Charghat', 'চারঘাট'],
+      ['Durgapur', 'দুর্গাপুর'], ['Godagari', 'গোদাগাড়ী'], ['Mohanpur', 'মোহনপুর'],
+      ['Paba', 'পবা'], ['Puthia', 'পুঠিয়া'], ['Tanore', 'তানোর']
+    ]],
+    ['Sirajganj', 'সিরাজগঞ্জ', [
+      ['Belkuchi', 'বেলকুচি'], ['Chauhali', 'চৌহালি'], ['Kamarkhanda', 'কামারখন্দ'],
+      ['Kazipur', 'কাজীপুর'], ['Raiganj', 'রায়গঞ্জ'], ['Shahjadpur', 'শাহজাদপুর'],
+      ['Sirajganj Sadar', 'সিরাজগঞ্জ সদর'], ['Tarash', 'তাড়াশ'], ['Ullahpara', 'উল্লাপাড়া']
+    ]]
+  ]],
+
+  ['Rangpur', 'রংপুর', [
+    ['Dinajpur', 'দিনাজপুর', [
+      ['Biral', 'বিরল'], ['Birampur', 'বিরামপুর'], ['Birganj', 'বীরগঞ্জ'],
+      ['Bochaganj', 'বোচাগঞ্জ'], ['Chirirbandar', 'চিরিরবন্দর'], ['Dinajpur Sadar', 'দিনাজপুর সদর'],
+      ['Fulbari', 'ফুলবাড়ী'], ['Ghoraghat', 'ঘোড়াঘাট'], ['Hakimpur', 'হাকিমপুর', ['Hili']],
+      ['Kaharole', 'কাহারোল'], ['Khansama', 'খানসামা'], ['Nawabganj', 'নবাবগঞ্জ'],
+      ['Parbatipur', 'পার্বতীপুর']
+    ]],
+    ['Gaibandha', 'গাইবান্ধা', [
+      ['Fulchhari', 'ফুলছড়ি'], ['Gaibandha Sadar', 'গাইবান্ধা সদর'], ['Gobindaganj', 'গোবিন্দগঞ্জ'],
+      ['Palashbari', 'পলাশবাড়ী'], ['Sadullapur', 'সাদুল্লাপুর'], ['Saghata', 'সাঘাটা'],
+      ['Sundarganj', 'সুন্দরগঞ্জ']
+    ]],
+    ['Kurigram', 'কুড়িগ্রাম', [
+      ['Bhurungamari', 'ভুরুঙ্গামারী'], ['Char Rajibpur', 'চর রাজিবপুর'], ['Chilmari', 'চিলমারী'],
+      ['Kurigram Sadar', 'কুড়িগ্রাম সদর'], ['Nageshwari', 'নাগেশ্বরী'], ['Phulbari', 'ফুলবাড়ী'],
+      ['Rajarhat', 'রাজারহাট'], ['Raomari', 'রৌমারী'], ['Ulipur', 'উলিপুর']
+    ]],
+    ['Lalmonirhat', 'লালমনিরহাট', [
+      ['Aditmari', 'আদিতমারী'], ['Hatibandha', 'হাতীবান্ধা'], ['Kaliganj', 'কালীগঞ্জ'],
+      ['Lalmonirhat Sadar', 'লালমনিরহাট সদর'], ['Patgram', 'পাটগ্রাম']
+    ]],
+    ['Nilphamari', 'নীলফামারী', [
+      ['Dimla', 'ডিমলা'], ['Domar', 'ডোমার'], ['Jaldhaka', 'জলঢাকা'],
+      ['Kishoreganj', 'কিশোরগঞ্জ'], ['Nilphamari Sadar', 'নীলফামারী সদর'], ['Saidpur', 'সৈয়দপুর']
+    ]],
+    ['Panchagarh', 'পঞ্চগড়', [
+      ['Atwari', 'আটোয়ারী'], ['Boda', 'বোদা'], ['Debiganj', 'দেবীগঞ্জ'],
+      ['Panchagarh Sadar', 'পঞ্চগড় সদর'], ['Tetulia', 'তেঁতুলিয়া']
+    ]],
+    ['Rangpur', 'রংপুর', [
+      ['Badarganj', 'বদরগঞ্জ'], ['Gangachhara', 'গংগাচড়া'], ['Kaunia', 'কাউনিয়া'],
+      ['Mithapukur', 'মিঠাপুকুর'], ['Pirgachha', 'পীরগাছা'], ['Pirganj', 'পীরগঞ্জ'],
+      ['Rangpur Sadar', 'রংপুর সদর'], ['Taraganj', 'তারাগঞ্জ']
+    ]],
+    ['Thakurgaon', 'ঠাকুরগাঁও', [
+      ['Baliadangi', 'বালিয়াডাঙ্গী'], ['Haripur', 'হরিপুর'], ['Pirganj', 'পীরগঞ্জ'],
+      ['Ranisankail', 'রাণীশংকৈল'], ['Thakurgaon Sadar', 'ঠাকুরগাঁও সদর']
+    ]]
+  ]],
+
+  ['Sylhet', 'সিলেট', [
+    ['Habiganj', 'হবিগঞ্জ', [
+      ['Ajmiriganj', 'আজমিরীগঞ্জ'], ['Bahubal', 'বাহুবল'], ['Baniachong', 'বানিয়াচং'],
+      ['Chunarughat', 'চুনারুঘাট'], ['Habiganj Sadar', 'হবিগঞ্জ সদর'], ['Lakhai', 'লাখাই'],
+      ['Madhabpur', 'মাধবপুর'], ['Nabiganj', 'নবীগঞ্জ'], ['Shaistaganj', 'শায়েস্তাগঞ্জ']
+    ]],
+    ['Moulvibazar', 'মৌলভীবাজার', [
+      ['Barlekha', 'বড়লেখা'], ['Juri', 'জুড়ী'], ['Kamalganj', 'কমলগঞ্জ'],
+      ['Kulaura', 'কুলাউড়া'], ['Moulvibazar Sadar', 'মৌলভীবাজার সদর'], ['Rajnagar', 'রাজনগর'],
+      ['Sreemangal', 'শ্রীমঙ্গল', ['Srimangal']]
+    ], ['Maulvibazar']],
+    ['Sunamganj', 'সুনামগঞ্জ', [
+      ['Bishwamvarpur', 'বিশ্বম্ভরপুর'], ['Chhatak', 'ছাতক'], ['Derai', 'দিরাই'],
+      ['Dharmapasha', 'ধর্মপাশা'], ['Dowarabazar', 'দোয়ারাবাজার'], ['Jagannathpur', 'জগন্নাথপুর'],
+      ['Jamalganj', 'জামালগঞ্জ'], ['Madhyanagar', 'মধ্যনগর'], ['Shalla', 'শাল্লা'],
+      ['Shantiganj', 'শান্তিগঞ্জ'], ['Sunamganj Sadar', 'সুনামগঞ্জ সদর'], ['Tahirpur', 'তাহিরপুর']
+    ]],
+    ['Sylhet', 'সিলেট', [
+      ['Balaganj', 'বালাগঞ্জ'], ['Beanibazar', 'বিয়ানীবাজার'], ['Bishwanath', 'বিশ্বনাথ'],
+      ['Companiganj', 'কোম্পানীগঞ্জ'], ['Dakshin Surma', 'দক্ষিণ সুরমা'], ['Fenchuganj', 'ফেঞ্চুগঞ্জ'],
+      ['Golapganj', 'গোলাপগঞ্জ'], ['Gowainghat', 'গোয়াইনঘাট'], ['Jaintiapur', 'জৈন্তাপুর'],
+      ['Kanaighat', 'কানাইঘাট'], ['Osmani Nagar', 'ওসমানী নগর'], ['Sylhet Sadar', 'সিলেট সদর', ['Zindabazar', 'Ambarkhana']],
+      ['Zakiganj', 'জকিগঞ্জ']
+    ]]
+  ]]
+];
@@ -20,6 +20,14 @@ const protect = async (req, res, next) => {
       // Get user from token (exclude password)
       req.user = await User.findById(decoded.id).select('-password');
 
+      // Reject tokens issued before the last password change or logout-all
+      if (!req.user || !req.user.isActive || req.user.isTokenRevoked(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired, please log in again'
+        });
+      }
+
       next(); // Continue to next middleware/route
     } catch (error) {
       return res.status(401).json({
@@ -37,6 +45,29 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the logged-in user if a valid token is sent, but never block the
+// request - for public routes whose response depends on who is asking
+const optionalAuth = async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+
+      if (user && user.isActive && !user.isTokenRevoked(decoded.iat)) {
+        req.user = user;
+      }
+    } catch (error) {
+      // Invalid or expired token - continue as a guest
+    }
+  }
+
+  next();
+};
+
 // Check if user is an owner
 const isOwner = (req, res, next) => {
   if (req.user && req.user.accountType === 'owner') {
@@ -61,4 +92,28 @@ const isTenant = (req, res, next) => {
   }
 };
 
-module.exports = { protect, isOwner, isTenant };
\ No newline at end of file
+// Check if user is an admin
+const isAdmin = (req, res, next) => {
+  if (req.user && req.user.accountType === 'admin') {
+    next();
+  } else {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Only admins can perform this action.'
+    });
+  }
+};
+
+// Check if user has verified their email or mobile number
+const isVerified = (req, res, next) => {
+  if (req.user && req.user.isContactVerified()) {
+    next();
+  } else {
+    res.status(403).json({
+      success: false,
+      message: 'Please verify your email or mobile number first.'
+    });
+  }
+};
+
+module.exports = { protect, optionalAuth, isOwner, isTenant, isAdmin, isVerified };
\ No newline at end of file
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { checkPhoneNumber, checkPriceValidity } = require('../utils/contentFilter');
+const { evaluateContent } = require('../utils/moderationEngine');
+const { findOwnDuplicate } = require('../utils/duplicates');
+
+// Content moderation for what owners write, scored by the rules engine
+// (utils/moderationEngine.js). Rejections list every field with the rules
+// that fired, e.g.
+//   errors:     { 'terms.additionalRules': 'Additional rules rejected: ...' }
+//   violations: [{ field: 'terms.additionalRules', rule: 'payment-scam-en', match: 'send money first', weight: 40, reason }]
+// so the form can point at the field and the owner knows what to change.
+
+// Free-text listing fields, with the names used in messages
+const LISTING_TEXT_FIELDS = {
+  title: 'Title',
+  description: 'Description',
+  'location.address': 'Address',
+  amenities: 'Amenities',
+  'contact.name': 'Contact name',
+  'terms.minimumStay': 'Minimum stay',
+  'terms.additionalRules': 'Additional rules'
+};
+
+// Names of the non-text fields moderation can complain about
+const OTHER_FIELD_LABELS = {
+  'contact.phone': 'Phone number',
+  'rent.amount': 'Price'
+};
+
+const getField = (data, path) => path.split('.').reduce((value, key) => value?.[key], data);
+
+// [[field, text], ...] for the text fields of data (lists item by item, as "amenities[2]")
+const collectTexts = (data, fields) => Object.keys(fields).flatMap((path) => {
+  const value = getField(data, path);
+  return Array.isArray(value)
+    ? value.map((item, i) => [`${path}[${i}]`, item])
+    : [[path, value]];
+});
+
+// Score text fields of data (and the rent, given a listing) with the
+// moderation rules. Each hit gets the field's name as its label.
+const evaluateFields = async (data, fields, listing = null) => {
+  const result = await evaluateContent({ texts: collectTexts(data, fields), listing });
+  const labels = { ...OTHER_FIELD_LABELS, ...fields };
+
+  result.hits = result.hits.map((hit) => ({
+    ...hit,
+    label: labels[hit.field.replace(/\[\d+\]$/, '')] || 'Text'
+  }));
+  return result;
+};
+
+// Reject a request, listing each problem ({ field, label, rule, reason })
+const rejectContent = (res, problems, score) => {
+  const errors = {};
+  for (const { field, label, reason } of problems) {
+    if (!errors[field]) {
+      errors[field] = `${label} rejected: ${reason}`;
+    }
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: Object.values(errors)[0],
+    errors,
+    score,
+    violations: problems.map(({ field, rule, match, weight, reason }) => ({ field, rule, match, weight, reason }))
+  });
+};
+
+// What is kept on the listing (Property.moderation)
+const moderationRecord = ({ score, decision, hits }) => ({
+  score,
+  decision,
+  hits: hits.map(({ field, rule, match, weight, reason }) => ({ field, rule, match, weight, reason })),
+  checkedAt: new Date()
+});
+
+// Changes that send a verified listing back to the moderation queue once
+// the owner changes what tenants see (edited text, new photos)
+const reverifyChanges = (property) => (property.isVerified
+  ? { isVerified: false, verificationStatus: 'pending' }
+  : {});
+
+// The listing whose rent and duplicates are checked: the new listing, or on
+// update the saved one with the changes applied. null when none of the
+// place, type, rent or features change.
+const listingWithChanges = async (req, data) => {
+  if (!data.rent && !data.location && !data.propertyType && !data.features) return null;
+  if (!req.params.id) return data;
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const saved = await Property.findById(req.params.id).select('rent location propertyType features contact').lean();
+  if (!saved) return null;
+
+  return {
+    ...saved,
+    ...data,
+    location: { ...saved.location, ...data.location },
+    rent: { ...saved.rent, ...data.rent },
+    features: { ...saved.features, ...data.features }
+  };
+};
+
+// Moderate a listing on create and update. Runs after the property
+// validation middleware and checks the fields being saved (req.propertyData).
+// Refuses the request (also when it repeats one of the owner's own
+// listings), or sets req.moderation for the route to store (a "hold"
+// decision hides the listing until an admin approves it).
+// Reposts of other owners' listings are held by the route after saving,
+// once the photos are in (see utils/duplicates.js).
+const moderateListing = async (req, res, next) => {
+  try {
+    const data = req.propertyData;
+    const listing = await listingWithChanges(req, data);
+    const problems = [];
+
+    if (data.contact?.phone !== undefined) {
+      const phoneCheck = checkPhoneNumber(data.contact.phone);
+      if (!phoneCheck.isValid) {
+        problems.push({ field: 'contact.phone', label: 'Phone number', rule: phoneCheck.rule, reason: phoneCheck.reason });
+      }
+    }
+
+    if (listing?.rent?.amount !== undefined) {
+      const priceCheck = checkPriceValidity(listing.rent.amount, listing.propertyType, listing.rent.period);
+      if (!priceCheck.isValid) {
+        problems.push({ field: 'rent.amount', label: 'Price', rule: priceCheck.rule, reason: priceCheck.reason });
+      }
+    }
+
+    const result = await evaluateFields(data, LISTING_TEXT_FIELDS, listing);
+
+    if (result.decision === 'reject') {
+      return rejectContent(res, [...problems, ...result.hits], result.score);
+    }
+    if (problems.length > 0) {
+      return rejectContent(res, problems, result.score);
+    }
+
+    const original = listing && await findOwnDuplicate(listing, req.user._id, req.params.id);
+    if (original) {
+      return res.status(409).json({
+        success: false,
+        message: `You already have this listing: "${original.title}". Edit it instead of posting it again.`,
+        data: { duplicateOf: original._id }
+      });
+    }
+
+    req.moderation = result;
+    next();
+  } catch (error) {
+    console.error('Listing moderation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = { evaluateFields, rejectContent, moderationRecord, reverifyChanges, moderateListing };
@@ -0,0 +1,276 @@
+const { body, validationResult, matchedData } = require('express-validator');
+const Property = require('../models/Property');
+const { toGeoPoint } = require('../utils/geo');
+const { resolveLocation } = require('../utils/gazetteer');
+
+// The listing payload, described once for create and update.
+// Only fields with a rule below ever reach the database (matchedData is the
+// allow-list), so owners can't set owner, moderation fields or timestamps.
+// Errors come back as { message, errors: { 'location.address': '...', ... } }
+// keyed by field path, for the forms to show next to each input.
+// Content rules (bad words, scam phrases, rent floor) are in middleware/moderation.js.
+
+const PROPERTY_TYPES = Property.schema.path('propertyType').enumValues;
+const RENT_PERIODS = Property.schema.path('rent.period').enumValues;
+const FURNISHED_OPTIONS = Property.schema.path('features.furnished').enumValues;
+const SIZE_UNITS = Property.schema.path('features.size.unit').enumValues;
+
+const MAX_AMENITIES = 30;
+
+// Nested groups, sent as JSON strings when the listing is created with FormData
+const JSON_FIELDS = {
+  location: 'Location',
+  rent: 'Rent',
+  features: 'Features',
+  amenities: 'Amenities',
+  contact: 'Contact',
+  terms: 'Terms'
+};
+
+// Parse the FormData JSON fields (a JSON request body is left as it is)
+const parseJsonFields = (req, res, next) => {
+  const errors = {};
+
+  for (const [field, label] of Object.entries(JSON_FIELDS)) {
+    const value = req.body[field];
+    if (typeof value !== 'string') continue;
+
+    try {
+      req.body[field] = JSON.parse(value);
+    } catch (error) {
+      errors[field] = `${label} is not valid`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(errors)[0],
+      errors
+    });
+  }
+
+  next();
+};
+
+// Validation rules for the listing. With partial (update) every group is
+// optional, and a group that is sent is checked as a whole.
+const propertyRules = ({ partial }) => {
+  const field = (path) => {
+    const chain = body(path);
+    return partial ? chain.if(body(path.split('.')[0]).exists()) : chain;
+  };
+
+  return [
+    field('title')
+      .isString().withMessage('Please provide property title').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide property title')
+      .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+    field('description')
+      .isString().withMessage('Please provide property description').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide property description')
+      .isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+    field('propertyType')
+      .isIn(PROPERTY_TYPES).withMessage('Please select property type'),
+
+    // Location (IDs or names from the gazetteer, resolved in handlePropertyValidation)
+    field('location.division')
+      .isString().withMessage('Please provide division').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide division'),
+    field('location.district')
+      .isString().withMessage('Please provide district').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide district'),
+    field('location.area')
+      .isString().withMessage('Please provide area/locality').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide area/locality'),
+    field('location.address')
+      .isString().withMessage('Please provide full address').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide full address')
+      .isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters'),
+    // Map pin (checked together in handlePropertyValidation)
+    field('location.latitude').optional({ values: 'falsy' }),
+    field('location.longitude').optional({ values: 'falsy' }),
+
+    // Rent
+    field('rent.amount')
+      .notEmpty().withMessage('Please provide rent amount').bail()
+      .isFloat({ min: 0 }).withMessage('Rent amount must be a number')
+      .toFloat(),
+    field('rent.period')
+      .optional({ values: 'falsy' })
+      .isIn(RENT_PERIODS).withMessage('Rent period must be monthly or daily'),
+
+    // Features
+    field('features.bedrooms')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 50 }).withMessage('Bedrooms must be a whole number').toInt(),
+    field('features.bathrooms')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 50 }).withMessage('Bathrooms must be a whole number').toInt(),
+    field('features.size.value')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Size must be a positive number').toFloat(),
+    field('features.size.unit')
+      .optional({ values: 'falsy' })
+      .isIn(SIZE_UNITS).withMessage('Size unit must be sqft or sqm'),
+    field('features.furnished')
+      .optional({ values: 'falsy' })
+      .isIn(FURNISHED_OPTIONS).withMessage('Please select a furnished status'),
+
+    // Amenities (blank entries from a trailing comma are dropped)
+    field('amenities')
+      .optional({ values: 'null' })
+      .isArray({ max: MAX_AMENITIES }).withMessage(`List at most ${MAX_AMENITIES} amenities`).bail()
+      .customSanitizer((amenities) => amenities
+        .map((amenity) => (typeof amenity === 'string' ? amenity.trim() : amenity))
+        .filter((amenity) => amenity !== '')),
+    field('amenities.*')
+      .isString().withMessage('Amenities must be text')
+      .isLength({ max: 50 }).withMessage('Each amenity can be at most 50 characters'),
+
+    // Contact
+    field('contact.name')
+      .isString().withMessage('Please provide contact name').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide contact name')
+      .isLength({ max: 100 }).withMessage('Contact name cannot exceed 100 characters'),
+    field('contact.phone')
+      .isString().withMessage('Please provide contact phone').bail()
+      .trim()
+      .notEmpty().withMessage('Please provide contact phone'),
+    field('contact.email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isEmail().withMessage('Please provide a valid email'),
+
+    // Terms
+    field('terms.minimumStay')
+      .optional({ values: 'falsy' })
+      .isString().withMessage('Minimum stay must be text').bail()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Minimum stay cannot exceed 50 characters'),
+    field('terms.securityDeposit')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Security deposit must be a positive number').toFloat(),
+    field('terms.utilitiesIncluded')
+      .optional({ values: 'null' })
+      .isBoolean({ strict: true }).withMessage('utilitiesIncluded must be true or false').toBoolean(),
+    field('terms.petsAllowed')
+      .optional({ values: 'null' })
+      .isBoolean({ strict: true }).withMessage('petsAllowed must be true or false').toBoolean(),
+    field('terms.smokingAllowed')
+      .optional({ values: 'null' })
+      .isBoolean({ strict: true }).withMessage('smokingAllowed must be true or false').toBoolean(),
+    field('terms.additionalRules')
+      .optional({ values: 'falsy' })
+      .isString().withMessage('Additional rules must be text').bail()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Additional rules cannot exceed 1000 characters')
+  ];
+};
+
+// Normalize division/district/area to the gazetteer's canonical names and IDs
+// and replace latitude/longitude with a GeoJSON point. An empty pin that was
+// sent gives geo: null, so an update removes the stored one.
+// Returns [field, message] for the first problem, or null.
+const normalizeLocation = (location) => {
+  const { location: canonical, error: gazetteerError } = resolveLocation(location);
+  if (gazetteerError) return ['location.area', gazetteerError];
+
+  const { point, error: pinError } = toGeoPoint(location.latitude, location.longitude);
+  if (pinError) return ['location.latitude', pinError];
+
+  const pinSent = 'latitude' in location || 'longitude' in location;
+
+  Object.assign(location, canonical);
+  delete location.latitude;
+  delete location.longitude;
+  if (point) {
+    location.geo = point;
+  } else if (pinSent) {
+    location.geo = null;
+  }
+  return null;
+};
+
+const isGroup = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Drop the fields that were not sent (matchedData lists them as undefined)
+const withoutUnsent = (data) => Object.fromEntries(
+  Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => [field, isGroup(value) ? withoutUnsent(value) : value])
+);
+
+// Turn update data into dot paths, so a group that is sent only changes the
+// fields in it and keeps the rest (rent.currency, a map pin that was not
+// sent...). Empty values (null or '') clear the field and come out as
+// undefined.
+const updatePaths = (data, prefix = '') => {
+  const paths = {};
+  for (const [field, value] of Object.entries(data)) {
+    const path = prefix + field;
+    if (isGroup(value) && path !== 'location.geo') {
+      Object.assign(paths, updatePaths(value, `${path}.`));
+    } else {
+      paths[path] = value === null || value === '' ? undefined : value;
+    }
+  }
+  return paths;
+};
+
+// Send the first error of every field, or put the allowed fields on req.propertyData.
+// On update, fields sent empty are kept (as null or '') so they can be cleared.
+const handlePropertyValidation = ({ partial }) => (req, res, next) => {
+  const result = validationResult(req);
+  const errors = {};
+
+  if (result.isEmpty()) {
+    // Groups skipped on update still come out of matchedData (empty), so
+    // only keep what was sent
+    const data = withoutUnsent(matchedData(req, { locations: ['body'], includeOptionals: partial }));
+    req.propertyData = Object.fromEntries(
+      Object.entries(data).filter(([field]) => req.body[field] !== undefined)
+    );
+
+    if (req.propertyData.location) {
+      const locationError = normalizeLocation(req.propertyData.location);
+      if (locationError) {
+        errors[locationError[0]] = locationError[1];
+      }
+    }
+  } else {
+    for (const [path, error] of Object.entries(result.mapped())) {
+      errors[path] = error.msg;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(errors)[0],
+      errors
+    });
+  }
+
+  next();
+};
+
+const validatePropertyCreate = [
+  parseJsonFields,
+  ...propertyRules({ partial: false }),
+  handlePropertyValidation({ partial: false })
+];
+const validatePropertyUpdate = [
+  parseJsonFields,
+  ...propertyRules({ partial: true }),
+  handlePropertyValidation({ partial: true })
+];
+
+module.exports = { validatePropertyCreate, validatePropertyUpdate, updatePaths };
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Listing the conversation is about
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  // Participants
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Preview of the latest message for thread lists
+  lastMessage: {
+    type: String,
+    default: ''
+  },
+
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One thread per tenant, owner and listing
+conversationSchema.index({ property: 1, tenant: 1, owner: 1 }, { unique: true });
+
+// Check if a user takes part in this conversation (tenant and owner may be
+// populated user records or plain ids)
+conversationSchema.methods.isParticipant = function(userId) {
+  const idOf = (user) => (user?._id || user)?.toString();
+  return idOf(this.tenant) === userId.toString() ||
+    idOf(this.owner) === userId.toString();
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Kinds of moderation rule (see utils/moderationEngine.js)
+//   keyword       - any of keywords appears in the text
+//   regex         - pattern matches the text (case-insensitive)
+//   profanity     - built-in bad word list plus keywords
+//   punctuation   - more than threshold "!" or "?"
+//   caps          - more than threshold words in capitals
+//   url_count     - more than threshold links
+//   price_outlier - rent below threshold x or above 1 / threshold x the median
+//                   of similar listings nearby (see utils/rentStats.js)
+const RULE_TYPES = ['keyword', 'regex', 'profanity', 'punctuation', 'caps', 'url_count', 'price_outlier'];
+
+// Keyword list language, for admins sorting through the rules
+const RULE_LANGUAGES = ['any', 'en', 'bn', 'banglish'];
+
+const moderationRuleSchema = new mongoose.Schema({
+  // Stable ID recorded in moderation results ("payment-scam-en")
+  key: {
+    type: String,
+    required: [true, 'Please provide a rule key'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Rule key can only contain letters, numbers and dashes'],
+    maxlength: [60, 'Rule key cannot exceed 60 characters']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: [true, 'Please select a rule type']
+  },
+
+  language: {
+    type: String,
+    enum: RULE_LANGUAGES,
+    default: 'any'
+  },
+
+  // Added to the risk score each time the rule fires
+  weight: {
+    type: Number,
+    required: [true, 'Please provide a weight'],
+    min: [0, 'Weight cannot be negative'],
+    max: [100, 'Weight cannot exceed 100']
+  },
+
+  // Shown to owners whose text trips the rule
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Message cannot exceed 200 characters']
+  },
+
+  keywords: [{
+    type: String,
+    trim: true
+  }],
+
+  pattern: String,
+
+  threshold: Number,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const ModerationRule = mongoose.model('ModerationRule', moderationRuleSchema);
+
+module.exports = ModerationRule;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.RULE_LANGUAGES = RULE_LANGUAGES;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { DEFAULT_THRESHOLDS } = require('../config/moderationRules');
+
+// Moderation score thresholds (a single document, edited by admins)
+const moderationSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+
+  // Listings scoring at least this are hidden until an admin approves them
+  holdScore: {
+    type: Number,
+    min: 0,
+    default: DEFAULT_THRESHOLDS.holdScore
+  },
+
+  // Listings and messages scoring at least this are refused
+  rejectScore: {
+    type: Number,
+    min: 0,
+    default: DEFAULT_THRESHOLDS.rejectScore
+  },
+
+  // When the default rules were copied in (only ever done once, so rules
+  // admins delete stay deleted)
+  rulesSeededAt: {
+    type: Date,
+    default: null
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationSettingsSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Get the settings, creating them with the defaults on first use
+moderationSettingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('ModerationSettings', moderationSettingsSchema);
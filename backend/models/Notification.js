@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Notifications older than this are removed automatically
+const RETENTION_DAYS = 90;
+
+// In-app notification shown in the Navbar bell
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'listing_updated',
+      'listing_availability',
+      'listing_removed',
+      'listing_moderated',
+      'search_match'
+    ],
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+
+  message: {
+    type: String,
+    default: ''
+  },
+
+  // Frontend path to open, e.g. /properties/<id>
+  link: {
+    type: String,
+    default: null
+  },
+
+  // Related listing, if any
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_DAYS * 24 * 60 * 60
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// One-time codes for password reset and contact verification
+const otpCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'verify_email', 'verify_mobile'],
+    required: true
+  },
+
+  // Only the bcrypt hash is stored, never the code itself
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB removes expired codes automatically
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+otpCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+
+// Maximum wrong guesses before a code is burned
+otpCodeSchema.statics.MAX_ATTEMPTS = 5;
+
+// Create a new code for a user, replacing any earlier unused ones.
+// Returns the plain code so it can be sent to the user.
+otpCodeSchema.statics.issue = async function(userId, purpose, ttlMinutes = 10) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+  await this.create({
+    user: userId,
+    purpose,
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return code;
+};
+
+// Get the most recent code for a user (used for resend throttling)
+otpCodeSchema.statics.latest = function(userId, purpose) {
+  return this.findOne({ user: userId, purpose }).sort({ createdAt: -1 });
+};
+
+// Check a code and mark it used. Returns true only once per valid code.
+otpCodeSchema.statics.consume = async function(userId, purpose, code) {
+  const otp = await this.findOne({
+    user: userId,
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  if (!otp || otp.attempts >= this.MAX_ATTEMPTS) {
+    return false;
+  }
+
+  const isMatch = await bcrypt.compare(String(code), otp.codeHash);
+
+  if (!isMatch) {
+    otp.attempts += 1;
+    await otp.save();
+    return false;
+  }
+
+  // Atomic update so the same code cannot be used twice in parallel requests
+  const used = await this.findOneAndUpdate(
+    { _id: otp._id, usedAt: null },
+    { usedAt: Date.now() }
+  );
+
+  return !!used;
+};
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Record of every subscription charge attempt
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  plan: {
+    type: String,
+    enum: ['premium'],
+    required: true
+  },
+
+  // start = first purchase, renew = manual renewal, auto_renew = scheduled renewal
+  kind: {
+    type: String,
+    enum: ['start', 'renew', 'auto_renew'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  currency: {
+    type: String,
+    default: 'BDT'
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  transactionId: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed', 'refunded'],
+    required: true
+  },
+
+  failureMessage: {
+    type: String,
+    default: null
+  },
+
+  // Subscription period this payment paid for
+  periodStart: Date,
+  periodEnd: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildSearchText } = require('../utils/textSearch');
 
 const propertySchema = new mongoose.Schema({
   // Owner reference
@@ -45,6 +46,21 @@ const propertySchema = new mongoose.Schema({
     address: {
       type: String,
       required: [true, 'Please provide full address']
+    },
+    // Canonical gazetteer IDs (see utils/gazetteer.js), used for filtering
+    divisionId: String,
+    districtId: String,
+    areaId: String,
+    // Map pin as a GeoJSON point - coordinates are [longitude, latitude]
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   
@@ -95,10 +111,26 @@ const propertySchema = new mongoose.Schema({
     type: String
   }],
   
-  // Photos
+  // Photos (the first one is the cover shown in listing cards)
   photos: [{
+    // Large JPEG (what clients without variant support show)
     url: String,
-    caption: String
+    caption: String,
+    width: Number,
+    height: Number,
+    // Resized copies, each as JPEG and WebP (see utils/imageChecker.js)
+    variants: {
+      thumbnail: { url: String, webpUrl: String },
+      medium: { url: String, webpUrl: String },
+      large: { url: String, webpUrl: String }
+    },
+    // Stored files (Cloudinary public IDs), deleted with the photo
+    assetIds: [String],
+    // Single stored file of photos uploaded before variants existed
+    publicId: String,
+    // Perceptual hash and its index bands, to spot pictures reused across listings
+    hash: String,
+    hashBands: [String]
   }],
   
   // Contact info
@@ -134,7 +166,122 @@ const propertySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // Moderation
+  verificationStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // User reports
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Hidden from public listings after too many reports, until reviewed
+  isHiddenByReports: {
+    type: Boolean,
+    default: false
+  },
+
+  // The owner's answer to open reports, for the admin who resolves them
+  reportResponse: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Response cannot exceed 500 characters'],
+      default: null
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Hidden everywhere because the owner deleted (deactivated) their account
+  isHiddenByDeactivation: {
+    type: Boolean,
+    default: false
+  },
+
+  // Hidden from public listings by the moderation rules until an admin approves it
+  isHeldForReview: {
+    type: Boolean,
+    default: false
+  },
+
+  // Latest moderation result (see middleware/moderation.js)
+  moderation: {
+    score: Number,
+    decision: {
+      type: String,
+      enum: ['allow', 'hold', 'reject']
+    },
+    hits: [{
+      _id: false,
+      field: String,
+      rule: String,
+      match: String,
+      weight: Number,
+      reason: String
+    }],
+    checkedAt: Date
+  },
+
+  // Older listing by another owner this one looks like a repost of, held
+  // for review (see utils/duplicates.js)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+
+  duplicateCheck: {
+    score: Number,
+    reasons: [String],
+    checkedAt: Date
+  },
+
+  // Listings an admin has confirmed this one is not a repost of
+  notDuplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  }],
+
+  // Photos that also appear in other owners' listings (see utils/photos.js)
+  reusedPhotoCount: {
+    type: Number,
+    default: 0
+  },
   
+  // Tokenized copies of the searchable fields (see utils/textSearch.js)
+  searchText: {
+    type: {
+      title: String,
+      area: String,
+      description: String
+    },
+    select: false
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -146,10 +293,42 @@ const propertySchema = new mongoose.Schema({
   }
 });
 
+// Map search (near / bounding box)
+propertySchema.index({ 'location.geo': '2dsphere' });
+
+// Location filters
+propertySchema.index({ 'location.divisionId': 1, 'location.districtId': 1, 'location.areaId': 1 });
+
+// Reused photo lookup (see utils/photos.js)
+propertySchema.index({ 'photos.hashBands': 1 });
+
+// Duplicate listing lookup by phone (see utils/duplicates.js)
+propertySchema.index({ 'contact.phone': 1 });
+
+// Full-text search, ranked title > area > description. Tokens are already
+// normalized, so MongoDB's own stemming is turned off.
+propertySchema.index(
+  { 'searchText.title': 'text', 'searchText.area': 'text', 'searchText.description': 'text' },
+  {
+    name: 'property_text_search',
+    weights: { 'searchText.title': 10, 'searchText.area': 5, 'searchText.description': 1 },
+    default_language: 'none'
+  }
+);
+
 // Update the updatedAt field before saving
 propertySchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Keep the search tokens in step with the listing
+propertySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description') ||
+      this.isModified('propertyType') || this.isModified('location')) {
+    this.searchText = buildSearchText(this);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Property', propertySchema);
\ No newline at end of file
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Server-side refresh tokens. Each login starts a "family"; every refresh
+// rotates the token within that family so a stolen, already-used token
+// can be detected and the whole family revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Only the SHA-256 hash is stored, never the token itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  family: {
+    type: String,
+    required: true
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the token was revoked by being exchanged for a new one
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB removes expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh token lifetime in days
+refreshTokenSchema.statics.TTL_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// A token rotated this recently may be presented again without counting as
+// reuse - two tabs refreshing at once send the same cookie
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Create a new refresh token. Pass a family to rotate within an existing session.
+// Returns the plain token so it can be set as a cookie.
+refreshTokenSchema.statics.issue = async function(userId, meta = {}, family = null) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    expiresAt: new Date(Date.now() + this.TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Exchange a refresh token for a new one. Returns { userId, token } or null.
+// Presenting a token that was already rotated revokes its whole family,
+// unless it was rotated within REUSE_GRACE_MS: then token is null and the
+// session is left alone, as the client already holds its successor.
+refreshTokenSchema.statics.rotate = async function(token, meta = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Atomic revoke so two parallel refreshes cannot both rotate the same token
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, rotatedAt: now }
+  );
+
+  if (!current) {
+    const reused = await this.findOne({ tokenHash });
+    if (!reused) return null;
+
+    if (reused.rotatedAt && now - reused.rotatedAt < REUSE_GRACE_MS) {
+      return { userId: reused.user, token: null };
+    }
+
+    await this.updateMany(
+      { family: reused.family, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+    return null;
+  }
+
+  const newToken = await this.issue(current.user, meta, current.family);
+  return { userId: current.user, token: newToken };
+};
+
+// Revoke the session a refresh token belongs to (logout on this device)
+refreshTokenSchema.statics.revoke = async function(token) {
+  const current = await this.findOne({ tokenHash: hashToken(token) });
+  if (!current) return;
+
+  await this.updateMany(
+    { family: current.family, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+};
+
+// Revoke every session of a user (logout of all devices)
+refreshTokenSchema.statics.revokeAll = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
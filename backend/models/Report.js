@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Reasons a listing can be reported for
+const REPORT_REASONS = ['scam', 'wrong_price', 'already_rented', 'offensive_photos', 'duplicate'];
+
+const reportSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Please select a reason']
+  },
+
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  },
+
+  // open -> upheld / dismissed (admin decision). The owner's review answers
+  // open reports without closing them. "reviewed" is kept for older reports.
+  status: {
+    type: String,
+    enum: ['open', 'reviewed', 'upheld', 'dismissed'],
+    default: 'open'
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can have only one report per listing
+reportSchema.index({ property: 1, reporter: 1 }, { unique: true });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
+module.exports.REPORT_REASONS = REPORT_REASONS;
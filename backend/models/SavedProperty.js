@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const savedPropertySchema = new mongoose.Schema({
+  // Tenant who saved the listing
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Saved listing
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A tenant can save the same listing only once
+savedPropertySchema.index({ user: 1, property: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedProperty', savedPropertySchema);
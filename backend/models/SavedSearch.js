@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { FILTER_KEYS } = require('../utils/propertyFilters');
+
+// Most recent matches kept per saved search
+const MAX_MATCHES = 50;
+
+// A tenant's saved filter set from the Properties page, with new-listing alerts
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Please name this search'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+
+  // Same keys as the GET /api/properties query parameters
+  filters: Object.fromEntries(FILTER_KEYS.map((key) => [key, String])),
+
+  // instant = alert as soon as a listing matches, daily = one digest a day
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily'],
+    default: 'instant'
+  },
+
+  // Paused searches keep their matches but get no new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // New listings that matched, newest last. notifiedAt stays null until the
+  // tenant has been alerted (free tenants wait for the early-access window).
+  matches: [{
+    _id: false,
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property'
+    },
+    matchedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notifiedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+
+  // When the last daily digest went out
+  lastDigestAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the tenant last opened the matches (anything newer is "new")
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1 });
+savedSearchSchema.index({ 'matches.notifiedAt': 1 });
+
+savedSearchSchema.statics.MAX_MATCHES = MAX_MATCHES;
+
+// Matches added since the tenant last looked
+savedSearchSchema.methods.newMatchCount = function() {
+  return this.matches.filter((match) => match.matchedAt > this.lastViewedAt).length;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -47,10 +47,21 @@ const userSchema = new mongoose.Schema({
     select: false // Don't return password in queries by default
   },
   
+  // Ownership of the contact channel, proven with a one-time code
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  mobileVerified: {
+    type: Boolean,
+    default: false
+  },
+
   // Account type
   accountType: {
     type: String,
-    enum: ['tenant', 'owner'],
+    enum: ['tenant', 'owner', 'admin'],
     required: [true, 'Please select account type (tenant or owner)']
   },
   
@@ -64,9 +75,36 @@ const userSchema = new mongoose.Schema({
     expiresAt: {
       type: Date,
       default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    // Renew automatically at expiry (turned off by cancelling)
+    autoRenew: {
+      type: Boolean,
+      default: false
+    },
+    // Payment provider's reference for charging this customer again
+    customerRef: {
+      type: String,
+      default: null,
+      select: false
     }
   },
   
+  // Set when password changes - tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set on "log out of all devices" - tokens issued before this are rejected
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
+
   // Additional info
   isActive: {
     type: Boolean,
@@ -100,6 +138,32 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Check if password was changed after a JWT was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Check if at least one contact channel the user signed up with is verified
+userSchema.methods.isContactVerified = function() {
+  return (!!this.email && this.emailVerified) || (!!this.mobile && this.mobileVerified);
+};
+
+// Check if the user has an active premium subscription
+// (checked against expiresAt so entitlements end even before the expiry job runs)
+userSchema.methods.isPremium = function() {
+  return this.subscription?.plan === 'premium' &&
+    !!this.subscription.expiresAt &&
+    this.subscription.expiresAt > new Date();
+};
+
+// Check if a JWT (iat in seconds) was issued before sessions were revoked
+userSchema.methods.isTokenRevoked = function(tokenIssuedAt) {
+  if (this.changedPasswordAfter(tokenIssuedAt)) return true;
+  if (!this.sessionsRevokedAt) return false;
+  return Math.floor(this.sessionsRevokedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // Method to compare passwords during login
 userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const viewingRequestSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ViewingSlot',
+    required: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Lifecycle: pending -> confirmed -> completed, or cancelled at any point before
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    default: 'pending'
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  // Set when the owner moves the viewing to another slot: the request is
+  // pending again until the tenant accepts the new time
+  rescheduledAt: {
+    type: Date,
+    default: null
+  },
+
+  // Who cancelled/declined and why
+  cancelledBy: {
+    type: String,
+    enum: ['tenant', 'owner', null],
+    default: null
+  },
+
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+viewingRequestSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ViewingRequest', viewingRequestSchema);
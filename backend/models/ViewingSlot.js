@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const viewingSlotSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  startTime: {
+    type: Date,
+    required: [true, 'Please provide slot start time']
+  },
+
+  endTime: {
+    type: Date,
+    required: [true, 'Please provide slot end time']
+  },
+
+  // Held while a pending or confirmed request uses this slot
+  isBooked: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+viewingSlotSchema.index({ property: 1, startTime: 1 });
+
+module.exports = mongoose.model('ViewingSlot', viewingSlotSchema);
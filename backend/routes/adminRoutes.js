@@ -0,0 +1,359 @@
+const express = require('express');
+const router = express.Router();
+const Property = require('../models/Property');
+const Report = require('../models/Report');
+const { protect, isAdmin } = require('../middleware/auth');
+const { EVENTS, publish } = require('../utils/events');
+const { findReusedPhotos } = require('../utils/photos');
+const { queueListingMatch } = require('../utils/searchAlerts');
+const { isPubliclyVisible } = require('../utils/propertyFilters');
+const { body, validationResult } = require('express-validator');
+
+// All admin routes require an admin account
+router.use(protect, isAdmin);
+
+// @route   GET /api/admin/properties/pending
+// @desc    Get moderation queue of unverified and held properties (held first, then oldest first)
+// @access  Private (Admin)
+router.get('/properties/pending', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    // Listings created before moderation existed have no verificationStatus yet.
+    // Verified listings come back when an edit trips the moderation rules.
+    const filter = {
+      $or: [
+        { isVerified: false, verificationStatus: { $ne: 'rejected' } },
+        { isHeldForReview: true }
+      ]
+    };
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const properties = await Property.find(filter)
+      .populate('owner', 'fullName email mobile')
+      .populate({ path: 'duplicateOf', select: 'title owner createdAt', populate: { path: 'owner', select: 'fullName' } })
+      .sort({ isHeldForReview: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Property.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: properties.length,
+      total,
+      totalPages: Math.ceil(total / Number(limit)),
+      currentPage: Number(page),
+      data: { properties }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/properties/:id/reused-photos
+// @desc    Other owners' listings that use the same pictures as this one
+// @access  Private (Admin)
+router.get('/properties/:id/reused-photos', async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const reused = await findReusedPhotos(property);
+
+    const matches = await Promise.all(reused.map(async ({ photoId, listings }) => ({
+      photoId,
+      photoUrl: property.photos.id(photoId).url,
+      listings: await Property.populate(listings, { path: 'owner', select: 'fullName email mobile' })
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: { matches }
+    });
+
+  } catch (error) {
+    console.error('Get reused photos error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/properties/:id/approve
+// @desc    Approve a property and mark it as verified
+// @access  Private (Admin)
+router.patch('/properties/:id/approve', async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    property.isVerified = true;
+    property.verificationStatus = 'approved';
+    property.rejectionReason = null;
+    property.verifiedBy = req.user._id;
+    property.verifiedAt = Date.now();
+    const wasHeld = property.isHeldForReview;
+    property.isHeldForReview = false;
+
+    // Approving a suspected repost clears it against that listing for good
+    if (property.duplicateOf) {
+      property.notDuplicateOf.addToSet(property.duplicateOf);
+      property.duplicateOf = null;
+    }
+    await property.save();
+
+    publish(EVENTS.PROPERTY_MODERATED, { property, action: 'approved' });
+
+    // Held listings were kept out of search alerts until now (unless
+    // they are still hidden for another reason)
+    if (wasHeld && isPubliclyVisible(property)) {
+      queueListingMatch(property._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Property approved and verified',
+      data: { property }
+    });
+
+  } catch (error) {
+    console.error('Approve property error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/properties/:id/reject
+// @desc    Reject a property with a reason (hides it from public listings)
+// @access  Private (Admin)
+router.patch('/properties/:id/reject', [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide a rejection reason')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    property.isVerified = false;
+    property.verificationStatus = 'rejected';
+    property.rejectionReason = req.body.reason;
+    property.verifiedBy = req.user._id;
+    property.verifiedAt = Date.now();
+    await property.save();
+
+    publish(EVENTS.PROPERTY_MODERATED, { property, action: 'rejected', reason: property.rejectionReason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Property rejected',
+      data: { property }
+    });
+
+  } catch (error) {
+    console.error('Reject property error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/reports
+// @desc    Get listings with open user reports (most reported first)
+// @access  Private (Admin)
+router.get('/reports', async (req, res) => {
+  try {
+    const grouped = await Report.aggregate([
+      { $match: { status: 'open' } },
+      {
+        $group: {
+          _id: '$property',
+          count: { $sum: 1 },
+          reasons: { $push: { reason: '$reason', details: '$details', createdAt: '$createdAt' } }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    const properties = await Property.find({ _id: { $in: grouped.map(g => g._id) } })
+      .populate('owner', 'fullName email mobile');
+
+    const propertyMap = {};
+    properties.forEach(property => {
+      propertyMap[property._id.toString()] = property;
+    });
+
+    const reported = grouped
+      .filter(g => propertyMap[g._id.toString()])
+      .map(g => ({
+        property: propertyMap[g._id.toString()],
+        count: g.count,
+        reports: g.reasons
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: reported.length,
+      data: { reported }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/properties/:id/reports/resolve
+// @desc    Resolve open reports: dismiss (restore listing) or uphold (reject listing)
+// @access  Private (Admin)
+router.patch('/properties/:id/reports/resolve', [
+  body('action')
+    .isIn(['dismiss', 'uphold'])
+    .withMessage('Action must be dismiss or uphold'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const { action, reason } = req.body;
+
+    await Report.updateMany(
+      { property: property._id, status: 'open' },
+      {
+        status: action === 'uphold' ? 'upheld' : 'dismissed',
+        reviewedBy: req.user._id,
+        reviewedAt: Date.now()
+      }
+    );
+
+    const wasHidden = property.isHiddenByReports;
+    property.reportCount = 0;
+    property.isHiddenByReports = false;
+    property.reportResponse = { text: null, respondedAt: null };
+
+    // Upheld reports reject the listing, which keeps it hidden
+    if (action === 'uphold') {
+      property.isVerified = false;
+      property.verificationStatus = 'rejected';
+      property.rejectionReason = reason || 'Removed after user reports';
+      property.verifiedBy = req.user._id;
+      property.verifiedAt = Date.now();
+    }
+
+    await property.save();
+
+    if (action === 'uphold') {
+      publish(EVENTS.PROPERTY_MODERATED, { property, action: 'rejected', reason: property.rejectionReason });
+    } else if (wasHidden) {
+      publish(EVENTS.PROPERTY_MODERATED, { property, action: 'restored' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: action === 'uphold' ? 'Reports upheld and listing rejected' : 'Reports dismissed and listing restored',
+      data: { property }
+    });
+
+  } catch (error) {
+    console.error('Resolve reports error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,87 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const User = require('../models/User');
+const Property = require('../models/Property');
+const OtpCode = require('../models/OtpCode');
+const RefreshToken = require('../models/RefreshToken');
 const generateToken = require('../utils/generateToken');
+const { sendEmail, sendSms } = require('../utils/notifier');
+const { protect } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 
+// Seconds a user must wait before asking for another verification code
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Rate limiting - verification codes (per user, on top of the cooldown)
+const verifyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 codes per window
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many verification codes requested, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Refresh token cookie - httpOnly so scripts can never read it, and only
+// sent to /api/auth. Cross-site in production (frontend and API on
+// different domains), so it must be SameSite=None + Secure there.
+const REFRESH_COOKIE = 'refreshToken';
+const isProduction = process.env.NODE_ENV === 'production';
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? 'none' : 'lax',
+  path: '/api/auth',
+  maxAge: RefreshToken.TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
+const requestMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Start a new session: set the refresh cookie and return an access token
+const startSession = async (req, res, user) => {
+  const refreshToken = await RefreshToken.issue(user._id, requestMeta(req));
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+  return generateToken(user._id);
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+// Public shape of a user in auth responses
+const formatUser = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  mobile: user.mobile,
+  accountType: user.accountType,
+  subscription: user.subscription,
+  emailVerified: user.emailVerified,
+  mobileVerified: user.mobileVerified,
+  createdAt: user.createdAt
+});
+
+// Send a verification code to the user's email or mobile
+const sendVerificationCode = async (user, channel) => {
+  const code = await OtpCode.issue(user._id, `verify_${channel}`, 10);
+  const text = `Your Rentnest verification code is ${code}. It expires in 10 minutes.`;
+
+  if (channel === 'email') {
+    await sendEmail(user.email, 'Verify your Rentnest account', text);
+  } else {
+    await sendSms(user.mobile, text);
+  }
+};
+
 // @route   POST /api/auth/signup
 // @desc    Register a new user (Tenant or Owner)
 // @access  Public
@@ -90,22 +168,23 @@ router.post('/signup', [
       accountType
     });
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Send the first verification code - signup still succeeds if delivery
+    // fails, the user can ask for a new code from the verification step
+    try {
+      await sendVerificationCode(user, user.email ? 'email' : 'mobile');
+    } catch (notifyError) {
+      console.error('Verification code delivery error:', notifyError);
+    }
+
+    // Generate JWT access token and refresh cookie
+    const token = await startSession(req, res, user);
 
     // Send response
     res.status(201).json({
       success: true,
-      message: 'Account created successfully',
+      message: 'Account created successfully. Enter the code we sent you to verify your account.',
       data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          mobile: user.mobile,
-          accountType: user.accountType,
-          subscription: user.subscription
-        },
+        user: formatUser(user),
         token
       }
     });
@@ -190,22 +269,15 @@ router.post('/login', [
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Generate JWT access token and refresh cookie
+    const token = await startSession(req, res, user);
 
     // Send response
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          mobile: user.mobile,
-          accountType: user.accountType,
-          subscription: user.subscription
-        },
+        user: formatUser(user),
         token
       }
     });
@@ -219,11 +291,366 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh cookie for a new access token (rotates the cookie)
+// @access  Public (requires refresh cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const presented = req.cookies[REFRESH_COOKIE];
+
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        message: 'No active session'
+      });
+    }
+
+    const rotated = await RefreshToken.rotate(presented, requestMeta(req));
+
+    // Refreshed moments ago by another tab: the cookie now holds its successor
+    if (rotated && !rotated.token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session was just refreshed, please try again'
+      });
+    }
+
+    const user = rotated && await User.findById(rotated.userId);
+
+    if (!user || !user.isActive) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please log in again'
+      });
+    }
+
+    res.cookie(REFRESH_COOKIE, rotated.token, refreshCookieOptions());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: generateToken(user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out of this device (revokes the refresh token)
+// @access  Public (uses refresh cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    const presented = req.cookies[REFRESH_COOKIE];
+
+    if (presented) {
+      await RefreshToken.revoke(presented);
+    }
+
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices (revokes every session of the user)
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await RefreshToken.revokeAll(req.user._id);
+    // Also reject access tokens that are still within their lifetime
+    await User.findByIdAndUpdate(req.user._id, { sessionsRevokedAt: Date.now() });
+
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Find a user by email or mobile (same rule as login)
+const findByEmailOrMobile = (emailOrMobile) => {
+  return emailOrMobile.includes('@')
+    ? User.findOne({ email: emailOrMobile.toLowerCase() })
+    : User.findOne({ mobile: emailOrMobile });
+};
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a one-time password reset code by email or SMS
+// @access  Public
+router.post('/forgot-password', [
+  body('emailOrMobile')
+    .trim()
+    .notEmpty()
+    .withMessage('Email or mobile number is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const { emailOrMobile } = req.body;
+    const user = await findByEmailOrMobile(emailOrMobile);
+
+    // Only send if the account exists, but always answer the same way
+    // so this endpoint cannot be used to discover registered users
+    if (user && user.isActive) {
+      const code = await OtpCode.issue(user._id, 'password_reset', 10);
+      const text = `Your Rentnest password reset code is ${code}. It expires in 10 minutes. If you did not request this, ignore this message.`;
+
+      if (emailOrMobile.includes('@')) {
+        await sendEmail(user.email, 'Reset your Rentnest password', text);
+      } else {
+        await sendSms(user.mobile, text);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists, a reset code has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending reset code'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a one-time code (logs out all sessions)
+// @access  Public
+router.post('/reset-password', [
+  body('emailOrMobile')
+    .trim()
+    .notEmpty()
+    .withMessage('Email or mobile number is required'),
+  body('code')
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Reset code must be 6 digits'),
+  body('password')
+    .trim()
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const { emailOrMobile, code, password } = req.body;
+    const user = await findByEmailOrMobile(emailOrMobile);
+
+    const isValid = user && await OtpCode.consume(user._id, 'password_reset', code);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code'
+      });
+    }
+
+    // Changing the password invalidates every token issued before now
+    user.password = password;
+    user.passwordChangedAt = Date.now();
+    await user.save();
+    await RefreshToken.revokeAll(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// Pick the channel to verify: the requested one, or the one the user signed up with
+const resolveChannel = (user, channel) => {
+  if (channel) {
+    return user[channel] ? channel : null;
+  }
+  return user.email ? 'email' : 'mobile';
+};
+
+// @route   POST /api/auth/verify/send
+// @desc    Send (or resend) a verification code to the user's email or mobile
+// @access  Private
+router.post('/verify/send', protect, verifyLimiter, [
+  body('channel')
+    .optional()
+    .isIn(['email', 'mobile'])
+    .withMessage('Channel must be email or mobile')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const channel = resolveChannel(req.user, req.body.channel);
+
+    if (!channel) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${req.body.channel} on this account`
+      });
+    }
+
+    if (req.user[`${channel}Verified`]) {
+      return res.status(400).json({
+        success: false,
+        message: `Your ${channel} is already verified`
+      });
+    }
+
+    // Throttle resends so codes cannot be spammed to someone else's inbox or phone
+    const latest = await OtpCode.latest(req.user._id, `verify_${channel}`);
+    if (latest) {
+      const waitSeconds = Math.ceil(
+        (latest.createdAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000
+      );
+
+      if (waitSeconds > 0) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${waitSeconds} seconds before requesting a new code`,
+          retryAfter: waitSeconds
+        });
+      }
+    }
+
+    await sendVerificationCode(req.user, channel);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification code sent to your ${channel}`,
+      retryAfter: RESEND_COOLDOWN_SECONDS
+    });
+
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify/confirm
+// @desc    Confirm a verification code and mark the channel as verified
+// @access  Private
+router.post('/verify/confirm', protect, [
+  body('channel')
+    .optional()
+    .isIn(['email', 'mobile'])
+    .withMessage('Channel must be email or mobile'),
+  body('code')
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Verification code must be 6 digits')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const channel = resolveChannel(req.user, req.body.channel);
+
+    if (!channel) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${req.body.channel} on this account`
+      });
+    }
+
+    const isValid = await OtpCode.consume(req.user._id, `verify_${channel}`, req.body.code);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { [`${channel}Verified`]: true },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Your ${channel} has been verified`,
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm verification code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying code'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current logged-in user info
 // @access  Private (requires authentication)
-const { protect } = require('../middleware/auth');
-
 router.get('/me', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
@@ -231,15 +658,7 @@ router.get('/me', protect, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          mobile: user.mobile,
-          accountType: user.accountType,
-          subscription: user.subscription,
-          createdAt: user.createdAt
-        }
+        user: formatUser(user)
       }
     });
   } catch (error) {
@@ -250,4 +669,219 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/me
+// @desc    Update profile (name, email, mobile). Changed contacts must be re-verified.
+// @access  Private
+router.put('/me', protect, [
+  body('fullName')
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Name must be at least 2 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email format'),
+  body('mobile')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^01[0-9]{9}$/)
+    .withMessage('Invalid Bangladesh mobile number')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const user = await User.findById(req.user._id);
+    const { fullName, email, mobile } = req.body;
+    const changedChannels = [];
+
+    if (fullName !== undefined) {
+      user.fullName = fullName;
+    }
+
+    // Empty string removes the email (as long as a mobile remains)
+    if (email !== undefined) {
+      const newEmail = email ? email.toLowerCase() : undefined;
+
+      if (newEmail !== user.email) {
+        if (newEmail && await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+          return res.status(400).json({
+            success: false,
+            message: 'User with this email already exists'
+          });
+        }
+        user.email = newEmail;
+        user.emailVerified = false;
+        if (newEmail) changedChannels.push('email');
+      }
+    }
+
+    if (mobile !== undefined) {
+      const newMobile = mobile || undefined;
+
+      if (newMobile !== user.mobile) {
+        if (newMobile && await User.exists({ mobile: newMobile, _id: { $ne: user._id } })) {
+          return res.status(400).json({
+            success: false,
+            message: 'User with this mobile number already exists'
+          });
+        }
+        user.mobile = newMobile;
+        user.mobileVerified = false;
+        if (newMobile) changedChannels.push('mobile');
+      }
+    }
+
+    // Validation: Must keep email OR mobile
+    if (!user.email && !user.mobile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide either email or mobile number'
+      });
+    }
+
+    await user.save();
+
+    // Send codes for the new contacts - the update itself is already saved
+    for (const channel of changedChannels) {
+      try {
+        await sendVerificationCode(user, channel);
+      } catch (notifyError) {
+        console.error('Verification code delivery error:', notifyError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changedChannels.length > 0
+        ? 'Profile updated. Enter the code we sent you to verify your new contact details.'
+        : 'Profile updated successfully',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error while updating profile'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password (requires current password, logs out other devices)
+// @access  Private
+router.put('/password', protect, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .trim()
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+    const { currentPassword, newPassword } = req.body;
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Changing the password invalidates every token issued before now
+    user.password = newPassword;
+    user.passwordChangedAt = Date.now();
+    await user.save();
+    await RefreshToken.revokeAll(user._id);
+
+    // Keep this device logged in with a fresh session
+    const token = await startSession(req, res, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been logged out.',
+      data: { token }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete account (deactivates the user and hides all their listings)
+// @access  Private
+router.delete('/me', protect, [
+  body('password')
+    .notEmpty()
+    .withMessage('Please confirm with your password')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.isActive = false;
+    await user.save();
+
+    await Property.updateMany({ owner: user._id }, { isHiddenByDeactivation: true });
+    await RefreshToken.revokeAll(user._id);
+
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Property = require('../models/Property');
+const { protect, isTenant } = require('../middleware/auth');
+const { checkInappropriateContent } = require('../utils/contentFilter');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+const { EVENTS, publish } = require('../utils/events');
+const { body, validationResult } = require('express-validator');
+
+// Validation rules for a message body
+const messageValidation = [
+  body('message')
+    .trim()
+    .notEmpty()
+    .withMessage('Message cannot be empty')
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters')
+];
+
+// Store a message in a conversation and update the thread preview
+const createMessage = async (conversation, senderId, text) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    body: text
+  });
+
+  conversation.lastMessage = text.substring(0, 100);
+  conversation.lastMessageAt = message.createdAt;
+  await conversation.save();
+
+  publish(EVENTS.MESSAGE_CREATED, { conversation, message });
+  return message;
+};
+
+// @route   POST /api/conversations
+// @desc    Start a conversation with the owner of a listing
+// @access  Private (Tenant)
+router.post('/', protect, isTenant, [
+  body('propertyId')
+    .notEmpty()
+    .withMessage('Property is required'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const { propertyId, message } = req.body;
+
+    // Only listings the tenant can open (GET /api/properties/:id)
+    const property = await Property.findOne({ _id: propertyId, ...visibleListingFilter(req.user) });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Check the first message before creating anything
+    if (message) {
+      const messageCheck = await checkInappropriateContent(message);
+      if (!messageCheck.isClean) {
+        return res.status(400).json({
+          success: false,
+          message: `Message rejected: ${messageCheck.reason}`
+        });
+      }
+    }
+
+    // Reuse the existing thread for this listing if there is one
+    let conversation = await Conversation.findOne({
+      property: property._id,
+      tenant: req.user._id,
+      owner: property.owner
+    });
+
+    const isNew = !conversation;
+
+    if (!conversation) {
+      conversation = await Conversation.create({
+        property: property._id,
+        tenant: req.user._id,
+        owner: property.owner
+      });
+    }
+
+    if (message) {
+      await createMessage(conversation, req.user._id, message);
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Conversation started' : 'Conversation already exists',
+      data: { conversation }
+    });
+
+  } catch (error) {
+    console.error('Start conversation error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations
+// @desc    Get all conversations of logged-in user with unread counts
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ tenant: req.user._id }, { owner: req.user._id }]
+    })
+      .populate('property', 'title photos location isAvailable')
+      .populate('tenant', 'fullName')
+      .populate('owner', 'fullName')
+      .sort({ lastMessageAt: -1 });
+
+    // Count unread messages sent by the other participant in each thread
+    const unreadCounts = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map(c => c._id) },
+          sender: { $ne: req.user._id },
+          readAt: null
+        }
+      },
+      { $group: { _id: '$conversation', count: { $sum: 1 } } }
+    ]);
+
+    const unreadMap = {};
+    unreadCounts.forEach(item => {
+      unreadMap[item._id.toString()] = item.count;
+    });
+
+    const result = conversations.map(conversation => ({
+      ...conversation.toObject(),
+      unreadCount: unreadMap[conversation._id.toString()] || 0
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: result.length,
+      data: { conversations: result }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Get total number of unread messages for logged-in user
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ tenant: req.user._id }, { owner: req.user._id }]
+    }).select('_id');
+
+    const unreadCount = await Message.countDocuments({
+      conversation: { $in: conversations.map(c => c._id) },
+      sender: { $ne: req.user._id },
+      readAt: null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get messages of a conversation and mark them as read
+// @access  Private (Participants only)
+router.get('/:id/messages', protect, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('property', 'title photos location isAvailable')
+      .populate('tenant', 'fullName')
+      .populate('owner', 'fullName');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!conversation.isParticipant(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this conversation'
+      });
+    }
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ createdAt: 1 });
+
+    // Mark messages from the other participant as read
+    await Message.updateMany(
+      {
+        conversation: conversation._id,
+        sender: { $ne: req.user._id },
+        readAt: null
+      },
+      { readAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: { conversation, messages }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message in a conversation
+// @access  Private (Participants only)
+router.post('/:id/messages', protect, messageValidation, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!conversation.isParticipant(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to post in this conversation'
+      });
+    }
+
+    // Check message for inappropriate content
+    const messageCheck = await checkInappropriateContent(req.body.message);
+    if (!messageCheck.isClean) {
+      return res.status(400).json({
+        success: false,
+        message: `Message rejected: ${messageCheck.reason}`
+      });
+    }
+
+    const message = await createMessage(conversation, req.user._id, req.body.message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { message }
+    });
+
+  } catch (error) {
+    console.error('Send message error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { getDivisions, getDistricts, getAreas } = require('../utils/gazetteer');
+
+// The gazetteer only changes with a deploy, so let browsers cache it
+const cacheFor = (res) => res.set('Cache-Control', 'public, max-age=86400');
+
+// @route   GET /api/locations
+// @desc    Get all divisions (first level of the cascading location dropdowns)
+// @access  Public
+router.get('/', (req, res) => {
+  cacheFor(res);
+  res.status(200).json({
+    success: true,
+    data: { divisions: getDivisions() }
+  });
+});
+
+// @route   GET /api/locations/divisions/:divisionId/districts
+// @desc    Get the districts of a division
+// @access  Public
+router.get('/divisions/:divisionId/districts', (req, res) => {
+  const districts = getDistricts(req.params.divisionId);
+
+  if (!districts) {
+    return res.status(404).json({
+      success: false,
+      message: 'Division not found'
+    });
+  }
+
+  cacheFor(res);
+  res.status(200).json({
+    success: true,
+    data: { districts }
+  });
+});
+
+// @route   GET /api/locations/districts/:districtId/areas
+// @desc    Get the upazilas/thanas of a district
+// @access  Public
+router.get('/districts/:districtId/areas', (req, res) => {
+  const areas = getAreas(req.params.districtId);
+
+  if (!areas) {
+    return res.status(404).json({
+      success: false,
+      message: 'District not found'
+    });
+  }
+
+  cacheFor(res);
+  res.status(200).json({
+    success: true,
+    data: { areas }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { LOCAL_DIR, localPath, verifySignature } = require('../utils/mediaStorage');
+
+// Files stored by the local media driver (utils/mediaStorage.js).
+// Unused when media lives on Cloudinary.
+
+// The frontend runs on another origin; helmet would block it from loading images
+router.use((req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
+// @route   GET /media/public/*
+// @desc    Serve a public stored file
+// @access  Public
+router.use('/public', express.static(path.join(LOCAL_DIR, 'public'), {
+  dotfiles: 'deny',
+  index: false,
+  maxAge: '30d',
+  immutable: true
+}));
+
+// @route   GET /media/private/*?expires=...&signature=...
+// @desc    Serve a private stored file through a signed URL
+// @access  Signed URL
+router.get('/private/*', (req, res) => {
+  const key = `private/${req.params[0]}`;
+  const filePath = localPath(key);
+
+  if (!filePath || !verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or expired link'
+    });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,392 @@
+const express = require('express');
+const router = express.Router();
+const ModerationRule = require('../models/ModerationRule');
+const ModerationSettings = require('../models/ModerationSettings');
+const { RULE_TYPES, RULE_LANGUAGES } = require('../models/ModerationRule');
+const { protect, isAdmin } = require('../middleware/auth');
+const { evaluateContent, invalidateRules } = require('../utils/moderationEngine');
+const { body, validationResult } = require('express-validator');
+
+// Content moderation rules and thresholds, edited by admins without a deploy
+// (see utils/moderationEngine.js)
+router.use(protect, isAdmin);
+
+// Rule types that need a threshold, and what it means
+const THRESHOLD_TYPES = {
+  punctuation: 'Threshold must be the number of "!" or "?" allowed',
+  caps: 'Threshold must be the number of capitalised words allowed',
+  url_count: 'Threshold must be the number of links allowed',
+  price_outlier: 'Threshold must be a share of the local median between 0 and 1'
+};
+
+// Fields admins may set on a rule (the key is fixed once created)
+const RULE_FIELDS = ['name', 'type', 'language', 'weight', 'message', 'keywords', 'pattern', 'threshold', 'isActive'];
+
+const pickRuleFields = (data) => {
+  const picked = {};
+  for (const field of RULE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+};
+
+// Check that a rule has what its type needs. Returns an error message or null.
+const checkRuleShape = (rule) => {
+  if (rule.type === 'keyword' && !(rule.keywords || []).some((keyword) => keyword.trim())) {
+    return 'Keyword rules need at least one keyword';
+  }
+
+  if (rule.type === 'regex') {
+    if (!rule.pattern) return 'Regex rules need a pattern';
+    try {
+      new RegExp(rule.pattern, 'gi');
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+  }
+
+  if (THRESHOLD_TYPES[rule.type]) {
+    const threshold = rule.threshold;
+    const valid = typeof threshold === 'number' && Number.isFinite(threshold) && (rule.type === 'price_outlier'
+      ? threshold > 0 && threshold < 1
+      : Number.isInteger(threshold) && threshold >= 0);
+    if (!valid) return THRESHOLD_TYPES[rule.type];
+  }
+
+  return null;
+};
+
+const ruleValidation = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    optional(body('name'))
+      .isString()
+      .withMessage('Rule name must be text')
+      .trim()
+      .notEmpty()
+      .withMessage('Please provide a rule name')
+      .isLength({ max: 100 })
+      .withMessage('Rule name cannot exceed 100 characters'),
+    optional(body('type'))
+      .isIn(RULE_TYPES)
+      .withMessage('Invalid rule type'),
+    body('language')
+      .optional()
+      .isIn(RULE_LANGUAGES)
+      .withMessage('Invalid rule language'),
+    optional(body('weight'))
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Weight must be a whole number from 0 to 100')
+      .toInt(),
+    body('message')
+      .optional()
+      .isString()
+      .withMessage('Message must be text')
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Message cannot exceed 200 characters'),
+    body('keywords')
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('Keywords must be a list of at most 500 entries'),
+    body('keywords.*')
+      .isString()
+      .withMessage('Keywords must be text')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Keywords must be 1 to 100 characters'),
+    body('pattern')
+      .optional()
+      .isString()
+      .withMessage('Pattern must be text')
+      .isLength({ max: 500 })
+      .withMessage('Pattern cannot exceed 500 characters'),
+    body('threshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Threshold must be a positive number')
+      .toFloat(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ];
+};
+
+// @route   GET /api/admin/moderation/rules
+// @desc    Get all moderation rules and the score thresholds
+// @access  Private (Admin)
+router.get('/rules', async (req, res) => {
+  try {
+    // Runs the engine once so the default rules are in place
+    await evaluateContent();
+
+    const [rules, settings] = await Promise.all([
+      ModerationRule.find().sort({ type: 1, key: 1 }).populate('updatedBy', 'fullName'),
+      ModerationSettings.getSettings()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: {
+        rules,
+        settings: { holdScore: settings.holdScore, rejectScore: settings.rejectScore },
+        types: RULE_TYPES,
+        languages: RULE_LANGUAGES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/moderation/rules
+// @desc    Add a moderation rule
+// @access  Private (Admin)
+router.post('/rules', [
+  body('key')
+    .isString()
+    .withMessage('Please provide a rule key')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9-]{1,60}$/)
+    .withMessage('Rule key can only contain letters, numbers and dashes (60 at most)'),
+  ...ruleValidation(false)
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const data = { key: req.body.key, ...pickRuleFields(req.body) };
+
+    const shapeError = checkRuleShape(data);
+    if (shapeError) {
+      return res.status(400).json({
+        success: false,
+        message: shapeError
+      });
+    }
+
+    const rule = await ModerationRule.create({ ...data, updatedBy: req.user._id });
+    invalidateRules();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule added',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Create moderation rule error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule with this key already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/moderation/rules/:id
+// @desc    Update a moderation rule (weight, keywords, on/off...)
+// @access  Private (Admin)
+router.put('/rules/:id', ruleValidation(true), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const rule = await ModerationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+
+    const shapeError = checkRuleShape(rule);
+    if (shapeError) {
+      return res.status(400).json({
+        success: false,
+        message: shapeError
+      });
+    }
+
+    rule.updatedBy = req.user._id;
+    await rule.save();
+    invalidateRules();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule updated',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Update moderation rule error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/moderation/rules/:id
+// @desc    Delete a moderation rule
+// @access  Private (Admin)
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const rule = await ModerationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    invalidateRules();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete moderation rule error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/moderation/settings
+// @desc    Update the hold and reject score thresholds
+// @access  Private (Admin)
+router.put('/settings', [
+  body('holdScore')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Hold score must be a whole number from 1 to 1000')
+    .toInt(),
+  body('rejectScore')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Reject score must be a whole number from 1 to 1000')
+    .toInt()
+    .custom((value, { req }) => value > req.body.holdScore)
+    .withMessage('Reject score must be higher than the hold score')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const settings = await ModerationSettings.getSettings();
+    settings.holdScore = req.body.holdScore;
+    settings.rejectScore = req.body.rejectScore;
+    settings.updatedBy = req.user._id;
+    await settings.save();
+    invalidateRules();
+
+    res.status(200).json({
+      success: true,
+      message: 'Thresholds updated',
+      data: {
+        settings: { holdScore: settings.holdScore, rejectScore: settings.rejectScore }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update moderation settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/moderation/test
+// @desc    Score some sample text with the current rules
+// @access  Private (Admin)
+router.post('/test', [
+  body('text')
+    .isString()
+    .withMessage('Please provide some text')
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide some text')
+    .isLength({ max: 5000 })
+    .withMessage('Text cannot exceed 5000 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const result = await evaluateContent({ texts: [['text', req.body.text]] });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Test moderation rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+
+// Largest page of notifications returned at once
+const MAX_PAGE_SIZE = 50;
+
+// @route   GET /api/notifications
+// @desc    Get notifications of logged-in user (newest first) with unread count
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments({ user: req.user._id }),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: { notifications, unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications for logged-in user
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all notifications of logged-in user as read
+// @access  Private
+router.patch('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount, unreadCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private (Recipient only)
+router.patch('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification, unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router({ mergeParams: true });
+const Property = require('../models/Property');
+const { protect, isOwner } = require('../middleware/auth');
+const { evaluateFields, rejectContent, moderationRecord, reverifyChanges } = require('../middleware/moderation');
+const { flagDuplicate } = require('../utils/duplicates');
+const {
+  MAX_PHOTOS,
+  checkPhotoFile,
+  uploadPhoto,
+  deletePhotoAsset,
+  updatePhotoReuse
+} = require('../utils/photos');
+const { EVENTS, publish } = require('../utils/events');
+const { body, validationResult } = require('express-validator');
+
+// Photo management for a listing, mounted at /api/properties/:id/photos.
+// The first photo is the cover.
+
+// Multer setup - store in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB per file
+});
+
+// Load the listing and make sure it belongs to the logged-in owner
+const loadOwnProperty = async (req, res, next) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to update this property'
+      });
+    }
+
+    req.property = property;
+    next();
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    console.error('Load property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+router.use(protect, isOwner, loadOwnProperty);
+
+// Find a photo of the loaded listing, or send a 404
+const findPhoto = (req, res) => {
+  const photo = req.property.photos.id(req.params.photoId);
+  if (!photo) {
+    res.status(404).json({
+      success: false,
+      message: 'Photo not found'
+    });
+  }
+  return photo;
+};
+
+// @route   POST /api/properties/:id/photos
+// @desc    Upload more photos to a listing (up to 5 in total)
+// @access  Private (Owner - own property)
+router.post('/', upload.array('images', MAX_PHOTOS), async (req, res) => {
+  try {
+    const { property } = req;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select at least one image'
+      });
+    }
+
+    if (property.photos.length + files.length > MAX_PHOTOS) {
+      const remaining = MAX_PHOTOS - property.photos.length;
+      return res.status(400).json({
+        success: false,
+        message: remaining > 0
+          ? `A listing can have at most ${MAX_PHOTOS} photos. You can add ${remaining} more.`
+          : `A listing can have at most ${MAX_PHOTOS} photos. Remove one to add another.`
+      });
+    }
+
+    for (const file of files) {
+      const fileError = await checkPhotoFile(file);
+      if (fileError) {
+        return res.status(400).json({
+          success: false,
+          message: fileError
+        });
+      }
+    }
+
+    const uploadedPhotos = [];
+    try {
+      for (const file of files) {
+        uploadedPhotos.push(await uploadPhoto(file));
+      }
+    } catch (error) {
+      console.error('Image upload error:', error);
+      // Don't leave half an upload behind
+      await Promise.all(uploadedPhotos.map(deletePhotoAsset));
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to upload image. Please try again.'
+      });
+    }
+
+    // Add them only while the listing still has room ("no photo at index N"
+    // means at most N photos), so parallel uploads can't pass MAX_PHOTOS.
+    // New photos need an admin's approval like any other change.
+    const updated = await Property.findOneAndUpdate(
+      { _id: property._id, [`photos.${MAX_PHOTOS - uploadedPhotos.length}`]: { $exists: false } },
+      {
+        $push: { photos: { $each: uploadedPhotos } },
+        ...reverifyChanges(property),
+        updatedAt: Date.now()
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await Promise.all(uploadedPhotos.map(deletePhotoAsset));
+      return res.status(400).json({
+        success: false,
+        message: `A listing can have at most ${MAX_PHOTOS} photos. Other photos were just added - reload the listing to see how many you can still add.`
+      });
+    }
+
+    await updatePhotoReuse(updated);
+    await flagDuplicate(updated);
+
+    publish(EVENTS.PROPERTY_UPDATED, { property: updated, actorId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: uploadedPhotos.length === 1 ? 'Photo added' : `${uploadedPhotos.length} photos added`,
+      data: { photos: updated.photos }
+    });
+
+  } catch (error) {
+    console.error('Add photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/photos/order
+// @desc    Reorder photos (the first one becomes the cover)
+// @access  Private (Owner - own property)
+router.put('/order', [
+  body('order')
+    .isArray()
+    .withMessage('Order must be a list of photo IDs')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const { property } = req;
+    const order = req.body.order.map(String);
+    const currentIds = property.photos.map((photo) => photo._id.toString());
+
+    // Must list every photo exactly once
+    const isComplete = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every((photoId) => currentIds.includes(photoId));
+
+    if (!isComplete) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every photo of the listing exactly once'
+      });
+    }
+
+    property.photos = order.map((photoId) => property.photos.id(photoId));
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Photos reordered',
+      data: { photos: property.photos }
+    });
+
+  } catch (error) {
+    console.error('Reorder photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/properties/:id/photos/:photoId
+// @desc    Edit a photo caption
+// @access  Private (Owner - own property)
+router.patch('/:photoId', [
+  body('caption')
+    .isString()
+    .withMessage('Caption must be text')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const photo = findPhoto(req, res);
+    if (!photo) return;
+
+    const { caption } = req.body;
+    const result = await evaluateFields({ caption }, { caption: 'Caption' });
+    if (result.decision === 'reject') {
+      return rejectContent(res, result.hits, result.score);
+    }
+
+    if (photo.caption !== caption) {
+      req.property.set(reverifyChanges(req.property));
+    }
+    photo.caption = caption;
+    if (result.decision === 'hold') {
+      req.property.isHeldForReview = true;
+      req.property.moderation = moderationRecord(result);
+    }
+    await req.property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Caption updated',
+      data: { photos: req.property.photos }
+    });
+
+  } catch (error) {
+    console.error('Update photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/properties/:id/photos/:photoId/cover
+// @desc    Make a photo the cover (moves it to the front)
+// @access  Private (Owner - own property)
+router.patch('/:photoId/cover', async (req, res) => {
+  try {
+    const photo = findPhoto(req, res);
+    if (!photo) return;
+
+    const { property } = req;
+    property.photos = [photo, ...property.photos.filter((p) => p._id.toString() !== photo._id.toString())];
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cover photo updated',
+      data: { photos: property.photos }
+    });
+
+  } catch (error) {
+    console.error('Set cover photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/photos/:photoId
+// @desc    Remove a photo and its stored image
+// @access  Private (Owner - own property)
+router.delete('/:photoId', async (req, res) => {
+  try {
+    const photo = findPhoto(req, res);
+    if (!photo) return;
+
+    const { property } = req;
+    property.photos.pull(photo._id);
+    await property.save();
+
+    await deletePhotoAsset(photo);
+    await updatePhotoReuse(property);
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo removed',
+      data: { photos: property.photos }
+    });
+
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,27 @@
+const { isDeepStrictEqual } = require('util');
 const express = require('express');
 const multer = require('multer');
-const cloudinary = require('../config/cloudinary');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const Property = require('../models/Property');
-const { protect, isOwner } = require('../middleware/auth');
-const { checkInappropriateContent, checkPhoneNumber, checkPriceValidity } = require('../utils/contentFilter');
-const { validateImage, checkImageDimensions } = require('../utils/imageChecker');
-const { sanitizeString } = require('../utils/sanitize');
+const SavedProperty = require('../models/SavedProperty');
+const ViewingSlot = require('../models/ViewingSlot');
+const ViewingRequest = require('../models/ViewingRequest');
+const Report = require('../models/Report');
+const { protect, optionalAuth, isOwner, isTenant, isVerified } = require('../middleware/auth');
+const { withContactVisibility } = require('../utils/contactVisibility');
+const { validatePropertyCreate, validatePropertyUpdate, updatePaths } = require('../middleware/propertyValidation');
+const { moderateListing, moderationRecord, reverifyChanges } = require('../middleware/moderation');
+const { parseNear, parseBbox, withinRadius, withinBbox, distanceKm } = require('../utils/geo');
+const { suggestPlaces, findDistrict, findArea } = require('../utils/gazetteer');
+const { getRentStats } = require('../utils/rentStats');
+const { buildSearchText, suggestTerms } = require('../utils/textSearch');
+const { PUBLIC_LISTING_FILTER, buildListingFilter, earlyAccessFilter, visibleListingFilter } = require('../utils/propertyFilters');
+const { queueListingMatch } = require('../utils/searchAlerts');
+const { flagDuplicate } = require('../utils/duplicates');
+const { EVENTS, publish } = require('../utils/events');
+const { MAX_PHOTOS, checkPhotoFile, uploadPhoto, deletePhotoAsset, updatePhotoReuse } = require('../utils/photos');
+const { body, validationResult } = require('express-validator');
 
 // Multer setup - store in memory
 const storage = multer.memoryStorage();
@@ -15,156 +30,100 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB per file
 });
 
-// @route   POST /api/properties
-// @desc    Create a new property listing with images (Owner only)
-// @access  Private (Owner)
-router.post('/', protect, isOwner, upload.array('images', 5), async (req, res) => {
-  try {
-    const {
-      title,
-      description,
-      propertyType,
-      location,
-      rent,
-      features,
-      amenities,
-      contact,
-      terms
-    } = req.body;
-
-    // ========== CONTENT FILTERING -==========
-    
-    // Check title for inappropriate content
-    const titleCheck = checkInappropriateContent(title);
-    if (!titleCheck.isClean) {
-      return res.status(400).json({
-        success: false,
-        message: `Title rejected: ${titleCheck.reason}`
-      });
-    }
-    
-    // Check description for inappropriate content
-    const descCheck = checkInappropriateContent(description);
-    if (!descCheck.isClean) {
-      return res.status(400).json({
-        success: false,
-        message: `Description rejected: ${descCheck.reason}`
-      });
-    }
-    
-    // ========== END CONTENT FILTERING ==========
+// Number of distinct open reports that hides a listing until it is reviewed
+const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+// Default and maximum radius (km) for "near" searches
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 50;
+
+// Listing sort orders (search results default to relevance)
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  rent_asc: { 'rent.amount': 1, createdAt: -1 },
+  rent_desc: { 'rent.amount': -1, createdAt: -1 },
+  size_asc: { 'features.size.value': 1, createdAt: -1 },
+  size_desc: { 'features.size.value': -1, createdAt: -1 }
+};
+
+// Rate limiting - Reports (5 reports per hour per user)
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reports per window
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many reports, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-    // Parse JSON strings from FormData
-    const parsedLocation = JSON.parse(location);
-    const parsedRent = JSON.parse(rent);
-    const parsedFeatures = JSON.parse(features);
-    const parsedAmenities = JSON.parse(amenities);
-    const parsedContact = JSON.parse(contact);
-    const parsedTerms = JSON.parse(terms);
+const valueAt = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
 
-    // ========== ADDITIONAL VALIDATIONS  ==========
-    
-    // Check phone number
-    const phoneCheck = checkPhoneNumber(parsedContact.phone);
-    if (!phoneCheck.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: `Phone number rejected: ${phoneCheck.reason}`
-      });
-    }
-    
-    // Check price validity
-    const priceCheck = checkPriceValidity(parsedRent.amount, propertyType);
-    if (!priceCheck.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: `Price rejected: ${priceCheck.reason}`
-      });
-    }
-    
-    // ========== END ADDITIONAL VALIDATIONS ==========
+// Listing fields (dot paths) an update really changes (resubmitting the
+// edit form unchanged changes nothing)
+const changedFields = (property, edited, paths) => {
+  const before = property.toObject();
+  const after = edited.toObject();
+  return paths.filter((path) => !isDeepStrictEqual(valueAt(after, path), valueAt(before, path)));
+};
 
-    // Validation
-    if (!title || !description || !propertyType || !parsedLocation || !parsedRent || !parsedContact) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide all required fields'
-      });
-    }
-    // Basic image validation
-if (req.files && req.files.length > 0) {
-  // Validate first
-  for (const file of req.files) {
-    if (file.size > 5 * 1024 * 1024) {
-      return res.status(400).json({
-        success: false,
-        message: 'Image size must be less than 5MB'
-      });
-    }
-    
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-    if (!allowedTypes.includes(file.mimetype)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Only JPG, PNG, and WebP images are allowed'
-      });
+// @route   POST /api/properties
+// @desc    Create a new property listing with images (Owner only)
+// @access  Private (Verified Owner)
+router.post('/', protect, isOwner, isVerified, upload.array('images', MAX_PHOTOS), validatePropertyCreate, moderateListing, async (req, res) => {
+  try {
+    // Check real file type and dimensions before uploading anything
+    const files = req.files || [];
+    for (const file of files) {
+      const fileError = await checkPhotoFile(file);
+      if (fileError) {
+        return res.status(400).json({
+          success: false,
+          message: fileError
+        });
+      }
     }
-  }
-}
-
-// Upload images to Cloudinary
-const uploadedPhotos = [];
-
-if (req.files && req.files.length > 0) {
-  for (const file of req.files) {
-    try {
-      const result = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          { 
-            folder: 'rentnest/properties',
-            resource_type: 'image'
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
-        stream.end(file.buffer);
-      });
 
-      uploadedPhotos.push({
-        url: result.secure_url,
-        caption: ''
-      });
-      
-    } catch (error) {
-      console.error('Image upload error:', error);
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to upload image. Please try again.'
-      });
+    // Resize, strip metadata and upload images to Cloudinary
+    const uploadedPhotos = [];
+
+    for (const file of files) {
+      try {
+        uploadedPhotos.push(await uploadPhoto(file));
+      } catch (error) {
+        console.error('Image upload error:', error);
+        await Promise.all(uploadedPhotos.map(deletePhotoAsset));
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to upload image. Please try again.'
+        });
+      }
     }
-  }
-}
 
-    // Create property
+    // Create property (held back from tenants if moderation scored it risky)
     const property = await Property.create({
+      ...req.propertyData,
       owner: req.user._id,
-      title,
-      description,
-      propertyType,
-      location: parsedLocation,
-      rent: parsedRent,
-      features: parsedFeatures,
-      amenities: parsedAmenities,
       photos: uploadedPhotos,
-      contact: parsedContact,
-      terms: parsedTerms
+      isHeldForReview: req.moderation.decision === 'hold',
+      moderation: moderationRecord(req.moderation)
     });
 
+    // Flag pictures already used by other owners' listings, and hold
+    // likely reposts of them
+    await updatePhotoReuse(property);
+    await flagDuplicate(property);
+
+    // Alert tenants whose saved searches match
+    queueListingMatch(property._id);
+
     res.status(201).json({
       success: true,
-      message: 'Property created successfully',
+      message: property.isHeldForReview
+        ? 'Property created and held for review. It will be visible to tenants once an admin approves it.'
+        : 'Property created successfully',
       data: { property }
     });
 
@@ -178,81 +137,71 @@ if (req.files && req.files.length > 0) {
 });
 
 // @route   GET /api/properties
-// @desc    Get all properties with filters
+// @desc    Get all properties with filters (new listings reach premium tenants first)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    // Extract query parameters for filtering
-    const {
-      propertyType,
-      division,
-      district,
-      area,
-      minRent,
-      maxRent,
-      bedrooms,
-      furnished,
-      search,
-      page = 1,
-      limit = 10
-    } = req.query;
-
-    // Build filter object
-    let filter = { isAvailable: true };
-
-    if (propertyType) {
-      filter.propertyType = propertyType;
-    }
+    const { sort, near, radius, bbox, page = 1, limit = 10 } = req.query;
 
-    if (division) {
-      const safeDivision = sanitizeString(division);
-      filter['location.division'] = new RegExp(`^${safeDivision}$`, 'i');
+    // Listing filters from the query (shared with saved searches)
+    const { filter: listingFilter, textQuery, error: filterError } = buildListingFilter(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
     }
 
-    if (district) {
-      const safeDistrict = sanitizeString(district);
-      filter['location.district'] = new RegExp(`^${safeDistrict}$`, 'i');
-    }
+    // Only listings visible to the public
+    const filter = { ...PUBLIC_LISTING_FILTER, ...listingFilter };
+
+    // Map search: within a radius of a point, or inside the visible map area
+    let center = null;
+    if (near) {
+      center = parseNear(near);
+      if (!center) {
+        return res.status(400).json({
+          success: false,
+          message: 'near must be "latitude,longitude"'
+        });
+      }
 
-    if (area) {
-      const safeArea = sanitizeString(area);
-      filter['location.area'] = new RegExp(`^${safeArea}$`, 'i');
-    }
+      const radiusKm = Math.min(Number(radius) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM);
+      filter['location.geo'] = withinRadius(center, radiusKm);
+    } else if (bbox) {
+      const box = parseBbox(bbox);
+      if (!box) {
+        return res.status(400).json({
+          success: false,
+          message: 'bbox must be "minLng,minLat,maxLng,maxLat"'
+        });
+      }
 
-    if (minRent || maxRent) {
-      filter['rent.amount'] = {};
-      if (minRent) filter['rent.amount'].$gte = Number(minRent);
-      if (maxRent) filter['rent.amount'].$lte = Number(maxRent);
+      filter['location.geo'] = withinBbox(box);
     }
 
-    if (bedrooms) {
-      filter['features.bedrooms'] = Number(bedrooms);
-    }
+    // Early access for premium tenants (see utils/propertyFilters.js)
+    Object.assign(filter, earlyAccessFilter(req.user));
 
-    if (furnished) {
-      filter['features.furnished'] = furnished;
-    }
+    // Pagination
+    const skip = (Number(page) - 1) * Number(limit);
 
-   // Search in title, description, and location fields
-    if (search) {
-      const safeSearch = sanitizeString(search);
-      filter.$or = [
-        { title: new RegExp(safeSearch, 'i') },
-        { description: new RegExp(safeSearch, 'i') },
-        { 'location.address': new RegExp(safeSearch, 'i') },
-        { 'location.area': new RegExp(safeSearch, 'i') },
-        { 'location.district': new RegExp(safeSearch, 'i') },
-        { 'location.division': new RegExp(safeSearch, 'i') }
-      ];
+    // Most relevant first when searching, otherwise newest first
+    if (sort && sort !== 'relevance' && !SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: relevance, ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
     }
 
-    // Pagination
-    const skip = (Number(page) - 1) * Number(limit);
+    const sortOrder = textQuery && (!sort || sort === 'relevance')
+      ? { score: { $meta: 'textScore' }, createdAt: -1 }
+      : SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
 
     // Get properties with owner info
     const properties = await Property.find(filter)
       .populate('owner', 'fullName email mobile')
-      .sort({ createdAt: -1 })
+      .sort(sortOrder)
       .skip(skip)
       .limit(Number(limit));
 
@@ -265,7 +214,15 @@ router.get('/', async (req, res) => {
       total,
       totalPages: Math.ceil(total / Number(limit)),
       currentPage: Number(page),
-      data: { properties }
+      data: {
+        properties: properties.map(property => {
+          const data = withContactVisibility(property, req.user);
+          if (center && property.location.geo?.coordinates) {
+            data.distanceKm = Math.round(distanceKm(center, property.location.geo.coordinates) * 10) / 10;
+          }
+          return data;
+        })
+      }
     });
 
   } catch (error) {
@@ -277,6 +234,97 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/properties/suggestions
+// @desc    Search-as-you-type suggestions (places and listing keywords)
+// @access  Public
+router.get('/suggestions', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 50) : '';
+
+  if (q.length < 2) {
+    return res.status(200).json({
+      success: true,
+      data: { suggestions: [] }
+    });
+  }
+
+  const places = suggestPlaces(q, 5).map((place) => ({
+    type: place.type,
+    value: place.name,
+    label: place.parent ? `${place.name}, ${place.parent}` : place.name,
+    bnLabel: place.bnName
+  }));
+
+  const keywords = suggestTerms(q, 3).map((term) => ({
+    type: 'keyword',
+    value: term,
+    label: term
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: { suggestions: [...keywords, ...places] }
+  });
+});
+
+// @route   GET /api/properties/rent-stats
+// @desc    Typical rent for similar listings (district, area, propertyType, bedrooms, period)
+// @access  Public
+router.get('/rent-stats', async (req, res) => {
+  try {
+    const { district, area, propertyType, bedrooms, period = 'monthly' } = req.query;
+
+    const foundDistrict = typeof district === 'string' ? findDistrict(district) : null;
+    if (!foundDistrict) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select a district'
+      });
+    }
+
+    if (!Property.schema.path('propertyType').enumValues.includes(propertyType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select a property type'
+      });
+    }
+
+    if (!Property.schema.path('rent.period').enumValues.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rent period'
+      });
+    }
+
+    const foundArea = typeof area === 'string' && area ? findArea(foundDistrict, area) : null;
+    const bedroomCount = bedrooms !== undefined && bedrooms !== '' ? Number(bedrooms) : undefined;
+
+    const stats = await getRentStats({
+      districtId: foundDistrict.id,
+      areaId: foundArea?.id,
+      propertyType,
+      bedrooms: Number.isInteger(bedroomCount) ? bedroomCount : undefined,
+      period
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stats: stats && {
+          ...stats,
+          place: stats.level === 'area' ? foundArea.name : foundDistrict.name
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rent stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/properties/my-properties
 // @desc    Get all properties of logged-in owner
 // @access  Private (Owner)
@@ -301,11 +349,13 @@ router.get('/my-properties', protect, isOwner, async (req, res) => {
 });
 
 // @route   GET /api/properties/:id
-// @desc    Get single property by ID
+// @desc    Get single property by ID (contact masked unless premium)
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const property = await Property.findById(req.params.id)
+    // The listing's owner and admins can open it in any state; everyone
+    // else only gets what the listings page would show them
+    const property = await Property.findOne({ _id: req.params.id, ...visibleListingFilter(req.user) })
       .populate('owner', 'fullName email mobile accountType');
 
     if (!property) {
@@ -317,7 +367,7 @@ router.get('/:id', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: { property }
+      data: { property: withContactVisibility(property, req.user) }
     });
 
   } catch (error) {
@@ -340,7 +390,7 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/properties/:id
 // @desc    Update property (Owner only - own property)
 // @access  Private (Owner)
-router.put('/:id', protect, isOwner, async (req, res) => {
+router.put('/:id', protect, isOwner, validatePropertyUpdate, moderateListing, async (req, res) => {
   try {
     let property = await Property.findById(req.params.id);
 
@@ -358,18 +408,56 @@ router.put('/:id', protect, isOwner, async (req, res) => {
       });
     }
 
+    // Only listing fields get through validation - moderation fields are
+    // admin-only and photos go through /api/properties/:id/photos.
+    // Groups are merged into the stored ones; cleared fields are unset.
+    const changes = updatePaths(req.propertyData);
+    const cleared = Object.keys(changes).filter((path) => changes[path] === undefined);
+    const edited = Property.hydrate(property.toObject()).set(changes);
+
+    const updates = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    updates.updatedAt = Date.now();
+    if (cleared.length > 0) {
+      updates.$unset = Object.fromEntries(cleared.map((path) => [path, 1]));
+    }
+
+    // findByIdAndUpdate skips the save hook, so refresh the search tokens here
+    updates.searchText = buildSearchText(edited.toObject());
+
+    // Edited rejected listings go back to the moderation queue, and so do
+    // approved ones once what tenants see has changed
+    if (property.verificationStatus === 'rejected') {
+      updates.verificationStatus = 'pending';
+      updates.rejectionReason = null;
+    } else if (changedFields(property, edited, Object.keys(changes)).length > 0) {
+      Object.assign(updates, reverifyChanges(property));
+    }
+
+    // Only an admin lifts a hold - editing the text never does
+    updates.moderation = moderationRecord(req.moderation);
+    if (req.moderation.decision === 'hold') {
+      updates.isHeldForReview = true;
+    }
+
     property = await Property.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
     );
 
+    // The edit may have turned it into a copy of another owner's listing
+    await flagDuplicate(property);
+
+    publish(EVENTS.PROPERTY_UPDATED, { property, actorId: req.user._id });
+
     res.status(200).json({
       success: true,
-      message: 'Property updated successfully',
+      message: property.isHeldForReview
+        ? 'Property updated and held for review. It will be visible to tenants once an admin approves it.'
+        : 'Property updated successfully',
       data: { property }
     });
 
@@ -403,7 +491,20 @@ router.delete('/:id', protect, isOwner, async (req, res) => {
       });
     }
 
+    // Collect savers first so they can be told once the entries are gone
+    const savedBy = await SavedProperty.distinct('user', { property: property._id });
+
     await property.deleteOne();
+    await Promise.all(property.photos.map(deletePhotoAsset));
+    await SavedProperty.deleteMany({ property: property._id });
+    await ViewingSlot.deleteMany({ property: property._id });
+    await Report.deleteMany({ property: property._id });
+    await ViewingRequest.updateMany(
+      { property: property._id, status: { $in: ['pending', 'confirmed'] } },
+      { status: 'cancelled', cancelledBy: 'owner', cancelReason: 'Property was removed' }
+    );
+
+    publish(EVENTS.PROPERTY_DELETED, { property, savedBy, actorId: req.user._id });
 
     res.status(200).json({
       success: true,
@@ -443,6 +544,13 @@ router.patch('/:id/toggle-availability', protect, isOwner, async (req, res) => {
     property.isAvailable = !property.isAvailable;
     await property.save();
 
+    // Back on the market - alert tenants whose saved searches match
+    if (property.isAvailable) {
+      queueListingMatch(property._id);
+    }
+
+    publish(EVENTS.PROPERTY_AVAILABILITY_CHANGED, { property, actorId: req.user._id });
+
     res.status(200).json({
       success: true,
       message: `Property marked as ${property.isAvailable ? 'available' : 'unavailable'}`,
@@ -458,4 +566,334 @@ router.patch('/:id/toggle-availability', protect, isOwner, async (req, res) => {
   }
 });
 
+// @route   POST /api/properties/:id/save
+// @desc    Save a property to tenant's saved listings
+// @access  Private (Tenant)
+router.post('/:id/save', protect, isTenant, async (req, res) => {
+  try {
+    // Same listings as GET /:id, but a rented-out one can still be saved
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...visibleListingFilter(req.user, { includeUnavailable: true })
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const existing = await SavedProperty.findOne({
+      user: req.user._id,
+      property: property._id
+    });
+
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'Property already saved'
+      });
+    }
+
+    await SavedProperty.create({
+      user: req.user._id,
+      property: property._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Property saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Save property error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/save
+// @desc    Remove a property from tenant's saved listings
+// @access  Private (Tenant)
+router.delete('/:id/save', protect, isTenant, async (req, res) => {
+  try {
+    const saved = await SavedProperty.findOneAndDelete({
+      user: req.user._id,
+      property: req.params.id
+    });
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property is not in your saved listings'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Property removed from saved listings'
+    });
+
+  } catch (error) {
+    console.error('Unsave property error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/report
+// @desc    Report a fraudulent or misleading listing
+// @access  Private
+router.post('/:id/report', protect, reportLimiter, [
+  body('reason')
+    .isIn(Report.REPORT_REASONS)
+    .withMessage('Please select a valid reason'),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own property'
+      });
+    }
+
+    const { reason, details } = req.body;
+    let report = await Report.findOne({ property: property._id, reporter: req.user._id });
+
+    if (report && report.status === 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this property'
+      });
+    }
+
+    // Reopen an earlier report that was already reviewed
+    if (report) {
+      report.reason = reason;
+      report.details = details;
+      report.status = 'open';
+      report.reviewedBy = null;
+      report.reviewedAt = null;
+      report.createdAt = Date.now();
+      await report.save();
+    } else {
+      report = await Report.create({
+        property: property._id,
+        reporter: req.user._id,
+        reason,
+        details
+      });
+    }
+
+    // Hide listing once enough distinct users have reported it (after the
+    // owner answered earlier reports, only newer ones count)
+    property.reportCount = await Report.countDocuments({ property: property._id, status: 'open' });
+    const respondedAt = property.reportResponse?.respondedAt;
+    const newReports = respondedAt
+      ? await Report.countDocuments({ property: property._id, status: 'open', createdAt: { $gt: respondedAt } })
+      : property.reportCount;
+    const wasHidden = property.isHiddenByReports;
+    if (newReports >= REPORT_HIDE_THRESHOLD) {
+      property.isHiddenByReports = true;
+    }
+    await property.save();
+
+    if (property.isHiddenByReports && !wasHidden) {
+      publish(EVENTS.PROPERTY_MODERATED, { property, action: 'hidden' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you. The property has been reported for review.'
+    });
+
+  } catch (error) {
+    console.error('Report property error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/reports
+// @desc    Get open reports of own property
+// @access  Private (Owner)
+router.get('/:id/reports', protect, isOwner, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view reports of this property'
+      });
+    }
+
+    // Reporter identity is not shared with owners
+    const reports = await Report.find({ property: property._id, status: 'open' })
+      .select('reason details createdAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: { reports }
+    });
+
+  } catch (error) {
+    console.error('Get property reports error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/properties/:id/reports/review
+// @desc    Owner answers open reports, restoring a hidden listing (the reports
+//          stay open for an admin to uphold or dismiss)
+// @access  Private (Owner)
+router.patch('/:id/reports/review', protect, isOwner, [
+  body('response')
+    .isString()
+    .withMessage('Please tell us what you checked or changed')
+    .trim()
+    .notEmpty()
+    .withMessage('Please tell us what you checked or changed')
+    .isLength({ max: 500 })
+    .withMessage('Response cannot exceed 500 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to update this property'
+      });
+    }
+
+    const openReports = await Report.countDocuments({ property: property._id, status: 'open' });
+    if (openReports === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This property has no open reports'
+      });
+    }
+
+    // Only an admin resolves the reports (see adminRoutes.js), so they stay
+    // open and the response waits in the admin's report queue. Upholding
+    // them there takes the listing down again.
+    const wasHidden = property.isHiddenByReports;
+    property.reportResponse = { text: req.body.response, respondedAt: Date.now() };
+    property.isHiddenByReports = false;
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: wasHidden
+        ? 'Thank you. Your property is visible again; an admin will also review the reports and your response.'
+        : 'Thank you. An admin will review the reports and your response.',
+      data: { property }
+    });
+
+  } catch (error) {
+    console.error('Review reports error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
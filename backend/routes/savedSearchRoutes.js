@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const { protect, isTenant } = require('../middleware/auth');
+const { withContactVisibility } = require('../utils/contactVisibility');
+const { buildListingFilter, pickFilters } = require('../utils/propertyFilters');
+const { canSeeMatch } = require('../utils/searchAlerts');
+const { body, validationResult } = require('express-validator');
+
+// Saved searches a tenant can keep at once
+const MAX_SAVED_SEARCHES = 10;
+
+// Saved search as returned to the client (without the match list)
+const formatSearch = (search) => ({
+  _id: search._id,
+  name: search.name,
+  filters: pickFilters(search.filters),
+  frequency: search.frequency,
+  isActive: search.isActive,
+  matchCount: search.matches.length,
+  newMatchCount: search.newMatchCount(),
+  createdAt: search.createdAt
+});
+
+// Check a filters object from the client. Returns { filters } or { error }.
+const parseFilters = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Filters are required' };
+  }
+
+  const filters = pickFilters(raw);
+  if (Object.keys(filters).length === 0) {
+    return { error: 'Choose at least one filter before saving a search' };
+  }
+
+  const { error } = buildListingFilter(filters);
+  if (error) {
+    return { error };
+  }
+
+  return { filters };
+};
+
+const searchValidation = (isUpdate) => [
+  body('name')
+    .if((value) => !isUpdate || value !== undefined)
+    .trim()
+    .notEmpty()
+    .withMessage('Please name this search')
+    .isLength({ max: 60 })
+    .withMessage('Name cannot exceed 60 characters'),
+  body('frequency')
+    .optional()
+    .isIn(['instant', 'daily'])
+    .withMessage('Frequency must be instant or daily'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Find one of the logged-in tenant's saved searches
+const findOwnSearch = (req) => SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+// @route   GET /api/saved-searches
+// @desc    Get saved searches of logged-in tenant
+// @access  Private (Tenant)
+router.get('/', protect, isTenant, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: searches.length,
+      data: { searches: searches.map(formatSearch) }
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save the current filter set with new-listing alerts
+// @access  Private (Tenant)
+router.post('/', protect, isTenant, searchValidation(false), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+
+  try {
+    const { filters, error } = parseFilters(req.body.filters);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one to save another.`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters,
+      frequency: req.body.frequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved. We will let you know about new matches.',
+      data: { search: formatSearch(search) }
+    });
+
+  } catch (error) {
+    console.error('Save search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename, change alert frequency, pause/resume or change filters
+// @access  Private (Tenant)
+router.put('/:id', protect, isTenant, searchValidation(true), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+
+  try {
+    const search = await findOwnSearch(req);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (req.body.filters !== undefined) {
+      const { filters, error } = parseFilters(req.body.filters);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      search.filters = filters;
+    }
+
+    if (req.body.name !== undefined) search.name = req.body.name;
+    if (req.body.frequency !== undefined) search.frequency = req.body.frequency;
+    if (req.body.isActive !== undefined) search.isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated',
+      data: { search: formatSearch(search) }
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (Tenant)
+router.delete('/:id', protect, isTenant, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    await search.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/saved-searches/:id/matches
+// @desc    Get listings that matched a saved search (marks them as seen)
+// @access  Private (Tenant)
+router.get('/:id/matches', protect, isTenant, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req).populate('matches.property');
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    // Newest first; free tenants see matches once early access is over
+    const now = new Date();
+    const matches = search.matches
+      .filter((match) => canSeeMatch(match.property, req.user, now))
+      .reverse()
+      .map((match) => ({
+        matchedAt: match.matchedAt,
+        isNew: match.matchedAt > search.lastViewedAt,
+        property: withContactVisibility(match.property, req.user)
+      }));
+
+    await SavedSearch.updateOne({ _id: search._id }, { lastViewedAt: now });
+
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: { matches }
+    });
+
+  } catch (error) {
+    console.error('Get saved search matches error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
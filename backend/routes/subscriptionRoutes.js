@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { PLANS } = require('../config/plans');
+const { createCheckout, purchasePeriod } = require('../utils/subscriptions');
+const { getPaymentProvider } = require('../utils/paymentProvider');
+const { protect, isTenant } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+
+// Where hosted checkout pages send the buyer back to
+const CLIENT_URL = process.env.CLIENT_URL || 'https://rentnesto.xyz';
+
+// Subscription state as returned to the client
+const formatSubscription = (user) => ({
+  plan: user.isPremium() ? 'premium' : 'free',
+  isPremium: user.isPremium(),
+  expiresAt: user.subscription.expiresAt,
+  startedAt: user.subscription.startedAt,
+  autoRenew: user.subscription.autoRenew
+});
+
+// Answer 503 when no usable payment provider is configured
+// (see utils/paymentProvider.js)
+const requirePaymentProvider = (req, res, next) => {
+  try {
+    getPaymentProvider();
+  } catch (error) {
+    console.error('Payment provider error:', error.message);
+    return res.status(503).json({
+      success: false,
+      message: 'Payments are not available right now. Please try again later.'
+    });
+  }
+  next();
+};
+
+// Load the logged-in tenant including the provider customer reference
+const loadSubscriber = (req) => {
+  return User.findById(req.user._id).select('+subscription.customerRef');
+};
+
+// @route   GET /api/subscriptions/plans
+// @desc    Get available subscription plans
+// @access  Public
+router.get('/plans', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { plans: Object.values(PLANS) }
+  });
+});
+
+// @route   GET /api/subscriptions/me
+// @desc    Get current subscription and payment history
+// @access  Private (Tenant)
+router.get('/me', protect, isTenant, async (req, res) => {
+  try {
+    const payments = await Payment.find({ user: req.user._id })
+      .select('-user')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscription: formatSubscription(req.user),
+        payments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/checkout
+// @desc    Open a payment checkout for one premium period
+// @access  Private (Tenant)
+router.post('/checkout', protect, isTenant, requirePaymentProvider, [
+  body('kind')
+    .isIn(['start', 'renew'])
+    .withMessage('Invalid checkout type')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    if (req.body.kind === 'start' && req.user.isPremium()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an active premium subscription'
+      });
+    }
+
+    const checkout = await createCheckout(req.user, {
+      kind: req.body.kind,
+      returnUrl: `${CLIENT_URL}/premium`
+    });
+
+    res.status(200).json({
+      success: true,
+      data: checkout
+    });
+
+  } catch (error) {
+    console.error('Create checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening checkout'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/start
+// @desc    Start a premium subscription (charges the first period)
+// @access  Private (Tenant)
+router.post('/start', protect, isTenant, requirePaymentProvider, [
+  body('plan')
+    .isIn(Object.keys(PLANS))
+    .withMessage('Invalid plan'),
+  body('paymentToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Payment details are required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const user = await loadSubscriber(req);
+
+    if (user.isPremium()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an active premium subscription'
+      });
+    }
+
+    const result = await purchasePeriod(user, {
+      kind: 'start',
+      paymentToken: req.body.paymentToken
+    });
+
+    if (!result.success) {
+      return res.status(402).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Welcome to Premium!',
+      data: {
+        subscription: formatSubscription(user),
+        payment: result.payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Start subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/renew
+// @desc    Renew now - adds another period on top of any remaining time
+// @access  Private (Tenant)
+router.post('/renew', protect, isTenant, requirePaymentProvider, [
+  body('paymentToken')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Payment details are required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  try {
+    const user = await loadSubscriber(req);
+
+    // Without new payment details, charge the saved customer again
+    if (!req.body.paymentToken && !user.subscription.customerRef) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment details are required'
+      });
+    }
+
+    const result = await purchasePeriod(user, {
+      kind: 'renew',
+      paymentToken: req.body.paymentToken || null
+    });
+
+    if (!result.success) {
+      return res.status(402).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription renewed',
+      data: {
+        subscription: formatSubscription(user),
+        payment: result.payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Renew subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renewing subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/cancel
+// @desc    Cancel auto-renewal (premium stays active until it expires)
+// @access  Private (Tenant)
+router.post('/cancel', protect, isTenant, async (req, res) => {
+  try {
+    if (!req.user.isPremium()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You do not have an active premium subscription'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'subscription.autoRenew': false },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Subscription cancelled. Premium stays active until ${user.subscription.expiresAt.toDateString()}.`,
+      data: { subscription: formatSubscription(user) }
+    });
+
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling subscription'
+    });
+  }
+});
+
+module.exports = router;
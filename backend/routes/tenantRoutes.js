@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const SavedProperty = require('../models/SavedProperty');
+const { protect, isTenant } = require('../middleware/auth');
+const { withContactVisibility } = require('../utils/contactVisibility');
+
+// @route   GET /api/tenant/saved
+// @desc    Get saved listings of logged-in tenant (including unavailable ones)
+// @access  Private (Tenant)
+router.get('/saved', protect, isTenant, async (req, res) => {
+  try {
+    const saved = await SavedProperty.find({ user: req.user._id })
+      .populate('property')
+      .sort({ createdAt: -1 });
+
+    // Listings deleted by their owner (or whose owner deleted their
+    // account) have no property left to show
+    const savedProperties = saved
+      .filter(item => item.property && !item.property.isHiddenByDeactivation)
+      .map(item => ({
+        _id: item._id,
+        savedAt: item.createdAt,
+        property: withContactVisibility(item.property, req.user)
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: savedProperties.length,
+      data: { savedProperties }
+    });
+
+  } catch (error) {
+    console.error('Get saved properties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
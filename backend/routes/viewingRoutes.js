@@ -0,0 +1,658 @@
+const express = require('express');
+const router = express.Router();
+const Property = require('../models/Property');
+const ViewingSlot = require('../models/ViewingSlot');
+const ViewingRequest = require('../models/ViewingRequest');
+const { protect, optionalAuth, isOwner, isTenant } = require('../middleware/auth');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+const { body, validationResult } = require('express-validator');
+
+// Statuses that hold a slot
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Atomically mark an open, future slot as booked.
+// Returns null if the slot is already taken, so two tenants can never book the same slot.
+const claimSlot = (slotId, propertyId) => {
+  return ViewingSlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      property: propertyId,
+      isBooked: false,
+      startTime: { $gt: new Date() }
+    },
+    { isBooked: true },
+    { new: true }
+  );
+};
+
+// Free a slot so it can be requested again
+const releaseSlot = (slotId) => {
+  return ViewingSlot.findByIdAndUpdate(slotId, { isBooked: false });
+};
+
+// Send first validation error back to client
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  next();
+};
+
+// Load a viewing request and check the logged-in user is part of it
+// (an invalid id is answered like a missing request)
+const loadRequest = async (req, res, role) => {
+  let viewing = null;
+  try {
+    viewing = await ViewingRequest.findById(req.params.id);
+  } catch (error) {
+    if (error.kind !== 'ObjectId') throw error;
+  }
+
+  if (!viewing) {
+    res.status(404).json({
+      success: false,
+      message: 'Viewing request not found'
+    });
+    return null;
+  }
+
+  const userId = req.user._id.toString();
+  const allowed = role === 'owner'
+    ? viewing.owner.toString() === userId
+    : role === 'tenant'
+      ? viewing.tenant.toString() === userId
+      : viewing.owner.toString() === userId || viewing.tenant.toString() === userId;
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not authorized to update this viewing request'
+    });
+    return null;
+  }
+
+  return viewing;
+};
+
+// Populate a request for API responses
+const populateRequest = (query) => {
+  return query
+    .populate('property', 'title location photos')
+    .populate('slot', 'startTime endTime')
+    .populate('tenant', 'fullName email mobile')
+    .populate('owner', 'fullName');
+};
+
+// ========== SLOTS ==========
+
+// @route   POST /api/viewings/slots
+// @desc    Publish an available viewing time slot for a property
+// @access  Private (Owner)
+router.post('/slots', protect, isOwner, [
+  body('propertyId')
+    .notEmpty()
+    .withMessage('Property is required'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Invalid start time'),
+  body('endTime')
+    .isISO8601()
+    .withMessage('Invalid end time')
+], handleValidation, async (req, res) => {
+  try {
+    const { propertyId } = req.body;
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+
+    if (startTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slot must start in the future'
+      });
+    }
+
+    if (endTime <= startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to add slots to this property'
+      });
+    }
+
+    // Reject slots that overlap an existing one for this property
+    const overlapping = await ViewingSlot.findOne({
+      property: property._id,
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    });
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot overlaps an existing slot'
+      });
+    }
+
+    const slot = await ViewingSlot.create({
+      property: property._id,
+      owner: req.user._id,
+      startTime,
+      endTime
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Viewing slot added',
+      data: { slot }
+    });
+
+  } catch (error) {
+    console.error('Create slot error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/viewings/my-slots
+// @desc    Get upcoming slots of all properties of logged-in owner
+// @access  Private (Owner)
+router.get('/my-slots', protect, isOwner, async (req, res) => {
+  try {
+    const slots = await ViewingSlot.find({
+      owner: req.user._id,
+      startTime: { $gt: new Date() }
+    })
+      .populate('property', 'title')
+      .sort({ startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: { slots }
+    });
+
+  } catch (error) {
+    console.error('Get my slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/viewings/slots/:propertyId
+// @desc    Get open upcoming viewing slots of a property
+// @access  Public (only for listings the user can see)
+router.get('/slots/:propertyId', optionalAuth, async (req, res) => {
+  try {
+    const property = await Property.exists({ _id: req.params.propertyId, ...visibleListingFilter(req.user) });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const slots = await ViewingSlot.find({
+      property: req.params.propertyId,
+      isBooked: false,
+      startTime: { $gt: new Date() }
+    }).sort({ startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: { slots }
+    });
+
+  } catch (error) {
+    console.error('Get slots error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/viewings/slots/:slotId
+// @desc    Remove an unbooked viewing slot
+// @access  Private (Owner)
+router.delete('/slots/:slotId', protect, isOwner, async (req, res) => {
+  try {
+    const slot = await ViewingSlot.findById(req.params.slotId);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    if (slot.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to delete this slot'
+      });
+    }
+
+    if (slot.isBooked) {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot has an active viewing request. Decline or reschedule it first.'
+      });
+    }
+
+    await slot.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Slot deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete slot error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// ========== REQUESTS ==========
+
+// @route   POST /api/viewings/requests
+// @desc    Request a viewing in an open slot
+// @access  Private (Tenant)
+router.post('/requests', protect, isTenant, [
+  body('slotId')
+    .notEmpty()
+    .withMessage('Please select a time slot'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+], handleValidation, async (req, res) => {
+  try {
+    const slot = await ViewingSlot.findById(req.body.slotId);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    const property = await Property.findOne({ _id: slot.property, ...visibleListingFilter(req.user) });
+
+    if (!property) {
+      return res.status(400).json({
+        success: false,
+        message: 'This property is not available for viewing'
+      });
+    }
+
+    // One active request per tenant and property
+    const existing = await ViewingRequest.findOne({
+      property: property._id,
+      tenant: req.user._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an active viewing request for this property'
+      });
+    }
+
+    const claimed = await claimSlot(slot._id, property._id);
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available. Please choose another one.'
+      });
+    }
+
+    let viewing;
+    try {
+      viewing = await ViewingRequest.create({
+        property: property._id,
+        slot: slot._id,
+        tenant: req.user._id,
+        owner: property.owner,
+        note: req.body.note
+      });
+    } catch (error) {
+      await releaseSlot(slot._id);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Viewing requested successfully',
+      data: { viewing }
+    });
+
+  } catch (error) {
+    console.error('Create viewing request error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/viewings/requests
+// @desc    Get viewing requests of logged-in user (as tenant or owner)
+// @access  Private
+router.get('/requests', protect, async (req, res) => {
+  try {
+    const filter = req.user.accountType === 'owner'
+      ? { owner: req.user._id }
+      : { tenant: req.user._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const viewings = await populateRequest(ViewingRequest.find(filter))
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: viewings.length,
+      data: { viewings }
+    });
+
+  } catch (error) {
+    console.error('Get viewing requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/viewings/requests/:id/accept
+// @desc    Confirm a pending viewing request (a rescheduled one is confirmed by the tenant)
+// @access  Private (Owner, or Tenant after a reschedule)
+router.patch('/requests/:id/accept', protect, async (req, res) => {
+  try {
+    const viewing = await loadRequest(req, res);
+    if (!viewing) return;
+
+    if (viewing.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot accept a ${viewing.status} viewing request`
+      });
+    }
+
+    const answeredBy = viewing.rescheduledAt ? viewing.tenant : viewing.owner;
+    if (answeredBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: viewing.rescheduledAt
+          ? 'The tenant needs to accept the new time'
+          : 'Only the owner can accept this viewing request'
+      });
+    }
+
+    viewing.status = 'confirmed';
+    await viewing.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing confirmed',
+      data: { viewing: await populateRequest(ViewingRequest.findById(viewing._id)) }
+    });
+
+  } catch (error) {
+    console.error('Accept viewing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/viewings/requests/:id/decline
+// @desc    Decline a viewing request (marks it cancelled by owner)
+// @access  Private (Owner)
+router.patch('/requests/:id/decline', protect, isOwner, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], handleValidation, async (req, res) => {
+  try {
+    const viewing = await loadRequest(req, res, 'owner');
+    if (!viewing) return;
+
+    if (!ACTIVE_STATUSES.includes(viewing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot decline a ${viewing.status} viewing request`
+      });
+    }
+
+    viewing.status = 'cancelled';
+    viewing.cancelledBy = 'owner';
+    viewing.cancelReason = req.body.reason;
+    await viewing.save();
+    await releaseSlot(viewing.slot);
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing declined',
+      data: { viewing: await populateRequest(ViewingRequest.findById(viewing._id)) }
+    });
+
+  } catch (error) {
+    console.error('Decline viewing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/viewings/requests/:id/reschedule
+// @desc    Move a viewing request to another open slot of the same property (the tenant then accepts the new time)
+// @access  Private (Owner)
+router.patch('/requests/:id/reschedule', protect, isOwner, [
+  body('slotId')
+    .notEmpty()
+    .withMessage('Please select a new time slot')
+], handleValidation, async (req, res) => {
+  try {
+    const viewing = await loadRequest(req, res, 'owner');
+    if (!viewing) return;
+
+    if (!ACTIVE_STATUSES.includes(viewing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a ${viewing.status} viewing request`
+      });
+    }
+
+    const newSlot = await claimSlot(req.body.slotId, viewing.property);
+
+    if (!newSlot) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected slot is not available'
+      });
+    }
+
+    const oldSlotId = viewing.slot;
+    viewing.slot = newSlot._id;
+    viewing.status = 'pending';
+    viewing.rescheduledAt = Date.now();
+    await viewing.save();
+    await releaseSlot(oldSlotId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing rescheduled. The tenant needs to accept the new time.',
+      data: { viewing: await populateRequest(ViewingRequest.findById(viewing._id)) }
+    });
+
+  } catch (error) {
+    console.error('Reschedule viewing error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/viewings/requests/:id/cancel
+// @desc    Cancel a viewing request (tenant or owner)
+// @access  Private
+router.patch('/requests/:id/cancel', protect, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], handleValidation, async (req, res) => {
+  try {
+    const viewing = await loadRequest(req, res);
+    if (!viewing) return;
+
+    if (!ACTIVE_STATUSES.includes(viewing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${viewing.status} viewing request`
+      });
+    }
+
+    viewing.status = 'cancelled';
+    viewing.cancelledBy = viewing.owner.toString() === req.user._id.toString() ? 'owner' : 'tenant';
+    viewing.cancelReason = req.body.reason;
+    await viewing.save();
+    await releaseSlot(viewing.slot);
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing cancelled',
+      data: { viewing: await populateRequest(ViewingRequest.findById(viewing._id)) }
+    });
+
+  } catch (error) {
+    console.error('Cancel viewing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/viewings/requests/:id/complete
+// @desc    Mark a confirmed viewing as completed after it took place
+// @access  Private (Owner)
+router.patch('/requests/:id/complete', protect, isOwner, async (req, res) => {
+  try {
+    const viewing = await loadRequest(req, res, 'owner');
+    if (!viewing) return;
+
+    if (viewing.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed viewings can be marked as completed'
+      });
+    }
+
+    const slot = await ViewingSlot.findById(viewing.slot);
+    if (slot && slot.startTime > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This viewing has not taken place yet'
+      });
+    }
+
+    viewing.status = 'completed';
+    await viewing.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing marked as completed',
+      data: { viewing: await populateRequest(ViewingRequest.findById(viewing._id)) }
+    });
+
+  } catch (error) {
+    console.error('Complete viewing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
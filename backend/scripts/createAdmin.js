@@ -0,0 +1,36 @@
+// Create an admin account (admins cannot sign up through the API)
+// Usage: npm run create-admin -- <email> <password> "<full name>"
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const createAdmin = async () => {
+  const [email, password, fullName = 'Rentnest Admin'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> "<full name>"');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+    if (existingUser) {
+      existingUser.accountType = 'admin';
+      await existingUser.save();
+      console.log(`✅ Existing user ${email} promoted to admin`);
+    } else {
+      await User.create({ fullName, email, password, accountType: 'admin' });
+      console.log(`✅ Admin ${email} created`);
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin();
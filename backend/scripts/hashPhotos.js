@@ -0,0 +1,53 @@
+// Compute perceptual hashes for photos uploaded before the image pipeline,
+// then flag listings whose photos also appear in other owners' listings
+// Usage: npm run hash-photos
+require('dotenv').config();
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { hashPhoto, updatePhotoReuse } = require('../utils/photos');
+
+const hashPhotos = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const properties = await Property.find({ 'photos.0': { $exists: true } }).select('owner photos reusedPhotoCount');
+    let hashed = 0;
+    let failed = 0;
+
+    for (const property of properties) {
+      const missing = property.photos.filter((photo) => !photo.hash && photo.url);
+      if (missing.length === 0) continue;
+
+      for (const photo of missing) {
+        try {
+          const response = await axios.get(photo.url, { responseType: 'arraybuffer', timeout: 15000 });
+          Object.assign(photo, await hashPhoto(Buffer.from(response.data)));
+          hashed += 1;
+        } catch (error) {
+          console.warn(`⚠️  ${property._id}: could not hash ${photo.url} (${error.message})`);
+          failed += 1;
+        }
+      }
+
+      // updateOne so the listing's updatedAt is left alone
+      await Property.updateOne({ _id: property._id }, { $set: { photos: property.photos } });
+    }
+
+    // Hashes of every listing are in place now, so the counts are complete
+    await Property.createIndexes();
+    for (const property of properties) {
+      await updatePhotoReuse(property);
+    }
+
+    const flagged = await Property.countDocuments({ reusedPhotoCount: { $gt: 0 } });
+    console.log(`✅ Hashed ${hashed} photos (${failed} failed); ${flagged} listings use photos found elsewhere`);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+hashPhotos();
@@ -0,0 +1,54 @@
+// Backfill canonical gazetteer names and IDs on existing listings
+// Usage: npm run normalize-locations [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { resolveLocation } = require('../utils/gazetteer');
+
+const normalizeLocations = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const properties = await Property.find().select('title location');
+    let updated = 0;
+    const unresolved = [];
+
+    for (const property of properties) {
+      const { location, error } = resolveLocation(property.location);
+
+      if (error) {
+        unresolved.push(`${property._id} "${property.title}": ${error}`);
+        continue;
+      }
+
+      const changed = Object.keys(location).some((key) => property.location[key] !== location[key]);
+      if (!changed) continue;
+
+      if (!dryRun) {
+        // updateOne so the listing's updatedAt is left alone
+        const fields = {};
+        Object.keys(location).forEach((key) => {
+          fields[`location.${key}`] = location[key];
+        });
+        await Property.updateOne({ _id: property._id }, { $set: fields });
+      }
+      updated++;
+    }
+
+    console.log(`✅ ${updated} of ${properties.length} listings ${dryRun ? 'would be normalized' : 'normalized'}`);
+
+    if (unresolved.length > 0) {
+      console.log(`⚠️  ${unresolved.length} listings need a manual fix:`);
+      unresolved.forEach((line) => console.log(`   ${line}`));
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+normalizeLocations();
@@ -0,0 +1,35 @@
+// Rebuild the full-text search tokens of every listing (run after changing
+// utils/textSearch.js or when upgrading listings created before search)
+// Usage: npm run reindex-search
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { buildSearchText } = require('../utils/textSearch');
+
+const reindexSearch = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const properties = await Property.find().select('title description propertyType location');
+
+    for (const property of properties) {
+      // updateOne so the listing's updatedAt is left alone
+      await Property.updateOne(
+        { _id: property._id },
+        { $set: { searchText: buildSearchText(property) } }
+      );
+    }
+
+    // Make sure the weighted text index exists before the first search
+    await Property.createIndexes();
+
+    console.log(`✅ Reindexed ${properties.length} listings`);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+reindexSearch();
@@ -3,6 +3,7 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 
 // Import database connection
@@ -11,24 +12,48 @@ const connectDatabase = require('./config/database');
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const propertyRoutes = require('./routes/propertyRoutes');
+const propertyPhotoRoutes = require('./routes/propertyPhotoRoutes');
+const tenantRoutes = require('./routes/tenantRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const viewingRoutes = require('./routes/viewingRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const { startSubscriptionScheduler } = require('./utils/subscriptions');
+const { startSearchAlertScheduler } = require('./utils/searchAlerts');
+const { registerNotificationHandlers } = require('./utils/notifications');
+const { initRealtime } = require('./utils/realtime');
 
 // Create Express app
 const app = express();
 
 
 
-// Connect to Database
-connectDatabase();
+// Turn domain events (listing updates, moderation, ...) into notifications
+registerNotificationHandlers();
+
+// Connect to Database, then start scheduled jobs
+connectDatabase().then(() => {
+  startSubscriptionScheduler();
+  startSearchAlertScheduler();
+});
 
 // Security headers
 app.use(helmet());
 
+// Frontends allowed to call the API (and open a WebSocket)
+const allowedOrigins = ['https://rentnesto.xyz',
+                        'https://www.rentnesto.xyz',
+                        'https://rentnest-three.vercel.app',
+                        'http://localhost:3000'];
+
 // CORS Middleware
 app.use(cors({
-  origin: ['https://rentnesto.xyz',
-           'https://www.rentnesto.xyz',
-           'https://rentnest-three.vercel.app', 
-           'http://localhost:3000'],
+  origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization']
@@ -38,6 +63,9 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
+// Cookie parser (refresh token cookie)
+app.use(cookieParser());
+
 
 
 // Basic test route
@@ -49,13 +77,25 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       auth: '/api/auth',
-      properties: '/api/properties'
+      properties: '/api/properties',
+      tenant: '/api/tenant',
+      conversations: '/api/conversations',
+      viewings: '/api/viewings',
+      admin: '/api/admin',
+      subscriptions: '/api/subscriptions',
+      locations: '/api/locations',
+      savedSearches: '/api/saved-searches',
+      notifications: '/api/notifications'
     }
   });
 });
 
 
 
+// Locally stored photos (MEDIA_STORAGE=local) - before the rate limiter,
+// since a single page can load dozens of images
+app.use('/media', mediaRoutes);
+
 // Rate limiting - General (100 requests per 15 minutes)
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -81,8 +121,20 @@ app.use(generalLimiter);
 // API Routes (with rate limiting for auth)
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/signup', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
 app.use('/api/auth', authRoutes);
+app.use('/api/properties/:id/photos', propertyPhotoRoutes);
 app.use('/api/properties', propertyRoutes);
+app.use('/api/tenant', tenantRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/viewings', viewingRoutes);
+app.use('/api/admin/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler - route not found
 app.use((req, res) => {
@@ -115,11 +167,14 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`💻 Computer: http://localhost:${PORT}`);
   console.log(`📱 Mobile: http://192.168.1.108:${PORT}`);
   console.log(`📝 Auth API: http://192.168.1.108:${PORT}/api/auth`);
   console.log(`🏘️  Properties API: http://192.168.1.108:${PORT}/api/properties`);
 
-});
\ No newline at end of file
+});
+
+// Live updates over WebSockets (same port as the API)
+initRealtime(server, { origins: allowedOrigins });
\ No newline at end of file
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Property = require('../models/Property');
+const conversationRoutes = require('../routes/conversationRoutes');
+const { appWith, query, matching, makeUser, loginAs } = require('./helpers');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Conversation#isParticipant', () => {
+  const tenant = makeUser();
+  const owner = makeUser({ accountType: 'owner' });
+  const stranger = makeUser();
+
+  const conversation = () => new Conversation({
+    property: new mongoose.Types.ObjectId(),
+    tenant: tenant._id,
+    owner: owner._id
+  });
+
+  it('accepts the tenant and the owner by id', () => {
+    expect(conversation().isParticipant(tenant._id)).toBe(true);
+    expect(conversation().isParticipant(owner._id.toString())).toBe(true);
+    expect(conversation().isParticipant(stranger._id)).toBe(false);
+  });
+
+  it('accepts them when tenant and owner are populated', () => {
+    const populated = conversation();
+    populated.tenant = tenant;
+    populated.owner = owner;
+
+    expect(populated.populated('tenant')).toBeDefined();
+    expect(populated.isParticipant(tenant._id)).toBe(true);
+    expect(populated.isParticipant(owner._id)).toBe(true);
+    expect(populated.isParticipant(stranger._id)).toBe(false);
+  });
+});
+
+describe('POST /api/conversations', () => {
+  const tenant = makeUser();
+  const owner = makeUser({ accountType: 'owner' });
+  const app = appWith('/api/conversations', conversationRoutes);
+
+  const makeProperty = (fields = {}) => new Property({
+    owner: owner._id,
+    title: 'Two bed flat in Dhanmondi',
+    description: 'Bright flat near the lake with lift and generator.',
+    propertyType: 'apartment',
+    location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27' },
+    rent: { amount: 25000 },
+    contact: { name: 'Rahim', phone: '01712345678' },
+    createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+    ...fields
+  });
+
+  const live = makeProperty();
+  const fresh = makeProperty({ createdAt: new Date() });
+  const held = makeProperty({ isHeldForReview: true });
+  const hidden = makeProperty({ isHiddenByReports: true });
+  const rented = makeProperty({ isAvailable: false });
+
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(tenant);
+    jest.spyOn(Property, 'findOne').mockImplementation((filter) =>
+      query(matching(Property, [live, fresh, held, hidden, rented], filter)[0] || null)
+    );
+    jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Conversation, 'create').mockImplementation(async (data) => new Conversation(data));
+  });
+
+  const start = (property) => request(app)
+    .post('/api/conversations')
+    .set('Authorization', authAs(tenant))
+    .send({ propertyId: property._id });
+
+  it('starts a thread about a listing the tenant can see', async () => {
+    expect((await start(live)).status).toBe(201);
+  });
+
+  it('answers 404 for listings the tenant cannot open', async () => {
+    for (const property of [fresh, held, hidden, rented]) {
+      const res = await start(property);
+      expect(res.status).toBe(404);
+      expect(Conversation.create).not.toHaveBeenCalled();
+    }
+  });
+});
+
+describe('GET /api/conversations/:id/messages', () => {
+  const tenant = makeUser();
+  const owner = makeUser({ accountType: 'owner' });
+  const stranger = makeUser();
+  const app = appWith('/api/conversations', conversationRoutes);
+
+  beforeEach(() => {
+    const conversation = new Conversation({
+      property: new mongoose.Types.ObjectId(),
+      tenant: tenant._id,
+      owner: owner._id
+    });
+    // As returned by populate('tenant'/'owner')
+    conversation.tenant = tenant;
+    conversation.owner = owner;
+
+    jest.spyOn(Conversation, 'findById').mockReturnValue(query(conversation));
+    jest.spyOn(Message, 'find').mockReturnValue(query([]));
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({});
+  });
+
+  it('lets both participants read the thread', async () => {
+    const auth = loginAs(tenant, owner, stranger);
+
+    for (const user of [tenant, owner]) {
+      const res = await request(app)
+        .get(`/api/conversations/${new mongoose.Types.ObjectId()}/messages`)
+        .set('Authorization', auth(user));
+      expect(res.status).toBe(200);
+    }
+  });
+
+  it('refuses anyone else', async () => {
+    const auth = loginAs(tenant, owner, stranger);
+
+    const res = await request(app)
+      .get(`/api/conversations/${new mongoose.Types.ObjectId()}/messages`)
+      .set('Authorization', auth(stranger));
+    expect(res.status).toBe(403);
+  });
+});
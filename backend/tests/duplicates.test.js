@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { findOwnDuplicate } = require('../utils/duplicates');
+const { query, matching } = require('./helpers');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('findOwnDuplicate', () => {
+  const owner = new mongoose.Types.ObjectId();
+
+  const listing = {
+    propertyType: 'apartment',
+    location: { area: 'Dhanmondi', areaId: 'dhaka-dhanmondi', address: 'House 15, Road 27' },
+    rent: { amount: 25000, period: 'monthly' },
+    features: { bedrooms: 2, bathrooms: 2 },
+    contact: { phone: '01712345678' }
+  };
+
+  const savedAs = (fields) => new Property({
+    owner,
+    title: 'Two bed flat in Dhanmondi',
+    description: 'Bright flat near the lake with lift and generator.',
+    ...listing,
+    location: { division: 'Dhaka', district: 'Dhaka', ...listing.location },
+    contact: { name: 'Rahim', ...listing.contact },
+    ...fields
+  });
+
+  const withSaved = (...properties) => {
+    jest.spyOn(Property, 'find').mockImplementation((filter) => query(matching(Property, properties, filter)));
+  };
+
+  it('finds a live listing the owner is posting again', async () => {
+    const original = savedAs();
+    withSaved(original);
+
+    const duplicate = await findOwnDuplicate(listing, owner);
+    expect(duplicate._id).toEqual(original._id);
+  });
+
+  it('lets the owner post a rented-out or rejected listing again', async () => {
+    withSaved(savedAs({ isAvailable: false }), savedAs({ verificationStatus: 'rejected' }));
+
+    expect(await findOwnDuplicate(listing, owner)).toBeNull();
+  });
+
+  it('skips the listing being edited', async () => {
+    const original = savedAs();
+    withSaved(original);
+
+    expect(await findOwnDuplicate(listing, owner, original._id)).toBeNull();
+  });
+});
@@ -0,0 +1,21 @@
+const { findDistrict, findArea, resolveLocation } = require('../utils/gazetteer');
+
+describe('gazetteer areas', () => {
+  const dhaka = findDistrict('Dhaka');
+
+  it.each(['Uttara', 'uttara', 'Uttara Model Town', 'Uttora', 'Uttra', 'উত্তরা'])('resolves "%s" to Uttara', (name) => {
+    expect(findArea(dhaka, name)?.id).toBe('dhaka-uttara');
+  });
+
+  it('keeps the Uttara thanas apart', () => {
+    expect(findArea(dhaka, 'Uttara East').id).toBe('dhaka-uttara-east');
+    expect(findArea(dhaka, 'Uttara West').id).toBe('dhaka-uttara-west');
+  });
+
+  it('normalizes a listing location in Uttara', () => {
+    expect(resolveLocation({ division: 'Dhaka', district: 'Dhaka', area: 'uttora' }).location).toMatchObject({
+      area: 'Uttara',
+      areaId: 'dhaka-uttara'
+    });
+  });
+});
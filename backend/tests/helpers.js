@@ -0,0 +1,79 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const sift = require('sift').default;
+const User = require('../models/User');
+const ModerationRule = require('../models/ModerationRule');
+const ModerationSettings = require('../models/ModerationSettings');
+const { invalidateRules } = require('../utils/moderationEngine');
+
+// Shared setup for the route tests. No database is needed: model calls are
+// stubbed per test with jest.spyOn, and these helpers fake the pieces every
+// route goes through (auth, query chains).
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// An app serving just one router, as server.js mounts it
+const appWith = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+// A chainable stand-in for a mongoose query resolving to result
+// (populate/select/sort/... return the query; awaiting it gives result,
+// as plain objects after lean())
+const query = (result) => {
+  const chain = {};
+  let lean = false;
+  for (const method of ['populate', 'select', 'sort', 'skip', 'limit']) {
+    chain[method] = () => chain;
+  }
+  chain.lean = () => {
+    lean = true;
+    return chain;
+  };
+  const plain = (doc) => (doc?.toObject ? doc.toObject() : doc);
+  chain.then = (resolve, reject) => {
+    const value = !lean ? result : Array.isArray(result) ? result.map(plain) : plain(result);
+    return Promise.resolve(value).then(resolve, reject);
+  };
+  return chain;
+};
+
+// The documents in docs a MongoDB filter would match. The filter is cast
+// the way mongoose casts it (so a bad id throws a CastError) and then
+// evaluated in memory.
+const matching = (Model, docs, filter = {}) => {
+  const test = sift(Model.where(filter).cast(Model));
+  return docs.filter((doc) => test(doc.toObject()));
+};
+
+// Run the moderation engine with just these rules (plain ModerationRule
+// fields) and the default hold/reject scores
+const useModerationRules = (rules = []) => {
+  invalidateRules();
+  jest.spyOn(ModerationSettings, 'getSettings').mockResolvedValue(new ModerationSettings({ rulesSeededAt: new Date() }));
+  jest.spyOn(ModerationRule, 'find').mockReturnValue(query(rules.map((rule) => ({ isActive: true, ...rule }))));
+};
+
+// A saved-looking user document
+const makeUser = (fields = {}) => new User({
+  fullName: 'Test User',
+  email: `${new mongoose.Types.ObjectId()}@example.com`,
+  password: 'secret123',
+  accountType: 'tenant',
+  isActive: true,
+  ...fields
+});
+
+// Authorization header for user; User.findById answers with the given users
+const loginAs = (...users) => {
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    query(users.find((user) => user._id.toString() === id.toString()) || null)
+  );
+  return (user) => `Bearer ${jwt.sign({ id: user._id.toString() }, process.env.JWT_SECRET)}`;
+};
+
+module.exports = { appWith, query, matching, useModerationRules, makeUser, loginAs };
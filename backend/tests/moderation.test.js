@@ -0,0 +1,155 @@
+const Property = require('../models/Property');
+const { evaluateContent } = require('../utils/moderationEngine');
+const { moderateListing } = require('../middleware/moderation');
+const { useModerationRules, makeUser } = require('./helpers');
+
+afterEach(() => jest.restoreAllMocks());
+
+const keywordRule = (key, weight, keywords) => ({ key, name: key, type: 'keyword', weight, keywords, message: `Matched ${key}` });
+
+const score = (text) => evaluateContent({ texts: [['description', text]] });
+
+describe('evaluateContent', () => {
+  beforeEach(() => {
+    useModerationRules([
+      keywordRule('advance-payment', 40, ['send money first', 'advance payment']),
+      keywordRule('urgent', 10, ['urgent']),
+      keywordRule('prize', 50, ['prize']),
+      keywordRule('bkash-bn', 30, ['বিকাশ']),
+      { key: 'shouting', name: 'Shouting', type: 'caps', weight: 15, threshold: 2 },
+      { key: 'exclamations', name: 'Exclamations', type: 'punctuation', weight: 5, threshold: 3 },
+      { key: 'broken', name: 'Broken', type: 'regex', weight: 100, pattern: '([' }
+    ]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('allows clean text', async () => {
+    expect(await score('Bright two bed flat near the lake, lift and generator.')).toEqual({
+      score: 0,
+      decision: 'allow',
+      hits: []
+    });
+  });
+
+  it('lets a single weak signal through', async () => {
+    const result = await score('Urgent: flat available from next month.');
+
+    expect(result.score).toBe(10);
+    expect(result.decision).toBe('allow');
+  });
+
+  it('adds up the weights of every rule that fires', async () => {
+    const held = await score('Urgent! Advance payment needed.');
+    expect(held.score).toBe(50);
+    expect(held.decision).toBe('hold');
+
+    const rejected = await score('Urgent! Advance payment needed, send money first.');
+    expect(rejected.score).toBe(90);
+    expect(rejected.decision).toBe('reject');
+    expect(rejected.hits.find((hit) => hit.rule === 'advance-payment')).toMatchObject({
+      field: 'description',
+      weight: 80,
+      match: 'advance payment, send money first'
+    });
+  });
+
+  it('matches English keywords as whole words and Bangla ones inside words', async () => {
+    expect((await score('Our prized rooftop garden')).score).toBe(0);
+    expect((await score('You won a prize')).score).toBe(50);
+    expect((await score('বিকাশে টাকা পাঠান')).score).toBe(30);
+  });
+
+  it('counts each distinct match, up to three per rule', async () => {
+    expect((await score('urgent URGENT Urgent')).score).toBe(10);
+
+    useModerationRules([keywordRule('hype', 10, ['cheap', 'best', 'deal', 'offer'])]);
+    expect((await score('Cheap flat, best deal, special offer')).hits).toEqual([
+      expect.objectContaining({ rule: 'hype', weight: 30 })
+    ]);
+  });
+
+  it('applies caps and punctuation thresholds', async () => {
+    expect((await score('BIG FLAT')).score).toBe(0);
+    expect((await score('HUGE BRIGHT CHEAP flat')).score).toBe(15);
+    expect((await score('Nice flat!!!')).score).toBe(0);
+    expect((await score('Nice flat!!!!')).score).toBe(5);
+  });
+
+  it('skips rules that cannot run', async () => {
+    expect((await score('([')).hits.map((hit) => hit.rule)).not.toContain('broken');
+  });
+});
+
+describe('evaluateContent price check', () => {
+  const listing = (amount) => ({
+    propertyType: 'apartment',
+    rent: { amount, period: 'monthly' },
+    features: { bedrooms: 2 },
+    location: { districtId: 'dhaka', areaId: `dhaka-test-${amount}` }
+  });
+
+  beforeEach(() => {
+    useModerationRules([
+      { key: 'price-outlier', name: 'Price outlier', type: 'price_outlier', weight: 40, threshold: 0.4, message: 'Rent far from similar listings' }
+    ]);
+    jest.spyOn(Property, 'aggregate').mockResolvedValue([{ amounts: [18000, 19000, 20000, 21000, 22000] }]);
+  });
+
+  it('flags rents far below similar listings', async () => {
+    const result = await evaluateContent({ listing: listing(5000) });
+
+    expect(result.decision).toBe('hold');
+    expect(result.hits[0]).toMatchObject({ field: 'rent.amount', rule: 'price-outlier', weight: 40 });
+  });
+
+  it('accepts rents close to the local median', async () => {
+    expect((await evaluateContent({ listing: listing(17000) })).score).toBe(0);
+  });
+});
+
+describe('moderateListing', () => {
+  const owner = makeUser({ accountType: 'owner' });
+
+  const run = async (propertyData) => {
+    const req = { propertyData, params: {}, user: owner };
+    const res = {
+      status: jest.fn(() => res),
+      json: jest.fn(() => res)
+    };
+    const next = jest.fn();
+    await moderateListing(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    useModerationRules([
+      keywordRule('advance-payment', 40, ['send money first', 'advance payment']),
+      keywordRule('urgent', 10, ['urgent'])
+    ]);
+  });
+
+  it('passes a held listing on with the score to store', async () => {
+    const { req, next } = await run({ title: 'Flat for rent', description: 'Advance payment needed' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.moderation).toMatchObject({ score: 40, decision: 'hold' });
+  });
+
+  it('refuses a rejected listing, naming each field and rule', async () => {
+    const { res, next } = await run({
+      title: 'Urgent flat',
+      description: 'Advance payment needed, send money first'
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    const body = res.json.mock.calls[0][0];
+    expect(body.score).toBe(90);
+    expect(Object.keys(body.errors)).toEqual(['title', 'description']);
+    expect(body.errors.description).toMatch(/^Description rejected: /);
+    expect(body.violations.map(({ field, rule }) => `${field}:${rule}`)).toEqual([
+      'title:urgent',
+      'description:advance-payment'
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Property = require('../models/Property');
+const SavedProperty = require('../models/SavedProperty');
+const { EVENTS, publish } = require('../utils/events');
+const { registerNotificationHandlers } = require('../utils/notifications');
+
+afterEach(() => jest.restoreAllMocks());
+
+beforeAll(() => registerNotificationHandlers());
+
+describe('listing_updated notifications', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const saver = new mongoose.Types.ObjectId();
+
+  const makeProperty = (fields = {}) => new Property({
+    owner,
+    title: 'Two bed flat in Dhanmondi',
+    description: 'Bright flat near the lake with lift and generator.',
+    propertyType: 'apartment',
+    location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27' },
+    rent: { amount: 25000 },
+    contact: { name: 'Rahim', phone: '01712345678' },
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SavedProperty, 'distinct').mockResolvedValue([saver]);
+    jest.spyOn(Notification, 'insertMany').mockImplementation(async (docs) => docs);
+  });
+
+  // Handlers run after publish returns
+  const update = async (property) => {
+    publish(EVENTS.PROPERTY_UPDATED, { property, actorId: owner });
+    await new Promise((resolve) => setImmediate(resolve));
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  it('tells savers about changes to a visible listing', async () => {
+    await update(makeProperty());
+
+    expect(Notification.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ user: saver, type: 'listing_updated' })
+    ]);
+  });
+
+  it('says nothing while the listing is held or hidden', async () => {
+    for (const fields of [{ isHeldForReview: true }, { isHiddenByReports: true }, { verificationStatus: 'rejected' }]) {
+      await update(makeProperty(fields));
+    }
+
+    expect(Notification.insertMany).not.toHaveBeenCalled();
+  });
+});
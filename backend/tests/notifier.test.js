@@ -0,0 +1,37 @@
+const { sendEmail, sendSms } = require('../utils/notifier');
+
+const savedEnv = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+});
+
+describe('notifier transports', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('falls back to the console outside production', async () => {
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+
+    await sendEmail('rahim@example.com', 'Hello', 'Test message');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('rahim@example.com'));
+  });
+
+  it('refuses the stand-in transports in production', async () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.SMS_TRANSPORT = 'file';
+
+    await expect(sendEmail('rahim@example.com', 'Hello', 'Test message')).rejects.toThrow('EMAIL_TRANSPORT');
+    await expect(sendSms('01712345678', 'Test message')).rejects.toThrow('SMS_TRANSPORT');
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it('refuses unknown transports', async () => {
+    process.env.SMS_TRANSPORT = 'pigeon';
+    await expect(sendSms('01712345678', 'Test message')).rejects.toThrow('Unknown notifier transport');
+  });
+});
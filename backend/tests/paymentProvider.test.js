@@ -0,0 +1,64 @@
+const { getPaymentProvider } = require('../utils/paymentProvider');
+
+const savedEnv = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+});
+
+describe('getPaymentProvider', () => {
+  it('refuses to run without a configured provider', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    expect(() => getPaymentProvider()).toThrow('PAYMENT_PROVIDER is not set');
+  });
+
+  it('refuses unknown providers', () => {
+    process.env.PAYMENT_PROVIDER = 'nope';
+    expect(() => getPaymentProvider()).toThrow('Unknown payment provider');
+  });
+
+  it('refuses the fake provider in production', () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'production';
+    expect(() => getPaymentProvider()).toThrow('cannot be used in production');
+  });
+});
+
+describe('fake payment provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'test';
+    provider = getPaymentProvider();
+  });
+
+  it('declines tokens it did not issue', async () => {
+    const result = await provider.charge({ userId: 'u1', amount: 299, paymentToken: 'tok_test' });
+    expect(result.success).toBe(false);
+  });
+
+  it('accepts a checkout token once, for the same user and amount', async () => {
+    const { paymentToken } = await provider.createCheckout({ userId: 'u1', amount: 299 });
+
+    const first = await provider.charge({ userId: 'u1', amount: 299, paymentToken });
+    expect(first.success).toBe(true);
+    expect(first.customerRef).toMatch(/^fake_cus_/);
+
+    const again = await provider.charge({ userId: 'u1', amount: 299, paymentToken });
+    expect(again.success).toBe(false);
+  });
+
+  it('declines a checkout token used by another user or for another amount', async () => {
+    const forOther = await provider.createCheckout({ userId: 'u1', amount: 299 });
+    expect((await provider.charge({ userId: 'u2', amount: 299, paymentToken: forOther.paymentToken })).success).toBe(false);
+
+    const forLess = await provider.createCheckout({ userId: 'u1', amount: 299 });
+    expect((await provider.charge({ userId: 'u1', amount: 1, paymentToken: forLess.paymentToken })).success).toBe(false);
+  });
+
+  it('charges a saved customer again without a token', async () => {
+    expect((await provider.charge({ userId: 'u1', amount: 299, customerRef: 'fake_cus_abc' })).success).toBe(true);
+    expect((await provider.charge({ userId: 'u1', amount: 299, customerRef: 'cus_other' })).success).toBe(false);
+  });
+});
@@ -0,0 +1,312 @@
+const request = require('supertest');
+const Property = require('../models/Property');
+const Report = require('../models/Report');
+const SavedProperty = require('../models/SavedProperty');
+const propertyRoutes = require('../routes/propertyRoutes');
+const { appWith, query, matching, useModerationRules, makeUser, loginAs } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+afterEach(() => jest.restoreAllMocks());
+
+const makeProperty = (owner, fields = {}) => new Property({
+  owner: owner._id,
+  title: 'Two bed flat in Dhanmondi',
+  description: 'Bright flat near the lake with lift and generator.',
+  propertyType: 'apartment',
+  location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27' },
+  rent: { amount: 25000 },
+  contact: { name: 'Rahim', phone: '01712345678' },
+  createdAt: new Date(Date.now() - 7 * 24 * HOUR_MS),
+  ...fields
+});
+
+describe('GET /api/properties/:id', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const otherOwner = makeUser({ accountType: 'owner' });
+  const admin = makeUser({ accountType: 'admin' });
+  const tenant = makeUser();
+  const premiumTenant = makeUser({
+    subscription: { plan: 'premium', expiresAt: new Date(Date.now() + 24 * HOUR_MS) }
+  });
+  const app = appWith('/api/properties', propertyRoutes);
+
+  const live = makeProperty(owner);
+  const fresh = makeProperty(owner, { createdAt: new Date(Date.now() - HOUR_MS) });
+  const held = makeProperty(owner, { isHeldForReview: true });
+  const hiddenByReports = makeProperty(owner, { isHiddenByReports: true });
+  const rejected = makeProperty(owner, { verificationStatus: 'rejected' });
+  const rented = makeProperty(owner, { isAvailable: false });
+
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner, otherOwner, admin, tenant, premiumTenant);
+    jest.spyOn(Property, 'findOne').mockImplementation((filter) =>
+      query(matching(Property, [live, fresh, held, hiddenByReports, rejected, rented], filter)[0] || null)
+    );
+  });
+
+  const get = (property, user) => {
+    const req = request(app).get(`/api/properties/${property._id}`);
+    return user ? req.set('Authorization', authAs(user)) : req;
+  };
+
+  it('shows live listings to everyone', async () => {
+    expect((await get(live)).status).toBe(200);
+    expect((await get(live, tenant)).status).toBe(200);
+  });
+
+  it('keeps new listings for premium tenants and owners during early access', async () => {
+    expect((await get(fresh)).status).toBe(404);
+    expect((await get(fresh, tenant)).status).toBe(404);
+    expect((await get(fresh, premiumTenant)).status).toBe(200);
+    expect((await get(fresh, otherOwner)).status).toBe(200);
+  });
+
+  it('hides held, report-hidden, rejected and unavailable listings from the public', async () => {
+    for (const property of [held, hiddenByReports, rejected, rented]) {
+      expect((await get(property, premiumTenant)).status).toBe(404);
+      expect((await get(property, otherOwner)).status).toBe(404);
+    }
+  });
+
+  it('still shows them to their owner and to admins', async () => {
+    for (const property of [held, hiddenByReports, rejected, rented]) {
+      expect((await get(property, owner)).status).toBe(200);
+      expect((await get(property, admin)).status).toBe(200);
+    }
+  });
+
+  it('answers 404 for an invalid id', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await request(app).get('/api/properties/not-an-id');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/properties/:id', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const app = appWith('/api/properties', propertyRoutes);
+
+  let property;
+  let saved;
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner);
+    useModerationRules();
+    property = makeProperty(owner, { isVerified: true, verificationStatus: 'approved' });
+    saved = null;
+
+    jest.spyOn(Property, 'findById').mockImplementation(() => query(property));
+    jest.spyOn(Property, 'find').mockReturnValue(query([]));
+    jest.spyOn(Property, 'findByIdAndUpdate').mockImplementation((id, updates) => {
+      saved = updates;
+      const { $unset = {}, ...changes } = updates;
+      const updated = Property.hydrate(property.toObject()).set(changes);
+      Object.keys($unset).forEach((path) => updated.set(path, undefined));
+      return Promise.resolve(updated);
+    });
+  });
+
+  const update = (changes) => request(app)
+    .put(`/api/properties/${property._id}`)
+    .set('Authorization', authAs(owner))
+    .send(changes);
+
+  it('sends an approved listing back to the moderation queue when it changes', async () => {
+    const res = await update({ title: 'Three bed flat in Dhanmondi', rent: { amount: 32000 } });
+
+    expect(res.status).toBe(200);
+    expect(saved).toMatchObject({ isVerified: false, verificationStatus: 'pending' });
+    expect(res.body.data.property.verificationStatus).toBe('pending');
+  });
+
+  it('keeps an approved listing verified when nothing changes', async () => {
+    const res = await update({ title: property.title, rent: { amount: property.rent.amount } });
+
+    expect(res.status).toBe(200);
+    expect(saved.isVerified).toBeUndefined();
+    expect(saved.verificationStatus).toBeUndefined();
+  });
+
+  it('only changes the fields sent in a group', async () => {
+    property.set({
+      rent: { amount: 1200, period: 'daily' },
+      location: { ...property.location.toObject(), geo: { type: 'Point', coordinates: [90.3742, 23.7461] } }
+    });
+
+    const res = await update({
+      rent: { amount: 1500 },
+      location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 16, Road 27' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(saved).toMatchObject({ 'rent.amount': 1500, 'location.address': 'House 16, Road 27' });
+    expect(saved.$unset).toBeUndefined();
+    const { rent, location } = res.body.data.property;
+    expect(rent).toMatchObject({ amount: 1500, period: 'daily', currency: 'BDT' });
+    expect(location.geo.coordinates).toEqual([90.3742, 23.7461]);
+  });
+
+  it('clears the fields sent empty, including the map pin', async () => {
+    property.set({
+      features: { bedrooms: 2, bathrooms: 1 },
+      location: { ...property.location.toObject(), geo: { type: 'Point', coordinates: [90.3742, 23.7461] } }
+    });
+
+    const res = await update({
+      features: { bedrooms: null },
+      location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27', latitude: '', longitude: '' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(saved.$unset).toEqual({ 'features.bedrooms': 1, 'location.geo': 1 });
+    const { features, location } = res.body.data.property;
+    expect(features.bedrooms).toBeUndefined();
+    expect(features.bathrooms).toBe(1);
+    expect(location.geo).toBeUndefined();
+  });
+
+  it('sends an edited rejected listing back to the queue', async () => {
+    property.set({ isVerified: false, verificationStatus: 'rejected', rejectionReason: 'Blurry photos' });
+    const res = await update({ description: 'Bright flat near the lake, new photos added.' });
+
+    expect(res.status).toBe(200);
+    expect(saved).toMatchObject({ verificationStatus: 'pending', rejectionReason: null });
+  });
+});
+
+describe('PATCH /api/properties/:id/reports/review', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const app = appWith('/api/properties', propertyRoutes);
+
+  let property;
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner);
+    property = makeProperty(owner, { isHiddenByReports: true, reportCount: 3 });
+
+    jest.spyOn(Property, 'findById').mockReturnValue(query(property));
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Report, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(Report, 'updateMany').mockResolvedValue({});
+  });
+
+  const review = (body) => request(app)
+    .patch(`/api/properties/${property._id}/reports/review`)
+    .set('Authorization', authAs(owner))
+    .send(body);
+
+  it('restores the listing and leaves the reports open for an admin', async () => {
+    const res = await review({ response: 'The flat is still available, price corrected.' });
+
+    expect(res.status).toBe(200);
+    expect(property.isHiddenByReports).toBe(false);
+    expect(property.reportCount).toBe(3);
+    expect(property.reportResponse.text).toBe('The flat is still available, price corrected.');
+    expect(property.reportResponse.respondedAt).toBeInstanceOf(Date);
+    expect(Report.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('needs a response', async () => {
+    const res = await review({});
+
+    expect(res.status).toBe(400);
+    expect(property.isHiddenByReports).toBe(true);
+    expect(property.reportResponse.respondedAt).toBeNull();
+  });
+});
+
+describe('POST /api/properties/:id/report', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const tenants = [makeUser(), makeUser(), makeUser(), makeUser()];
+  const app = appWith('/api/properties', propertyRoutes);
+
+  let property;
+  let reports;
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner, ...tenants);
+    reports = [];
+
+    jest.spyOn(Property, 'findById').mockImplementation(() => query(property));
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Report, 'findOne').mockImplementation((filter) => query(matching(Report, reports, filter)[0] || null));
+    jest.spyOn(Report, 'create').mockImplementation(async (data) => {
+      const report = new Report(data);
+      reports.push(report);
+      return report;
+    });
+    jest.spyOn(Report, 'countDocuments').mockImplementation(async (filter) => matching(Report, reports, filter).length);
+  });
+
+  const report = (tenant) => request(app)
+    .post(`/api/properties/${property._id}/report`)
+    .set('Authorization', authAs(tenant))
+    .send({ reason: 'scam' });
+
+  it('hides a listing once enough users report it', async () => {
+    property = makeProperty(owner);
+
+    for (const tenant of tenants.slice(0, 3)) {
+      expect((await report(tenant)).status).toBe(201);
+    }
+    expect(property.isHiddenByReports).toBe(true);
+  });
+
+  it('only counts reports made after the owner answered', async () => {
+    property = makeProperty(owner);
+    for (const tenant of tenants.slice(0, 3)) await report(tenant);
+
+    // The owner answers and the listing is visible again
+    property.set({ isHiddenByReports: false, reportResponse: { text: 'Fixed', respondedAt: new Date() } });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    await report(tenants[3]);
+    expect(property.reportCount).toBe(4);
+    expect(property.isHiddenByReports).toBe(false);
+  });
+});
+
+describe('POST /api/properties/:id/save', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const tenant = makeUser();
+  const app = appWith('/api/properties', propertyRoutes);
+
+  const live = makeProperty(owner);
+  const fresh = makeProperty(owner, { createdAt: new Date(Date.now() - HOUR_MS) });
+  const held = makeProperty(owner, { isHeldForReview: true });
+  const hiddenByReports = makeProperty(owner, { isHiddenByReports: true });
+  const rejected = makeProperty(owner, { verificationStatus: 'rejected' });
+  const rented = makeProperty(owner, { isAvailable: false });
+
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(tenant);
+    jest.spyOn(Property, 'findOne').mockImplementation((filter) =>
+      query(matching(Property, [live, fresh, held, hiddenByReports, rejected, rented], filter)[0] || null)
+    );
+    jest.spyOn(SavedProperty, 'findOne').mockResolvedValue(null);
+    jest.spyOn(SavedProperty, 'create').mockResolvedValue({});
+  });
+
+  const save = (property) => request(app)
+    .post(`/api/properties/${property._id}/save`)
+    .set('Authorization', authAs(tenant));
+
+  it('saves listings the tenant can see, even once rented out', async () => {
+    expect((await save(live)).status).toBe(201);
+    expect((await save(rented)).status).toBe(201);
+  });
+
+  it('answers 404 for listings the tenant cannot open', async () => {
+    for (const property of [fresh, held, hiddenByReports, rejected]) {
+      expect((await save(property)).status).toBe(404);
+    }
+    expect(SavedProperty.create).toHaveBeenCalledTimes(0);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const Property = require('../models/Property');
+const { appWith, query, matching, makeUser, loginAs } = require('./helpers');
+
+// No image processing or media storage: every file is a valid photo
+jest.mock('../utils/photos', () => ({
+  ...jest.requireActual('../utils/photos'),
+  checkPhotoFile: jest.fn(async () => null),
+  uploadPhoto: jest.fn(async () => ({ url: 'https://media.example.com/photo.jpg', caption: '', hash: 'f'.repeat(16), hashBands: [] })),
+  deletePhotoAsset: jest.fn(async () => {}),
+  updatePhotoReuse: jest.fn(async () => {})
+}));
+
+const { checkPhotoFile, deletePhotoAsset } = require('../utils/photos');
+const propertyPhotoRoutes = require('../routes/propertyPhotoRoutes');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/properties/:id/photos', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const app = appWith('/api/properties/:id/photos', propertyPhotoRoutes);
+
+  // The stored listing; every request loads its own copy, as from the database
+  let stored;
+  let authAs;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authAs = loginAs(owner);
+    stored = new Property({
+      owner: owner._id,
+      title: 'Two bed flat in Dhanmondi',
+      description: 'Bright flat near the lake with lift and generator.',
+      propertyType: 'apartment',
+      location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27' },
+      rent: { amount: 25000 },
+      contact: { name: 'Rahim', phone: '01712345678' },
+      photos: [{ url: 'https://media.example.com/cover.jpg' }],
+      isVerified: true,
+      verificationStatus: 'approved'
+    });
+
+    jest.spyOn(Property, 'findById').mockImplementation(() => query(Property.hydrate(stored.toObject())));
+    jest.spyOn(Property, 'find').mockReturnValue(query([]));
+    jest.spyOn(Property, 'findOneAndUpdate').mockImplementation(async (filter, { $push, ...changes }) => {
+      if (matching(Property, [stored], filter).length === 0) return null;
+      stored.photos.push(...$push.photos.$each);
+      stored.set(changes);
+      return Property.hydrate(stored.toObject());
+    });
+  });
+
+  const upload = (count) => {
+    const req = request(app)
+      .post(`/api/properties/${stored._id}/photos`)
+      .set('Authorization', authAs(owner));
+    for (let i = 0; i < count; i++) {
+      req.attach('images', Buffer.from(`photo ${i}`), `photo${i}.jpg`);
+    }
+    return req;
+  };
+
+  it('never lets parallel uploads pass the photo limit', async () => {
+    // Hold both uploads until each has passed the early photo count check
+    let arrived = 0;
+    let release;
+    const bothChecked = new Promise((resolve) => { release = resolve; });
+    checkPhotoFile.mockImplementation(async () => {
+      if (++arrived === 2) release();
+      await bothChecked;
+      return null;
+    });
+
+    const results = await Promise.all([upload(3), upload(3)]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 400]);
+    expect(stored.photos).toHaveLength(4);
+    // The refused upload's files are removed again
+    expect(deletePhotoAsset).toHaveBeenCalledTimes(3);
+  });
+
+  it('sends an approved listing back to the moderation queue', async () => {
+    const res = await upload(1);
+
+    expect(res.status).toBe(201);
+    expect(stored.isVerified).toBe(false);
+    expect(stored.verificationStatus).toBe('pending');
+  });
+
+  it('refuses more photos than the listing has room for', async () => {
+    const res = await upload(5);
+
+    expect(res.status).toBe(400);
+    expect(stored.photos).toHaveLength(1);
+  });
+});
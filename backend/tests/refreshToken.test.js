@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const { matching } = require('./helpers');
+
+// Refresh tokens kept in memory: the model calls rotate/issue/revoke make
+// are answered from this list
+let tokens;
+
+beforeEach(() => {
+  tokens = [];
+  const first = (filter) => matching(RefreshToken, tokens, filter)[0] || null;
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => {
+    const token = new RefreshToken(data);
+    tokens.push(token);
+    return token;
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(async (filter) => first(filter));
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const token = first(filter);
+    if (!token) return null;
+    const before = RefreshToken.hydrate(token.toObject());
+    token.set(update);
+    return before;
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    matching(RefreshToken, tokens, filter).forEach((token) => token.set(update));
+    return {};
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const userId = new mongoose.Types.ObjectId();
+const liveTokens = () => tokens.filter((token) => !token.revokedAt);
+
+describe('RefreshToken.rotate', () => {
+  it('exchanges a token for a new one in the same family', async () => {
+    const token = await RefreshToken.issue(userId);
+    const rotated = await RefreshToken.rotate(token);
+
+    expect(rotated.userId).toEqual(userId);
+    expect(rotated.token).not.toBe(token);
+    expect(liveTokens()).toHaveLength(1);
+    expect(liveTokens()[0].family).toBe(tokens[0].family);
+  });
+
+  it('refuses a token rotated moments ago without ending the session', async () => {
+    const token = await RefreshToken.issue(userId);
+    const first = await RefreshToken.rotate(token);
+    const second = await RefreshToken.rotate(token);
+
+    expect(second.token).toBeNull();
+    expect(liveTokens()).toHaveLength(1);
+    expect(await RefreshToken.rotate(first.token)).not.toBeNull();
+  });
+
+  it('revokes the whole family when an old rotated token comes back', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const token = await RefreshToken.issue(userId);
+    const first = await RefreshToken.rotate(token);
+
+    jest.setSystemTime(new Date('2026-01-01T10:05:00Z'));
+    expect(await RefreshToken.rotate(token)).toBeNull();
+    expect(liveTokens()).toHaveLength(0);
+    expect(await RefreshToken.rotate(first.token)).toBeNull();
+  });
+
+  it('does not bring back a session logged out during the grace window', async () => {
+    const token = await RefreshToken.issue(userId);
+    const first = await RefreshToken.rotate(token);
+    await RefreshToken.revoke(first.token);
+
+    expect((await RefreshToken.rotate(token)).token).toBeNull();
+    expect(liveTokens()).toHaveLength(0);
+  });
+
+  it('refuses unknown tokens', async () => {
+    expect(await RefreshToken.rotate('not-a-token')).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const Property = require('../models/Property');
+const SavedSearch = require('../models/SavedSearch');
+const { appWith, query, makeUser, loginAs } = require('./helpers');
+
+jest.mock('../utils/notifier', () => ({ notifyUser: jest.fn(async () => {}) }));
+
+const { notifyUser } = require('../utils/notifier');
+const { sendDueAlerts } = require('../utils/searchAlerts');
+const adminRoutes = require('../routes/adminRoutes');
+
+afterEach(() => jest.restoreAllMocks());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const owner = makeUser({ accountType: 'owner' });
+
+const makeProperty = (fields = {}) => new Property({
+  owner: owner._id,
+  title: 'Two bed flat in Dhanmondi',
+  description: 'Bright flat near the lake with lift and generator.',
+  propertyType: 'apartment',
+  location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27' },
+  rent: { amount: 25000 },
+  contact: { name: 'Rahim', phone: '01712345678' },
+  createdAt: new Date(Date.now() - 10 * DAY_MS),
+  ...fields
+});
+
+describe('sendDueAlerts', () => {
+  const tenant = makeUser();
+
+  // A saved search with its matches populated, as sendDueAlerts loads it
+  let search;
+  const searchWith = (matches) => {
+    search = new SavedSearch({
+      user: tenant._id,
+      name: 'Dhanmondi flats',
+      matches: matches.map(({ matchedAt }) => ({ matchedAt }))
+    });
+    search.user = tenant;
+    matches.forEach(({ property }, i) => { search.matches[i].property = property; });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(SavedSearch, 'find').mockImplementation(() => query([search]));
+    jest.spyOn(SavedSearch.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({});
+  });
+
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+  it('alerts the tenant about visible listings', async () => {
+    searchWith([{ property: makeProperty(), matchedAt: daysAgo(1) }]);
+
+    expect(await sendDueAlerts()).toEqual({ sent: 1 });
+    expect(notifyUser).toHaveBeenCalledTimes(1);
+    expect(search.matches[0].notifiedAt).toBeInstanceOf(Date);
+    expect(SavedSearch.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('drops matches on rejected listings and ones hidden too long', async () => {
+    const rejected = makeProperty({ verificationStatus: 'rejected' });
+    const heldLong = makeProperty({ isHeldForReview: true });
+    const heldRecently = makeProperty({ isHeldForReview: true });
+    searchWith([
+      { property: rejected, matchedAt: daysAgo(1) },
+      { property: heldLong, matchedAt: daysAgo(8) },
+      { property: heldRecently, matchedAt: daysAgo(2) }
+    ]);
+
+    expect(await sendDueAlerts()).toEqual({ sent: 0 });
+    expect(notifyUser).not.toHaveBeenCalled();
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+      { _id: search._id },
+      { $pull: { matches: { property: { $in: [rejected._id, heldLong._id] }, notifiedAt: null } } }
+    );
+  });
+
+  it('stops waiting for deleted listings', async () => {
+    searchWith([{ property: null, matchedAt: daysAgo(1) }]);
+
+    await sendDueAlerts();
+    expect(search.matches[0].notifiedAt).toBeInstanceOf(Date);
+    expect(SavedSearch.prototype.save).toHaveBeenCalled();
+  });
+});
+
+describe('PATCH /api/admin/properties/:id/approve', () => {
+  const admin = makeUser({ accountType: 'admin' });
+  const app = appWith('/api/admin', adminRoutes);
+
+  let property;
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(admin);
+    jest.spyOn(Property, 'findById').mockImplementation(() => query(property));
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(SavedSearch, 'find').mockReturnValue(query([]));
+  });
+
+  const approve = async () => {
+    const res = await request(app)
+      .patch(`/api/admin/properties/${property._id}/approve`)
+      .set('Authorization', authAs(admin));
+    // Matching runs in the background
+    await new Promise((resolve) => setImmediate(resolve));
+    return res;
+  };
+
+  it('matches a held listing against saved searches once approved', async () => {
+    property = makeProperty({ isHeldForReview: true });
+
+    expect((await approve()).status).toBe(200);
+    expect(SavedSearch.find).toHaveBeenCalled();
+  });
+
+  it('leaves out a listing that is still hidden', async () => {
+    property = makeProperty({ isHeldForReview: true, isHiddenByReports: true });
+
+    expect((await approve()).status).toBe(200);
+    expect(SavedSearch.find).not.toHaveBeenCalled();
+  });
+});
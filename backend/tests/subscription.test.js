@@ -0,0 +1,60 @@
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const subscriptionRoutes = require('../routes/subscriptionRoutes');
+const { appWith, makeUser, loginAs } = require('./helpers');
+
+const savedEnv = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+});
+
+describe('subscription purchases', () => {
+  const app = appWith('/api/subscriptions', subscriptionRoutes);
+
+  let tenant;
+  let authAs;
+  beforeEach(() => {
+    tenant = makeUser();
+    authAs = loginAs(tenant);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Payment, 'create').mockImplementation(async (data) => new Payment(data));
+  });
+
+  const post = (path, body) => request(app)
+    .post(`/api/subscriptions/${path}`)
+    .set('Authorization', authAs(tenant))
+    .send(body);
+
+  it('answers 503 without a payment provider', async () => {
+    delete process.env.PAYMENT_PROVIDER;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await post('checkout', { kind: 'start' })).status).toBe(503);
+    expect((await post('start', { plan: 'premium', paymentToken: 'tok_test' })).status).toBe(503);
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  it('answers 503 with the fake provider in production', async () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'production';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await post('renew', { paymentToken: 'tok_test' })).status).toBe(503);
+  });
+
+  it('starts premium with a token from checkout', async () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'test';
+
+    const checkout = await post('checkout', { kind: 'start' });
+    const res = await post('start', { plan: 'premium', paymentToken: checkout.body.data.paymentToken });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.subscription.isPremium).toBe(true);
+  });
+});
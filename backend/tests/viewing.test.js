@@ -0,0 +1,187 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const ViewingSlot = require('../models/ViewingSlot');
+const ViewingRequest = require('../models/ViewingRequest');
+const viewingRoutes = require('../routes/viewingRoutes');
+const { appWith, query, matching, makeUser, loginAs } = require('./helpers');
+
+afterEach(() => jest.restoreAllMocks());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makeProperty = (owner, fields = {}) => new Property({
+  owner: owner._id,
+  title: 'Two bed flat in Dhanmondi',
+  description: 'Bright flat near the lake with lift and generator.',
+  propertyType: 'apartment',
+  location: { division: 'Dhaka', district: 'Dhaka', area: 'Dhanmondi', address: 'House 15, Road 27' },
+  rent: { amount: 25000 },
+  contact: { name: 'Rahim', phone: '01712345678' },
+  createdAt: new Date(Date.now() - 7 * DAY_MS),
+  ...fields
+});
+
+const makeSlot = (property, fields = {}) => new ViewingSlot({
+  property: property._id,
+  owner: property.owner,
+  startTime: new Date(Date.now() + DAY_MS),
+  endTime: new Date(Date.now() + DAY_MS + 30 * 60 * 1000),
+  ...fields
+});
+
+describe('viewings of listings tenants cannot see', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const tenant = makeUser();
+  const app = appWith('/api/viewings', viewingRoutes);
+
+  const live = makeProperty(owner);
+  const held = makeProperty(owner, { isHeldForReview: true });
+  const hidden = makeProperty(owner, { isHiddenByReports: true });
+  const rented = makeProperty(owner, { isAvailable: false });
+  const slots = [live, held, hidden, rented].map((property) => makeSlot(property));
+  const slotOf = (property) => slots.find((slot) => slot.property.equals(property._id));
+
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner, tenant);
+    const properties = [live, held, hidden, rented];
+    jest.spyOn(Property, 'findOne').mockImplementation((filter) => query(matching(Property, properties, filter)[0] || null));
+    jest.spyOn(Property, 'exists').mockImplementation(async (filter) => {
+      const property = matching(Property, properties, filter)[0];
+      return property ? { _id: property._id } : null;
+    });
+    jest.spyOn(ViewingSlot, 'findById').mockImplementation((id) => query(slots.find((slot) => slot._id.equals(id)) || null));
+    jest.spyOn(ViewingSlot, 'find').mockImplementation((filter) => query(matching(ViewingSlot, slots, filter)));
+    jest.spyOn(ViewingSlot, 'findOneAndUpdate').mockImplementation(async (filter) => matching(ViewingSlot, slots, filter)[0] || null);
+    jest.spyOn(ViewingRequest, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(ViewingRequest, 'create').mockImplementation(async (data) => new ViewingRequest(data));
+  });
+
+  const requestViewing = (property) => request(app)
+    .post('/api/viewings/requests')
+    .set('Authorization', authAs(tenant))
+    .send({ slotId: slotOf(property)._id });
+
+  it('books a viewing of a live listing', async () => {
+    expect((await requestViewing(live)).status).toBe(201);
+  });
+
+  it('refuses viewings of held, hidden and unavailable listings', async () => {
+    for (const property of [held, hidden, rented]) {
+      const res = await requestViewing(property);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('This property is not available for viewing');
+    }
+  });
+
+  it('only lists the slots of listings the user can see', async () => {
+    const res = await request(app).get(`/api/viewings/slots/${live._id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+
+    for (const property of [held, hidden, rented]) {
+      expect((await request(app).get(`/api/viewings/slots/${property._id}`)).status).toBe(404);
+    }
+    expect((await request(app).get(`/api/viewings/slots/${held._id}`).set('Authorization', authAs(owner))).status).toBe(200);
+  });
+});
+
+describe('PATCH /api/viewings/requests/:id/reschedule', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const tenant = makeUser();
+  const app = appWith('/api/viewings', viewingRoutes);
+
+  const property = makeProperty(owner);
+  const oldSlot = makeSlot(property, { isBooked: true });
+  const newSlot = makeSlot(property, { startTime: new Date(Date.now() + 2 * DAY_MS), endTime: new Date(Date.now() + 2 * DAY_MS + 30 * 60 * 1000) });
+
+  let viewing;
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner, tenant);
+    viewing = new ViewingRequest({ property: property._id, slot: oldSlot._id, tenant: tenant._id, owner: owner._id, status: 'confirmed' });
+
+    jest.spyOn(ViewingRequest, 'findById').mockImplementation(() => query(viewing));
+    jest.spyOn(ViewingRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ViewingSlot, 'findOneAndUpdate').mockResolvedValue(newSlot);
+    jest.spyOn(ViewingSlot, 'findByIdAndUpdate').mockResolvedValue(oldSlot);
+  });
+
+  const patch = (action, user, body = {}) => request(app)
+    .patch(`/api/viewings/requests/${viewing._id}/${action}`)
+    .set('Authorization', authAs(user))
+    .send(body);
+
+  it('waits for the tenant to accept the new time', async () => {
+    const res = await patch('reschedule', owner, { slotId: newSlot._id });
+
+    expect(res.status).toBe(200);
+    expect(viewing.slot).toEqual(newSlot._id);
+    expect(viewing.status).toBe('pending');
+    expect(viewing.rescheduledAt).toBeInstanceOf(Date);
+
+    expect((await patch('accept', owner)).status).toBe(403);
+    expect(viewing.status).toBe('pending');
+
+    expect((await patch('accept', tenant)).status).toBe(200);
+    expect(viewing.status).toBe('confirmed');
+  });
+
+  it('leaves a new request for the owner to accept', async () => {
+    viewing.status = 'pending';
+
+    expect((await patch('accept', tenant)).status).toBe(403);
+    expect((await patch('accept', owner)).status).toBe(200);
+  });
+});
+
+describe('PATCH /api/viewings/requests/:id/*', () => {
+  const owner = makeUser({ accountType: 'owner' });
+  const tenant = makeUser();
+  const app = appWith('/api/viewings', viewingRoutes);
+
+  const viewing = new ViewingRequest({
+    property: new mongoose.Types.ObjectId(),
+    slot: new mongoose.Types.ObjectId(),
+    tenant: tenant._id,
+    owner: owner._id
+  });
+
+  let authAs;
+  beforeEach(() => {
+    authAs = loginAs(owner, tenant);
+    jest.spyOn(ViewingRequest, 'findById').mockImplementation((id) =>
+      query(Promise.resolve().then(() => matching(ViewingRequest, [viewing], { _id: id })[0] || null))
+    );
+  });
+
+  const patch = (id, action, user) => request(app)
+    .patch(`/api/viewings/requests/${id}/${action}`)
+    .set('Authorization', authAs(user))
+    .send({});
+
+  it.each(['accept', 'decline', 'complete'])('answers 404 to %s with an invalid id', async (action) => {
+    const res = await patch('not-an-id', action, owner);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Viewing request not found');
+  });
+
+  it('answers 404 to cancel with an invalid id', async () => {
+    const res = await patch('not-an-id', 'cancel', tenant);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Viewing request not found');
+  });
+
+  it('still refuses users who are not part of the request', async () => {
+    const otherOwner = makeUser({ accountType: 'owner' });
+    authAs = loginAs(owner, tenant, otherOwner);
+
+    const res = await patch(viewing._id, 'accept', otherOwner);
+    expect(res.status).toBe(403);
+  });
+});
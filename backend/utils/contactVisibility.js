@@ -0,0 +1,61 @@
+// Owner contact details are a premium entitlement. Everyone else gets a
+// masked contact card and can still reach the owner through in-app messages.
+
+// 01712345678 -> 017XXXXXX78
+const maskPhone = (phone) => {
+  if (!phone) return phone;
+  if (phone.length <= 5) return 'X'.repeat(phone.length);
+  return phone.slice(0, 3) + 'X'.repeat(phone.length - 5) + phone.slice(-2);
+};
+
+// rahim@example.com -> r****@example.com
+const maskEmail = (email) => {
+  if (!email) return email;
+  const [name, domain] = email.split('@');
+  return `${name.charAt(0)}****@${domain}`;
+};
+
+const ownerIdOf = (property) => {
+  const owner = property.owner;
+  return (owner && owner._id ? owner._id : owner)?.toString();
+};
+
+// Premium tenants, admins and the listing's own owner see full contact details
+const canSeeContact = (property, viewer) => {
+  if (!viewer) return false;
+  if (viewer.accountType === 'admin') return true;
+  if (ownerIdOf(property) === viewer._id.toString()) return true;
+  return viewer.isPremium();
+};
+
+// Return a plain property object with contact details masked when needed
+const withContactVisibility = (property, viewer) => {
+  const data = property.toObject ? property.toObject() : { ...property };
+
+  if (canSeeContact(property, viewer)) {
+    data.contactMasked = false;
+    return data;
+  }
+
+  data.contactMasked = true;
+
+  if (data.contact) {
+    data.contact = {
+      ...data.contact,
+      phone: maskPhone(data.contact.phone),
+      email: maskEmail(data.contact.email)
+    };
+  }
+
+  if (data.owner && data.owner._id) {
+    data.owner = {
+      ...data.owner,
+      email: maskEmail(data.owner.email),
+      mobile: maskPhone(data.owner.mobile)
+    };
+  }
+
+  return data;
+};
+
+module.exports = { maskPhone, maskEmail, canSeeContact, withContactVisibility };
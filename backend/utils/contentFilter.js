@@ -1,98 +1,24 @@
-const Filter = require('leo-profanity');
+const { evaluateContent } = require('./moderationEngine');
 
-// Add custom words to filter
-Filter.add([
-  // English bad words (already included in leo-profanity)
-  
-  // Bangla bad words - Add yours here
-  'মূর্খ', 'বোকা', 'চোর', 'ভন্ড',
-  
-  // Add more Bangla bad words as needed
-]);
-
-// Scam/Fraud keywords
-const scamKeywords = [
-  'guaranteed', 'risk free', '100% profit', 'get rich quick',
-  'limited time', 'act now', 'click here', 'make money fast',
-  'no questions asked', 'cash only', 'wire transfer only',
-  'western union', 'moneygram', 'bitcoin only',
-  'urgent', 'emergency sale', 'must sell today',
-  'free money', 'free cash', 'lottery', 'prize',
-  'congratulations you won', 'claim your prize'
-];
-
-// Fake property indicators
-const fakePropertyKeywords = [
-  'too good to be true', 'unbelievable price', 'amazing deal',
-  'once in a lifetime', 'below market value', 'heavily discounted',
-  'sacrifice sale', 'distress sale', 'foreclosure'
-];
+// Check a single piece of text (a chat message) against the moderation
+// rules (see utils/moderationEngine.js). Text is only refused once it
+// reaches the reject score; the rule that added most to the score is
+// reported.
+const checkInappropriateContent = async (text) => {
+  const { score, decision, hits } = await evaluateContent({ texts: [['text', text]] });
 
-// Check for inappropriate content
-const checkInappropriateContent = (text) => {
-  if (!text || typeof text !== 'string') return { isClean: true };
-  
-  const lowerText = text.toLowerCase();
-  
-  // Check for profanity using leo-profanity
-  if (Filter.check(text)) {
-    return {
-      isClean: false,
-      reason: 'Contains inappropriate language or bad words'
-    };
+  if (decision !== 'reject') {
+    return { isClean: true, score };
   }
-  
-  // Check for scam keywords
-  for (const keyword of scamKeywords) {
-    if (lowerText.includes(keyword.toLowerCase())) {
-      return {
-        isClean: false,
-        reason: `Contains suspicious scam keyword: "${keyword}"`
-      };
-    }
-  }
-  
-  // Check for fake property indicators
-  for (const keyword of fakePropertyKeywords) {
-    if (lowerText.includes(keyword.toLowerCase())) {
-      return {
-        isClean: false,
-        reason: `Contains fake property indicator: "${keyword}"`
-      };
-    }
-  }
-  
-  // Check for excessive punctuation (spam indicator)
-  const exclamationCount = (text.match(/!/g) || []).length;
-  const questionCount = (text.match(/\?/g) || []).length;
-  
-  if (exclamationCount > 5 || questionCount > 5) {
-    return {
-      isClean: false,
-      reason: 'Excessive punctuation detected (possible spam)'
-    };
-  }
-  
-  // Check for all caps (screaming/spam)
-  const wordsInCaps = text.match(/\b[A-Z]{4,}\b/g) || [];
-  if (wordsInCaps.length > 3) {
-    return {
-      isClean: false,
-      reason: 'Excessive capital letters detected (possible spam)'
-    };
-  }
-  
-  // Check for suspicious URLs
-  const urlPattern = /(?:https?:\/\/)?(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/g;
-  const urls = text.match(urlPattern) || [];
-  if (urls.length > 2) {
-    return {
-      isClean: false,
-      reason: 'Contains too many URLs (possible spam)'
-    };
-  }
-  
-  return { isClean: true };
+
+  const top = hits.reduce((strongest, hit) => (hit.weight > strongest.weight ? hit : strongest));
+  return {
+    isClean: false,
+    score,
+    rule: top.rule,
+    match: top.match,
+    reason: top.reason
+  };
 };
 
 // Check phone number validity
@@ -105,6 +31,7 @@ const checkPhoneNumber = (phone) => {
   if (!bdPhonePattern.test(phone)) {
     return {
       isValid: false,
+      rule: 'phone_format',
       reason: 'Invalid Bangladesh phone number format'
     };
   }
@@ -114,6 +41,7 @@ const checkPhoneNumber = (phone) => {
   if (uniqueDigits.size < 4) {
     return {
       isValid: false,
+      rule: 'phone_repeated_digits',
       reason: 'Suspicious phone number pattern (too many repeated digits)'
     };
   }
@@ -121,14 +49,26 @@ const checkPhoneNumber = (phone) => {
   return { isValid: true };
 };
 
-// Check price - minimum 800 BDT only
-const checkPriceValidity = (rent, propertyType) => {
-  const minRent = 800;  // Minimum 800 BDT
+// Lowest believable rent (BDT) by period and property type. Rents that are
+// merely unusual for the area are caught by the price-outlier rule instead.
+const MIN_RENT = {
+  monthly: { apartment: 3000, house: 5000, sublet: 1500, room: 1000, hostel: 800 },
+  daily: { apartment: 500, house: 800, sublet: 300, room: 200, hostel: 150 }
+};
+
+// Check price against the minimum for the property type (the lowest of
+// all types when the type isn't known)
+const checkPriceValidity = (rent, propertyType, period = 'monthly') => {
+  const minimums = MIN_RENT[period] || MIN_RENT.monthly;
+  const minRent = minimums[propertyType] || Math.min(...Object.values(minimums));
   
   if (rent < minRent) {
     return {
       isValid: false,
-      reason: `Rent must be at least ${minRent} BDT`
+      rule: 'rent_too_low',
+      reason: propertyType && minimums[propertyType]
+        ? `${propertyType[0].toUpperCase()}${propertyType.slice(1)} rent must be at least ${minRent} BDT${period === 'daily' ? ' per day' : ''}`
+        : `Rent must be at least ${minRent} BDT${period === 'daily' ? ' per day' : ''}`
     };
   }
   
@@ -0,0 +1,189 @@
+const Property = require('../models/Property');
+const { photoBands, countSharedPhotos } = require('./photos');
+
+// Duplicate listing detection. A listing is compared with others in the
+// same area, with the same contact phone or sharing photos, and each match
+// adds to a similarity score:
+//   - the same owner posting the same address, rent and features as one of
+//     their live listings is refused (see middleware/moderation.js); a
+//     rented-out or rejected listing may be posted again
+//   - another owner's listing scoring LIKELY_DUPLICATE_SCORE or more is held
+//     for review, linked to the suspected original
+
+const SIGNALS = {
+  address: { weight: 40, reason: 'Same address' },
+  phone: { weight: 25, reason: 'Same contact phone' },
+  rent: { weight: 15, reason: 'Same rent' },
+  features: { weight: 15, reason: 'Same type and features' },
+  photos: { weight: 40, reason: 'Same photos' }
+};
+
+// Score from which another owner's listing counts as a likely repost
+// (e.g. same address and phone, or same photos and rent)
+const LIKELY_DUPLICATE_SCORE = 60;
+
+// Listings compared against at most
+const MAX_CANDIDATES = 200;
+
+// Rents this close count as the same
+const RENT_TOLERANCE = 0.03;
+
+// Sizes this close count as the same
+const SIZE_TOLERANCE = 0.05;
+
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+// Spellings of the same address word
+const ADDRESS_WORDS = {
+  rd: 'road',
+  h: 'house',
+  hs: 'house',
+  bari: 'house',
+  sec: 'sector',
+  blk: 'block',
+  ave: 'avenue',
+  st: 'street',
+  ln: 'lane',
+  fl: 'flat',
+  apt: 'flat',
+  apartment: 'flat'
+};
+
+// Words that say nothing about where a place is
+const ADDRESS_STOP_WORDS = new Set(['no', 'of', 'the', 'and', 'near', 'beside', 'opposite', 'bangladesh']);
+
+const SELECT_FIELDS = 'title owner createdAt location.address location.area propertyType rent features contact.phone photos.hash';
+
+// Address as a set of words, with Bangla digits and abbreviations normalized
+// ("H-15, Rd 27" and "House 15 Road 27" give the same set)
+const addressTokens = (address = '') => new Set(
+  address
+    .replace(/[০-৯]/g, (digit) => BANGLA_DIGITS.indexOf(digit))
+    .toLowerCase()
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .map((word) => ADDRESS_WORDS[word] ?? word)
+    .filter((word) => word && !ADDRESS_STOP_WORDS.has(word))
+);
+
+// Same place: the same house/road numbers and mostly the same words
+const addressesMatch = (a, b) => {
+  const wordsA = addressTokens(a);
+  const wordsB = addressTokens(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return false;
+
+  const numbers = (words) => [...words].filter((word) => /^\d+$/.test(word)).sort().join(' ');
+  if (numbers(wordsA) !== numbers(wordsB)) return false;
+
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared) >= 0.6;
+};
+
+const isClose = (a, b, tolerance) => Math.abs(a - b) <= Math.max(a, b) * tolerance;
+
+const rentsMatch = (a = {}, b = {}) =>
+  (a.period || 'monthly') === (b.period || 'monthly') &&
+  a.amount > 0 && b.amount > 0 && isClose(a.amount, b.amount, RENT_TOLERANCE);
+
+const featuresMatch = (a, b) => {
+  const featuresA = a.features || {};
+  const featuresB = b.features || {};
+  const sizeA = featuresA.size?.value;
+  const sizeB = featuresB.size?.value;
+
+  return a.propertyType === b.propertyType &&
+    (featuresA.bedrooms ?? null) === (featuresB.bedrooms ?? null) &&
+    (featuresA.bathrooms ?? null) === (featuresB.bathrooms ?? null) &&
+    (!sizeA || !sizeB || ((featuresA.size.unit || 'sqft') === (featuresB.size.unit || 'sqft') && isClose(sizeA, sizeB, SIZE_TOLERANCE)));
+};
+
+// How alike two listings are: { score, reasons, isExact }
+const compareListings = (listing, other) => {
+  const matched = {
+    address: addressesMatch(listing.location?.address, other.location?.address),
+    phone: Boolean(listing.contact?.phone) && listing.contact.phone === other.contact?.phone,
+    rent: rentsMatch(listing.rent, other.rent),
+    features: featuresMatch(listing, other),
+    photos: countSharedPhotos(listing.photos, other.photos) > 0
+  };
+
+  const signals = Object.keys(SIGNALS).filter((signal) => matched[signal]);
+  return {
+    score: signals.reduce((total, signal) => total + SIGNALS[signal].weight, 0),
+    reasons: signals.map((signal) => SIGNALS[signal].reason),
+    isExact: matched.address && matched.rent && matched.features
+  };
+};
+
+// Listings that might be the same property as listing, best match first.
+// Options: owner (only this owner's), otherOwnersOf (everyone else's),
+// exclude (ids to skip), before (only listings created earlier),
+// liveOnly (only available listings that were not rejected).
+// Returns [{ property, score, reasons, isExact }].
+const findDuplicates = async (listing, { owner, otherOwnersOf, exclude = [], before, liveOnly = false } = {}) => {
+  const candidates = [];
+  if (listing.location?.areaId) {
+    candidates.push({ 'location.areaId': listing.location.areaId, propertyType: listing.propertyType });
+  }
+  if (listing.contact?.phone) {
+    candidates.push({ 'contact.phone': listing.contact.phone });
+  }
+  const bands = photoBands(listing.photos);
+  if (bands.length > 0) {
+    candidates.push({ 'photos.hashBands': { $in: bands } });
+  }
+  if (candidates.length === 0) return [];
+
+  const filter = { $or: candidates, _id: { $nin: exclude } };
+  if (owner) filter.owner = owner;
+  if (otherOwnersOf) filter.owner = { $ne: otherOwnersOf };
+  if (before) filter.createdAt = { $lt: before };
+  if (liveOnly) Object.assign(filter, { isAvailable: true, verificationStatus: { $ne: 'rejected' } });
+
+  const others = await Property.find(filter)
+    .select(SELECT_FIELDS)
+    .sort({ createdAt: 1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return others
+    .map((other) => ({ property: other, ...compareListings(listing, other) }))
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+// One of the owner's other live listings that listing repeats, or null
+const findOwnDuplicate = async (listing, owner, excludeId) => {
+  const matches = await findDuplicates(listing, { owner, exclude: excludeId ? [excludeId] : [], liveOnly: true });
+  return matches.find((match) => match.isExact)?.property || null;
+};
+
+// Hold a listing for review if it looks like a repost of an older listing
+// by another owner, linking the suspected original. Listings an admin has
+// already cleared it against are skipped. Returns the match or null; never throws.
+const flagDuplicate = async (property) => {
+  try {
+    const [match] = (await findDuplicates(property, {
+      otherOwnersOf: property.owner,
+      exclude: [property._id, ...(property.notDuplicateOf || [])],
+      before: property.createdAt
+    })).filter((candidate) => candidate.score >= LIKELY_DUPLICATE_SCORE);
+
+    if (!match) return null;
+
+    const changes = {
+      isHeldForReview: true,
+      duplicateOf: match.property._id,
+      duplicateCheck: { score: match.score, reasons: match.reasons, checkedAt: new Date() }
+    };
+    await Property.updateOne({ _id: property._id }, changes);
+    Object.assign(property, changes);
+    return match;
+  } catch (error) {
+    console.error(`Duplicate check error for property ${property._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = { findOwnDuplicate, flagDuplicate };
@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus. Routes publish what happened; subscribers such as
+// utils/notifications.js react to it without the routes knowing about them.
+
+const EVENTS = {
+  PROPERTY_UPDATED: 'property.updated',
+  PROPERTY_AVAILABILITY_CHANGED: 'property.availabilityChanged',
+  PROPERTY_DELETED: 'property.deleted',
+  PROPERTY_MODERATED: 'property.moderated',
+  SAVED_SEARCH_MATCHED: 'savedSearch.matched',
+  MESSAGE_CREATED: 'message.created',
+  NOTIFICATION_CREATED: 'notification.created'
+};
+
+const bus = new EventEmitter();
+
+// Handlers run after the current request has been handled, so a slow or
+// failing subscriber never delays or breaks the response
+const publish = (event, payload) => {
+  setImmediate(() => bus.emit(event, payload));
+};
+
+// Subscribe to an event; errors from async handlers are logged
+const subscribe = (event, handler) => {
+  bus.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((error) => console.error(`Event handler error (${event}):`, error));
+  });
+};
+
+module.exports = { EVENTS, publish, subscribe };
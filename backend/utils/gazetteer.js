@@ -0,0 +1,179 @@
+const rawDivisions = require('../data/bdLocations');
+
+// Canonical Bangladesh locations (division > district > upazila/thana).
+// IDs are slugs of the English names: divisions and districts are unique on
+// their own, areas are prefixed with their district ("dhaka-gulshan") because
+// names like Kaliganj exist in several districts.
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Lookup key for user input: case, spacing and punctuation are ignored, so
+// "Mirpur-10", "mirpur 10" and "Mirpur10" all match. Bangla letters and
+// vowel signs are kept.
+const toKey = (value) =>
+  String(value)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '');
+
+// Lookup keys for an entry: its id, names and aliases
+const keysFor = (entry, aliases = []) =>
+  [entry.id, entry.name, entry.bnName, ...aliases].map(toKey);
+
+// Register an entry under all of its keys
+const index = (map, entry, aliases = []) => {
+  keysFor(entry, aliases).forEach((key) => {
+    if (!map.has(key)) map.set(key, entry);
+  });
+};
+
+// Public shapes for the API (no internal lookup maps)
+const summary = ({ id, name, bnName }) => ({ id, name, bnName });
+
+// ========== BUILD THE GAZETTEER ONCE AT LOAD ==========
+
+const divisions = [];
+const divisionLookup = new Map();
+const districtLookup = new Map();
+
+// Every division, district and area in one flat list, for suggestions
+const places = [];
+
+rawDivisions.forEach(([name, bnName, rawDistricts, aliases]) => {
+  const division = { id: slugify(name), name, bnName, districts: [] };
+
+  rawDistricts.forEach(([districtName, districtBnName, rawAreas, districtAliases]) => {
+    const district = {
+      id: slugify(districtName),
+      name: districtName,
+      bnName: districtBnName,
+      divisionId: division.id,
+      areas: [],
+      areaLookup: new Map()
+    };
+
+    rawAreas.forEach(([areaName, areaBnName, areaAliases]) => {
+      const area = {
+        id: `${district.id}-${slugify(areaName)}`,
+        name: areaName,
+        bnName: areaBnName,
+        districtId: district.id
+      };
+      district.areas.push(area);
+      index(district.areaLookup, area, areaAliases);
+      places.push({ type: 'area', ...area, parent: districtName, keys: keysFor(area, areaAliases) });
+    });
+
+    division.districts.push(district);
+    index(districtLookup, district, districtAliases);
+    places.push({ type: 'district', ...summary(district), parent: name, keys: keysFor(district, districtAliases) });
+  });
+
+  divisions.push(division);
+  index(divisionLookup, division, aliases);
+  places.push({ type: 'division', ...summary(division), parent: null, keys: keysFor(division, aliases) });
+});
+
+// ========== LOOKUPS ==========
+
+const findDivision = (value) => divisionLookup.get(toKey(value)) || null;
+
+const findDistrict = (value) => districtLookup.get(toKey(value)) || null;
+
+const findArea = (district, value) => district.areaLookup.get(toKey(value)) || null;
+
+const getDivisions = () =>
+  divisions.map((division) => ({
+    ...summary(division),
+    districtCount: division.districts.length
+  }));
+
+const getDistricts = (divisionId) => {
+  const division = findDivision(divisionId);
+  if (!division) return null;
+  return division.districts.map((district) => ({
+    ...summary(district),
+    divisionId: division.id,
+    areaCount: district.areas.length
+  }));
+};
+
+const getAreas = (districtId) => {
+  const district = findDistrict(districtId);
+  if (!district) return null;
+  return district.areas.map((area) => ({ ...summary(area), districtId: district.id }));
+};
+
+// Places whose name, Bangla name or alias starts with the typed text.
+// Areas come first since they are what people usually search for.
+const PLACE_ORDER = { area: 0, district: 1, division: 2 };
+
+const suggestPlaces = (text, limit = 5) => {
+  const prefix = toKey(text);
+  if (!prefix) return [];
+
+  return places
+    .filter((place) => place.keys.some((key) => key.startsWith(prefix)))
+    .sort((a, b) => PLACE_ORDER[a.type] - PLACE_ORDER[b.type] || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ type, id, name, bnName, parent }) => ({ type, id, name, bnName, parent }));
+};
+
+// English and Bangla name of every place, for search transliteration
+const getPlaceNames = () => places.map(({ name, bnName }) => ({ name, bnName }));
+
+// Normalize division/district/area values (ids, English or Bangla names,
+// old spellings) to canonical names and ids.
+// Returns { location } or { error }.
+const resolveLocation = ({ division, district, area } = {}) => {
+  if (!division || !district || !area) {
+    return { error: 'Please select a division, district and area' };
+  }
+
+  const foundDivision = findDivision(division);
+  if (!foundDivision) {
+    return { error: `Unknown division: ${division}` };
+  }
+
+  const foundDistrict = findDistrict(district);
+  if (!foundDistrict) {
+    return { error: `Unknown district: ${district}` };
+  }
+
+  if (foundDistrict.divisionId !== foundDivision.id) {
+    return { error: `${foundDistrict.name} is not in ${foundDivision.name} division` };
+  }
+
+  const foundArea = findArea(foundDistrict, area);
+  if (!foundArea) {
+    return { error: `Unknown area in ${foundDistrict.name}: ${area}` };
+  }
+
+  return {
+    location: {
+      division: foundDivision.name,
+      divisionId: foundDivision.id,
+      district: foundDistrict.name,
+      districtId: foundDistrict.id,
+      area: foundArea.name,
+      areaId: foundArea.id
+    }
+  };
+};
+
+module.exports = {
+  findDivision,
+  findDistrict,
+  findArea,
+  getDivisions,
+  getDistricts,
+  getAreas,
+  suggestPlaces,
+  getPlaceNames,
+  resolveLocation
+};
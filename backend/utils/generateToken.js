@@ -1,12 +1,13 @@
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token for user authentication
+// Generate a short-lived JWT access token for user authentication.
+// Sessions are kept alive with the refresh token cookie (see RefreshToken model).
 const generateToken = (userId) => {
   return jwt.sign(
     { id: userId }, // Payload - user ID
     process.env.JWT_SECRET, // Secret key from .env
-    { expiresIn: '30d' } // Token expires in 30 days
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' } // Token expires in 15 minutes by default
   );
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
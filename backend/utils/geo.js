@@ -0,0 +1,81 @@
+// Geospatial helpers for property locations (GeoJSON uses [longitude, latitude])
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Build a GeoJSON point from form values. Returns { point } or { error }.
+// Empty values mean "no pin" and give { point: null }.
+const toGeoPoint = (latitude, longitude) => {
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+
+  if (isEmpty(latitude) && isEmpty(longitude)) {
+    return { point: null };
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (!isLatitude(lat) || !isLongitude(lng)) {
+    return { error: 'Invalid map location' };
+  }
+
+  return { point: { type: 'Point', coordinates: [lng, lat] } };
+};
+
+// Parse "lat,lng" (the near= query parameter). Returns [lng, lat] or null.
+const parseNear = (near) => {
+  const parts = String(near).split(',').map(Number);
+  if (parts.length !== 2 || !isLatitude(parts[0]) || !isLongitude(parts[1])) {
+    return null;
+  }
+  return [parts[1], parts[0]];
+};
+
+// Parse "minLng,minLat,maxLng,maxLat" (Leaflet's toBBoxString order)
+const parseBbox = (bbox) => {
+  const parts = String(bbox).split(',').map(Number);
+  if (
+    parts.length !== 4 ||
+    !isLongitude(parts[0]) || !isLatitude(parts[1]) ||
+    !isLongitude(parts[2]) || !isLatitude(parts[3]) ||
+    parts[0] >= parts[2] || parts[1] >= parts[3]
+  ) {
+    return null;
+  }
+  return parts;
+};
+
+// $geoWithin filter for a circle around [lng, lat]
+const withinRadius = (center, radiusKm) => ({
+  $geoWithin: { $centerSphere: [center, radiusKm / EARTH_RADIUS_KM] }
+});
+
+// $geoWithin filter for a bounding box (closed polygon ring)
+const withinBbox = ([minLng, minLat, maxLng, maxLat]) => ({
+  $geoWithin: {
+    $geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    }
+  }
+});
+
+// Great-circle distance between two [lng, lat] points in km
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = { toGeoPoint, parseNear, parseBbox, withinRadius, withinBbox, distanceKm };
@@ -1,42 +1,179 @@
-const axios = require('axios');
+const sharp = require('sharp');
 
-// Simple image validation (checks file properties)
+// Image pipeline for listing photos: check the real file type and size,
+// then re-encode it into resized JPEG and WebP variants. Re-encoding drops
+// all metadata, including EXIF GPS coordinates from phone cameras.
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Shortest side below this is too small to be useful in a listing
+const MIN_DIMENSION = 300;
+// Longest side and total pixels allowed (guards against decompression bombs)
+const MAX_DIMENSION = 10000;
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+// Variant name -> longest side in pixels (never enlarged)
+const VARIANT_SIZES = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+// Identify an image from its first bytes rather than the client's mimetype
+const sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+// Check size and real file type of an uploaded file (multer memory storage)
 const validateImage = (file) => {
-  // Check file size (max 5MB)
-  if (file.size > 5 * 1024 * 1024) {
+  if (!file.buffer || file.buffer.length === 0) {
     return {
       isValid: false,
-      reason: 'Image size exceeds 5MB'
+      reason: 'Empty or corrupted image file'
     };
   }
-  
-  // Check file type
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-  if (!allowedTypes.includes(file.mimetype)) {
+
+  if (file.size > MAX_FILE_SIZE) {
     return {
       isValid: false,
-      reason: 'Invalid image format. Use JPG, PNG, or WebP'
+      reason: 'Image size must be less than 5MB'
     };
   }
-  
-  return { isValid: true };
+
+  const type = sniffImageType(file.buffer);
+  if (!type) {
+    return {
+      isValid: false,
+      reason: 'Only JPG, PNG, and WebP images are allowed'
+    };
+  }
+
+  return { isValid: true, type };
 };
 
-// Check if image dimensions are reasonable
+// Decode the image header and check its dimensions
 const checkImageDimensions = async (fileBuffer) => {
-  // This is a basic check - you'd need sharp package for real dimension checking
-  // For now, we'll just validate the buffer exists
-  if (!fileBuffer || fileBuffer.length === 0) {
+  let metadata;
+  try {
+    metadata = await sharp(fileBuffer, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch (error) {
     return {
       isValid: false,
       reason: 'Empty or corrupted image file'
     };
   }
-  
-  return { isValid: true };
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (!width || !height) {
+    return {
+      isValid: false,
+      reason: 'Empty or corrupted image file'
+    };
+  }
+
+  if (Math.min(width, height) < MIN_DIMENSION) {
+    return {
+      isValid: false,
+      reason: `Image is too small. Photos must be at least ${MIN_DIMENSION}px on each side`
+    };
+  }
+
+  if (Math.max(width, height) > MAX_DIMENSION || width * height > MAX_PIXELS) {
+    return {
+      isValid: false,
+      reason: `Image is too large. Photos can be at most ${MAX_DIMENSION}px on each side`
+    };
+  }
+
+  return { isValid: true, width, height };
+};
+
+// 64-bit difference hash (dHash) as 16 hex characters. Resized, recompressed
+// or slightly edited copies of a photo get the same or a very close hash.
+const perceptualHash = async (fileBuffer) => {
+  const pixels = await sharp(fileBuffer, { limitInputPixels: MAX_PIXELS })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Number of differing bits between two hashes from perceptualHash
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Re-encode a photo into every variant size as JPEG and WebP.
+// Returns { width, height, variants: { thumbnail: { jpeg, webp, width, height }, ... } }
+// with the buffers; width/height are those of the large variant.
+const processImage = async (fileBuffer) => {
+  // Apply the EXIF rotation before metadata is dropped
+  const base = sharp(fileBuffer, { limitInputPixels: MAX_PIXELS })
+    .rotate()
+    .flatten({ background: '#ffffff' });
+
+  const variants = {};
+
+  for (const [name, size] of Object.entries(VARIANT_SIZES)) {
+    const resized = base.clone().resize(size, size, { fit: 'inside', withoutEnlargement: true });
+
+    const { data: jpeg, info } = await resized.clone()
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    const webp = await resized.clone()
+      .webp({ quality: 75 })
+      .toBuffer();
+
+    variants[name] = { jpeg, webp, width: info.width, height: info.height };
+  }
+
+  return {
+    width: variants.large.width,
+    height: variants.large.height,
+    variants
+  };
 };
 
 module.exports = {
+  VARIANT_SIZES,
+  sniffImageType,
   validateImage,
-  checkImageDimensions
-};
\ No newline at end of file
+  checkImageDimensions,
+  perceptualHash,
+  hashDistance,
+  processImage
+};
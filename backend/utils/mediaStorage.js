@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('../config/cloudinary');
+
+// Pluggable media storage - chosen in .env
+//   MEDIA_STORAGE = cloudinary | local
+//   (default: cloudinary when CLOUDINARY_CLOUD_NAME is set, otherwise local)
+//
+// Every driver implements:
+//   upload(buffer, { folder, format, isPrivate }) -> { key, url }
+//   remove(key)
+//   signedUrl(key, expiresInSeconds) -> time-limited URL (works for private files)
+//   keyFromUrl(url) -> key of a file this driver stored, or null
+//
+// Keys are what the rest of the app keeps to find a file again; public
+// files are also reachable at their url without signing.
+
+// ========== LOCAL DRIVER (offline development and testing) ==========
+// Files are written under MEDIA_LOCAL_DIR and served by routes/mediaRoutes.js
+// at /media. Private files are only served with a valid signature.
+
+const LOCAL_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+const LOCAL_BASE_URL = (process.env.MEDIA_BASE_URL || `http://localhost:${process.env.PORT || 5000}`) + '/media';
+
+// Keys look like "public/rentnest/properties/1a2b3c.jpg"
+const LOCAL_KEY_PATTERN = /^(public|private)\/[a-z0-9/_-]+\.[a-z0-9]+$/i;
+
+const signingSecret = () => process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signature = (key, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex');
+
+// Absolute path of a stored file, or null if the key isn't one of ours
+const localPath = (key) => {
+  if (!LOCAL_KEY_PATTERN.test(key) || key.includes('..')) return null;
+  return path.join(LOCAL_DIR, key);
+};
+
+// Check a signed URL's query (expires, signature) for a key
+const verifySignature = (key, expires, givenSignature) => {
+  if (!expires || !givenSignature || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signature(key, expires));
+  const given = Buffer.from(String(givenSignature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const localDriver = {
+  name: 'local',
+
+  upload: async (buffer, { folder, format, isPrivate = false }) => {
+    const key = `${isPrivate ? 'private' : 'public'}/${folder}/${crypto.randomBytes(12).toString('hex')}.${format}`;
+    const filePath = localPath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, url: isPrivate ? null : `${LOCAL_BASE_URL}/${key}` };
+  },
+
+  remove: async (key) => {
+    const filePath = localPath(key);
+    if (!filePath) return;
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  signedUrl: (key, expiresInSeconds = 3600) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return `${LOCAL_BASE_URL}/${key}?expires=${expires}&signature=${signature(key, expires)}`;
+  },
+
+  keyFromUrl: (url) => {
+    if (!url || !url.startsWith(`${LOCAL_BASE_URL}/`)) return null;
+    const key = url.slice(LOCAL_BASE_URL.length + 1).split('?')[0];
+    return localPath(key) ? key : null;
+  }
+};
+
+// ========== CLOUDINARY DRIVER ==========
+
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  upload: (buffer, { folder, format, isPrivate = false }) => {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          format,
+          resource_type: 'image',
+          type: isPrivate ? 'private' : 'upload'
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({ key: result.public_id, url: isPrivate ? null : result.secure_url });
+        }
+      );
+      stream.end(buffer);
+    });
+  },
+
+  remove: async (key) => {
+    await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+  },
+
+  signedUrl: (key, expiresInSeconds = 3600) => {
+    return cloudinary.utils.private_download_url(key, '', {
+      resource_type: 'image',
+      expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+    });
+  },
+
+  // ".../image/upload/v123/rentnest/properties/abc.jpg" -> "rentnest/properties/abc"
+  keyFromUrl: (url) => {
+    const match = /res\.cloudinary\.com\/.+\/image\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i.exec(url || '');
+    return match ? match[1] : null;
+  }
+};
+
+const drivers = {
+  local: localDriver,
+  cloudinary: cloudinaryDriver
+};
+
+// Get the configured storage driver
+const getMediaStorage = () => {
+  const name = process.env.MEDIA_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown media storage: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  LOCAL_DIR,
+  getMediaStorage,
+  localPath,
+  verifySignature
+};
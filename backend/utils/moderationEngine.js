@@ -0,0 +1,207 @@
+const Filter = require('leo-profanity');
+const ModerationRule = require('../models/ModerationRule');
+const ModerationSettings = require('../models/ModerationSettings');
+const { DEFAULT_RULES } = require('../config/moderationRules');
+const { checkRentAnomaly } = require('./rentStats');
+
+// Scored content moderation. Every active rule (stored in the database and
+// edited by admins) adds its weight to a risk score when it fires, and the
+// total is compared with the thresholds in ModerationSettings:
+//   allow  - below holdScore
+//   hold   - hidden from tenants until an admin approves the listing
+//   reject - refused, with every rule that fired shown to the owner
+// A single weak signal ("urgent") no longer refuses a listing on its own.
+
+// Rules are cached briefly; admin edits clear the cache straight away
+const RULE_CACHE_MS = 60 * 1000;
+
+// Distinct matches counted per keyword or regex rule
+const MAX_HITS_PER_RULE = 3;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeSpaces = (text) => text.replace(/\s+/g, ' ').trim();
+
+// One regex for a keyword list. English and Banglish keywords must be whole
+// words ("prize" shouldn't match "prized"); Bangla words take suffixes, so
+// they match anywhere.
+const keywordRegex = (keywords) => {
+  const parts = keywords
+    .map((keyword) => normalizeSpaces(keyword || ''))
+    .filter(Boolean)
+    .map((keyword) => (/^[\x20-\x7e]+$/.test(keyword)
+      ? `(?<![\\p{L}\\p{N}])${escapeRegex(keyword)}(?![\\p{L}\\p{N}])`
+      : escapeRegex(keyword)));
+
+  return parts.length > 0 ? new RegExp(parts.join('|'), 'giu') : null;
+};
+
+// Prepare a stored rule for matching. Returns null for a rule that can't run.
+const compileRule = (rule) => {
+  const compiled = {
+    key: rule.key,
+    name: rule.name,
+    type: rule.type,
+    weight: rule.weight,
+    message: rule.message || rule.name,
+    threshold: rule.threshold
+  };
+
+  if (rule.type === 'keyword' || rule.type === 'profanity') {
+    compiled.regex = keywordRegex(rule.keywords || []);
+    if (rule.type === 'keyword' && !compiled.regex) return null;
+  }
+
+  if (rule.type === 'regex') {
+    try {
+      compiled.regex = new RegExp(rule.pattern, 'gi');
+    } catch (error) {
+      console.error(`Moderation rule ${rule.key} has an invalid pattern:`, error.message);
+      return null;
+    }
+  }
+
+  return compiled;
+};
+
+// Copy the default rules in the first time moderation runs
+const seedDefaultRules = async (settings) => {
+  try {
+    await ModerationRule.insertMany(DEFAULT_RULES, { ordered: false });
+  } catch (error) {
+    // Another server got there first
+    if (error.code !== 11000) throw error;
+  }
+
+  settings.rulesSeededAt = new Date();
+  await settings.save();
+};
+
+// Active rules and thresholds, cached
+const loadRules = async () => {
+  if (cache && Date.now() - cacheLoadedAt < RULE_CACHE_MS) {
+    return cache;
+  }
+
+  const settings = await ModerationSettings.getSettings();
+  if (!settings.rulesSeededAt) {
+    await seedDefaultRules(settings);
+  }
+
+  const rules = await ModerationRule.find({ isActive: true }).lean();
+
+  cache = {
+    rules: rules.map(compileRule).filter(Boolean),
+    holdScore: settings.holdScore,
+    rejectScore: settings.rejectScore
+  };
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+// Forget the cached rules (after an admin changes them)
+const invalidateRules = () => {
+  cache = null;
+};
+
+// Distinct matches of a global regex, lowercased
+const distinctMatches = (regex, text) => {
+  if (!regex) return [];
+  return [...new Set((text.match(regex) || []).map((match) => match.toLowerCase()))];
+};
+
+// What a rule finds in a piece of text: { matches, times } or null
+const matchText = (rule, text) => {
+  switch (rule.type) {
+    case 'keyword':
+    case 'regex': {
+      const matches = distinctMatches(rule.regex, text);
+      return matches.length > 0 ? { matches, times: Math.min(matches.length, MAX_HITS_PER_RULE) } : null;
+    }
+
+    case 'profanity': {
+      const matches = [...new Set([...Filter.badWordsUsed(text), ...distinctMatches(rule.regex, text)])];
+      return matches.length > 0 ? { matches, times: 1 } : null;
+    }
+
+    case 'punctuation': {
+      const exclamations = (text.match(/!/g) || []).length;
+      const questions = (text.match(/\?/g) || []).length;
+      return Math.max(exclamations, questions) > rule.threshold ? { matches: [], times: 1 } : null;
+    }
+
+    case 'caps': {
+      const words = text.match(/\b[A-Z]{4,}\b/g) || [];
+      return words.length > rule.threshold ? { matches: words.slice(0, 5), times: 1 } : null;
+    }
+
+    case 'url_count': {
+      const urls = text.match(/(?:https?:\/\/)?(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/g) || [];
+      return urls.length > rule.threshold ? { matches: urls.slice(0, 5), times: 1 } : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Rent far outside similar listings (see utils/rentStats.js): { matches } or null
+const matchPrice = async (rule, listing) => {
+  const anomaly = await checkRentAnomaly(listing, rule.threshold);
+  if (!anomaly) return null;
+
+  const { amount, stats } = anomaly;
+  const where = stats.level === 'area' ? 'in the area' : 'in the district';
+  return {
+    matches: [`৳${amount.toLocaleString()} vs. ৳${stats.median.toLocaleString()} typical ${where}`],
+    times: 1
+  };
+};
+
+const toHit = (rule, field, { matches, times }) => ({
+  field,
+  rule: rule.key,
+  name: rule.name,
+  match: matches.join(', '),
+  weight: rule.weight * times,
+  reason: matches.length > 0 ? `${rule.message} (${matches.join(', ')})` : rule.message
+});
+
+const decide = (score, { holdScore, rejectScore }) => {
+  if (score > 0 && score >= rejectScore) return 'reject';
+  if (score > 0 && score >= holdScore) return 'hold';
+  return 'allow';
+};
+
+// Score some texts ([[field, text], ...]) and, given a listing with rent,
+// location, propertyType and features, its price.
+// Returns { score, decision, hits: [{ field, rule, name, match, weight, reason }] }
+const evaluateContent = async ({ texts = [], listing = null } = {}) => {
+  const { rules, ...thresholds } = await loadRules();
+  const hits = [];
+
+  for (const [field, value] of texts) {
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const text = normalizeSpaces(value);
+
+    for (const rule of rules) {
+      const found = matchText(rule, text);
+      if (found) hits.push(toHit(rule, field, found));
+    }
+  }
+
+  if (listing) {
+    for (const rule of rules.filter((r) => r.type === 'price_outlier')) {
+      const found = await matchPrice(rule, listing);
+      if (found) hits.push(toHit(rule, 'rent.amount', found));
+    }
+  }
+
+  const score = hits.reduce((total, hit) => total + hit.weight, 0);
+  return { score, decision: decide(score, thresholds), hits };
+};
+
+module.exports = { evaluateContent, invalidateRules };
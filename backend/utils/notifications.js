@@ -0,0 +1,104 @@
+const Notification = require('../models/Notification');
+const SavedProperty = require('../models/SavedProperty');
+const { EVENTS, publish, subscribe } = require('./events');
+const { isPubliclyVisible } = require('./propertyFilters');
+
+// Create the same notification for several users
+const notifyUsers = async (userIds, { type, title, message = '', link = null, property = null }) => {
+  if (userIds.length === 0) return [];
+
+  const notifications = await Notification.insertMany(
+    userIds.map((user) => ({ user, type, title, message, link, property }))
+  );
+
+  notifications.forEach((notification) => publish(EVENTS.NOTIFICATION_CREATED, notification));
+  return notifications;
+};
+
+// Tenants who saved a listing, minus whoever made the change
+const saversOf = async (propertyId, exceptUserId = null) => {
+  const users = await SavedProperty.distinct('user', { property: propertyId });
+  return users.filter((user) => !exceptUserId || user.toString() !== exceptUserId.toString());
+};
+
+const listingLink = (property) => `/properties/${property._id}`;
+
+// What owners are told after a moderation decision
+const moderationMessages = {
+  approved: (property) => ({
+    title: 'Your listing was approved',
+    message: `"${property.title}" has been reviewed and is now marked as verified.`
+  }),
+  rejected: (property, reason) => ({
+    title: 'Your listing was rejected',
+    message: `"${property.title}" was rejected${reason ? `: ${reason}` : ''}. Edit the listing to send it for review again.`
+  }),
+  hidden: (property) => ({
+    title: 'Your listing is hidden pending review',
+    message: `"${property.title}" received several reports and is hidden from search until a moderator reviews it.`
+  }),
+  restored: (property) => ({
+    title: 'Your listing is visible again',
+    message: `Reports on "${property.title}" were dismissed and it is back in search results.`
+  })
+};
+
+// Subscribe to the events that produce notifications (called once at startup)
+const registerNotificationHandlers = () => {
+  subscribe(EVENTS.PROPERTY_UPDATED, async ({ property, actorId }) => {
+    // Savers could not open a held or hidden listing, so they hear nothing
+    // until it is back
+    if (!isPubliclyVisible(property)) return;
+
+    await notifyUsers(await saversOf(property._id, actorId), {
+      type: 'listing_updated',
+      title: 'A saved listing was updated',
+      message: `"${property.title}" has new details.`,
+      link: listingLink(property),
+      property: property._id
+    });
+  });
+
+  subscribe(EVENTS.PROPERTY_AVAILABILITY_CHANGED, async ({ property, actorId }) => {
+    await notifyUsers(await saversOf(property._id, actorId), {
+      type: 'listing_availability',
+      title: property.isAvailable ? 'A saved listing is available again' : 'A saved listing is no longer available',
+      message: `"${property.title}" is now ${property.isAvailable ? 'available' : 'unavailable'}.`,
+      link: listingLink(property),
+      property: property._id
+    });
+  });
+
+  // Savers are passed in because saved entries are deleted with the listing
+  subscribe(EVENTS.PROPERTY_DELETED, async ({ property, savedBy }) => {
+    await notifyUsers(savedBy, {
+      type: 'listing_removed',
+      title: 'A saved listing was removed',
+      message: `"${property.title}" was removed by its owner.`
+    });
+  });
+
+  subscribe(EVENTS.PROPERTY_MODERATED, async ({ property, action, reason }) => {
+    const content = moderationMessages[action](property, reason);
+    await notifyUsers([property.owner], {
+      type: 'listing_moderated',
+      ...content,
+      link: listingLink(property),
+      property: property._id
+    });
+  });
+
+  subscribe(EVENTS.SAVED_SEARCH_MATCHED, async ({ userId, searchName, properties }) => {
+    await notifyUsers([userId], {
+      type: 'search_match',
+      title: properties.length === 1
+        ? `New listing for "${searchName}"`
+        : `${properties.length} new listings for "${searchName}"`,
+      message: properties.map((property) => property.title).join(', '),
+      link: properties.length === 1 ? listingLink(properties[0]) : '/saved-searches',
+      property: properties.length === 1 ? properties[0]._id : null
+    });
+  });
+};
+
+module.exports = { notifyUsers, registerNotificationHandlers };
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Pluggable notifier - sends emails and SMS through the transport chosen in .env
+//   EMAIL_TRANSPORT = smtp | console | file   (default: console)
+//   SMS_TRANSPORT   = gateway | console | file (default: console)
+// "console" and "file" are stand-ins for local development. With
+// NODE_ENV=production they are refused: sending throws instead of codes and
+// alerts silently never reaching anyone.
+
+const LOG_FILE = process.env.NOTIFIER_LOG_FILE || path.join(__dirname, '..', 'logs', 'notifications.log');
+
+// ========== STAND-IN TRANSPORTS ==========
+
+const consoleTransport = async (channel, to, subject, text) => {
+  console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+};
+
+const fileTransport = async (channel, to, subject, text) => {
+  const entry = JSON.stringify({
+    channel,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  });
+
+  await fs.promises.mkdir(path.dirname(LOG_FILE), { recursive: true });
+  await fs.promises.appendFile(LOG_FILE, entry + '\n');
+};
+
+// ========== LIVE TRANSPORTS ==========
+
+let mailer;
+const smtpTransport = async (channel, to, subject, text) => {
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+
+  await mailer.sendMail({
+    from: process.env.EMAIL_FROM || 'Rentnest <no-reply@rentnesto.xyz>',
+    to,
+    subject,
+    text
+  });
+};
+
+// Generic HTTP SMS gateway (most Bangladeshi providers accept this shape)
+const gatewayTransport = async (channel, to, subject, text) => {
+  await axios.post(process.env.SMS_GATEWAY_URL, {
+    api_key: process.env.SMS_API_KEY,
+    senderid: process.env.SMS_SENDER_ID,
+    number: to,
+    message: text
+  });
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+  gateway: gatewayTransport
+};
+
+const standIns = [consoleTransport, fileTransport];
+
+// Get the transport for a channel. Throws if it is unknown, or a stand-in
+// in production.
+const getTransport = (setting, name) => {
+  const transport = transports[name || 'console'];
+  if (!transport) {
+    throw new Error(`Unknown notifier transport: ${name}`);
+  }
+
+  if (standIns.includes(transport) && process.env.NODE_ENV === 'production') {
+    throw new Error(`${setting} must be set to a live transport in production`);
+  }
+
+  return transport;
+};
+
+// Send an email
+const sendEmail = async (to, subject, text) => {
+  const transport = getTransport('EMAIL_TRANSPORT', process.env.EMAIL_TRANSPORT);
+  await transport('email', to, subject, text);
+};
+
+// Send an SMS
+const sendSms = async (to, text) => {
+  const transport = getTransport('SMS_TRANSPORT', process.env.SMS_TRANSPORT);
+  await transport('sms', to, null, text);
+};
+
+// Send to a user's email if they have one, otherwise to their mobile
+const notifyUser = async (user, subject, text) => {
+  if (user.email) {
+    await sendEmail(user.email, subject, text);
+  } else if (user.mobile) {
+    await sendSms(user.mobile, text);
+  }
+};
+
+module.exports = {
+  sendEmail,
+  sendSms,
+  notifyUser
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Pluggable payment provider - chosen in .env
+//   PAYMENT_PROVIDER = fake (development and testing only)
+//
+// There is no default: without a provider (or with the fake one when
+// NODE_ENV=production) getPaymentProvider throws, so nothing is ever charged
+// and a missing setting can never hand out premium for free. The
+// subscription routes answer 503 meanwhile; the rest of the API is unaffected.
+//
+// Every provider implements:
+//   createCheckout({ userId, amount, currency, description, returnUrl })
+//     -> { paymentToken } for checkouts finished on our page, or
+//        { redirectUrl } for hosted pages that send the buyer back to
+//        returnUrl with ?paymentToken=...
+//   charge({ userId, amount, currency, description, paymentToken, customerRef })
+//     -> { success, transactionId, customerRef, message }
+//   refund(transactionId) -> { success, message }
+//
+// paymentToken comes from the checkout; customerRef is what the provider
+// gives back to charge the same customer again (auto-renewal).
+
+// ========== FAKE PROVIDER (local development and testing) ==========
+// Checkouts complete at once and hand back a one-time token for that user
+// and amount. Any other token is declined.
+
+// How long a fake checkout token can be used
+const FAKE_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const fakeCheckouts = new Map();
+
+const fakeProvider = {
+  name: 'fake',
+
+  createCheckout: async ({ userId, amount }) => {
+    const paymentToken = `fake_tok_${crypto.randomBytes(12).toString('hex')}`;
+    fakeCheckouts.set(paymentToken, { userId, amount, expiresAt: Date.now() + FAKE_TOKEN_TTL_MS });
+    return { paymentToken };
+  },
+
+  charge: async ({ userId, amount, paymentToken, customerRef }) => {
+    if (paymentToken) {
+      const checkout = fakeCheckouts.get(paymentToken);
+      fakeCheckouts.delete(paymentToken);
+
+      if (!checkout || checkout.expiresAt < Date.now() ||
+          checkout.userId !== userId || checkout.amount !== amount) {
+        return { success: false, message: 'Payment declined by test provider' };
+      }
+    } else if (!customerRef || !customerRef.startsWith('fake_cus_')) {
+      return { success: false, message: 'Payment declined by test provider' };
+    }
+
+    return {
+      success: true,
+      transactionId: `fake_txn_${crypto.randomBytes(8).toString('hex')}`,
+      customerRef: customerRef || `fake_cus_${crypto.randomBytes(6).toString('hex')}`,
+      message: `Charged ${amount} (test mode)`
+    };
+  },
+
+  refund: async (transactionId) => {
+    return { success: true, message: `Refunded ${transactionId} (test mode)` };
+  }
+};
+
+const providers = {
+  fake: fakeProvider
+};
+
+// Get the configured payment provider. Throws if it is missing, unknown,
+// or the fake provider in production.
+const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  if (provider === fakeProvider && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  return provider;
+};
+
+module.exports = { getPaymentProvider };
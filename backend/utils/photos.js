@@ -0,0 +1,185 @@
+const Property = require('../models/Property');
+const { getMediaStorage } = require('./mediaStorage');
+const {
+  validateImage,
+  checkImageDimensions,
+  perceptualHash,
+  hashDistance,
+  processImage
+} = require('./imageChecker');
+
+// Listing photo helpers shared by property creation and the photo endpoints
+
+// Most photos a listing can have
+const MAX_PHOTOS = 5;
+
+const PHOTO_FOLDER = 'rentnest/properties';
+
+// Photos whose hashes differ in at most this many bits count as the same
+// picture (recompressed or resized copies differ by a few bits). Hashes are
+// indexed in 8 bands of 8 bits; by the pigeonhole principle two hashes this
+// close always share at least one band.
+const REUSE_MAX_DISTANCE = 6;
+const HASH_BANDS = 8;
+
+// Plain images (a blank wall, a solid colour) hash to almost all 0s or 1s
+// and would match each other, so they are left out of reuse checks
+const MIN_HASH_BITS = 8;
+
+const isDistinctiveHash = (hash) => {
+  const bits = hashDistance(hash, '0'.repeat(hash.length));
+  return bits >= MIN_HASH_BITS && bits <= hash.length * 4 - MIN_HASH_BITS;
+};
+
+// Check an uploaded file before sending it anywhere. Returns an error message or null.
+const checkPhotoFile = async (file) => {
+  const typeCheck = validateImage(file);
+  if (!typeCheck.isValid) {
+    return typeCheck.reason;
+  }
+
+  const dimensionCheck = await checkImageDimensions(file.buffer);
+  if (!dimensionCheck.isValid) {
+    return dimensionCheck.reason;
+  }
+
+  return null;
+};
+
+// Perceptual hash of an image plus its index bands ("0:ab", "1:cd", ...)
+const hashPhoto = async (buffer) => {
+  const hash = await perceptualHash(buffer);
+  const bandLength = hash.length / HASH_BANDS;
+  const hashBands = Array.from({ length: HASH_BANDS }, (_, i) =>
+    `${i}:${hash.slice(i * bandLength, (i + 1) * bandLength)}`
+  );
+  return { hash, hashBands };
+};
+
+// Process one checked file (multer memory storage) into JPEG and WebP
+// variants, store them and return the listing photo
+const uploadPhoto = async (file, caption = '') => {
+  const [processed, { hash, hashBands }] = await Promise.all([
+    processImage(file.buffer),
+    hashPhoto(file.buffer)
+  ]);
+
+  const storage = getMediaStorage();
+  const variants = {};
+  const assetIds = [];
+
+  try {
+    for (const [name, variant] of Object.entries(processed.variants)) {
+      const jpeg = await storage.upload(variant.jpeg, { folder: PHOTO_FOLDER, format: 'jpg' });
+      assetIds.push(jpeg.key);
+      const webp = await storage.upload(variant.webp, { folder: PHOTO_FOLDER, format: 'webp' });
+      assetIds.push(webp.key);
+
+      variants[name] = { url: jpeg.url, webpUrl: webp.url };
+    }
+  } catch (error) {
+    // Don't leave half a photo behind
+    await deletePhotoAsset({ assetIds });
+    throw error;
+  }
+
+  return {
+    url: variants.large.url,
+    caption,
+    width: processed.width,
+    height: processed.height,
+    variants,
+    assetIds,
+    hash,
+    hashBands
+  };
+};
+
+// Storage keys of a photo. Photos from before variants were stored have a
+// single key, or only a URL; image URLs from other sites have none.
+const photoAssetIds = (photo, storage) => {
+  if (photo.assetIds && photo.assetIds.length > 0) return photo.assetIds;
+  if (photo.publicId) return [photo.publicId];
+
+  const key = storage.keyFromUrl(photo.url);
+  return key && key.includes(`${PHOTO_FOLDER}/`) ? [key] : [];
+};
+
+// Delete the stored images of a photo. Failures are logged, never thrown -
+// a leftover file should not stop the listing from changing.
+const deletePhotoAsset = async (photo) => {
+  const storage = getMediaStorage();
+
+  for (const key of photoAssetIds(photo, storage)) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to delete image ${key}:`, error);
+    }
+  }
+};
+
+// Index bands of a listing's photos that are worth matching on
+const photoBands = (photos = []) =>
+  photos.filter((photo) => photo.hash && isDistinctiveHash(photo.hash)).flatMap((photo) => photo.hashBands);
+
+// How many of photos also appear (as near-identical pictures) in otherPhotos
+const countSharedPhotos = (photos = [], otherPhotos = []) =>
+  photos
+    .filter((photo) => photo.hash && isDistinctiveHash(photo.hash))
+    .filter((photo) => otherPhotos.some((other) =>
+      other.hash && hashDistance(photo.hash, other.hash) <= REUSE_MAX_DISTANCE
+    ))
+    .length;
+
+// Listings of other owners that use the same pictures as this one.
+// Returns [{ photoId, listings: [{ _id, title, owner }] }] for reused photos only.
+const findReusedPhotos = async (property) => {
+  const hashed = property.photos.filter((photo) => photo.hash && isDistinctiveHash(photo.hash));
+  if (hashed.length === 0) return [];
+
+  const candidates = await Property.find({
+    _id: { $ne: property._id },
+    owner: { $ne: property.owner },
+    'photos.hashBands': { $in: hashed.flatMap((photo) => photo.hashBands) }
+  })
+    .select('title owner photos.hash')
+    .lean();
+
+  return hashed
+    .map((photo) => ({
+      photoId: photo._id,
+      listings: candidates
+        .filter((candidate) => candidate.photos.some((other) =>
+          other.hash && hashDistance(photo.hash, other.hash) <= REUSE_MAX_DISTANCE
+        ))
+        .map(({ _id, title, owner }) => ({ _id, title, owner }))
+    }))
+    .filter((match) => match.listings.length > 0);
+};
+
+// Recount a listing's photos that also appear in other owners' listings
+// (a common scam sign, shown to moderators). Never throws.
+const updatePhotoReuse = async (property) => {
+  try {
+    const reused = await findReusedPhotos(property);
+    if (reused.length !== (property.reusedPhotoCount || 0)) {
+      property.reusedPhotoCount = reused.length;
+      await Property.updateOne({ _id: property._id }, { reusedPhotoCount: reused.length });
+    }
+  } catch (error) {
+    console.error(`Photo reuse check error for property ${property._id}:`, error);
+  }
+};
+
+module.exports = {
+  MAX_PHOTOS,
+  checkPhotoFile,
+  uploadPhoto,
+  deletePhotoAsset,
+  hashPhoto,
+  findReusedPhotos,
+  updatePhotoReuse,
+  photoBands,
+  countSharedPhotos
+};
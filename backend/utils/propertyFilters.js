@@ -0,0 +1,228 @@
+const { findDivision, findDistrict, findArea } = require('./gazetteer');
+const { toTextQuery } = require('./textSearch');
+const { sanitizeString } = require('./sanitize');
+const { EARLY_ACCESS_HOURS } = require('../config/plans');
+
+// Listing filters shared by GET /api/properties and saved searches
+
+// Listings anyone may see (rejected and hidden listings are left out)
+const PUBLIC_LISTING_FILTER = {
+  isAvailable: true,
+  verificationStatus: { $ne: 'rejected' },
+  isHiddenByReports: { $ne: true },
+  isHeldForReview: { $ne: true },
+  isHiddenByDeactivation: { $ne: true }
+};
+
+// PUBLIC_LISTING_FILTER for a loaded listing
+const isPubliclyVisible = (property) =>
+  property.isAvailable &&
+  property.verificationStatus !== 'rejected' &&
+  !property.isHiddenByReports &&
+  !property.isHeldForReview &&
+  !property.isHiddenByDeactivation;
+
+// Early access: free tenants and guests only see listings once they are
+// older than EARLY_ACCESS_HOURS. Owners and admins see everything.
+const earlyAccessFilter = (user) => {
+  const hasEarlyAccess = user && (user.accountType !== 'tenant' || user.isPremium());
+  if (hasEarlyAccess) return {};
+  return { createdAt: { $lte: new Date(Date.now() - EARLY_ACCESS_HOURS * 60 * 60 * 1000) } };
+};
+
+// Listings a user may open: the public ones they have early access to,
+// their own in any state, and every listing for admins. With
+// includeUnavailable, public listings that are rented out count too.
+const visibleListingFilter = (user, { includeUnavailable = false } = {}) => {
+  if (user?.accountType === 'admin') return {};
+
+  const { isAvailable, ...listed } = PUBLIC_LISTING_FILTER;
+  const visible = { ...listed, ...earlyAccessFilter(user) };
+  if (!includeUnavailable) visible.isAvailable = isAvailable;
+  return { $or: user ? [{ owner: user._id }, visible] : [visible] };
+};
+
+// Query parameters that make up a listing filter
+const FILTER_KEYS = [
+  'search',
+  'propertyType',
+  'division',
+  'district',
+  'area',
+  'minRent',
+  'maxRent',
+  'rentPeriod',
+  'bedrooms',
+  'minBedrooms',
+  'maxBedrooms',
+  'minBathrooms',
+  'maxBathrooms',
+  'furnished',
+  'amenities',
+  'petsAllowed',
+  'smokingAllowed',
+  'utilitiesIncluded',
+  'maxDeposit'
+];
+
+// Optional numeric query parameter - null when missing or not a number
+const numberParam = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// "min"/"max" query parameters as a MongoDB range, or null
+const rangeFilter = (min, max) => {
+  const range = {};
+  if (numberParam(min) !== null) range.$gte = numberParam(min);
+  if (numberParam(max) !== null) range.$lte = numberParam(max);
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Build a MongoDB filter from listing query parameters.
+// Returns { filter, textQuery } or { error }.
+const buildListingFilter = (query = {}) => {
+  const {
+    propertyType,
+    division,
+    district,
+    area,
+    minRent,
+    maxRent,
+    rentPeriod,
+    bedrooms,
+    minBedrooms,
+    maxBedrooms,
+    minBathrooms,
+    maxBathrooms,
+    furnished,
+    amenities,
+    petsAllowed,
+    smokingAllowed,
+    utilitiesIncluded,
+    maxDeposit,
+    search
+  } = query;
+
+  const filter = {};
+
+  if (propertyType) {
+    filter.propertyType = propertyType;
+  }
+
+  // Location filters accept gazetteer IDs or names (English or Bangla)
+  const foundDivision = division && findDivision(division);
+  const foundDistrict = district && findDistrict(district);
+
+  if (division && !foundDivision) {
+    return { error: 'Unknown division' };
+  }
+
+  if (district && !foundDistrict) {
+    return { error: 'Unknown district' };
+  }
+
+  if (foundDivision) {
+    filter['location.divisionId'] = foundDivision.id;
+  }
+
+  if (foundDistrict) {
+    filter['location.districtId'] = foundDistrict.id;
+  }
+
+  if (area) {
+    // Area names repeat across districts, so IDs need the district
+    const foundArea = foundDistrict && findArea(foundDistrict, area);
+    if (foundArea) {
+      filter['location.areaId'] = foundArea.id;
+    } else {
+      const safeArea = sanitizeString(area);
+      filter['location.area'] = new RegExp(`^${safeArea}$`, 'i');
+    }
+  }
+
+  const rentRange = rangeFilter(minRent, maxRent);
+  if (rentRange) {
+    filter['rent.amount'] = rentRange;
+  }
+
+  if (rentPeriod) {
+    filter['rent.period'] = rentPeriod;
+  }
+
+  // bedrooms=N is an exact match and bedrooms=N+ means "N or more";
+  // minBedrooms/maxBedrooms give a range
+  const bedroomsOrMore = bedrooms && String(bedrooms).endsWith('+');
+  if (!bedroomsOrMore && numberParam(bedrooms) !== null) {
+    filter['features.bedrooms'] = numberParam(bedrooms);
+  }
+
+  const bedroomRange = rangeFilter(
+    minBedrooms || (bedroomsOrMore ? String(bedrooms).slice(0, -1) : undefined),
+    maxBedrooms
+  );
+  if (bedroomRange) {
+    filter['features.bedrooms'] = bedroomRange;
+  }
+
+  const bathroomRange = rangeFilter(minBathrooms, maxBathrooms);
+  if (bathroomRange) {
+    filter['features.bathrooms'] = bathroomRange;
+  }
+
+  if (furnished) {
+    filter['features.furnished'] = furnished;
+  }
+
+  // Must have every listed amenity (comma separated, case-insensitive)
+  if (amenities) {
+    const wanted = String(amenities).split(',').map(a => a.trim()).filter(Boolean);
+    if (wanted.length > 0) {
+      filter.amenities = { $all: wanted.map(a => new RegExp(`^${sanitizeString(a)}$`, 'i')) };
+    }
+  }
+
+  // House rules from the listing terms
+  [['petsAllowed', petsAllowed], ['smokingAllowed', smokingAllowed], ['utilitiesIncluded', utilitiesIncluded]]
+    .forEach(([field, value]) => {
+      if (value === 'true' || value === 'false') {
+        filter[`terms.${field}`] = value === 'true';
+      }
+    });
+
+  // Listings without a deposit count as zero
+  if (numberParam(maxDeposit) !== null) {
+    filter['terms.securityDeposit'] = { $not: { $gt: numberParam(maxDeposit) } };
+  }
+
+  // Full-text search (title > area > description), Bangla or English
+  const textQuery = search ? toTextQuery(search) : null;
+  if (textQuery) {
+    filter.$text = { $search: textQuery };
+  }
+
+  return { filter, textQuery };
+};
+
+// Just the filter keys of a query, as strings, without empty values
+const pickFilters = (query = {}) => {
+  const filters = {};
+  FILTER_KEYS.forEach((key) => {
+    const value = query[key];
+    if (value !== undefined && value !== null && value !== '') {
+      filters[key] = String(value);
+    }
+  });
+  return filters;
+};
+
+module.exports = {
+  PUBLIC_LISTING_FILTER,
+  isPubliclyVisible,
+  FILTER_KEYS,
+  earlyAccessFilter,
+  visibleListingFilter,
+  buildListingFilter,
+  pickFilters
+};
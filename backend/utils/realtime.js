@@ -0,0 +1,106 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { EVENTS, subscribe } = require('./events');
+
+// Socket.IO layer that pushes event bus events to browsers.
+// Every logged-in socket joins its user's room; any socket (guests too) can
+// watch a listing. Payloads carry ids and flags only - clients re-fetch
+// through the API, which applies contact visibility and early access.
+
+const userRoom = (userId) => `user:${userId}`;
+const propertyRoom = (propertyId) => `property:${propertyId}`;
+
+let io = null;
+
+// Same checks as the protect middleware. Sockets without a token connect as
+// guests; a bad or revoked token is refused so the client can refresh it.
+const authenticate = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user || !user.isActive || user.isTokenRevoked(decoded.iat)) {
+      return next(new Error('Session expired, please log in again'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+const handleConnection = (socket) => {
+  if (socket.user) {
+    socket.join(userRoom(socket.user._id));
+  }
+
+  socket.on('property:watch', (propertyId) => {
+    if (typeof propertyId === 'string' && /^[a-f0-9]{24}$/i.test(propertyId)) {
+      socket.join(propertyRoom(propertyId));
+    }
+  });
+
+  socket.on('property:unwatch', (propertyId) => {
+    if (typeof propertyId === 'string') {
+      socket.leave(propertyRoom(propertyId));
+    }
+  });
+};
+
+// Send a listing event to everyone watching it and to its owner
+const emitPropertyEvent = (event, property, data = {}) => {
+  io.to(propertyRoom(property._id))
+    .to(userRoom(property.owner))
+    .emit(event, { propertyId: property._id.toString(), ...data });
+};
+
+const registerRealtimeHandlers = () => {
+  subscribe(EVENTS.PROPERTY_AVAILABILITY_CHANGED, ({ property }) => {
+    emitPropertyEvent('property:availability', property, { isAvailable: property.isAvailable });
+  });
+
+  subscribe(EVENTS.PROPERTY_UPDATED, ({ property }) => {
+    emitPropertyEvent('property:updated', property);
+  });
+
+  subscribe(EVENTS.PROPERTY_DELETED, ({ property }) => {
+    emitPropertyEvent('property:deleted', property);
+  });
+
+  subscribe(EVENTS.PROPERTY_MODERATED, ({ property, action }) => {
+    emitPropertyEvent('property:moderated', property, { action });
+  });
+
+  subscribe(EVENTS.MESSAGE_CREATED, ({ conversation, message }) => {
+    io.to(userRoom(conversation.tenant))
+      .to(userRoom(conversation.owner))
+      .emit('message:new', { conversationId: conversation._id.toString(), message });
+  });
+
+  subscribe(EVENTS.NOTIFICATION_CREATED, (notification) => {
+    io.to(userRoom(notification.user)).emit('notification:new', { notification });
+  });
+};
+
+// Attach Socket.IO to the HTTP server (called once at startup)
+const initRealtime = (server, { origins }) => {
+  io = new Server(server, {
+    cors: {
+      origin: origins,
+      credentials: true
+    }
+  });
+
+  io.use(authenticate);
+  io.on('connection', handleConnection);
+  registerRealtimeHandlers();
+
+  return io;
+};
+
+module.exports = { initRealtime };
@@ -0,0 +1,119 @@
+const Property = require('../models/Property');
+
+// Rent statistics from existing listings, grouped by place (area, falling
+// back to the district), property type, bedrooms and rent period. Used to
+// flag rents far from the local market (the price-outlier moderation rule)
+// and to show owners typical rents while they fill in a listing.
+
+// Statistics are cached briefly - they move slowly and the listing form asks often
+const STATS_CACHE_MS = 10 * 60 * 1000;
+
+// Fewest listings needed before a group is trusted
+const MIN_SAMPLE = 5;
+
+// Most recent listings a group is built from
+const MAX_SAMPLE = 500;
+
+// Bedroom counts from here up are grouped together ("4+")
+const BEDROOM_CAP = 4;
+
+// Listings that count as market data (rented ones included, since their
+// rent was real; rejected and moderated ones left out)
+const STATS_FILTER = {
+  verificationStatus: { $ne: 'rejected' },
+  isHeldForReview: { $ne: true },
+  isHiddenByReports: { $ne: true }
+};
+
+const cache = new Map();
+
+// Value at quantile q of a sorted list (linear interpolation)
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const bedroomFilter = (bedrooms) => (bedrooms >= BEDROOM_CAP ? { $gte: BEDROOM_CAP } : bedrooms);
+
+// Statistics for one group, or null if it has too few listings
+const groupStats = async (match) => {
+  const key = JSON.stringify(match);
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.loadedAt < STATS_CACHE_MS) {
+    return cached.stats;
+  }
+
+  const [group] = await Property.aggregate([
+    { $match: { ...STATS_FILTER, ...match } },
+    { $sort: { createdAt: -1 } },
+    { $limit: MAX_SAMPLE },
+    { $group: { _id: null, amounts: { $push: '$rent.amount' } } }
+  ]);
+
+  const amounts = (group?.amounts || []).filter((amount) => amount > 0).sort((a, b) => a - b);
+  const stats = amounts.length < MIN_SAMPLE
+    ? null
+    : {
+      median: Math.round(quantile(amounts, 0.5)),
+      p25: Math.round(quantile(amounts, 0.25)),
+      p75: Math.round(quantile(amounts, 0.75)),
+      count: amounts.length
+    };
+
+  cache.set(key, { stats, loadedAt: Date.now() });
+  return stats;
+};
+
+// Typical rent for listings like the one described, from the narrowest
+// group with enough listings: area with the same bedrooms, area, district
+// with the same bedrooms, then district.
+// Returns { median, p25, p75, count, level: 'area' | 'district', bedrooms } or null.
+const getRentStats = async ({ districtId, areaId, propertyType, bedrooms, period = 'monthly' }) => {
+  if (!propertyType || (!districtId && !areaId)) return null;
+
+  const hasBedrooms = Number.isInteger(bedrooms) && bedrooms >= 0;
+  const base = { propertyType, 'rent.period': period };
+
+  const groups = [];
+  for (const [level, place] of [['area', areaId], ['district', districtId]]) {
+    if (!place) continue;
+    const match = { ...base, [`location.${level}Id`]: place };
+    if (hasBedrooms) {
+      groups.push({ level, bedrooms, match: { ...match, 'features.bedrooms': bedroomFilter(bedrooms) } });
+    }
+    groups.push({ level, bedrooms: null, match });
+  }
+
+  for (const { level, bedrooms: groupBedrooms, match } of groups) {
+    const stats = await groupStats(match);
+    if (stats) {
+      return { ...stats, level, bedrooms: groupBedrooms };
+    }
+  }
+  return null;
+};
+
+// Compare a listing's rent with similar listings. ratio is how far off it
+// may be: below median x ratio or above median / ratio is an outlier.
+// Returns { direction: 'low' | 'high', amount, stats } or null.
+const checkRentAnomaly = async (listing, ratio) => {
+  const amount = listing.rent?.amount;
+  if (!amount || !listing.location) return null;
+
+  const stats = await getRentStats({
+    districtId: listing.location.districtId,
+    areaId: listing.location.areaId,
+    propertyType: listing.propertyType,
+    bedrooms: listing.features?.bedrooms,
+    period: listing.rent.period || 'monthly'
+  });
+  if (!stats) return null;
+
+  if (amount < stats.median * ratio) return { direction: 'low', amount, stats };
+  if (amount > stats.median / ratio) return { direction: 'high', amount, stats };
+  return null;
+};
+
+module.exports = { getRentStats, checkRentAnomaly };
@@ -0,0 +1,185 @@
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const { EARLY_ACCESS_HOURS } = require('../config/plans');
+const { PUBLIC_LISTING_FILTER, isPubliclyVisible, buildListingFilter } = require('./propertyFilters');
+const { notifyUser } = require('./notifier');
+const { EVENTS, publish } = require('./events');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Pending matches on listings still hidden this long after matching are dropped
+const MATCH_EXPIRY_DAYS = 7;
+
+const CLIENT_URL = process.env.CLIENT_URL || 'https://rentnesto.xyz';
+
+// One line per listing in alert messages
+const describeListing = (property) =>
+  `${property.title} - ৳${property.rent.amount.toLocaleString()}/${property.rent.period} ` +
+  `in ${property.location.area}, ${property.location.district}\n${CLIENT_URL}/properties/${property._id}`;
+
+// Free tenants only hear about a listing once it is out of early access
+const isOutOfEarlyAccess = (property, now) =>
+  property.createdAt.getTime() <= now.getTime() - EARLY_ACCESS_HOURS * HOUR_MS;
+
+// Whether a tenant may see a matched listing yet (populated property)
+const canSeeMatch = (property, user, now = new Date()) =>
+  !!property &&
+  isPubliclyVisible(property) &&
+  (user.isPremium() || isOutOfEarlyAccess(property, now));
+
+// Alert tenants whose matches are due. Instant searches go out as soon as
+// a match is visible to the tenant; daily searches at most once a day.
+// Pass searchIds to only look at some searches (right after matching).
+const sendDueAlerts = async ({ searchIds } = {}) => {
+  const now = new Date();
+  const query = { isActive: true, matches: { $elemMatch: { notifiedAt: null } } };
+  if (searchIds) {
+    query._id = { $in: searchIds };
+  }
+
+  const searches = await SavedSearch.find(query)
+    .populate('user', 'fullName email mobile subscription isActive')
+    .populate('matches.property', 'title rent location createdAt isAvailable verificationStatus isHiddenByReports isHeldForReview isHiddenByDeactivation');
+
+  let sent = 0;
+
+  for (const search of searches) {
+    try {
+      if (!search.user || !search.user.isActive) continue;
+
+      if (search.frequency === 'daily' && search.lastDigestAt &&
+          now.getTime() - search.lastDigestAt.getTime() < DAY_MS) {
+        continue;
+      }
+
+      const pending = search.matches.filter((match) => !match.notifiedAt);
+
+      // Listings deleted since they matched will never be sent
+      pending
+        .filter((match) => !match.property)
+        .forEach((match) => { match.notifiedAt = now; });
+
+      // Nor will rejected ones, or ones still hidden after MATCH_EXPIRY_DAYS.
+      // They are dropped, so a listing that comes back is matched again.
+      const dropped = pending.filter((match) =>
+        match.property && (
+          match.property.verificationStatus === 'rejected' ||
+          (!isPubliclyVisible(match.property) && now - match.matchedAt >= MATCH_EXPIRY_DAYS * DAY_MS)
+        )
+      );
+
+      const due = pending.filter((match) => canSeeMatch(match.property, search.user, now));
+
+      if (due.length > 0) {
+        const subject = due.length === 1
+          ? `New listing for "${search.name}"`
+          : `${due.length} new listings for "${search.name}"`;
+        const text = [
+          `New listings match your saved search "${search.name}":`,
+          ...due.map((match) => describeListing(match.property))
+        ].join('\n\n');
+
+        await notifyUser(search.user, subject, text);
+        publish(EVENTS.SAVED_SEARCH_MATCHED, {
+          userId: search.user._id,
+          searchName: search.name,
+          properties: due.map((match) => match.property)
+        });
+
+        due.forEach((match) => { match.notifiedAt = now; });
+        if (search.frequency === 'daily') {
+          search.lastDigestAt = now;
+        }
+        sent += 1;
+      }
+
+      if (search.isModified()) {
+        await search.save();
+      }
+
+      // After the save, which addresses matches by position
+      if (dropped.length > 0) {
+        await SavedSearch.updateOne(
+          { _id: search._id },
+          { $pull: { matches: { property: { $in: dropped.map((match) => match.property._id) }, notifiedAt: null } } }
+        );
+      }
+    } catch (error) {
+      console.error(`Search alert error for saved search ${search._id}:`, error);
+    }
+  }
+
+  return { sent };
+};
+
+// Record a new (or newly available) listing against every active saved
+// search it matches, then send instant alerts. Each search is checked with
+// its own query, so this is meant to run in the background.
+const matchListing = async (propertyId) => {
+  const searches = await SavedSearch.find({
+    isActive: true,
+    'matches.property': { $ne: propertyId }
+  })
+    .select('filters')
+    .lean();
+
+  const matchedIds = [];
+
+  for (const search of searches) {
+    const { filter, error } = buildListingFilter(search.filters);
+    if (error) continue;
+
+    const isMatch = await Property.exists({ _id: propertyId, ...PUBLIC_LISTING_FILTER, ...filter });
+    if (!isMatch) continue;
+
+    await SavedSearch.updateOne(
+      { _id: search._id, 'matches.property': { $ne: propertyId } },
+      {
+        $push: {
+          matches: {
+            $each: [{ property: propertyId, matchedAt: new Date() }],
+            $slice: -SavedSearch.MAX_MATCHES
+          }
+        }
+      }
+    );
+    matchedIds.push(search._id);
+  }
+
+  if (matchedIds.length > 0) {
+    await sendDueAlerts({ searchIds: matchedIds });
+  }
+
+  return { matched: matchedIds.length };
+};
+
+// Fire-and-forget wrapper for routes: never delays or fails the request
+const queueListingMatch = (propertyId) => {
+  setImmediate(() => {
+    matchListing(propertyId).catch((error) => {
+      console.error(`Saved search matching error for property ${propertyId}:`, error);
+    });
+  });
+};
+
+// Send due alerts now and then on an interval (SEARCH_ALERT_CHECK_MINUTES, default 15)
+const startSearchAlertScheduler = () => {
+  const minutes = Number(process.env.SEARCH_ALERT_CHECK_MINUTES) || 15;
+
+  const run = async () => {
+    try {
+      const { sent } = await sendDueAlerts();
+      if (sent) {
+        console.log(`⏰ Saved searches: ${sent} alerts sent`);
+      }
+    } catch (error) {
+      console.error('Search alert scheduler error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = { canSeeMatch, matchListing, queueListingMatch, sendDueAlerts, startSearchAlertScheduler };
@@ -0,0 +1,136 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { PLANS } = require('../config/plans');
+const { getPaymentProvider } = require('./paymentProvider');
+const { notifyUser } = require('./notifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open a provider checkout for one premium period. kind ('start' or
+// 'renew') is passed back on returnUrl so the page can finish the purchase.
+// Returns { paymentToken } or { redirectUrl } (see utils/paymentProvider.js).
+const createCheckout = (user, { kind, returnUrl }) => {
+  const plan = PLANS.premium;
+  return getPaymentProvider().createCheckout({
+    userId: user._id.toString(),
+    amount: plan.price,
+    currency: plan.currency,
+    description: `${plan.name} (${plan.durationDays} days)`,
+    returnUrl: `${returnUrl}?kind=${kind}`
+  });
+};
+
+// Charge a user for one premium period and extend their subscription.
+// kind is 'start', 'renew' or 'auto_renew'. The user must be loaded with
+// +subscription.customerRef. Returns { success, payment, message }.
+const purchasePeriod = async (user, { kind, paymentToken = null }) => {
+  const plan = PLANS.premium;
+  const provider = getPaymentProvider();
+
+  // Renewals stack on top of any remaining time
+  const now = new Date();
+  const periodStart = user.isPremium() ? user.subscription.expiresAt : now;
+  const periodEnd = new Date(periodStart.getTime() + plan.durationDays * DAY_MS);
+
+  const result = await provider.charge({
+    userId: user._id.toString(),
+    amount: plan.price,
+    currency: plan.currency,
+    description: `${plan.name} (${plan.durationDays} days)`,
+    paymentToken,
+    customerRef: paymentToken ? null : user.subscription.customerRef
+  });
+
+  const payment = await Payment.create({
+    user: user._id,
+    plan: plan.id,
+    kind,
+    amount: plan.price,
+    currency: plan.currency,
+    provider: provider.name,
+    transactionId: result.transactionId || null,
+    status: result.success ? 'succeeded' : 'failed',
+    failureMessage: result.success ? null : result.message,
+    periodStart,
+    periodEnd
+  });
+
+  if (!result.success) {
+    return { success: false, payment, message: result.message || 'Payment failed' };
+  }
+
+  user.subscription.plan = 'premium';
+  user.subscription.expiresAt = periodEnd;
+  if (!user.subscription.startedAt || kind === 'start') {
+    user.subscription.startedAt = now;
+  }
+  if (kind !== 'auto_renew') {
+    user.subscription.autoRenew = true;
+  }
+  if (result.customerRef) {
+    user.subscription.customerRef = result.customerRef;
+  }
+  await user.save();
+
+  return { success: true, payment, message: result.message };
+};
+
+// Renew or downgrade every premium subscription that has run out.
+// Auto-renewing users are charged again; everyone else drops to free.
+const expireSubscriptions = async () => {
+  const expired = await User.find({
+    'subscription.plan': 'premium',
+    'subscription.expiresAt': { $lte: new Date() }
+  }).select('+subscription.customerRef');
+
+  let renewed = 0;
+  let downgraded = 0;
+
+  for (const user of expired) {
+    try {
+      if (user.subscription.autoRenew && user.subscription.customerRef) {
+        const result = await purchasePeriod(user, { kind: 'auto_renew' });
+        if (result.success) {
+          renewed += 1;
+          continue;
+        }
+      }
+
+      user.subscription.plan = 'free';
+      user.subscription.autoRenew = false;
+      await user.save();
+      downgraded += 1;
+
+      await notifyUser(
+        user,
+        'Your Rentnest Premium has ended',
+        'Your premium subscription has expired and your account is now on the free plan. You can renew any time from your Premium page.'
+      );
+    } catch (error) {
+      console.error(`Subscription expiry error for user ${user._id}:`, error);
+    }
+  }
+
+  return { renewed, downgraded };
+};
+
+// Run the expiry job now and then on an interval (SUBSCRIPTION_CHECK_MINUTES, default 60)
+const startSubscriptionScheduler = () => {
+  const minutes = Number(process.env.SUBSCRIPTION_CHECK_MINUTES) || 60;
+
+  const run = async () => {
+    try {
+      const { renewed, downgraded } = await expireSubscriptions();
+      if (renewed || downgraded) {
+        console.log(`⏰ Subscriptions: ${renewed} renewed, ${downgraded} downgraded to free`);
+      }
+    } catch (error) {
+      console.error('Subscription scheduler error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = { createCheckout, purchasePeriod, expireSubscriptions, startSubscriptionScheduler };
@@ -0,0 +1,130 @@
+const { getPlaceNames } = require('./gazetteer');
+
+// Text search helpers. Listings and queries go through the same tokenizer,
+// which maps Bangla words and common transliterations to one English term
+// ("ফ্লাট", "flats" and "apartment" all become "flat"). The result is stored
+// on the listing (searchText) and searched with MongoDB's text index, so
+// MongoDB itself never has to understand Bangla.
+
+// canonical term -> spellings people actually type
+const TERMS = {
+  flat: ['flats', 'apartment', 'apartments', 'apt', 'ফ্লাট', 'ফ্ল্যাট', 'এপার্টমেন্ট', 'অ্যাপার্টমেন্ট'],
+  house: ['houses', 'home', 'bari', 'basa', 'basha', 'বাড়ি', 'বাড়ী', 'বাসা'],
+  room: ['rooms', 'রুম', 'কক্ষ'],
+  sublet: ['sublets', 'সাবলেট'],
+  hostel: ['hostels', 'mess', 'হোস্টেল', 'মেস'],
+  seat: ['seats', 'সিট'],
+  rent: ['rental', 'vara', 'bhara', 'ভাড়া'],
+  family: ['families', 'ফ্যামিলি', 'পরিবার'],
+  bachelor: ['bachelors', 'ব্যাচেলর'],
+  student: ['students', 'স্টুডেন্ট', 'ছাত্র', 'ছাত্রী'],
+  female: ['ladies', 'girls', 'women', 'মহিলা', 'মেয়ে'],
+  male: ['boys', 'men', 'ছেলে'],
+  furnished: ['ফার্নিশড'],
+  bedroom: ['bedrooms', 'bed', 'beds', 'বেডরুম', 'বেড'],
+  bathroom: ['bathrooms', 'bath', 'washroom', 'toilet', 'বাথরুম', 'টয়লেট'],
+  kitchen: ['রান্নাঘর', 'কিচেন'],
+  balcony: ['বারান্দা', 'বেলকনি'],
+  lift: ['elevator', 'লিফট'],
+  parking: ['garage', 'পার্কিং', 'গ্যারেজ'],
+  gas: ['গ্যাস'],
+  generator: ['জেনারেটর'],
+  road: ['rd', 'রোড'],
+  sector: ['সেক্টর'],
+  block: ['ব্লক']
+};
+
+// Words that only add noise to the index
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'for', 'in', 'is', 'near', 'of', 'on', 'or', 'the', 'to', 'with',
+  'এবং', 'ও', 'এ', 'এর', 'জন্য', 'কাছে', 'সহ'
+]);
+
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+// Lowercase, unify Unicode forms, turn Bangla digits into ASCII and drop
+// zero-width joiners (keyboards insert them inconsistently)
+const normalize = (text) =>
+  String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\u200c\u200d]/g, '')
+    .replace(/[০-৯]/g, (digit) => BANGLA_DIGITS.indexOf(digit));
+
+const splitWords = (text) =>
+  normalize(text)
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+// ========== TRANSLITERATION TABLE ==========
+
+const canonical = new Map();
+
+Object.entries(TERMS).forEach(([term, variants]) => {
+  variants.forEach((variant) => canonical.set(normalize(variant), [term]));
+});
+
+// Bangla place names from the gazetteer map to their English spelling.
+// Multi-word names are mapped word by word when the word counts line up
+// ("উত্তরা পূর্ব" -> "uttara east").
+getPlaceNames().forEach(({ name, bnName }) => {
+  const english = splitWords(name);
+  const bangla = splitWords(bnName);
+
+  if (bangla.length === 1) {
+    if (!canonical.has(bangla[0])) canonical.set(bangla[0], english);
+  } else if (bangla.length === english.length) {
+    bangla.forEach((word, i) => {
+      if (!canonical.has(word)) canonical.set(word, [english[i]]);
+    });
+  }
+});
+
+// ========== TOKENIZER ==========
+
+// Split text into canonical search terms
+const tokenize = (text) => {
+  const tokens = [];
+
+  splitWords(text).forEach((word) => {
+    if (STOP_WORDS.has(word)) return;
+    (canonical.get(word) || [word]).forEach((token) => tokens.push(token));
+  });
+
+  return tokens;
+};
+
+// Index text for a listing, one string per weighted field
+const buildSearchText = ({ title, description, propertyType, location = {} }) => ({
+  title: tokenize(`${title || ''} ${propertyType || ''}`).join(' '),
+  area: tokenize([location.area, location.district, location.division, location.address].join(' ')).join(' '),
+  description: tokenize(description).join(' ')
+});
+
+// Query string for $text, or null if nothing searchable is left
+const toTextQuery = (search) => {
+  const tokens = [...new Set(tokenize(search))];
+  return tokens.length > 0 ? tokens.join(' ') : null;
+};
+
+// Listing keywords starting with the typed text, in English or Bangla
+const suggestTerms = (text, limit = 3) => {
+  const prefix = normalize(text).trim();
+  if (!prefix) return [];
+
+  const matches = new Set();
+  Object.entries(TERMS).forEach(([term, variants]) => {
+    if ([term, ...variants].some((variant) => normalize(variant).startsWith(prefix))) {
+      matches.add(term);
+    }
+  });
+
+  return [...matches].slice(0, limit);
+};
+
+module.exports = {
+  tokenize,
+  buildSearchText,
+  toTextQuery,
+  suggestTerms
+};
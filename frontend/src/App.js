@@ -10,6 +10,15 @@ import PropertyDetails from './pages/PropertyDetails';
 import OwnerDashboard from './pages/OwnerDashboard';
 import CreateProperty from './pages/CreateProperty';
 import EditProperty from './pages/EditProperty';
+import TenantDashboard from './pages/TenantDashboard';
+import Messages from './pages/Messages';
+import AdminDashboard from './pages/AdminDashboard';
+import ModerationRules from './pages/ModerationRules';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import Profile from './pages/Profile';
+import Premium from './pages/Premium';
+import SavedSearches from './pages/SavedSearches';
 import './App.css';
 
 function App() {
@@ -22,6 +31,8 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/signup" element={<Signup />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route path="/properties" element={<Properties />} />
           <Route path="/properties/:id" element={<PropertyDetails />} />
 
@@ -50,6 +61,76 @@ function App() {
               </ProtectedRoute>
             }
           />
+
+          {/* Shared Protected Routes */}
+          <Route
+            path="/profile"
+            element={
+              <ProtectedRoute>
+                <Profile />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/messages"
+            element={
+              <ProtectedRoute>
+                <Messages />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/messages/:id"
+            element={
+              <ProtectedRoute>
+                <Messages />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Tenant Protected Routes */}
+          <Route
+            path="/dashboard/tenant"
+            element={
+              <ProtectedRoute tenantOnly={true}>
+                <TenantDashboard />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/premium"
+            element={
+              <ProtectedRoute tenantOnly={true}>
+                <Premium />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/saved-searches"
+            element={
+              <ProtectedRoute tenantOnly={true}>
+                <SavedSearches />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Admin Protected Routes */}
+          <Route
+            path="/dashboard/admin"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <AdminDashboard />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/moderation-rules"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <ModerationRules />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
       </div>
     </Router>
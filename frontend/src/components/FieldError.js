@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Validation message from the API for one form field. errors is keyed by
+// field path ("title", "location.address", "amenities[2]"); field can be a
+// path or a list of paths shown in the same place.
+const FieldError = ({ errors, field }) => {
+  const fields = Array.isArray(field) ? field : [field];
+  const path = Object.keys(errors || {}).find((key) =>
+    fields.some((name) => key === name || key.startsWith(`${name}[`))
+  );
+
+  if (!path) return null;
+
+  return <small className="field-error">{errors[path]}</small>;
+};
+
+export default FieldError;
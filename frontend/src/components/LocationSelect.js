@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { locationAPI } from '../services/api';
+
+// The gazetteer rarely changes, so keep what we've fetched for the session
+const cache = new Map();
+
+const loadOnce = async (key, request, field) => {
+  if (!cache.has(key)) {
+    const response = await request();
+    cache.set(key, response.data.data[field]);
+  }
+  return cache.get(key);
+};
+
+const optionLabel = (item) => `${item.name} (${item.bnName})`;
+
+// Cascading division > district > area dropdowns backed by /api/locations.
+// value and onChange use gazetteer IDs: { division, district, area }.
+// "compact" renders bare selects with "All ..." options for the search filters
+// and leaves out the area level.
+const LocationSelect = ({ value, onChange, required = false, compact = false }) => {
+  const [divisions, setDivisions] = useState([]);
+  const [districts, setDistricts] = useState([]);
+  const [areas, setAreas] = useState([]);
+
+  useEffect(() => {
+    loadOnce('divisions', () => locationAPI.getDivisions(), 'divisions')
+      .then(setDivisions)
+      .catch((err) => console.error('Failed to load divisions:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!value.division) {
+      setDistricts([]);
+      return;
+    }
+    loadOnce(`districts:${value.division}`, () => locationAPI.getDistricts(value.division), 'districts')
+      .then(setDistricts)
+      .catch((err) => console.error('Failed to load districts:', err));
+  }, [value.division]);
+
+  useEffect(() => {
+    if (compact || !value.district) {
+      setAreas([]);
+      return;
+    }
+    loadOnce(`areas:${value.district}`, () => locationAPI.getAreas(value.district), 'areas')
+      .then(setAreas)
+      .catch((err) => console.error('Failed to load areas:', err));
+  }, [compact, value.district]);
+
+  // Changing a level clears the levels below it
+  const handleDivisionChange = (e) => {
+    onChange({ division: e.target.value, district: '', area: '' });
+  };
+
+  const handleDistrictChange = (e) => {
+    onChange({ ...value, district: e.target.value, area: '' });
+  };
+
+  const handleAreaChange = (e) => {
+    onChange({ ...value, area: e.target.value });
+  };
+
+  const divisionSelect = (
+    <select
+      name="division"
+      className="form-select"
+      value={value.division}
+      onChange={handleDivisionChange}
+      required={required}
+    >
+      <option value="">{compact ? 'All Divisions' : 'Select division'}</option>
+      {divisions.map((division) => (
+        <option key={division.id} value={division.id}>{optionLabel(division)}</option>
+      ))}
+    </select>
+  );
+
+  const districtSelect = (
+    <select
+      name="district"
+      className="form-select"
+      value={value.district}
+      onChange={handleDistrictChange}
+      disabled={!value.division}
+      required={required}
+    >
+      <option value="">{compact ? 'All Districts' : 'Select district'}</option>
+      {districts.map((district) => (
+        <option key={district.id} value={district.id}>{optionLabel(district)}</option>
+      ))}
+    </select>
+  );
+
+  if (compact) {
+    return (
+      <>
+        {divisionSelect}
+        {districtSelect}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Division(বিভাগ) *</label>
+          {divisionSelect}
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">District(জেলা) *</label>
+          {districtSelect}
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Area/Thana(এরিয়া) *</label>
+          <select
+            name="area"
+            className="form-select"
+            value={value.area}
+            onChange={handleAreaChange}
+            disabled={!value.district}
+            required={required}
+          >
+            <option value="">Select area</option>
+            {areas.map((area) => (
+              <option key={area.id} value={area.id}>{optionLabel(area)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default LocationSelect;
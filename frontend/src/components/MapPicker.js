@@ -0,0 +1,75 @@
+import React from 'react';
+import { MapContainer, TileLayer, Marker, useMapEvents } from 'react-leaflet';
+import { DEFAULT_CENTER, DEFAULT_ZOOM, TILE_URL, TILE_ATTRIBUTION } from '../utils/mapConfig';
+
+// Drops the pin wherever the map is clicked
+const ClickToPin = ({ onChange }) => {
+  useMapEvents({
+    click: (e) => onChange(e.latlng.lat, e.latlng.lng)
+  });
+  return null;
+};
+
+// Map for owners to pin a property's exact location.
+// latitude/longitude are '' when no pin has been dropped yet.
+const MapPicker = ({ latitude, longitude, onChange }) => {
+  const hasPin = latitude !== '' && longitude !== '' && latitude != null && longitude != null;
+  const position = hasPin ? [Number(latitude), Number(longitude)] : null;
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      alert('Your browser does not support location access.');
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (pos) => onChange(pos.coords.latitude, pos.coords.longitude),
+      () => alert('Could not get your location. Please click on the map instead.')
+    );
+  };
+
+  return (
+    <div className="map-picker">
+      <MapContainer
+        center={position || DEFAULT_CENTER}
+        zoom={position ? 16 : DEFAULT_ZOOM}
+        className="map-picker-map"
+      >
+        <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+        <ClickToPin onChange={onChange} />
+        {position && (
+          <Marker
+            position={position}
+            draggable={true}
+            eventHandlers={{
+              dragend: (e) => {
+                const { lat, lng } = e.target.getLatLng();
+                onChange(lat, lng);
+              }
+            }}
+          />
+        )}
+      </MapContainer>
+
+      <div className="map-picker-actions">
+        <small className="form-hint">
+          {position
+            ? `📍 ${Number(latitude).toFixed(5)}, ${Number(longitude).toFixed(5)} - drag the pin to adjust`
+            : 'Click on the map to drop a pin on your property'}
+        </small>
+        <div>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={handleUseMyLocation}>
+            Use My Location
+          </button>
+          {position && (
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => onChange('', '')}>
+              Remove Pin
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MapPicker;
@@ -1,12 +1,17 @@
 import React, { useContext, useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
+import { messageAPI } from '../services/api';
+import { useSocketEvent } from '../services/socket';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 const Navbar = () => {
-  const { user, isAuthenticated, logout } = useContext(AuthContext);
+  const { user, isAuthenticated, isPremium, logout } = useContext(AuthContext);
   const navigate = useNavigate();
+  const location = useLocation();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
 
   // Add/remove class to body when menu opens
   useEffect(() => {
@@ -17,8 +22,38 @@ const Navbar = () => {
     }
   }, [isMenuOpen]);
 
-  const handleLogout = () => {
-    logout();
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await messageAPI.getUnreadCount();
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch unread count:', error);
+    }
+  };
+
+  // Unread message count while logged in (refreshed on navigation, since
+  // opening a thread marks it as read)
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      return;
+    }
+
+    fetchUnreadCount();
+    // eslint-disable-next-line
+  }, [isAuthenticated, location.pathname]);
+
+  // New messages arrive over the socket; catch up after a reconnect
+  useSocketEvent('message:new', ({ message }) => {
+    if (isAuthenticated && message.sender !== user?.id) fetchUnreadCount();
+  });
+
+  useSocketEvent('connect', () => {
+    if (isAuthenticated) fetchUnreadCount();
+  });
+
+  const handleLogout = async () => {
+    await logout();
     setIsMenuOpen(false);
     navigate('/');
   };
@@ -64,9 +99,33 @@ const Navbar = () => {
                     My Dashboard
                   </Link>
                 )}
+                {user?.accountType === 'tenant' && (
+                  <Link to="/saved-searches" className="nav-link" onClick={closeMenu}>
+                    Saved Searches
+                  </Link>
+                )}
+                {user?.accountType === 'tenant' && (
+                  <Link to="/premium" className="nav-link" onClick={closeMenu}>
+                    {isPremium ? '⭐ Premium' : 'Go Premium'}
+                  </Link>
+                )}
+                {user?.accountType === 'admin' && (
+                  <Link to="/dashboard/admin" className="nav-link" onClick={closeMenu}>
+                    Moderation
+                  </Link>
+                )}
+                <Link to="/messages" className="nav-link" onClick={closeMenu}>
+                  Messages
+                  {unreadCount > 0 && (
+                    <span className="nav-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                  )}
+                </Link>
+                <NotificationBell onNavigate={closeMenu} />
                 
                 <div className="user-menu">
-                  <span className="user-name">👤 {user?.fullName}</span>
+                  <Link to="/profile" className="user-name" onClick={closeMenu} title="My Profile">
+                    👤 {user?.fullName}
+                  </Link>
                   <button onClick={handleLogout} className="btn btn-secondary btn-sm">
                     Logout
                   </button>
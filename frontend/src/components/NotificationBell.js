@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { notificationAPI } from '../services/api';
+import { useSocketEvent } from '../services/socket';
+
+const TYPE_ICONS = {
+  listing_updated: '✏️',
+  listing_availability: '🏠',
+  listing_removed: '🗑️',
+  listing_moderated: '🛡️',
+  search_match: '🔔'
+};
+
+// "5m ago", "3h ago", then the date
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+// Bell with unread badge and a dropdown of the latest notifications.
+// New notifications are pushed over the socket; the list loads when opened.
+const NotificationBell = ({ onNavigate }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const wrapperRef = useRef(null);
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await notificationAPI.getUnreadCount();
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch notification count:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchUnreadCount();
+  }, [location.pathname]);
+
+  useSocketEvent('notification:new', ({ notification }) => {
+    setUnreadCount((count) => count + 1);
+    setNotifications((current) => [notification, ...current].slice(0, 10));
+  });
+
+  // Catch up on anything missed while disconnected
+  useSocketEvent('connect', fetchUnreadCount);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggleOpen = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+
+    setIsOpen(true);
+    setLoading(true);
+    try {
+      const response = await notificationAPI.getNotifications({ limit: 10 });
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        const response = await notificationAPI.markAsRead(notification._id);
+        setUnreadCount(response.data.data.unreadCount);
+        setNotifications((current) => current.map((n) => (
+          n._id === notification._id ? response.data.data.notification : n
+        )));
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+
+    if (notification.link) {
+      setIsOpen(false);
+      if (onNavigate) onNavigate();
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllAsRead();
+      const now = new Date().toISOString();
+      setUnreadCount(0);
+      setNotifications((current) => current.map((n) => ({ ...n, readAt: n.readAt || now })));
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={wrapperRef}>
+      <button
+        type="button"
+        className="nav-link bell-button"
+        onClick={toggleOpen}
+        aria-label="Notifications"
+        aria-expanded={isOpen}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="nav-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="link-button" onClick={handleMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {loading ? (
+            <p className="notification-empty">Loading...</p>
+          ) : notifications.length === 0 ? (
+            <p className="notification-empty">No notifications yet</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li
+                  key={notification._id}
+                  className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                  onClick={() => handleSelect(notification)}
+                >
+                  <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                  <div className="notification-body">
+                    <span className="notification-title">{notification.title}</span>
+                    {notification.message && (
+                      <span className="notification-message">{notification.message}</span>
+                    )}
+                    <span className="notification-time">{timeAgo(notification.createdAt)}</span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,55 @@
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMap, useMapEvents } from 'react-leaflet';
+import { DEFAULT_CENTER, DEFAULT_ZOOM, TILE_URL, TILE_ATTRIBUTION, toLatLng } from '../utils/mapConfig';
+
+// Reports the visible area whenever the map stops moving (and once on load)
+const BoundsWatcher = ({ onBoundsChange }) => {
+  const map = useMap();
+
+  useMapEvents({
+    moveend: () => onBoundsChange(map.getBounds().toBBoxString())
+  });
+
+  useEffect(() => {
+    onBoundsChange(map.getBounds().toBBoxString());
+    // eslint-disable-next-line
+  }, []);
+
+  return null;
+};
+
+// Map view of search results. Properties without a pin are not shown.
+const PropertyMap = ({ properties, onBoundsChange, near, radiusKm }) => {
+  const pinned = properties.filter(property => toLatLng(property.location.geo));
+
+  return (
+    <MapContainer
+      center={near || DEFAULT_CENTER}
+      zoom={DEFAULT_ZOOM}
+      className="property-map"
+    >
+      <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+      <BoundsWatcher onBoundsChange={onBoundsChange} />
+
+      {near && radiusKm && (
+        <Circle center={near} radius={radiusKm * 1000} pathOptions={{ color: '#2563eb', fillOpacity: 0.05 }} />
+      )}
+
+      {pinned.map((property) => (
+        <Marker key={property._id} position={toLatLng(property.location.geo)}>
+          <Popup>
+            <div className="map-popup">
+              <strong>{property.title}</strong>
+              <p>৳{property.rent.amount.toLocaleString()}/{property.rent.period}</p>
+              <p>📍 {property.location.area}, {property.location.district}</p>
+              <Link to={`/properties/${property._id}`}>View details →</Link>
+            </div>
+          </Popup>
+        </Marker>
+      ))}
+    </MapContainer>
+  );
+};
+
+export default PropertyMap;
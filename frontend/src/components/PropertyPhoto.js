@@ -0,0 +1,20 @@
+import React from 'react';
+
+const PLACEHOLDER = 'https://via.placeholder.com/400x300?text=No+Image';
+
+// Listing photo at a given size ("thumbnail", "medium" or "large"), served
+// as WebP where the browser supports it. Photos uploaded before resized
+// variants existed only have a url; a missing photo shows a placeholder.
+const PropertyPhoto = ({ photo, size = 'medium', alt, ...imgProps }) => {
+  const variant = photo?.variants?.[size];
+  const src = variant?.url || photo?.url || PLACEHOLDER;
+
+  return (
+    <picture>
+      {variant?.webpUrl && <source type="image/webp" srcSet={variant.webpUrl} />}
+      <img src={src} alt={alt} {...imgProps} />
+    </picture>
+  );
+};
+
+export default PropertyPhoto;
@@ -2,7 +2,7 @@ import React, { useContext } from 'react';
 import { Navigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, ownerOnly = false, tenantOnly = false }) => {
+const ProtectedRoute = ({ children, ownerOnly = false, tenantOnly = false, adminOnly = false }) => {
   const { user, loading, isAuthenticated } = useContext(AuthContext);
 
   if (loading) {
@@ -30,6 +30,10 @@ const ProtectedRoute = ({ children, ownerOnly = false, tenantOnly = false }) =>
     return <Navigate to="/" />;
   }
 
+  if (adminOnly && user?.accountType !== 'admin') {
+    return <Navigate to="/" />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { propertyAPI } from '../services/api';
+
+const formatRent = (amount) => `৳${amount.toLocaleString()}`;
+
+// "Typical rent in this area" from similar listings, shown under the rent
+// field while an owner fills in a listing. district and area are gazetteer IDs.
+const RentHint = ({ district, area, propertyType, bedrooms, period, amount }) => {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    if (!district || !propertyType) {
+      setStats(null);
+      return undefined;
+    }
+
+    // Wait for the owner to stop typing the bedroom count
+    const timer = setTimeout(() => {
+      propertyAPI.getRentStats({ district, area, propertyType, bedrooms, period })
+        .then((response) => setStats(response.data.data.stats))
+        .catch((err) => {
+          setStats(null);
+          console.error('Failed to load rent stats:', err);
+        });
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [district, area, propertyType, bedrooms, period]);
+
+  if (!stats) return null;
+
+  const unit = period === 'daily' ? '/day' : '/month';
+  const rooms = stats.bedrooms === null ? '' : stats.bedrooms >= 4 ? '4+ bedroom ' : `${stats.bedrooms}-bedroom `;
+  const rent = Number(amount);
+
+  return (
+    <div className="rent-hint">
+      <p>
+        💡 Typical rent for {rooms}{propertyType}s in {stats.place}:{' '}
+        <strong>{formatRent(stats.median)}{unit}</strong>
+        {' '}(most between {formatRent(stats.p25)} and {formatRent(stats.p75)}, from {stats.count} listings)
+      </p>
+      {rent > 0 && rent < stats.p25 && (
+        <p className="rent-hint-note">Your rent is lower than most similar listings. Please double-check the amount.</p>
+      )}
+      {rent > stats.p75 && (
+        <p className="rent-hint-note">Your rent is higher than most similar listings.</p>
+      )}
+    </div>
+  );
+};
+
+export default RentHint;
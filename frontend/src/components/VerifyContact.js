@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+// Code entry step for verifying the email or mobile a user signed up with.
+// The first code is sent automatically at signup (or on a contact change);
+// "Resend" asks for a new one.
+const VerifyContact = ({ channel: requestedChannel, onVerified, initialCooldown = 0 }) => {
+  const { user, updateUser } = useContext(AuthContext);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [cooldown, setCooldown] = useState(initialCooldown);
+
+  // Default to the first contact that still needs verifying
+  const channel = requestedChannel
+    || (user?.email && !user?.emailVerified ? 'email' : user?.mobile ? 'mobile' : 'email');
+  const destination = channel === 'email' ? user?.email : user?.mobile;
+
+  // Count down until another code can be requested
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setInfo('');
+
+    if (!/^[0-9]{6}$/.test(code.trim())) {
+      setError('Verification code must be 6 digits');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.confirmVerification(code.trim(), channel);
+      updateUser(response.data.data.user);
+      if (onVerified) onVerified();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Verification failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setError('');
+    setInfo('');
+
+    try {
+      const response = await authAPI.sendVerificationCode(channel);
+      setInfo(response.data.message);
+      setCooldown(response.data.retryAfter || 60);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send a new code. Please try again.');
+      if (err.response?.data?.retryAfter) {
+        setCooldown(err.response.data.retryAfter);
+      }
+    }
+  };
+
+  return (
+    <div className="verify-contact">
+      <p className="auth-subtitle">
+        We sent a 6-digit code to <strong>{destination}</strong>
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {info && <div className="alert alert-success">{info}</div>}
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label">Verification Code *</label>
+          <input
+            type="text"
+            name="code"
+            className="form-input"
+            placeholder="6-digit code"
+            inputMode="numeric"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <small className="form-hint">
+            The code expires 10 minutes after it was sent
+          </small>
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary btn-block"
+          disabled={loading}
+        >
+          {loading ? 'Verifying...' : 'Verify'}
+        </button>
+      </form>
+
+      <p className="auth-footer">
+        Didn't get a code?{' '}
+        <button
+          type="button"
+          className="auth-link link-button"
+          onClick={handleResend}
+          disabled={cooldown > 0}
+        >
+          {cooldown > 0 ? `Resend in ${cooldown}s` : 'Resend code'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default VerifyContact;
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, setAccessToken } from '../services/api';
+import { connectSocket } from '../services/socket';
 
 // Create context
 export const AuthContext = createContext();
@@ -8,26 +9,38 @@ export const AuthContext = createContext();
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
 
-  // Check if user is logged in on app load
+  // Restore the session on app load from the refresh cookie
   useEffect(() => {
+    // Tokens used to live in localStorage - drop any left over
+    localStorage.removeItem('token');
+
     const checkAuth = async () => {
-      if (token) {
-        try {
-          const response = await authAPI.getMe();
-          setUser(response.data.data.user);
-        } catch (error) {
-          console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
-        }
+      try {
+        await authAPI.refresh();
+        const response = await authAPI.getMe();
+        setUser(response.data.data.user);
+      } catch (error) {
+        // No session (or it expired) - stay logged out
+        setAccessToken(null);
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+
+    // The api interceptor fires this when a refresh fails mid-session
+    const handleExpired = () => setUser(null);
+    window.addEventListener('auth:expired', handleExpired);
+    return () => window.removeEventListener('auth:expired', handleExpired);
+  }, []);
+
+  // Live updates: reconnect the socket whenever the logged-in user changes
+  useEffect(() => {
+    if (!loading) {
+      connectSocket();
+    }
+  }, [loading, user?.id]);
 
   // Login function
   const login = async (credentials) => {
@@ -35,8 +48,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.login(credentials);
       const { user, token } = response.data.data;
       
-      localStorage.setItem('token', token);
-      setToken(token);
+      setAccessToken(token);
       setUser(user);
       
       return { success: true };
@@ -54,8 +66,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.signup(userData);
       const { user, token } = response.data.data;
       
-      localStorage.setItem('token', token);
-      setToken(token);
+      setAccessToken(token);
       setUser(user);
       
       return { success: true };
@@ -67,10 +78,55 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
+  // Replace the stored user after profile changes (e.g. verification)
+  const updateUser = (updatedUser) => {
+    setUser(updatedUser);
+  };
+
+  // Logout function (revokes the refresh token on the server)
+  const logout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setAccessToken(null);
+    setUser(null);
+  };
+
+  // Change password - the server logs out other devices and starts a new session here
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await authAPI.changePassword(currentPassword, newPassword);
+      setAccessToken(response.data.data.token);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to change password'
+      };
+    }
+  };
+
+  // Delete (deactivate) the account and end the session
+  const deleteAccount = async (password) => {
+    try {
+      await authAPI.deleteAccount(password);
+      setAccessToken(null);
+      setUser(null);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete account'
+      };
+    }
+  };
+
+  // Logout of every device this account is signed in on
+  const logoutAll = async () => {
+    await authAPI.logoutAll();
+    setAccessToken(null);
     setUser(null);
   };
 
@@ -80,9 +136,17 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     isTenant: user?.accountType === 'tenant',
     isOwner: user?.accountType === 'owner',
+    isAdmin: user?.accountType === 'admin',
+    isVerified: !!(user?.emailVerified || user?.mobileVerified),
+    isPremium: user?.subscription?.plan === 'premium' &&
+      new Date(user.subscription.expiresAt) > new Date(),
     login,
     signup,
-    logout
+    updateUser,
+    changePassword,
+    deleteAccount,
+    logout,
+    logoutAll
   };
 
   return (
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { adminAPI } from '../services/api';
+import PropertyPhoto from '../components/PropertyPhoto';
+import { reportReasons } from '../utils/reportReasons';
+import './OwnerDashboard.css';
+import './AdminDashboard.css';
+
+const AdminDashboard = () => {
+  const { user } = useContext(AuthContext);
+  const [properties, setProperties] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reported, setReported] = useState([]);
+
+  useEffect(() => {
+    fetchQueue();
+    fetchReports();
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchQueue = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await adminAPI.getPendingProperties();
+      setProperties(response.data.data.properties);
+      setTotal(response.data.total);
+    } catch (err) {
+      setError('Failed to load moderation queue.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchReports = async () => {
+    try {
+      const response = await adminAPI.getReports();
+      setReported(response.data.data.reported);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleResolveReports = async (id, action) => {
+    let reason;
+    if (action === 'uphold') {
+      reason = window.prompt('Reason shown to the owner (optional):');
+      if (reason === null) return;
+    }
+
+    try {
+      await adminAPI.resolveReports(id, action, reason || undefined);
+      setReported(reported.filter(item => item.property._id !== id));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to resolve reports. Please try again.');
+      console.error(err);
+    }
+  };
+
+  // Remove a reviewed listing from the queue
+  const removeFromQueue = (id) => {
+    setProperties(properties.filter(p => p._id !== id));
+    setTotal(total - 1);
+  };
+
+  const handleApprove = async (id) => {
+    try {
+      await adminAPI.approveProperty(id);
+      removeFromQueue(id);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to approve property. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleReject = async (id, title) => {
+    const reason = window.prompt(`Reason for rejecting "${title}":`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      await adminAPI.rejectProperty(id, reason.trim());
+      removeFromQueue(id);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to reject property. Please try again.');
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="owner-dashboard admin-dashboard">
+      <div className="container">
+        {/* Header */}
+        <div className="dashboard-header">
+          <div>
+            <h1>Moderation Console</h1>
+            <p>Welcome back, {user?.fullName}! </p>
+          </div>
+          <Link to="/admin/moderation-rules" className="btn btn-primary">
+            ⚙️ Moderation Rules
+          </Link>
+        </div>
+
+        {/* Stats Cards */}
+        <div className="stats-grid">
+          <div className="stat-card">
+            <div className="stat-icon"></div>
+            <div className="stat-info">
+              <h3>{total}</h3>
+              <p>Awaiting Review</p>
+            </div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-icon"></div>
+            <div className="stat-info">
+              <h3>{reported.length}</h3>
+              <p>Reported Listings</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Reported Listings */}
+        {reported.length > 0 && (
+          <div className="properties-section reported-section">
+            <h2>Reported Listings ({reported.length})</h2>
+
+            <div className="moderation-list">
+              {reported.map((item) => (
+                <div key={item.property._id} className="moderation-item reported-item">
+                  <div className="report-count">
+                    <strong>{item.count}</strong>
+                    <span>reports</span>
+                    {item.property.isHiddenByReports && <span className="hidden-tag">Hidden</span>}
+                  </div>
+
+                  <div className="moderation-details">
+                    <h3>{item.property.title}</h3>
+                    <p className="moderation-meta">
+                      Owner: {item.property.owner?.fullName} · Contact: {item.property.contact.phone}
+                    </p>
+                    <ul className="report-reasons">
+                      {item.reports.map((report, index) => (
+                        <li key={index}>
+                          <strong>{reportReasons[report.reason]}</strong>
+                          {report.details && `: ${report.details}`}
+                        </li>
+                      ))}
+                    </ul>
+                    {item.property.reportResponse?.respondedAt && (
+                      <p className="report-response">
+                        <strong>Owner's response:</strong> {item.property.reportResponse.text}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="moderation-actions">
+                    <Link to={`/properties/${item.property._id}`} className="btn-action btn-view" target="_blank">
+                      👁️ View
+                    </Link>
+                    <button
+                      className="btn-action btn-toggle-on"
+                      onClick={() => handleResolveReports(item.property._id, 'dismiss')}
+                    >
+                      ✓ Dismiss
+                    </button>
+                    <button
+                      className="btn-action btn-toggle-off"
+                      onClick={() => handleResolveReports(item.property._id, 'uphold')}
+                    >
+                      ✗ Uphold
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Moderation Queue */}
+        <div className="properties-section">
+          <h2>Unverified and Held Listings ({total})</h2>
+
+          {loading ? (
+            <div className="loading-state">
+              <div className="spinner"></div>
+              <p>Loading moderation queue...</p>
+            </div>
+          ) : error ? (
+            <div className="alert alert-error">{error}</div>
+          ) : properties.length === 0 ? (
+            <div className="empty-state">
+              <div className="empty-icon">✅</div>
+              <h3>All Caught Up</h3>
+              <p>There are no listings waiting for review.</p>
+            </div>
+          ) : (
+            <div className="moderation-list">
+              {properties.map((property) => (
+                <ModerationItem
+                  key={property._id}
+                  property={property}
+                  onApprove={handleApprove}
+                  onReject={handleReject}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Moderation Item Component
+const ModerationItem = ({ property, onApprove, onReject }) => {
+  return (
+    <div className="moderation-item">
+      <PropertyPhoto photo={property.photos?.[0]} size="thumbnail" alt={property.title} className="moderation-photo" />
+
+      <div className="moderation-details">
+        <h3>
+          {property.isHeldForReview && <span className="held-tag">Held</span>}
+          {property.title}
+        </h3>
+        <p className="property-location">
+          📍 {property.location.address}, {property.location.area}, {property.location.district}
+        </p>
+        <p className="moderation-meta">
+          <span className="property-type">{property.propertyType}</span>
+          {' '}৳{property.rent.amount.toLocaleString()}/{property.rent.period}
+          {' '}· {property.photos?.length || 0} photos
+        </p>
+        <p className="moderation-description">{property.description}</p>
+        <p className="moderation-meta">
+          Owner: {property.owner?.fullName} ({property.owner?.email || property.owner?.mobile})
+          {' '}· Contact: {property.contact.name}, {property.contact.phone}
+        </p>
+        <p className="moderation-meta">
+          Listed {new Date(property.createdAt).toLocaleDateString()}
+        </p>
+        {property.duplicateOf && <DuplicateOf property={property} />}
+        {property.moderation?.hits?.length > 0 && <ModerationHits moderation={property.moderation} />}
+        {property.reusedPhotoCount > 0 && <ReusedPhotos property={property} />}
+      </div>
+
+      <div className="moderation-actions">
+        <Link to={`/properties/${property._id}`} className="btn-action btn-view" target="_blank">
+          👁️ View
+        </Link>
+        <button
+          className="btn-action btn-toggle-on"
+          onClick={() => onApprove(property._id)}
+        >
+          ✓ Approve
+        </button>
+        <button
+          className="btn-action btn-toggle-off"
+          onClick={() => onReject(property._id, property.title)}
+        >
+          ✗ Reject
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Duplicate Of Component - the older listing this one looks like a repost of
+const DuplicateOf = ({ property }) => {
+  const original = property.duplicateOf;
+
+  return (
+    <div className="duplicate-of">
+      <p>
+        🗂️ Possible repost of{' '}
+        <Link to={`/properties/${original._id}`} target="_blank">{original.title}</Link>
+        {' '}by {original.owner?.fullName || 'a deleted owner'}, listed {new Date(original.createdAt).toLocaleDateString()}
+      </p>
+      {property.duplicateCheck?.reasons?.length > 0 && (
+        <p className="moderation-meta">{property.duplicateCheck.reasons.join(' · ')}</p>
+      )}
+      <p className="moderation-meta">Approving keeps both listings and stops matching them.</p>
+    </div>
+  );
+};
+
+// Moderation Hits Component - the rules the listing's text tripped
+const ModerationHits = ({ moderation }) => {
+  return (
+    <div className="moderation-hits">
+      <p className="moderation-hits-score">Risk score {moderation.score}</p>
+      <ul>
+        {moderation.hits.map((hit, index) => (
+          <li key={index}>
+            <strong>+{hit.weight}</strong> {hit.reason}
+            <span className="moderation-hit-field"> · {hit.field}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Reused Photos Component - other owners' listings with the same pictures,
+// loaded on demand (a common sign of a fake listing)
+const ReusedPhotos = ({ property }) => {
+  const [matches, setMatches] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleShow = async () => {
+    setLoading(true);
+    try {
+      const response = await adminAPI.getReusedPhotos(property._id);
+      setMatches(response.data.data.matches);
+    } catch (err) {
+      alert('Failed to load matching listings.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="reused-photos">
+      <p className="reused-photos-warning">
+        ⚠️ {property.reusedPhotoCount} {property.reusedPhotoCount === 1 ? 'photo is' : 'photos are'} also
+        used in other owners' listings
+        {!matches && (
+          <button type="button" className="link-button" onClick={handleShow} disabled={loading}>
+            {loading ? 'Loading...' : 'Show listings'}
+          </button>
+        )}
+      </p>
+
+      {matches && matches.length === 0 && (
+        <p className="moderation-meta">The matching listings have since changed or been removed.</p>
+      )}
+
+      {matches && matches.map((match) => (
+        <div key={match.photoId} className="reused-photo-match">
+          <img src={match.photoUrl} alt="Reused" />
+          <ul>
+            {match.listings.map((listing) => (
+              <li key={listing._id}>
+                <Link to={`/properties/${listing._id}`} target="_blank">{listing.title}</Link>
+                {' '}· {listing.owner?.fullName || 'Deleted owner'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -1,22 +1,33 @@
-import React, { useState } from 'react';
-import axios from 'axios';
+import React, { useState, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { propertyAPI } from '../services/api';
+import VerifyContact from '../components/VerifyContact';
+import MapPicker from '../components/MapPicker';
+import LocationSelect from '../components/LocationSelect';
+import FieldError from '../components/FieldError';
+import RentHint from '../components/RentHint';
 
 import './PropertyForm.css';
+import './Auth.css';
 
 const CreateProperty = () => {
   const navigate = useNavigate();
+  const { isVerified } = useContext(AuthContext);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     propertyType: 'apartment',
-    division: 'Dhaka',
+    division: 'dhaka',
     district: '',
     area: '',
     address: '',
+    latitude: '',
+    longitude: '',
     rentAmount: '',
     rentPeriod: 'monthly',
     bedrooms: '',
@@ -38,6 +49,16 @@ const CreateProperty = () => {
     additionalRules: ''
   });
 
+  // Division/district/area picked from the gazetteer (IDs)
+  const handleLocationChange = (location) => {
+    setFormData({ ...formData, ...location });
+  };
+
+  // Map pin dropped, dragged or removed
+  const handlePinChange = (latitude, longitude) => {
+    setFormData({ ...formData, latitude, longitude });
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData({
@@ -88,6 +109,7 @@ const CreateProperty = () => {
     }
     
     setError('');
+    setFieldErrors({});
     setLoading(true);
 
     try {
@@ -101,7 +123,9 @@ const CreateProperty = () => {
         division: formData.division,
         district: formData.district,
         area: formData.area,
-        address: formData.address
+        address: formData.address,
+        latitude: formData.latitude,
+        longitude: formData.longitude
       }));
       
       uploadFormData.append('rent', JSON.stringify({
@@ -142,27 +166,40 @@ const CreateProperty = () => {
         uploadFormData.append('images', image);
       });
       
-      await axios.post(
-        `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}/api/properties`,
-        uploadFormData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          }
-        }
-      );
+      const response = await propertyAPI.createProperty(uploadFormData);
       
-      alert('Property created successfully!');
+      // Says so when the listing is held for review
+      alert(response.data.message);
       navigate('/dashboard/owner');
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to create property. Please try again.');
+      // Field problems are shown next to each input
+      const { message, errors } = err.response?.data || {};
+      setFieldErrors(errors || {});
+      setError(errors ? 'Please correct the highlighted fields.' : message || 'Failed to create property. Please try again.');
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
 
+  // Owners must verify their contact before they can list
+  if (!isVerified) {
+    return (
+      <div className="property-form-page">
+        <div className="container">
+          <div className="form-header">
+            <h1>Verify Your Account</h1>
+            <p>Confirm your email or mobile number before listing a property</p>
+          </div>
+
+          <div className="auth-card verify-card">
+            <VerifyContact />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="property-form-page">
       <div className="container">
@@ -189,6 +226,7 @@ const CreateProperty = () => {
                 onChange={handleChange}
                 required
               />
+              <FieldError errors={fieldErrors} field="title" />
             </div>
 
             <div className="form-group">
@@ -202,6 +240,7 @@ const CreateProperty = () => {
                 rows="5"
                 required
               />
+              <FieldError errors={fieldErrors} field="description" />
             </div>
 
             <div className="form-row">
@@ -220,6 +259,7 @@ const CreateProperty = () => {
                   <option value="room">Room(রুম)</option>
                   <option value="house">House(বাড়ি)</option>
                 </select>
+                <FieldError errors={fieldErrors} field="propertyType" />
               </div>
             </div>
           </div>
@@ -228,55 +268,12 @@ const CreateProperty = () => {
           <div className="form-section">
             <h2>Location</h2>
             
-            <div className="form-row">
-              <div className="form-group">
-                <label className="form-label">Division(বিভাগ) *</label>
-                <select
-                  name="division"
-                  className="form-select"
-                  value={formData.division}
-                  onChange={handleChange}
-                  required
-                >
-                  <option value="Dhaka">Dhaka</option>
-                  <option value="Chattogram">Chattogram</option>
-                  <option value="Rajshahi">Rajshahi</option>
-                  <option value="Khulna">Khulna</option>
-                  <option value="Barishal">Barishal</option>
-                  <option value="Sylhet">Sylhet</option>
-                  <option value="Rangpur">Rangpur</option>
-                  <option value="Mymensingh">Mymensingh</option>
-                </select>
-              </div>
-
-              <div className="form-group">
-                <label className="form-label">District(জেলা) *</label>
-                <input
-                  type="text"
-                  name="district"
-                  className="form-input"
-                  placeholder="Example:Dhaka"
-                  value={formData.district}
-                  onChange={handleChange}
-                  required
-                />
-              </div>
-            </div>
-
-            <div className="form-row">
-              <div className="form-group">
-                <label className="form-label">Area/Locality(এরিয়া) *</label>
-                <input
-                  type="text"
-                  name="area"
-                  className="form-input"
-                  placeholder="Example: Dhanmondi, Gulshan"
-                  value={formData.area}
-                  onChange={handleChange}
-                  required
-                />
-              </div>
-            </div>
+            <LocationSelect
+              value={{ division: formData.division, district: formData.district, area: formData.area }}
+              onChange={handleLocationChange}
+              required
+            />
+            <FieldError errors={fieldErrors} field={['location', 'location.division', 'location.district', 'location.area']} />
 
             <div className="form-group">
               <label className="form-label">Full Address(বিস্তারিত ঠিকানা) *</label>
@@ -289,6 +286,17 @@ const CreateProperty = () => {
                 onChange={handleChange}
                 required
               />
+              <FieldError errors={fieldErrors} field="location.address" />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Map Location (ম্যাপে অবস্থান)</label>
+              <MapPicker
+                latitude={formData.latitude}
+                longitude={formData.longitude}
+                onChange={handlePinChange}
+              />
+              <FieldError errors={fieldErrors} field={['location.latitude', 'location.longitude']} />
             </div>
           </div>
 
@@ -308,6 +316,7 @@ const CreateProperty = () => {
                   onChange={handleChange}
                   required
                 />
+                <FieldError errors={fieldErrors} field="rent.amount" />
               </div>
 
               <div className="form-group">
@@ -321,8 +330,18 @@ const CreateProperty = () => {
                   <option value="monthly">Monthly</option>
                   <option value="daily">Daily</option>
                 </select>
+                <FieldError errors={fieldErrors} field="rent.period" />
               </div>
             </div>
+
+            <RentHint
+              district={formData.district}
+              area={formData.area}
+              propertyType={formData.propertyType}
+              bedrooms={formData.bedrooms}
+              period={formData.rentPeriod}
+              amount={formData.rentAmount}
+            />
           </div>
 
           {/* Property Features */}
@@ -341,6 +360,7 @@ const CreateProperty = () => {
                   onChange={handleChange}
                   min="0"
                 />
+                <FieldError errors={fieldErrors} field="features.bedrooms" />
               </div>
 
               <div className="form-group">
@@ -354,6 +374,7 @@ const CreateProperty = () => {
                   onChange={handleChange}
                   min="0"
                 />
+                <FieldError errors={fieldErrors} field="features.bathrooms" />
               </div>
             </div>
 
@@ -368,6 +389,7 @@ const CreateProperty = () => {
                   value={formData.sizeValue}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="features.size.value" />
               </div>
 
               <div className="form-group">
@@ -381,6 +403,7 @@ const CreateProperty = () => {
                   <option value="sqft">Square Feet</option>
                   <option value="sqm">Square Meters</option>
                 </select>
+                <FieldError errors={fieldErrors} field="features.size.unit" />
               </div>
             </div>
 
@@ -396,6 +419,7 @@ const CreateProperty = () => {
                 <option value="semi-furnished">Semi-Furnished</option>
                 <option value="unfurnished">Unfurnished</option>
               </select>
+              <FieldError errors={fieldErrors} field="features.furnished" />
             </div>
           </div>
 
@@ -413,6 +437,7 @@ const CreateProperty = () => {
                 value={formData.amenities}
                 onChange={handleChange}
               />
+              <FieldError errors={fieldErrors} field="amenities" />
               <small className="form-hint">Separate multiple amenities with commas</small>
             </div>
           </div>
@@ -426,13 +451,13 @@ const CreateProperty = () => {
               <input
                 type="file"
                 multiple
-                accept="image/*"
+                accept="image/jpeg,image/png,image/webp"
                 onChange={handleImageChange}
                 className="form-input"
                 style={{ padding: '12px' }}
               />
               <small className="form-hint">
-                Select up to 5 images. Supported formats: JPG, PNG, GIF
+                Select up to 5 images. Supported formats: JPG, PNG, WebP (at least 300px on each side)
               </small>
             </div>
 
@@ -496,6 +521,7 @@ const CreateProperty = () => {
                 onChange={handleChange}
                 required
               />
+              <FieldError errors={fieldErrors} field="contact.name" />
             </div>
 
             <div className="form-row">
@@ -510,6 +536,7 @@ const CreateProperty = () => {
                   onChange={handleChange}
                   required
                 />
+                <FieldError errors={fieldErrors} field="contact.phone" />
               </div>
 
               <div className="form-group">
@@ -522,6 +549,7 @@ const CreateProperty = () => {
                   value={formData.contactEmail}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="contact.email" />
               </div>
             </div>
           </div>
@@ -541,6 +569,7 @@ const CreateProperty = () => {
                   value={formData.minimumStay}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="terms.minimumStay" />
               </div>
 
               <div className="form-group">
@@ -553,6 +582,7 @@ const CreateProperty = () => {
                   value={formData.securityDeposit}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="terms.securityDeposit" />
               </div>
             </div>
 
@@ -598,6 +628,7 @@ const CreateProperty = () => {
                 onChange={handleChange}
                 rows="4"
               />
+              <FieldError errors={fieldErrors} field="terms.additionalRules" />
             </div>
           </div>
 
@@ -1,23 +1,35 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { propertyAPI } from '../services/api';
+import MapPicker from '../components/MapPicker';
+import LocationSelect from '../components/LocationSelect';
+import PropertyPhoto from '../components/PropertyPhoto';
+import FieldError from '../components/FieldError';
+import RentHint from '../components/RentHint';
 import './PropertyForm.css';
 
+// Most photos a listing can have (matches the API)
+const MAX_PHOTOS = 5;
+
 const EditProperty = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [fetchLoading, setFetchLoading] = useState(true);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [photos, setPhotos] = useState([]);
 
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     propertyType: 'apartment',
-    division: 'Dhaka',
+    division: 'dhaka',
     district: '',
     area: '',
     address: '',
+    latitude: '',
+    longitude: '',
     rentAmount: '',
     rentPeriod: 'monthly',
     bedrooms: '',
@@ -26,7 +38,6 @@ const EditProperty = () => {
     sizeUnit: 'sqft',
     furnished: 'unfurnished',
     amenities: '',
-    photoUrls: '',
     contactName: '',
     contactPhone: '',
     contactEmail: '',
@@ -52,15 +63,20 @@ const EditProperty = () => {
       const response = await propertyAPI.getPropertyById(id);
       const property = response.data.data.property;
 
+      setPhotos(property.photos || []);
+
       // Populate form with existing data
       setFormData({
         title: property.title || '',
         description: property.description || '',
         propertyType: property.propertyType || 'apartment',
-        division: property.location?.division || 'Dhaka',
-        district: property.location?.district || '',
-        area: property.location?.area || '',
+        division: property.location?.divisionId || '',
+        district: property.location?.districtId || '',
+        area: property.location?.areaId || '',
         address: property.location?.address || '',
+        // GeoJSON stores [longitude, latitude]
+        latitude: property.location?.geo?.coordinates?.[1] ?? '',
+        longitude: property.location?.geo?.coordinates?.[0] ?? '',
         rentAmount: property.rent?.amount || '',
         rentPeriod: property.rent?.period || 'monthly',
         bedrooms: property.features?.bedrooms || '',
@@ -69,7 +85,6 @@ const EditProperty = () => {
         sizeUnit: property.features?.size?.unit || 'sqft',
         furnished: property.features?.furnished || 'unfurnished',
         amenities: property.amenities ? property.amenities.join(', ') : '',
-        photoUrls: property.photos ? property.photos.map(p => p.url).join('\n') : '',
         contactName: property.contact?.name || '',
         contactPhone: property.contact?.phone || '',
         contactEmail: property.contact?.email || '',
@@ -88,6 +103,16 @@ const EditProperty = () => {
     }
   };
 
+  // Division/district/area picked from the gazetteer (IDs)
+  const handleLocationChange = (location) => {
+    setFormData({ ...formData, ...location });
+  };
+
+  // Map pin dropped, dragged or removed
+  const handlePinChange = (latitude, longitude) => {
+    setFormData({ ...formData, latitude, longitude });
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData({
@@ -99,6 +124,7 @@ const EditProperty = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setLoading(true);
 
     // Prepare data for API
@@ -110,47 +136,50 @@ const EditProperty = () => {
         division: formData.division,
         district: formData.district,
         area: formData.area,
-        address: formData.address
+        address: formData.address,
+        latitude: formData.latitude,
+        longitude: formData.longitude
       },
       rent: {
         amount: Number(formData.rentAmount),
         period: formData.rentPeriod
       },
+      // Empty fields are sent as null so the update clears them
       features: {
-        bedrooms: formData.bedrooms ? Number(formData.bedrooms) : undefined,
-        bathrooms: formData.bathrooms ? Number(formData.bathrooms) : undefined,
-        size: formData.sizeValue ? {
-          value: Number(formData.sizeValue),
+        bedrooms: formData.bedrooms ? Number(formData.bedrooms) : null,
+        bathrooms: formData.bathrooms ? Number(formData.bathrooms) : null,
+        size: {
+          value: formData.sizeValue ? Number(formData.sizeValue) : null,
           unit: formData.sizeUnit
-        } : undefined,
+        },
         furnished: formData.furnished
       },
       amenities: formData.amenities ? formData.amenities.split(',').map(a => a.trim()) : [],
-      photos: formData.photoUrls ? formData.photoUrls.split('\n').filter(url => url.trim()).map(url => ({
-        url: url.trim(),
-        caption: ''
-      })) : [],
       contact: {
         name: formData.contactName,
         phone: formData.contactPhone,
-        email: formData.contactEmail || undefined
+        email: formData.contactEmail || null
       },
       terms: {
-        minimumStay: formData.minimumStay || undefined,
-        securityDeposit: formData.securityDeposit ? Number(formData.securityDeposit) : undefined,
+        minimumStay: formData.minimumStay || null,
+        securityDeposit: formData.securityDeposit ? Number(formData.securityDeposit) : null,
         utilitiesIncluded: formData.utilitiesIncluded,
         petsAllowed: formData.petsAllowed,
         smokingAllowed: formData.smokingAllowed,
-        additionalRules: formData.additionalRules || undefined
+        additionalRules: formData.additionalRules || null
       }
     };
 
     try {
-      await propertyAPI.updateProperty(id, propertyData);
-      alert('Property updated successfully!');
+      const response = await propertyAPI.updateProperty(id, propertyData);
+      // Says so when the listing is held for review
+      alert(response.data.message);
       navigate('/dashboard/owner');
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to update property. Please try again.');
+      // Field problems are shown next to each input
+      const { message, errors } = err.response?.data || {};
+      setFieldErrors(errors || {});
+      setError(errors ? 'Please correct the highlighted fields.' : message || 'Failed to update property. Please try again.');
       console.error(err);
     } finally {
       setLoading(false);
@@ -192,6 +221,7 @@ const EditProperty = () => {
                 onChange={handleChange}
                 required
               />
+              <FieldError errors={fieldErrors} field="title" />
             </div>
 
             <div className="form-group">
@@ -205,6 +235,7 @@ const EditProperty = () => {
                 rows="5"
                 required
               />
+              <FieldError errors={fieldErrors} field="description" />
             </div>
 
             <div className="form-row">
@@ -223,6 +254,7 @@ const EditProperty = () => {
                   <option value="room">Room</option>
                   <option value="house">House</option>
                 </select>
+                <FieldError errors={fieldErrors} field="propertyType" />
               </div>
             </div>
           </div>
@@ -231,55 +263,12 @@ const EditProperty = () => {
           <div className="form-section">
             <h2>Location</h2>
             
-            <div className="form-row">
-              <div className="form-group">
-                <label className="form-label">Division *</label>
-                <select
-                  name="division"
-                  className="form-select"
-                  value={formData.division}
-                  onChange={handleChange}
-                  required
-                >
-                  <option value="Dhaka">Dhaka</option>
-                  <option value="Chattogram">Chattogram</option>
-                  <option value="Rajshahi">Rajshahi</option>
-                  <option value="Khulna">Khulna</option>
-                  <option value="Barishal">Barishal</option>
-                  <option value="Sylhet">Sylhet</option>
-                  <option value="Rangpur">Rangpur</option>
-                  <option value="Mymensingh">Mymensingh</option>
-                </select>
-              </div>
-
-              <div className="form-group">
-                <label className="form-label">District *</label>
-                <input
-                  type="text"
-                  name="district"
-                  className="form-input"
-                  placeholder="e.g., Dhaka"
-                  value={formData.district}
-                  onChange={handleChange}
-                  required
-                />
-              </div>
-            </div>
-
-            <div className="form-row">
-              <div className="form-group">
-                <label className="form-label">Area/Locality *</label>
-                <input
-                  type="text"
-                  name="area"
-                  className="form-input"
-                  placeholder="e.g., Dhanmondi, Gulshan"
-                  value={formData.area}
-                  onChange={handleChange}
-                  required
-                />
-              </div>
-            </div>
+            <LocationSelect
+              value={{ division: formData.division, district: formData.district, area: formData.area }}
+              onChange={handleLocationChange}
+              required
+            />
+            <FieldError errors={fieldErrors} field={['location', 'location.division', 'location.district', 'location.area']} />
 
             <div className="form-group">
               <label className="form-label">Full Address *</label>
@@ -292,6 +281,17 @@ const EditProperty = () => {
                 onChange={handleChange}
                 required
               />
+              <FieldError errors={fieldErrors} field="location.address" />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Map Location</label>
+              <MapPicker
+                latitude={formData.latitude}
+                longitude={formData.longitude}
+                onChange={handlePinChange}
+              />
+              <FieldError errors={fieldErrors} field={['location.latitude', 'location.longitude']} />
             </div>
           </div>
 
@@ -311,6 +311,7 @@ const EditProperty = () => {
                   onChange={handleChange}
                   required
                 />
+                <FieldError errors={fieldErrors} field="rent.amount" />
               </div>
 
               <div className="form-group">
@@ -324,8 +325,18 @@ const EditProperty = () => {
                   <option value="monthly">Monthly</option>
                   <option value="daily">Daily</option>
                 </select>
+                <FieldError errors={fieldErrors} field="rent.period" />
               </div>
             </div>
+
+            <RentHint
+              district={formData.district}
+              area={formData.area}
+              propertyType={formData.propertyType}
+              bedrooms={formData.bedrooms}
+              period={formData.rentPeriod}
+              amount={formData.rentAmount}
+            />
           </div>
 
           {/* Property Features */}
@@ -344,6 +355,7 @@ const EditProperty = () => {
                   onChange={handleChange}
                   min="0"
                 />
+                <FieldError errors={fieldErrors} field="features.bedrooms" />
               </div>
 
               <div className="form-group">
@@ -357,6 +369,7 @@ const EditProperty = () => {
                   onChange={handleChange}
                   min="0"
                 />
+                <FieldError errors={fieldErrors} field="features.bathrooms" />
               </div>
             </div>
 
@@ -371,6 +384,7 @@ const EditProperty = () => {
                   value={formData.sizeValue}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="features.size.value" />
               </div>
 
               <div className="form-group">
@@ -384,6 +398,7 @@ const EditProperty = () => {
                   <option value="sqft">Square Feet</option>
                   <option value="sqm">Square Meters</option>
                 </select>
+                <FieldError errors={fieldErrors} field="features.size.unit" />
               </div>
             </div>
 
@@ -399,6 +414,7 @@ const EditProperty = () => {
                 <option value="semi-furnished">Semi-Furnished</option>
                 <option value="unfurnished">Unfurnished</option>
               </select>
+              <FieldError errors={fieldErrors} field="features.furnished" />
             </div>
           </div>
 
@@ -416,6 +432,7 @@ const EditProperty = () => {
                 value={formData.amenities}
                 onChange={handleChange}
               />
+              <FieldError errors={fieldErrors} field="amenities" />
               <small className="form-hint">Separate multiple amenities with commas</small>
             </div>
           </div>
@@ -423,23 +440,7 @@ const EditProperty = () => {
           {/* Photos */}
           <div className="form-section">
             <h2>Photos</h2>
-            
-            <div className="form-group">
-              <label className="form-label">Photo URLs (one per line)</label>
-              <textarea
-                name="photoUrls"
-                className="form-textarea"
-                placeholder="https://example.com/photo1.jpg
-https://example.com/photo2.jpg
-https://example.com/photo3.jpg"
-                value={formData.photoUrls}
-                onChange={handleChange}
-                rows="5"
-              />
-              <small className="form-hint">
-                Add image URLs from Unsplash, Imgur, or any image hosting site. One URL per line.
-              </small>
-            </div>
+            <PhotoManager propertyId={id} photos={photos} onChange={setPhotos} />
           </div>
 
           {/* Contact Information */}
@@ -457,6 +458,7 @@ https://example.com/photo3.jpg"
                 onChange={handleChange}
                 required
               />
+              <FieldError errors={fieldErrors} field="contact.name" />
             </div>
 
             <div className="form-row">
@@ -471,6 +473,7 @@ https://example.com/photo3.jpg"
                   onChange={handleChange}
                   required
                 />
+                <FieldError errors={fieldErrors} field="contact.phone" />
               </div>
 
               <div className="form-group">
@@ -483,6 +486,7 @@ https://example.com/photo3.jpg"
                   value={formData.contactEmail}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="contact.email" />
               </div>
             </div>
           </div>
@@ -502,6 +506,7 @@ https://example.com/photo3.jpg"
                   value={formData.minimumStay}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="terms.minimumStay" />
               </div>
 
               <div className="form-group">
@@ -514,6 +519,7 @@ https://example.com/photo3.jpg"
                   value={formData.securityDeposit}
                   onChange={handleChange}
                 />
+                <FieldError errors={fieldErrors} field="terms.securityDeposit" />
               </div>
             </div>
 
@@ -559,6 +565,7 @@ https://example.com/photo3.jpg"
                 onChange={handleChange}
                 rows="4"
               />
+              <FieldError errors={fieldErrors} field="terms.additionalRules" />
             </div>
           </div>
 
@@ -585,4 +592,152 @@ https://example.com/photo3.jpg"
   );
 };
 
+// Photo Manager Component - changes are saved right away through the
+// photo endpoints, separately from the rest of the form
+const PhotoManager = ({ propertyId, photos, onChange }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [captions, setCaptions] = useState({});
+  const [dragIndex, setDragIndex] = useState(null);
+
+  // Run a photo request and take the updated list from its response
+  const runPhotoAction = async (request) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await request();
+      onChange(response.data.data.photos);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update photos. Please try again.');
+      console.error(err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (photos.length + files.length > MAX_PHOTOS) {
+      setError(`A listing can have at most ${MAX_PHOTOS} photos. You can add ${MAX_PHOTOS - photos.length} more.`);
+      return;
+    }
+
+    const uploadData = new FormData();
+    files.forEach(file => uploadData.append('images', file));
+    await runPhotoAction(() => propertyAPI.addPhotos(propertyId, uploadData));
+  };
+
+  const handleDelete = (photo) => {
+    if (!window.confirm('Remove this photo?')) return;
+    runPhotoAction(() => propertyAPI.deletePhoto(propertyId, photo._id));
+  };
+
+  const handleSetCover = (photo) => {
+    runPhotoAction(() => propertyAPI.setCoverPhoto(propertyId, photo._id));
+  };
+
+  // Save a caption when the field loses focus (only if it changed)
+  const handleCaptionBlur = async (photo) => {
+    const caption = captions[photo._id];
+    if (caption === undefined || caption === (photo.caption || '')) return;
+
+    const saved = await runPhotoAction(() => propertyAPI.updatePhotoCaption(propertyId, photo._id, caption));
+    if (saved) {
+      setCaptions(({ [photo._id]: _, ...rest }) => rest);
+    }
+  };
+
+  // Drag and drop reordering - shown immediately, reverted if saving fails
+  const handleDrop = async (index) => {
+    if (dragIndex === null || dragIndex === index) {
+      setDragIndex(null);
+      return;
+    }
+
+    const previous = photos;
+    const reordered = [...photos];
+    const [moved] = reordered.splice(dragIndex, 1);
+    reordered.splice(index, 0, moved);
+    setDragIndex(null);
+    onChange(reordered);
+
+    const saved = await runPhotoAction(() => propertyAPI.reorderPhotos(propertyId, reordered.map(p => p._id)));
+    if (!saved) {
+      onChange(previous);
+    }
+  };
+
+  return (
+    <div className="photo-manager">
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {photos.length === 0 ? (
+        <p className="form-hint">This listing has no photos yet.</p>
+      ) : (
+        <div className="photo-grid">
+          {photos.map((photo, index) => (
+            <div
+              key={photo._id}
+              className={`photo-tile ${dragIndex === index ? 'dragging' : ''}`}
+              draggable={!busy}
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+              onDragEnd={() => setDragIndex(null)}
+            >
+              <div className="photo-tile-image">
+                <PropertyPhoto photo={photo} size="thumbnail" alt={photo.caption || `Photo ${index + 1}`} />
+                {index === 0 && <span className="photo-cover-badge">Cover</span>}
+              </div>
+
+              <input
+                type="text"
+                className="form-input photo-caption"
+                placeholder="Caption (optional)"
+                maxLength={200}
+                value={captions[photo._id] ?? (photo.caption || '')}
+                onChange={(e) => setCaptions({ ...captions, [photo._id]: e.target.value })}
+                onBlur={() => handleCaptionBlur(photo)}
+                disabled={busy}
+              />
+
+              <div className="photo-tile-actions">
+                {index > 0 && (
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleSetCover(photo)} disabled={busy}>
+                    Set as cover
+                  </button>
+                )}
+                <button type="button" className="btn btn-danger btn-sm" onClick={() => handleDelete(photo)} disabled={busy}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="form-group photo-upload">
+        <label className="form-label">Add Photos ({photos.length}/{MAX_PHOTOS})</label>
+        <input
+          type="file"
+          multiple
+          accept="image/jpeg,image/png,image/webp"
+          onChange={handleUpload}
+          className="form-input"
+          disabled={busy || photos.length >= MAX_PHOTOS}
+        />
+        <small className="form-hint">
+          {busy ? 'Saving...' : 'Drag photos to reorder them. The first photo is the cover. JPG, PNG or WebP, up to 5MB and at least 300px on each side.'}
+        </small>
+      </div>
+    </div>
+  );
+};
+
 export default EditProperty;
\ No newline at end of file
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const navigate = useNavigate();
+  const [emailOrMobile, setEmailOrMobile] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!emailOrMobile.trim()) {
+      setError('Please enter your email or mobile number');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(emailOrMobile.trim());
+      // Carry the identifier over so the user only has to type the code
+      navigate('/reset-password', { state: { emailOrMobile: emailOrMobile.trim() } });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send reset code. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2 className="auth-title">Forgot Password?</h2>
+          <p className="auth-subtitle">We'll send you a 6-digit code to reset it</p>
+
+          {error && (
+            <div className="alert alert-error">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            {/* Email or Mobile */}
+            <div className="form-group">
+              <label className="form-label">Email or Mobile Number *</label>
+              <input
+                type="text"
+                name="emailOrMobile"
+                className="form-input"
+                placeholder="Enter email or mobile number"
+                value={emailOrMobile}
+                onChange={(e) => setEmailOrMobile(e.target.value)}
+                required
+              />
+              <small className="form-hint">
+                The code is sent by email or SMS, whichever you enter
+              </small>
+            </div>
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send Reset Code'}
+            </button>
+          </form>
+
+          <p className="auth-footer">
+            Remembered it?{' '}
+            <Link to="/login" className="auth-link">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
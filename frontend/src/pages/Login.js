@@ -97,6 +97,9 @@ const Login = () => {
                 onChange={handleChange}
                 required
               />
+              <small className="form-hint">
+                <Link to="/forgot-password" className="auth-link">Forgot password?</Link>
+              </small>
             </div>
 
             {/* Submit Button */}
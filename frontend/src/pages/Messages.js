@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { messageAPI } from '../services/api';
+import { useSocketEvent } from '../services/socket';
+import './Messages.css';
+
+const Messages = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Selected thread
+  const [activeConversation, setActiveConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [newMessage, setNewMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sendError, setSendError] = useState('');
+
+  useEffect(() => {
+    fetchConversations();
+    // eslint-disable-next-line
+  }, []);
+
+  useEffect(() => {
+    if (id) {
+      fetchMessages();
+    } else {
+      setActiveConversation(null);
+      setMessages([]);
+    }
+    // eslint-disable-next-line
+  }, [id]);
+
+  const fetchConversations = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+      setError('');
+    }
+
+    try {
+      const response = await messageAPI.getConversations();
+      setConversations(response.data.data.conversations);
+    } catch (err) {
+      if (!silent) setError('Failed to load your conversations.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // New message in any of the user's threads (including ones they sent
+  // from another tab)
+  useSocketEvent('message:new', ({ conversationId, message }) => {
+    const isMine = message.sender === user?.id;
+
+    if (conversationId === id) {
+      if (isMine) {
+        setMessages(prev => (prev.some(m => m._id === message._id) ? prev : [...prev, message]));
+      } else {
+        // Reloading the open thread marks the new message as read
+        fetchMessages({ silent: true });
+      }
+    }
+
+    // A thread we haven't loaded yet (a tenant just got in touch)
+    if (!conversations.some(c => c._id === conversationId)) {
+      fetchConversations({ silent: true });
+      return;
+    }
+
+    // Move thread to the top with the new preview
+    setConversations(prev => {
+      const current = prev.find(c => c._id === conversationId);
+      if (!current) return prev;
+      const rest = prev.filter(c => c._id !== conversationId);
+      const unreadCount = !isMine && conversationId !== id ? (current.unreadCount || 0) + 1 : current.unreadCount;
+      return [{ ...current, lastMessage: message.body, lastMessageAt: message.createdAt, unreadCount }, ...rest];
+    });
+  });
+
+  // silent: refresh in place without the loading spinner (live updates)
+  const fetchMessages = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setThreadLoading(true);
+      setSendError('');
+    }
+
+    try {
+      const response = await messageAPI.getMessages(id);
+      setActiveConversation(response.data.data.conversation);
+      setMessages(response.data.data.messages);
+
+      // Opening a thread marks it as read
+      setConversations(prev => prev.map(c => (
+        c._id === id ? { ...c, unreadCount: 0 } : c
+      )));
+    } catch (err) {
+      setSendError('Failed to load this conversation.');
+      console.error(err);
+    } finally {
+      setThreadLoading(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!newMessage.trim()) return;
+
+    setSending(true);
+    setSendError('');
+
+    try {
+      const response = await messageAPI.sendMessage(id, newMessage);
+      const message = response.data.data.message;
+      // The socket may have delivered it already
+      setMessages(prev => (prev.some(m => m._id === message._id) ? prev : [...prev, message]));
+      setNewMessage('');
+
+      // Move thread to the top with the new preview
+      setConversations(prev => {
+        const current = prev.find(c => c._id === id);
+        const rest = prev.filter(c => c._id !== id);
+        return current
+          ? [{ ...current, lastMessage: message.body, lastMessageAt: message.createdAt }, ...rest]
+          : prev;
+      });
+    } catch (err) {
+      setSendError(err.response?.data?.message || 'Failed to send message. Please try again.');
+      console.error(err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Name of the other participant in a thread
+  const getOtherName = (conversation) => {
+    if (!conversation) return '';
+    return user?.accountType === 'owner'
+      ? conversation.tenant?.fullName
+      : conversation.owner?.fullName;
+  };
+
+  return (
+    <div className="messages-page">
+      <div className="container">
+        <div className="page-header">
+          <h1>Messages</h1>
+          <p>Your conversations about properties</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        <div className="messages-layout">
+          {/* Conversation List */}
+          <div className="conversation-list">
+            {loading ? (
+              <div className="loading-state">
+                <div className="spinner"></div>
+              </div>
+            ) : conversations.length === 0 ? (
+              <div className="conversation-empty">
+                <p>No conversations yet.</p>
+                {user?.accountType === 'tenant' && (
+                  <Link to="/properties" className="btn btn-primary">Browse Properties</Link>
+                )}
+              </div>
+            ) : (
+              conversations.map((conversation) => (
+                <button
+                  key={conversation._id}
+                  className={`conversation-item ${conversation._id === id ? 'active' : ''}`}
+                  onClick={() => navigate(`/messages/${conversation._id}`)}
+                >
+                  <div className="conversation-top">
+                    <span className="conversation-name">{getOtherName(conversation)}</span>
+                    {conversation.unreadCount > 0 && (
+                      <span className="unread-badge">{conversation.unreadCount}</span>
+                    )}
+                  </div>
+                  <div className="conversation-property">
+                    🏠 {conversation.property?.title || 'Deleted property'}
+                  </div>
+                  <div className="conversation-preview">
+                    {conversation.lastMessage || 'No messages yet'}
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+
+          {/* Thread View */}
+          <div className="thread-panel">
+            {!id ? (
+              <div className="thread-empty">
+                <p>Select a conversation to read messages</p>
+              </div>
+            ) : threadLoading && !activeConversation ? (
+              <div className="loading-state">
+                <div className="spinner"></div>
+              </div>
+            ) : (
+              <>
+                {activeConversation && (
+                  <div className="thread-header">
+                    <h3>{getOtherName(activeConversation)}</h3>
+                    {activeConversation.property && (
+                      <Link to={`/properties/${activeConversation.property._id}`} className="thread-property">
+                        🏠 {activeConversation.property.title}
+                      </Link>
+                    )}
+                  </div>
+                )}
+
+                <div className="thread-messages">
+                  {messages.length === 0 ? (
+                    <p className="thread-no-messages">No messages yet. Say hello!</p>
+                  ) : (
+                    messages.map((message) => (
+                      <div
+                        key={message._id}
+                        className={`message-bubble ${message.sender === user?.id ? 'mine' : 'theirs'}`}
+                      >
+                        <p>{message.body}</p>
+                        <span className="message-time">
+                          {new Date(message.createdAt).toLocaleString()}
+                        </span>
+                      </div>
+                    ))
+                  )}
+                </div>
+
+                {sendError && <div className="alert alert-error">{sendError}</div>}
+
+                <form onSubmit={handleSend} className="thread-form">
+                  <textarea
+                    className="form-textarea"
+                    placeholder="Write a message..."
+                    value={newMessage}
+                    onChange={(e) => setNewMessage(e.target.value)}
+                    maxLength={1000}
+                    rows="2"
+                  />
+                  <button
+                    type="submit"
+                    className="btn btn-primary"
+                    disabled={sending || !newMessage.trim()}
+                  >
+                    {sending ? 'Sending...' : 'Send'}
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Messages;
@@ -0,0 +1,492 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { adminAPI } from '../services/api';
+import './OwnerDashboard.css';
+import './ModerationRules.css';
+
+const TYPE_LABELS = {
+  keyword: 'Keywords',
+  regex: 'Regex pattern',
+  profanity: 'Bad language',
+  punctuation: 'Punctuation',
+  caps: 'Capitals',
+  url_count: 'Links',
+  price_outlier: 'Rent vs. area'
+};
+
+const LANGUAGE_LABELS = {
+  any: 'Any',
+  en: 'English',
+  bn: 'Bangla',
+  banglish: 'Banglish'
+};
+
+// What the threshold means for each rule type that has one
+const THRESHOLD_HINTS = {
+  punctuation: 'Fires above this many "!" or "?"',
+  caps: 'Fires above this many words in capitals',
+  url_count: 'Fires above this many links',
+  price_outlier: 'Fires below this share of the local median rent, or above the median divided by it (0.4: under 40% or over 2.5x)'
+};
+
+const emptyRule = {
+  key: '',
+  name: '',
+  type: 'keyword',
+  language: 'en',
+  weight: 20,
+  message: '',
+  keywords: '',
+  pattern: '',
+  threshold: ''
+};
+
+// Rule as sent to the API (keywords are edited one per line)
+const toRuleData = (form) => {
+  const data = {
+    name: form.name,
+    type: form.type,
+    language: form.language,
+    weight: Number(form.weight),
+    message: form.message
+  };
+
+  if (form.type === 'keyword' || form.type === 'profanity') {
+    data.keywords = form.keywords.split('\n').map((keyword) => keyword.trim()).filter(Boolean);
+  }
+  if (form.type === 'regex') {
+    data.pattern = form.pattern;
+  }
+  if (THRESHOLD_HINTS[form.type]) {
+    data.threshold = Number(form.threshold);
+  }
+
+  return data;
+};
+
+const ModerationRules = () => {
+  const [rules, setRules] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showAddForm, setShowAddForm] = useState(false);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await adminAPI.getModerationRules();
+      setRules(response.data.data.rules);
+      setSettings(response.data.data.settings);
+    } catch (err) {
+      setError('Failed to load moderation rules.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Swap in an updated rule
+  const replaceRule = (updated) => {
+    setRules(rules.map((rule) => (rule._id === updated._id ? updated : rule)));
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const response = await adminAPI.updateModerationRule(rule._id, { isActive: !rule.isActive });
+      replaceRule(response.data.data.rule);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update rule. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Turning it off keeps it for later.`)) {
+      return;
+    }
+
+    try {
+      await adminAPI.deleteModerationRule(rule._id);
+      setRules(rules.filter((r) => r._id !== rule._id));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete rule. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleCreated = (rule) => {
+    setRules([...rules, rule]);
+    setShowAddForm(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="owner-dashboard">
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading moderation rules...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-dashboard moderation-rules-page">
+      <div className="container">
+        {/* Header */}
+        <div className="dashboard-header">
+          <div>
+            <h1>⚙️ Moderation Rules</h1>
+            <p>Each rule that fires adds its weight to a listing's risk score</p>
+          </div>
+          <Link to="/dashboard/admin" className="btn btn-primary">
+            ← Moderation Console
+          </Link>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {settings && <ThresholdsForm settings={settings} onSaved={setSettings} />}
+
+        <RuleTester />
+
+        {/* Rules */}
+        <div className="properties-section">
+          <div className="rules-header">
+            <h2>Rules ({rules.length})</h2>
+            <button className="btn btn-primary" onClick={() => setShowAddForm(!showAddForm)}>
+              {showAddForm ? 'Cancel' : '+ Add Rule'}
+            </button>
+          </div>
+
+          {showAddForm && (
+            <RuleForm onSaved={handleCreated} onCancel={() => setShowAddForm(false)} />
+          )}
+
+          <div className="rule-list">
+            {rules.map((rule) => (
+              <RuleItem
+                key={rule._id}
+                rule={rule}
+                onToggle={handleToggle}
+                onDelete={handleDelete}
+                onSaved={replaceRule}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Thresholds Form Component
+const ThresholdsForm = ({ settings, onSaved }) => {
+  const [form, setForm] = useState(settings);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    try {
+      const response = await adminAPI.updateModerationSettings({
+        holdScore: Number(form.holdScore),
+        rejectScore: Number(form.rejectScore)
+      });
+      onSaved(response.data.data.settings);
+      setMessage({ type: 'success', text: 'Thresholds saved' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to save thresholds.' });
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="properties-section thresholds-form" onSubmit={handleSubmit}>
+      <h2>Score Thresholds</h2>
+      <p className="rule-hint">
+        Listings scoring at least the hold score are hidden until an admin approves them.
+        Listings and messages scoring at least the reject score are refused.
+      </p>
+
+      <div className="threshold-fields">
+        <div className="form-group">
+          <label className="form-label">Hold score</label>
+          <input
+            type="number"
+            min="1"
+            className="form-input"
+            value={form.holdScore}
+            onChange={(e) => setForm({ ...form, holdScore: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Reject score</label>
+          <input
+            type="number"
+            min="1"
+            className="form-input"
+            value={form.rejectScore}
+            onChange={(e) => setForm({ ...form, rejectScore: e.target.value })}
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {message && <div className={`alert alert-${message.type}`}>{message.text}</div>}
+    </form>
+  );
+};
+
+// Rule Tester Component - scores sample text with the current rules
+const RuleTester = () => {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  const handleTest = async (e) => {
+    e.preventDefault();
+    setTesting(true);
+
+    try {
+      const response = await adminAPI.testModerationRules(text);
+      setResult(response.data.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to test the rules.');
+      console.error(err);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <form className="properties-section rule-tester" onSubmit={handleTest}>
+      <h2>Try the Rules</h2>
+      <textarea
+        className="form-textarea"
+        placeholder="Paste a listing description or message..."
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <button type="submit" className="btn btn-primary" disabled={testing || !text.trim()}>
+        {testing ? 'Checking...' : 'Check Text'}
+      </button>
+
+      {result && (
+        <div className={`rule-test-result ${result.decision}`}>
+          <p>
+            <strong>Score {result.score}</strong> ·{' '}
+            {result.decision === 'reject' ? 'Rejected' : result.decision === 'hold' ? 'Held for review' : 'Allowed'}
+          </p>
+          {result.hits.length > 0 && (
+            <ul>
+              {result.hits.map((hit, index) => (
+                <li key={index}>
+                  <strong>+{hit.weight}</strong> {hit.name}{hit.match && `: ${hit.match}`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+// Rule Item Component
+const RuleItem = ({ rule, onToggle, onDelete, onSaved }) => {
+  const [editing, setEditing] = useState(false);
+
+  const handleSaved = (updated) => {
+    onSaved(updated);
+    setEditing(false);
+  };
+
+  return (
+    <div className={`rule-item ${rule.isActive ? '' : 'inactive'}`}>
+      <div className="rule-summary">
+        <div className="rule-details">
+          <h3>
+            {rule.name}
+            <span className="rule-weight">+{rule.weight}</span>
+          </h3>
+          <p className="rule-meta">
+            <code>{rule.key}</code> · {TYPE_LABELS[rule.type]} · {LANGUAGE_LABELS[rule.language]}
+            {THRESHOLD_HINTS[rule.type] && ` · threshold ${rule.threshold}`}
+            {rule.type === 'keyword' || rule.type === 'profanity' ? ` · ${rule.keywords.length} keywords` : ''}
+          </p>
+          {rule.message && <p className="rule-message">"{rule.message}"</p>}
+        </div>
+
+        <div className="rule-actions">
+          <button className="btn-action btn-edit" onClick={() => setEditing(!editing)}>
+            {editing ? 'Close' : 'Edit'}
+          </button>
+          <button
+            className={`btn-action ${rule.isActive ? 'btn-toggle-off' : 'btn-toggle-on'}`}
+            onClick={() => onToggle(rule)}
+          >
+            {rule.isActive ? 'Turn Off' : 'Turn On'}
+          </button>
+          <button className="btn-action btn-delete" onClick={() => onDelete(rule)}>
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {editing && <RuleForm rule={rule} onSaved={handleSaved} onCancel={() => setEditing(false)} />}
+    </div>
+  );
+};
+
+// Rule Form Component - adds a rule, or edits one when given a rule
+const RuleForm = ({ rule, onSaved, onCancel }) => {
+  const [form, setForm] = useState(rule
+    ? {
+      ...emptyRule,
+      ...rule,
+      message: rule.message || '',
+      keywords: (rule.keywords || []).join('\n'),
+      pattern: rule.pattern || '',
+      threshold: rule.threshold ?? ''
+    }
+    : emptyRule);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = rule
+        ? await adminAPI.updateModerationRule(rule._id, toRuleData(form))
+        : await adminAPI.createModerationRule({ key: form.key, ...toRuleData(form) });
+      onSaved(response.data.data.rule);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save rule. Please try again.');
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="rule-form" onSubmit={handleSubmit}>
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="rule-form-grid">
+        {!rule && (
+          <div className="form-group">
+            <label className="form-label">Key</label>
+            <input
+              name="key"
+              className="form-input"
+              placeholder="e.g. deposit-scam-en"
+              value={form.key}
+              onChange={handleChange}
+              required
+            />
+          </div>
+        )}
+        <div className="form-group">
+          <label className="form-label">Name</label>
+          <input name="name" className="form-input" value={form.name} onChange={handleChange} required />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Type</label>
+          <select name="type" className="form-select" value={form.type} onChange={handleChange}>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Language</label>
+          <select name="language" className="form-select" value={form.language} onChange={handleChange}>
+            {Object.entries(LANGUAGE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Weight (0-100)</label>
+          <input
+            type="number"
+            name="weight"
+            min="0"
+            max="100"
+            className="form-input"
+            value={form.weight}
+            onChange={handleChange}
+            required
+          />
+        </div>
+        {THRESHOLD_HINTS[form.type] && (
+          <div className="form-group">
+            <label className="form-label">Threshold</label>
+            <input
+              type="number"
+              name="threshold"
+              min="0"
+              step="any"
+              className="form-input"
+              value={form.threshold}
+              onChange={handleChange}
+              required
+            />
+            <small className="rule-hint">{THRESHOLD_HINTS[form.type]}</small>
+          </div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Message shown to owners</label>
+        <input name="message" className="form-input" maxLength="200" value={form.message} onChange={handleChange} />
+      </div>
+
+      {(form.type === 'keyword' || form.type === 'profanity') && (
+        <div className="form-group">
+          <label className="form-label">Keywords (one per line)</label>
+          <textarea name="keywords" className="form-textarea" rows="6" value={form.keywords} onChange={handleChange} />
+        </div>
+      )}
+
+      {form.type === 'regex' && (
+        <div className="form-group">
+          <label className="form-label">Pattern (case-insensitive)</label>
+          <input name="pattern" className="form-input rule-pattern" value={form.pattern} onChange={handleChange} required />
+        </div>
+      )}
+
+      <div className="rule-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : rule ? 'Save Rule' : 'Add Rule'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ModerationRules;
@@ -1,7 +1,11 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
-import { propertyAPI } from '../services/api';
+import { propertyAPI, viewingAPI } from '../services/api';
+import { useSocketEvent } from '../services/socket';
+import PropertyPhoto from '../components/PropertyPhoto';
+import { formatSlot, viewingStatusLabels } from '../utils/viewingHelpers';
+import { reportReasons } from '../utils/reportReasons';
 import './OwnerDashboard.css';
 
 const OwnerDashboard = () => {
@@ -15,21 +19,45 @@ const OwnerDashboard = () => {
     // eslint-disable-next-line
   }, []);
 
-  const fetchMyProperties = async () => {
-    setLoading(true);
-    setError('');
+  // silent: refresh in place without the loading spinner (live updates)
+  const fetchMyProperties = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+      setError('');
+    }
 
     try {
       const response = await propertyAPI.getMyProperties();
       setProperties(response.data.data.properties);
     } catch (err) {
-      setError('Failed to load your properties.');
+      if (!silent) setError('Failed to load your properties.');
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
 
+  // Apply changes to one listing without refetching the whole list
+  const updateProperty = (id, changes) => {
+    setProperties((current) => current.map((p) => (p._id === id ? { ...p, ...changes } : p)));
+  };
+
+  const removeProperty = (id) => {
+    setProperties((current) => current.filter((p) => p._id !== id));
+  };
+
+  // Live updates (also covers changes made in another tab or by a moderator)
+  useSocketEvent('property:availability', ({ propertyId, isAvailable }) => {
+    updateProperty(propertyId, { isAvailable });
+  });
+
+  useSocketEvent('property:deleted', ({ propertyId }) => {
+    removeProperty(propertyId);
+  });
+
+  useSocketEvent('property:updated', () => fetchMyProperties({ silent: true }));
+  useSocketEvent('property:moderated', () => fetchMyProperties({ silent: true }));
+
   const handleDelete = async (id, title) => {
     if (!window.confirm(`Are you sure you want to delete "${title}"?`)) {
       return;
@@ -37,8 +65,8 @@ const OwnerDashboard = () => {
 
     try {
       await propertyAPI.deleteProperty(id);
+      removeProperty(id);
       alert('Property deleted successfully!');
-      fetchMyProperties(); // Refresh list
     } catch (err) {
       alert('Failed to delete property. Please try again.');
       console.error(err);
@@ -47,15 +75,32 @@ const OwnerDashboard = () => {
 
   const handleToggleAvailability = async (id, currentStatus) => {
     try {
-      await propertyAPI.toggleAvailability(id);
+      const response = await propertyAPI.toggleAvailability(id);
+      updateProperty(id, { isAvailable: response.data.data.property.isAvailable });
       alert(`Property marked as ${currentStatus ? 'unavailable' : 'available'}!`);
-      fetchMyProperties(); // Refresh list
     } catch (err) {
       alert('Failed to update availability. Please try again.');
       console.error(err);
     }
   };
 
+  const handleReviewReports = async (id) => {
+    const answer = window.prompt('What did you check or change? Your listing will be visible again, and an admin will read your response.');
+    if (!answer || !answer.trim()) {
+      return;
+    }
+
+    try {
+      const response = await propertyAPI.reviewReports(id, answer.trim());
+      const { isHiddenByReports, reportResponse } = response.data.data.property;
+      updateProperty(id, { isHiddenByReports, reportResponse });
+      alert(response.data.message);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to send your response. Please try again.');
+      console.error(err);
+    }
+  };
+
   return (
     <div className="owner-dashboard">
       <div className="container">
@@ -125,26 +170,326 @@ const OwnerDashboard = () => {
                   property={property}
                   onDelete={handleDelete}
                   onToggle={handleToggleAvailability}
+                  onReviewReports={handleReviewReports}
                 />
               ))}
             </div>
           )}
         </div>
+
+        {/* Viewing Appointments */}
+        {properties.length > 0 && <ViewingManager properties={properties} />}
       </div>
     </div>
   );
 };
 
+// Viewing Manager Component - publish slots and handle tenant requests
+const ViewingManager = ({ properties }) => {
+  const [slots, setSlots] = useState([]);
+  const [viewings, setViewings] = useState([]);
+  const [slotForm, setSlotForm] = useState({
+    propertyId: properties[0]?._id || '',
+    date: '',
+    time: '',
+    duration: '30'
+  });
+  const [rescheduleFor, setRescheduleFor] = useState(null);
+  const [rescheduleSlot, setRescheduleSlot] = useState('');
+
+  useEffect(() => {
+    fetchViewingData();
+    // eslint-disable-next-line
+  }, []);
+
+  // Deleting a listing cancels its open viewings
+  useSocketEvent('property:deleted', () => fetchViewingData());
+
+  const fetchViewingData = async () => {
+    try {
+      const [slotsResponse, viewingsResponse] = await Promise.all([
+        viewingAPI.getMySlots(),
+        viewingAPI.getMyRequests()
+      ]);
+      setSlots(slotsResponse.data.data.slots);
+      setViewings(viewingsResponse.data.data.viewings);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleSlotChange = (e) => {
+    setSlotForm({
+      ...slotForm,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleAddSlot = async (e) => {
+    e.preventDefault();
+
+    const startTime = new Date(`${slotForm.date}T${slotForm.time}`);
+    const endTime = new Date(startTime.getTime() + Number(slotForm.duration) * 60 * 1000);
+
+    try {
+      await viewingAPI.createSlot({
+        propertyId: slotForm.propertyId,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString()
+      });
+      setSlotForm({ ...slotForm, time: '' });
+      fetchViewingData();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add slot. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleDeleteSlot = async (slotId) => {
+    try {
+      await viewingAPI.deleteSlot(slotId);
+      fetchViewingData();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete slot. Please try again.');
+      console.error(err);
+    }
+  };
+
+  // Run a request action, then refresh slots and requests
+  const runAction = async (action) => {
+    try {
+      await action();
+      setRescheduleFor(null);
+      setRescheduleSlot('');
+      fetchViewingData();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update viewing. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleDecline = (id) => {
+    const reason = window.prompt('Reason for declining (optional):');
+    if (reason === null) return;
+    runAction(() => viewingAPI.declineRequest(id, reason || undefined));
+  };
+
+  const handleCancel = (id) => {
+    if (!window.confirm('Cancel this confirmed viewing?')) return;
+    runAction(() => viewingAPI.cancelRequest(id));
+  };
+
+  const openSlotsFor = (propertyId) => {
+    return slots.filter(slot => slot.property?._id === propertyId && !slot.isBooked);
+  };
+
+  const activeViewings = viewings.filter(v => v.status === 'pending' || v.status === 'confirmed');
+  const pastViewings = viewings.filter(v => v.status === 'cancelled' || v.status === 'completed');
+
+  return (
+    <div className="properties-section viewing-section">
+      <h2>Viewing Appointments</h2>
+
+      {/* Add Slot */}
+      <form onSubmit={handleAddSlot} className="slot-form">
+        <select
+          name="propertyId"
+          className="form-select"
+          value={slotForm.propertyId}
+          onChange={handleSlotChange}
+          required
+        >
+          {properties.map((property) => (
+            <option key={property._id} value={property._id}>{property.title}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          name="date"
+          className="form-input"
+          value={slotForm.date}
+          onChange={handleSlotChange}
+          required
+        />
+        <input
+          type="time"
+          name="time"
+          className="form-input"
+          value={slotForm.time}
+          onChange={handleSlotChange}
+          required
+        />
+        <select
+          name="duration"
+          className="form-select"
+          value={slotForm.duration}
+          onChange={handleSlotChange}
+        >
+          <option value="30">30 minutes</option>
+          <option value="60">1 hour</option>
+          <option value="90">1.5 hours</option>
+        </select>
+        <button type="submit" className="btn btn-primary">+ Add Slot</button>
+      </form>
+
+      {/* Upcoming Slots */}
+      <h3 className="viewing-subtitle">Upcoming Slots ({slots.length})</h3>
+      {slots.length === 0 ? (
+        <p className="viewing-empty">No upcoming slots. Add times when tenants can visit.</p>
+      ) : (
+        <div className="viewing-list">
+          {slots.map((slot) => (
+            <div key={slot._id} className="viewing-item">
+              <div>
+                <strong>{formatSlot(slot)}</strong>
+                <p>{slot.property?.title}</p>
+              </div>
+              {slot.isBooked ? (
+                <span className="viewing-status confirmed">Booked</span>
+              ) : (
+                <button
+                  className="btn-action btn-delete"
+                  onClick={() => handleDeleteSlot(slot._id)}
+                >
+                  🗑️ Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Requests */}
+      <h3 className="viewing-subtitle">Viewing Requests ({activeViewings.length})</h3>
+      {activeViewings.length === 0 ? (
+        <p className="viewing-empty">No active viewing requests.</p>
+      ) : (
+        <div className="viewing-list">
+          {activeViewings.map((viewing) => (
+            <div key={viewing._id} className="viewing-item">
+              <div>
+                <strong>{viewing.tenant?.fullName}</strong>
+                {' '}<span className={`viewing-status ${viewing.status}`}>{viewingStatusLabels[viewing.status]}</span>
+                <p>{viewing.property?.title} · {formatSlot(viewing.slot)}</p>
+                <p>{viewing.tenant?.mobile || viewing.tenant?.email}</p>
+                {viewing.note && <p className="viewing-note">“{viewing.note}”</p>}
+                {viewing.status === 'pending' && viewing.rescheduledAt && (
+                  <p className="viewing-note">Waiting for the tenant to accept the new time</p>
+                )}
+
+                {rescheduleFor === viewing._id && (
+                  <div className="reschedule-row">
+                    <select
+                      className="form-select"
+                      value={rescheduleSlot}
+                      onChange={(e) => setRescheduleSlot(e.target.value)}
+                    >
+                      <option value="">Select a new slot</option>
+                      {openSlotsFor(viewing.property?._id).map((slot) => (
+                        <option key={slot._id} value={slot._id}>{formatSlot(slot)}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="btn-action btn-view"
+                      disabled={!rescheduleSlot}
+                      onClick={() => runAction(() => viewingAPI.rescheduleRequest(viewing._id, rescheduleSlot))}
+                    >
+                      Save
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <div className="viewing-actions">
+                {viewing.status === 'pending' && (
+                  <>
+                    {!viewing.rescheduledAt && (
+                      <button
+                        className="btn-action btn-toggle-on"
+                        onClick={() => runAction(() => viewingAPI.acceptRequest(viewing._id))}
+                      >
+                        ✓ Accept
+                      </button>
+                    )}
+                    <button
+                      className="btn-action btn-toggle-off"
+                      onClick={() => handleDecline(viewing._id)}
+                    >
+                      ✗ Decline
+                    </button>
+                  </>
+                )}
+                {viewing.status === 'confirmed' && (
+                  <>
+                    <button
+                      className="btn-action btn-toggle-on"
+                      onClick={() => runAction(() => viewingAPI.completeRequest(viewing._id))}
+                    >
+                      ✔ Completed
+                    </button>
+                    <button
+                      className="btn-action btn-toggle-off"
+                      onClick={() => handleCancel(viewing._id)}
+                    >
+                      ✗ Cancel
+                    </button>
+                  </>
+                )}
+                <button
+                  className="btn-action btn-edit"
+                  onClick={() => setRescheduleFor(rescheduleFor === viewing._id ? null : viewing._id)}
+                >
+                  🕒 Reschedule
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pastViewings.length > 0 && (
+        <>
+          <h3 className="viewing-subtitle">Past Requests ({pastViewings.length})</h3>
+          <div className="viewing-list">
+            {pastViewings.map((viewing) => (
+              <div key={viewing._id} className="viewing-item">
+                <div>
+                  <strong>{viewing.tenant?.fullName}</strong>
+                  <p>{viewing.property?.title} · {formatSlot(viewing.slot)}</p>
+                  {viewing.cancelReason && <p className="viewing-note">{viewing.cancelReason}</p>}
+                </div>
+                <span className={`viewing-status ${viewing.status}`}>{viewingStatusLabels[viewing.status]}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 // Property Card Component for Owner
-const PropertyCard = ({ property, onDelete, onToggle }) => {
-  const photoUrl = property.photos && property.photos.length > 0
-    ? property.photos[0].url
-    : 'https://via.placeholder.com/400x300?text=No+Image';
+const PropertyCard = ({ property, onDelete, onToggle, onReviewReports }) => {
+  const [reports, setReports] = useState(null);
+
+  const toggleReports = async () => {
+    if (reports) {
+      setReports(null);
+      return;
+    }
+
+    try {
+      const response = await propertyAPI.getPropertyReports(property._id);
+      setReports(response.data.data.reports);
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
   return (
     <div className="owner-property-card">
       <div className="property-image">
-        <img src={photoUrl} alt={property.title} />
+        <PropertyPhoto photo={property.photos?.[0]} alt={property.title} />
         <div className={`availability-badge ${property.isAvailable ? 'available' : 'unavailable'}`}>
           {property.isAvailable ? '✓ Available' : '✗ Unavailable'}
         </div>
@@ -161,6 +506,55 @@ const PropertyCard = ({ property, onDelete, onToggle }) => {
           <span className="property-rent">৳{property.rent.amount.toLocaleString()}/{property.rent.period}</span>
         </div>
 
+        <p className={`verification-status ${property.verificationStatus || 'pending'}`}>
+          {property.isVerified
+            ? '✓ Verified'
+            : property.verificationStatus === 'rejected'
+              ? `✗ Rejected: ${property.rejectionReason}. Edit the listing to resubmit.`
+              : '⏳ Awaiting verification'}
+        </p>
+
+        {property.isHeldForReview && (
+          <div className="held-notice">
+            <p>🔍 Hidden from tenants until an admin reviews it. Flagged for:</p>
+            <ul className="held-reasons">
+              {property.duplicateOf && <li>Looks like a repost of another owner's listing</li>}
+              {(property.moderation?.hits || []).map((hit, index) => (
+                <li key={index}>{hit.reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {property.isHiddenByReports && (
+          <div className="reports-notice">
+            <p>🚩 Hidden from search after {property.reportCount} user reports.</p>
+            <div className="reports-notice-actions">
+              <button className="btn-action btn-view" onClick={toggleReports}>
+                {reports ? 'Hide Reports' : 'View Reports'}
+              </button>
+              <button className="btn-action btn-toggle-on" onClick={() => onReviewReports(property._id)}>
+                {property.reportResponse?.respondedAt ? '✎ Update Response' : '✓ Respond to Reports'}
+              </button>
+            </div>
+            {property.reportResponse?.respondedAt && (
+              <p className="reports-response">
+                Your earlier response: "{property.reportResponse.text}"
+              </p>
+            )}
+            {reports && (
+              <ul className="reports-list">
+                {reports.map((report) => (
+                  <li key={report._id}>
+                    <strong>{reportReasons[report.reason]}</strong>
+                    {report.details && `: ${report.details}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="property-stats">
           {property.features.bedrooms && <span>🛏️ {property.features.bedrooms} Bed</span>}
           {property.features.bathrooms && <span>🚿 {property.features.bathrooms} Bath</span>}
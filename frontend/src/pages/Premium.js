@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { subscriptionAPI } from '../services/api';
+import './OwnerDashboard.css';
+import './Premium.css';
+
+const Premium = () => {
+  const { user, updateUser } = useContext(AuthContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [plan, setPlan] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    // Back from a hosted checkout page: finish the purchase it paid for
+    const paymentToken = searchParams.get('paymentToken');
+    const kind = searchParams.get('kind');
+    if (paymentToken && (kind === 'start' || kind === 'renew')) {
+      setSearchParams({}, { replace: true });
+      runAction(() => completePurchase(kind, paymentToken));
+    } else {
+      fetchSubscription();
+    }
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchSubscription = async () => {
+    setLoading(true);
+
+    try {
+      const [plansResponse, subscriptionResponse] = await Promise.all([
+        subscriptionAPI.getPlans(),
+        subscriptionAPI.getMySubscription()
+      ]);
+      setPlan(plansResponse.data.data.plans[0]);
+      setSubscription(subscriptionResponse.data.data.subscription);
+      setPayments(subscriptionResponse.data.data.payments);
+    } catch (err) {
+      setError('Failed to load your subscription.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a subscription action and keep AuthContext in sync
+  const runAction = async (action) => {
+    setWorking(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await action();
+      if (!response) return; // Leaving for a hosted checkout page
+
+      const updated = response.data.data.subscription;
+      setSuccess(response.data.message);
+      updateUser({
+        ...user,
+        subscription: {
+          ...user.subscription,
+          plan: updated.plan,
+          expiresAt: updated.expiresAt,
+          startedAt: updated.startedAt,
+          autoRenew: updated.autoRenew
+        }
+      });
+      fetchSubscription();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const completePurchase = (kind, paymentToken) => (kind === 'start'
+    ? subscriptionAPI.start('premium', paymentToken)
+    : subscriptionAPI.renew(paymentToken));
+
+  // Open the provider checkout. Hosted pages come back here with
+  // ?paymentToken=...&kind=...; otherwise the token is used straight away.
+  const handlePurchase = (kind) => runAction(async () => {
+    const response = await subscriptionAPI.checkout(kind);
+    const { paymentToken, redirectUrl } = response.data.data;
+
+    if (redirectUrl) {
+      window.location.assign(redirectUrl);
+      return null;
+    }
+    return completePurchase(kind, paymentToken);
+  });
+
+  const handleStart = () => handlePurchase('start');
+  const handleRenew = () => handlePurchase('renew');
+  const handleCancel = () => {
+    if (!window.confirm('Turn off auto-renewal? Premium stays active until the end of the current period.')) {
+      return;
+    }
+    runAction(() => subscriptionAPI.cancel());
+  };
+
+  if (loading) {
+    return (
+      <div className="owner-dashboard">
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading your subscription...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-dashboard premium-page">
+      <div className="container">
+        {/* Header */}
+        <div className="dashboard-header">
+          <div>
+            <h1>⭐ Rentnest Premium</h1>
+            <p>
+              {subscription?.isPremium
+                ? `Active until ${new Date(subscription.expiresAt).toLocaleDateString()}`
+                : 'You are on the free plan'}
+            </p>
+          </div>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+        {success && <div className="alert alert-success">{success}</div>}
+
+        {plan && (
+          <div className="properties-section premium-plan">
+            <div className="premium-price">
+              <h2>{plan.name}</h2>
+              <p>
+                <strong>৳{plan.price}</strong> / {plan.durationDays} days
+              </p>
+            </div>
+
+            <ul className="premium-features">
+              {plan.features.map((feature) => (
+                <li key={feature}>✓ {feature}</li>
+              ))}
+            </ul>
+
+            {subscription?.isPremium ? (
+              <div className="premium-actions">
+                <p className="premium-renewal">
+                  {subscription.autoRenew
+                    ? `Renews automatically on ${new Date(subscription.expiresAt).toLocaleDateString()}`
+                    : `Auto-renewal is off. Premium ends on ${new Date(subscription.expiresAt).toLocaleDateString()}`}
+                </p>
+                <button className="btn btn-primary" onClick={handleRenew} disabled={working}>
+                  {working ? 'Processing...' : `Add ${plan.durationDays} Days (৳${plan.price})`}
+                </button>
+                {subscription.autoRenew && (
+                  <button className="btn btn-secondary" onClick={handleCancel} disabled={working}>
+                    Cancel Auto-Renewal
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="premium-actions">
+                <button className="btn btn-primary" onClick={handleStart} disabled={working}>
+                  {working ? 'Processing...' : `Get Premium for ৳${plan.price}`}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Payment History */}
+        <div className="properties-section">
+          <h2>Payment History</h2>
+
+          {payments.length === 0 ? (
+            <p className="viewing-empty">No payments yet.</p>
+          ) : (
+            <table className="payment-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Period</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.map((payment) => (
+                  <tr key={payment._id}>
+                    <td>{new Date(payment.createdAt).toLocaleDateString()}</td>
+                    <td>{paymentKindLabels[payment.kind]}</td>
+                    <td>৳{payment.amount}</td>
+                    <td>
+                      {new Date(payment.periodStart).toLocaleDateString()} – {new Date(payment.periodEnd).toLocaleDateString()}
+                    </td>
+                    <td>
+                      <span className={`payment-status ${payment.status}`}>{payment.status}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const paymentKindLabels = {
+  start: 'New subscription',
+  renew: 'Renewal',
+  auto_renew: 'Auto-renewal'
+};
+
+export default Premium;
@@ -0,0 +1,385 @@
+import React, { useState, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import VerifyContact from '../components/VerifyContact';
+import './OwnerDashboard.css';
+import './Auth.css';
+import './Profile.css';
+
+const Profile = () => {
+  const navigate = useNavigate();
+  const { user, updateUser, changePassword, deleteAccount, logoutAll } = useContext(AuthContext);
+
+  return (
+    <div className="owner-dashboard profile-page">
+      <div className="container">
+        {/* Header */}
+        <div className="dashboard-header">
+          <div>
+            <h1>My Profile</h1>
+            <p>
+              {user?.accountType === 'owner' ? 'Owner' : user?.accountType === 'admin' ? 'Admin' : 'Tenant'} account
+              {user?.createdAt && ` · Member since ${new Date(user.createdAt).toLocaleDateString()}`}
+            </p>
+          </div>
+        </div>
+
+        <ProfileDetails user={user} onUpdated={updateUser} />
+        <ChangePassword onChangePassword={changePassword} />
+        <AccountSecurity
+          onLogoutAll={async () => {
+            await logoutAll();
+            navigate('/');
+          }}
+          onDelete={async (password) => {
+            const result = await deleteAccount(password);
+            if (result.success) {
+              navigate('/');
+            }
+            return result;
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Name and contact details, with per-channel verification
+const ProfileDetails = ({ user, onUpdated }) => {
+  const [formData, setFormData] = useState({
+    fullName: user?.fullName || '',
+    email: user?.email || '',
+    mobile: user?.mobile || ''
+  });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [verifying, setVerifying] = useState(null);
+
+  // Send a code for an existing unverified contact, then show code entry
+  const startVerification = async (channel) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await authAPI.sendVerificationCode(channel);
+    } catch (err) {
+      // A code sent moments ago is still valid - go to code entry anyway
+      if (err.response?.status !== 429) {
+        setError(err.response?.data?.message || 'Failed to send verification code. Please try again.');
+        return;
+      }
+    }
+    setVerifying(channel);
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    // Validation
+    if (formData.fullName.trim().length < 2) {
+      setError('Name must be at least 2 characters');
+      return;
+    }
+
+    if (!formData.email.trim() && !formData.mobile.trim()) {
+      setError('Please keep either an email or a mobile number');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const response = await authAPI.updateProfile({
+        fullName: formData.fullName.trim(),
+        email: formData.email.trim(),
+        mobile: formData.mobile.trim()
+      });
+      const updatedUser = response.data.data.user;
+      onUpdated(updatedUser);
+      setSuccess(response.data.message);
+
+      // Jump straight to code entry for a newly added contact
+      if (updatedUser.email && !updatedUser.emailVerified && updatedUser.email !== user?.email) {
+        setVerifying('email');
+      } else if (updatedUser.mobile && !updatedUser.mobileVerified && updatedUser.mobile !== user?.mobile) {
+        setVerifying('mobile');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update profile. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const verifiedTag = (channel) => {
+    if (!user?.[channel]) return null;
+
+    return user[`${channel}Verified`] ? (
+      <span className="contact-status verified">✓ Verified</span>
+    ) : (
+      <span className="contact-status unverified">
+        Not verified ·{' '}
+        <button type="button" className="auth-link link-button" onClick={() => startVerification(channel)}>
+          Verify now
+        </button>
+      </span>
+    );
+  };
+
+  return (
+    <div className="properties-section profile-section">
+      <h2>Account Details</h2>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {verifying && (
+        <div className="profile-verify">
+          <h3>Verify your {verifying}</h3>
+          <VerifyContact
+            key={verifying}
+            channel={verifying}
+            initialCooldown={60}
+            onVerified={() => {
+              setVerifying(null);
+              setSuccess(`Your ${verifying} has been verified`);
+            }}
+          />
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label">Full Name (নাম) *</label>
+          <input
+            type="text"
+            name="fullName"
+            className="form-input"
+            value={formData.fullName}
+            onChange={handleChange}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Email Address {verifiedTag('email')}</label>
+          <input
+            type="email"
+            name="email"
+            className="form-input"
+            placeholder="example@email.com"
+            value={formData.email}
+            onChange={handleChange}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Mobile Number {verifiedTag('mobile')}</label>
+          <input
+            type="tel"
+            name="mobile"
+            className="form-input"
+            placeholder="01712345678"
+            value={formData.mobile}
+            onChange={handleChange}
+            pattern="01[0-9]{9}"
+            title="Enter valid BD mobile number (01XXXXXXXXX)"
+          />
+          <small className="form-hint">
+            Changing your email or mobile means verifying it again
+          </small>
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Change password (requires the current one)
+const ChangePassword = ({ onChangePassword }) => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    // Validation
+    if (formData.newPassword.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+
+    const result = await onChangePassword(formData.currentPassword, formData.newPassword);
+
+    setSaving(false);
+
+    if (result.success) {
+      setSuccess(result.message);
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div className="properties-section profile-section">
+      <h2>Change Password</h2>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label">Current Password *</label>
+          <input
+            type="password"
+            name="currentPassword"
+            className="form-input"
+            value={formData.currentPassword}
+            onChange={handleChange}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">New Password *</label>
+          <input
+            type="password"
+            name="newPassword"
+            className="form-input"
+            placeholder="At least 6 characters"
+            value={formData.newPassword}
+            onChange={handleChange}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Confirm New Password *</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            className="form-input"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+          />
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Changing...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Sessions and account deletion
+const AccountSecurity = ({ onLogoutAll, onDelete }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) {
+      return;
+    }
+
+    try {
+      await onLogoutAll();
+    } catch (err) {
+      alert('Failed to log out of all devices. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!window.confirm('Delete your account? Your listings will be hidden and you will be logged out.')) {
+      return;
+    }
+
+    setDeleting(true);
+    const result = await onDelete(password);
+    setDeleting(false);
+
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div className="properties-section profile-section danger-zone">
+      <h2>Security</h2>
+
+      <div className="security-row">
+        <div>
+          <h3>Log out of all devices</h3>
+          <p>Ends every session on every phone and computer, including this one.</p>
+        </div>
+        <button type="button" className="btn btn-secondary" onClick={handleLogoutAll}>
+          Log Out Everywhere
+        </button>
+      </div>
+
+      <form className="security-row" onSubmit={handleDelete}>
+        <div>
+          <h3>Delete account</h3>
+          <p>Your account is deactivated and all your listings are hidden.</p>
+          {error && <div className="alert alert-error">{error}</div>}
+          <input
+            type="password"
+            className="form-input"
+            placeholder="Confirm with your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </div>
+        <button type="submit" className="btn btn-danger" disabled={deleting}>
+          {deleting ? 'Deleting...' : 'Delete Account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Profile;
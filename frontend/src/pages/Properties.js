@@ -1,83 +1,224 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { propertyAPI } from '../services/api';
+import React, { useState, useEffect, useMemo, useContext } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { propertyAPI, savedSearchAPI } from '../services/api';
+import { describeFilters } from '../utils/searchFilters';
+import PropertyMap from '../components/PropertyMap';
+import LocationSelect from '../components/LocationSelect';
+import PropertyPhoto from '../components/PropertyPhoto';
 import './Properties.css';
 
+// Filters kept in the URL so searches can be shared and survive a refresh
+const FILTER_DEFAULTS = {
+  search: '',
+  propertyType: '',
+  division: '',
+  district: '',
+  minRent: '',
+  maxRent: '',
+  rentPeriod: '',
+  bedrooms: '',
+  minBathrooms: '',
+  furnished: '',
+  amenities: '',
+  petsAllowed: '',
+  smokingAllowed: '',
+  utilitiesIncluded: '',
+  maxDeposit: '',
+  sort: ''
+};
+
+// Filters that live behind "More Filters"
+const MORE_FILTERS = [
+  'rentPeriod', 'minBathrooms', 'furnished', 'amenities',
+  'petsAllowed', 'smokingAllowed', 'utilitiesIncluded', 'maxDeposit'
+];
+
+const filtersFromParams = (searchParams) => {
+  const filters = {};
+  Object.keys(FILTER_DEFAULTS).forEach((key) => {
+    filters[key] = searchParams.get(key) || '';
+  });
+  return filters;
+};
+
 const Properties = () => {
+  const { isTenant } = useContext(AuthContext);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [properties, setProperties] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  // Filter states
-  const [filters, setFilters] = useState({
-    search: '',
-    propertyType: '',
-    division: '',
-    district: '',
-    minRent: '',
-    maxRent: '',
-    bedrooms: ''
-  });
+  // Filter form (applied to the URL on search)
+  const [filters, setFilters] = useState(() => filtersFromParams(searchParams));
+  const [showMoreFilters, setShowMoreFilters] = useState(
+    () => MORE_FILTERS.some((key) => searchParams.get(key))
+  );
+
+  // Map and distance search (view, near and radius are in the URL too)
+  const view = searchParams.get('view') === 'map' ? 'map' : 'grid';
+  const nearParam = searchParams.get('near');
+  const radius = searchParams.get('radius') || '5';
+  const near = useMemo(() => (nearParam ? nearParam.split(',').map(Number) : null), [nearParam]);
+  const [bounds, setBounds] = useState(null);
+
+  // Search-as-you-type suggestions
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
 
-  // Fetch properties
+  // Save the current search with new-listing alerts (tenants)
+  const [showSaveSearch, setShowSaveSearch] = useState(false);
+  const [saveSearchForm, setSaveSearchForm] = useState({ name: '', frequency: 'instant' });
+  const [saveSearchMessage, setSaveSearchMessage] = useState(null);
+
+  // Set or remove URL parameters (empty values are removed)
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  // Keep the form in step with the URL (back/forward, shared links)
+  useEffect(() => {
+    setFilters(filtersFromParams(searchParams));
+  }, [searchParams]);
+
+  // Fetch properties for the filters in the URL
   const fetchProperties = async () => {
     setLoading(true);
     setError('');
 
     try {
-      // Build query params from filters
+      // Build query params from the URL filters
       const params = {};
-      if (filters.search) params.search = filters.search;
-      if (filters.propertyType) params.propertyType = filters.propertyType;
-      if (filters.division) params.division = filters.division;
-      if (filters.district) params.district = filters.district;
-      if (filters.minRent) params.minRent = filters.minRent;
-      if (filters.maxRent) params.maxRent = filters.maxRent;
-      if (filters.bedrooms) params.bedrooms = filters.bedrooms;
+      Object.entries(filtersFromParams(searchParams)).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      // Map view shows everything in the visible area; the grid can be
+      // narrowed to a radius around the user's location
+      if (view === 'map' && bounds) {
+        params.bbox = bounds;
+        params.limit = 100;
+      } else if (near) {
+        params.near = near.join(',');
+        params.radius = radius;
+      }
 
       const response = await propertyAPI.getAllProperties(params);
       setProperties(response.data.data.properties);
     } catch (err) {
-      setError('Failed to load properties. Please try again.');
+      setError(err.response?.data?.message || 'Failed to load properties. Please try again.');
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
 
-  // Fetch on component mount
- useEffect(() => {
-  fetchProperties();
-  // eslint-disable-next-line
-}, []);
+  // Fetch whenever the URL, map area or distance search changes
+  useEffect(() => {
+    if (view === 'map' && !bounds) return; // wait for the map to report its area
+    fetchProperties();
+    // eslint-disable-next-line
+  }, [searchParams, bounds]);
+
+  // Load suggestions shortly after the user stops typing
+  useEffect(() => {
+    const query = filters.search.trim();
+    if (query.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await propertyAPI.getSuggestions(query);
+        setSuggestions(response.data.data.suggestions);
+      } catch (err) {
+        setSuggestions([]);
+      }
+    }, 250);
+
+    return () => clearTimeout(timer);
+  }, [filters.search]);
+
+  // Search for a picked suggestion right away
+  const handleSuggestionClick = (suggestion) => {
+    setShowSuggestions(false);
+    updateParams({ ...filters, search: suggestion.value });
+  };
+
+  // Search around the user's current location
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      alert('Your browser does not support location access.');
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (pos) => updateParams({ near: `${pos.coords.latitude},${pos.coords.longitude}` }),
+      () => alert('Could not get your location. Please allow location access and try again.')
+    );
+  };
 
   // Handle filter change
   const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
     setFilters({
       ...filters,
-      [e.target.name]: e.target.value
+      [name]: type === 'checkbox' ? (checked ? 'true' : '') : value
     });
   };
 
   // Handle search/filter submit
   const handleSearch = (e) => {
     e.preventDefault();
-    fetchProperties();
+    setShowSuggestions(false);
+    updateParams(filters);
+  };
+
+  // Sorting applies straight away
+  const handleSortChange = (e) => {
+    updateParams({ sort: e.target.value });
+  };
+
+  // Open the save form, named after the applied filters
+  const openSaveSearch = () => {
+    const labels = describeFilters(filtersFromParams(searchParams));
+    setSaveSearchForm({ name: labels.slice(0, 3).join(', ').slice(0, 60), frequency: 'instant' });
+    setSaveSearchMessage(null);
+    setShowSaveSearch(true);
+  };
+
+  // Save the filters currently in the URL (sort order is not part of a search)
+  const handleSaveSearch = async () => {
+    const { sort, ...appliedFilters } = filtersFromParams(searchParams);
+
+    try {
+      const response = await savedSearchAPI.createSavedSearch({
+        name: saveSearchForm.name,
+        frequency: saveSearchForm.frequency,
+        filters: appliedFilters
+      });
+      setSaveSearchMessage({ type: 'success', text: response.data.message });
+      setShowSaveSearch(false);
+    } catch (err) {
+      setSaveSearchMessage({
+        type: 'error',
+        text: err.response?.data?.message || 'Failed to save search. Please try again.'
+      });
+    }
   };
 
-  // Clear filters
+  // Clear filters (the current view is kept)
   const clearFilters = () => {
-    setFilters({
-      search: '',
-      propertyType: '',
-      division: '',
-      district: '',
-      minRent: '',
-      maxRent: '',
-      bedrooms: ''
-    });
-    // Fetch all properties again
-    setTimeout(() => fetchProperties(), 100);
+    setSearchParams(view === 'map' ? { view: 'map' } : {});
   };
 
   return (
@@ -94,14 +235,45 @@ const Properties = () => {
           <form onSubmit={handleSearch} className="search-form">
             {/* Search Bar */}
             <div className="search-bar">
-              <input
-                type="text"
-                name="search"
-                className="form-input search-input"
-                placeholder="🔍 Search by title, location, or description..."
-                value={filters.search}
-                onChange={handleFilterChange}
-              />
+              <div className="search-input-wrapper">
+                <input
+                  type="text"
+                  name="search"
+                  className="form-input search-input"
+                  placeholder="🔍 Search by title, location, or description... (বাংলায়ও খুঁজুন)"
+                  value={filters.search}
+                  onChange={(e) => {
+                    handleFilterChange(e);
+                    setShowSuggestions(true);
+                  }}
+                  onFocus={() => setShowSuggestions(true)}
+                  onBlur={() => setTimeout(() => setShowSuggestions(false), 150)}
+                  autoComplete="off"
+                />
+
+                {showSuggestions && suggestions.length > 0 && (
+                  <ul className="search-suggestions">
+                    {suggestions.map((suggestion) => (
+                      <li key={`${suggestion.type}-${suggestion.label}`}>
+                        <button
+                          type="button"
+                          className="suggestion-item"
+                          onMouseDown={(e) => e.preventDefault()}
+                          onClick={() => handleSuggestionClick(suggestion)}
+                        >
+                          <span className="suggestion-icon">
+                            {suggestion.type === 'keyword' ? '🔍' : '📍'}
+                          </span>
+                          <span className="suggestion-label">{suggestion.label}</span>
+                          {suggestion.bnLabel && (
+                            <span className="suggestion-bn">{suggestion.bnLabel}</span>
+                          )}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
               <button type="submit" className="btn btn-primary">
                 Search
               </button>
@@ -124,23 +296,12 @@ const Properties = () => {
                 <option value="house">House(বাড়ি)</option>
               </select>
 
-              {/* Division */}
-              <select
-                name="division"
-                className="form-select"
-                value={filters.division}
-                onChange={handleFilterChange}
-              >
-                <option value="">All Divisions</option>
-                <option value="Dhaka">Dhaka</option>
-                <option value="Chattogram">Chattogram</option>
-                <option value="Rajshahi">Rajshahi</option>
-                <option value="Khulna">Khulna</option>
-                <option value="Barishal">Barishal</option>
-                <option value="Sylhet">Sylhet</option>
-                <option value="Rangpur">Rangpur</option>
-                <option value="Mymensingh">Mymensingh</option>
-              </select>
+              {/* Division & District */}
+              <LocationSelect
+                value={{ division: filters.division, district: filters.district, area: '' }}
+                onChange={({ division, district }) => setFilters({ ...filters, division, district })}
+                compact
+              />
 
               {/* Min Rent */}
               <input
@@ -173,9 +334,37 @@ const Properties = () => {
                 <option value="1">1 Bedroom</option>
                 <option value="2">2 Bedrooms</option>
                 <option value="3">3 Bedrooms</option>
-                <option value="4">4+ Bedrooms</option>
+                <option value="4+">4+ Bedrooms</option>
               </select>
 
+              {/* Distance search */}
+              {near ? (
+                <select
+                  className="form-select"
+                  value={radius}
+                  onChange={(e) => updateParams({ radius: e.target.value })}
+                >
+                  <option value="1">Within 1 km</option>
+                  <option value="2">Within 2 km</option>
+                  <option value="5">Within 5 km</option>
+                  <option value="10">Within 10 km</option>
+                  <option value="25">Within 25 km</option>
+                </select>
+              ) : (
+                <button type="button" className="btn btn-secondary" onClick={handleNearMe}>
+                  📍 Near Me
+                </button>
+              )}
+
+              {/* More Filters Toggle */}
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setShowMoreFilters(!showMoreFilters)}
+              >
+                {showMoreFilters ? 'Fewer Filters' : 'More Filters'}
+              </button>
+
               {/* Clear Filters Button */}
               <button
                 type="button"
@@ -184,42 +373,229 @@ const Properties = () => {
               >
                 Clear Filters
               </button>
+
+              {/* Save Search Button */}
+              {isTenant && (
+                <button type="button" className="btn btn-primary" onClick={openSaveSearch}>
+                  🔔 Save Search
+                </button>
+              )}
             </div>
+
+            {showMoreFilters && (
+              <div className="filters-grid more-filters">
+                {/* Rent Period */}
+                <select
+                  name="rentPeriod"
+                  className="form-select"
+                  value={filters.rentPeriod}
+                  onChange={handleFilterChange}
+                >
+                  <option value="">Monthly or Daily</option>
+                  <option value="monthly">Monthly Rent</option>
+                  <option value="daily">Daily Rent</option>
+                </select>
+
+                {/* Bathrooms */}
+                <select
+                  name="minBathrooms"
+                  className="form-select"
+                  value={filters.minBathrooms}
+                  onChange={handleFilterChange}
+                >
+                  <option value="">Any Bathrooms</option>
+                  <option value="1">1+ Bathrooms</option>
+                  <option value="2">2+ Bathrooms</option>
+                  <option value="3">3+ Bathrooms</option>
+                </select>
+
+                {/* Furnishing */}
+                <select
+                  name="furnished"
+                  className="form-select"
+                  value={filters.furnished}
+                  onChange={handleFilterChange}
+                >
+                  <option value="">Any Furnishing</option>
+                  <option value="furnished">Furnished</option>
+                  <option value="semi-furnished">Semi-furnished</option>
+                  <option value="unfurnished">Unfurnished</option>
+                </select>
+
+                {/* Max Security Deposit */}
+                <input
+                  type="number"
+                  name="maxDeposit"
+                  className="form-input"
+                  placeholder="Max Deposit (BDT)"
+                  value={filters.maxDeposit}
+                  onChange={handleFilterChange}
+                />
+
+                {/* Amenities */}
+                <input
+                  type="text"
+                  name="amenities"
+                  className="form-input"
+                  placeholder="Amenities, e.g. Lift, Gas, Parking"
+                  value={filters.amenities}
+                  onChange={handleFilterChange}
+                />
+
+                {/* House Rules */}
+                <div className="filter-checkboxes">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="petsAllowed"
+                      checked={filters.petsAllowed === 'true'}
+                      onChange={handleFilterChange}
+                    />
+                    Pets allowed
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="smokingAllowed"
+                      checked={filters.smokingAllowed === 'true'}
+                      onChange={handleFilterChange}
+                    />
+                    Smoking allowed
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="utilitiesIncluded"
+                      checked={filters.utilitiesIncluded === 'true'}
+                      onChange={handleFilterChange}
+                    />
+                    Utilities included
+                  </label>
+                </div>
+              </div>
+            )}
           </form>
-        </div>
 
-        {/* Results Section */}
-        <div className="results-section">
-          {loading ? (
-            <div className="loading-state">
-              <div className="spinner"></div>
-              <p>Loading properties...</p>
-            </div>
-          ) : error ? (
-            <div className="alert alert-error">{error}</div>
-          ) : properties.length === 0 ? (
-            <div className="empty-state">
-              <div className="empty-icon">🏠</div>
-              <h3>No properties found</h3>
-              <p>Try adjusting your search filters</p>
-              <button className="btn btn-primary" onClick={clearFilters}>
-                View All Properties
+          {/* Save Search */}
+          {showSaveSearch && (
+            <div className="save-search-panel">
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Name this search, e.g. Family flat in Mirpur"
+                maxLength={60}
+                value={saveSearchForm.name}
+                onChange={(e) => setSaveSearchForm({ ...saveSearchForm, name: e.target.value })}
+              />
+              <select
+                className="form-select"
+                value={saveSearchForm.frequency}
+                onChange={(e) => setSaveSearchForm({ ...saveSearchForm, frequency: e.target.value })}
+              >
+                <option value="instant">Alert me instantly</option>
+                <option value="daily">Daily digest</option>
+              </select>
+              <button type="button" className="btn btn-primary" onClick={handleSaveSearch}>
+                Save
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setShowSaveSearch(false)}>
+                Cancel
               </button>
             </div>
-          ) : (
-            <>
-              <div className="results-header">
-                <h3>{properties.length} Properties Found</h3>
-              </div>
+          )}
 
-              <div className="properties-grid">
-                {properties.map((property) => (
-                  <PropertyCard key={property._id} property={property} />
-                ))}
-              </div>
-            </>
+          {saveSearchMessage && (
+            <div className={`alert alert-${saveSearchMessage.type} save-search-message`}>
+              {saveSearchMessage.text}
+              {saveSearchMessage.type === 'success' && (
+                <> <Link to="/saved-searches">Manage saved searches</Link></>
+              )}
+            </div>
           )}
         </div>
+
+        {/* View Toggle */}
+        <div className="view-toggle">
+          <button
+            type="button"
+            className={`view-btn ${view === 'grid' ? 'active' : ''}`}
+            onClick={() => updateParams({ view: '' })}
+          >
+            ▦ List
+          </button>
+          <button
+            type="button"
+            className={`view-btn ${view === 'map' ? 'active' : ''}`}
+            onClick={() => updateParams({ view: 'map' })}
+          >
+            🗺️ Map
+          </button>
+        </div>
+
+        {/* Map View */}
+        {view === 'map' && (
+          <div className="map-section">
+            <PropertyMap
+              properties={properties}
+              onBoundsChange={setBounds}
+              near={near}
+              radiusKm={near ? Number(radius) : null}
+            />
+            <p className="map-hint">
+              {loading
+                ? 'Loading properties in this area...'
+                : `${properties.length} properties in this area. Move the map to search elsewhere.`}
+            </p>
+          </div>
+        )}
+
+        {/* Results Section */}
+        {view === 'grid' && (
+          <div className="results-section">
+            {loading ? (
+              <div className="loading-state">
+                <div className="spinner"></div>
+                <p>Loading properties...</p>
+              </div>
+            ) : error ? (
+              <div className="alert alert-error">{error}</div>
+            ) : properties.length === 0 ? (
+              <div className="empty-state">
+                <div className="empty-icon">🏠</div>
+                <h3>No properties found</h3>
+                <p>Try adjusting your search filters</p>
+                <button className="btn btn-primary" onClick={clearFilters}>
+                  View All Properties
+                </button>
+              </div>
+            ) : (
+              <>
+                <div className="results-header">
+                  <h3>{properties.length} Properties Found</h3>
+
+                  <select
+                    className="form-select sort-select"
+                    value={filters.sort}
+                    onChange={handleSortChange}
+                  >
+                    <option value="">{filters.search ? 'Best Match' : 'Newest First'}</option>
+                    {filters.search && <option value="newest">Newest First</option>}
+                    <option value="rent_asc">Rent: Low to High</option>
+                    <option value="rent_desc">Rent: High to Low</option>
+                    <option value="size_desc">Size: Largest First</option>
+                    <option value="size_asc">Size: Smallest First</option>
+                  </select>
+                </div>
+
+                <div className="properties-grid">
+                  {properties.map((property) => (
+                    <PropertyCard key={property._id} property={property} />
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -227,18 +603,16 @@ const Properties = () => {
 
 // Property Card Component
 const PropertyCard = ({ property }) => {
-  // Get first photo or use placeholder
-  const photoUrl = property.photos && property.photos.length > 0
-    ? property.photos[0].url
-    : 'https://via.placeholder.com/400x300?text=No+Image';
-
   return (
     <Link to={`/properties/${property._id}`} className="property-card">
       <div className="property-image">
-        <img src={photoUrl} alt={property.title} />
+        <PropertyPhoto photo={property.photos?.[0]} alt={property.title} />
         <div className="property-badge">
           {property.propertyType}
         </div>
+        {property.isVerified && (
+          <div className="verified-badge">✓ Verified</div>
+        )}
       </div>
 
       <div className="property-info">
@@ -246,6 +620,9 @@ const PropertyCard = ({ property }) => {
 
         <div className="property-location">
           📍 {property.location.area}, {property.location.district}
+          {property.distanceKm !== undefined && (
+            <span className="property-distance"> · {property.distanceKm} km away</span>
+          )}
         </div>
 
         <div className="property-features">
@@ -1,35 +1,122 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { propertyAPI } from '../services/api';
+import React, { useState, useEffect, useContext } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { propertyAPI, tenantAPI, messageAPI, viewingAPI } from '../services/api';
+import { useSocketEvent, useWatchProperty } from '../services/socket';
+import PropertyPhoto from '../components/PropertyPhoto';
+import { formatSlot } from '../utils/viewingHelpers';
+import { reportReasons } from '../utils/reportReasons';
 import './PropertyDetails.css';
 
 const PropertyDetails = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
+  const { user, isTenant, isAuthenticated } = useContext(AuthContext);
   const [property, setProperty] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
+  const [isSaved, setIsSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [startingChat, setStartingChat] = useState(false);
 
   useEffect(() => {
     fetchPropertyDetails();
     // eslint-disable-next-line
   }, [id]);
 
-  const fetchPropertyDetails = async () => {
-    setLoading(true);
-    setError('');
+  useEffect(() => {
+    if (isTenant) {
+      fetchSavedStatus();
+    }
+    // eslint-disable-next-line
+  }, [id, isTenant]);
+
+  // Live updates for this listing
+  useWatchProperty(id);
+
+  useSocketEvent('property:availability', ({ propertyId, isAvailable }) => {
+    if (propertyId === id) {
+      setProperty((current) => current && { ...current, isAvailable });
+    }
+  });
+
+  useSocketEvent('property:updated', ({ propertyId }) => {
+    if (propertyId === id) fetchPropertyDetails({ silent: true });
+  });
+
+  useSocketEvent('property:moderated', ({ propertyId }) => {
+    if (propertyId === id) fetchPropertyDetails({ silent: true });
+  });
+
+  useSocketEvent('property:deleted', ({ propertyId }) => {
+    if (propertyId === id) {
+      setProperty(null);
+      setError('This listing has been removed by its owner.');
+    }
+  });
+
+  // silent: refresh in place without the loading spinner (live updates)
+  const fetchPropertyDetails = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+      setError('');
+    }
 
     try {
       const response = await propertyAPI.getPropertyById(id);
       setProperty(response.data.data.property);
     } catch (err) {
-      setError('Failed to load property details.');
+      setError(silent ? 'This listing is no longer available.' : 'Failed to load property details.');
+      if (silent) setProperty(null);
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
 
+  const fetchSavedStatus = async () => {
+    try {
+      const response = await tenantAPI.getSavedProperties();
+      const savedIds = response.data.data.savedProperties.map(item => item.property._id);
+      setIsSaved(savedIds.includes(id));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleToggleSave = async () => {
+    setSaving(true);
+
+    try {
+      if (isSaved) {
+        await propertyAPI.unsaveProperty(id);
+        setIsSaved(false);
+      } else {
+        await propertyAPI.saveProperty(id);
+        setIsSaved(true);
+      }
+    } catch (err) {
+      alert('Failed to update saved properties. Please try again.');
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMessageOwner = async () => {
+    setStartingChat(true);
+
+    try {
+      const response = await messageAPI.startConversation(id);
+      navigate(`/messages/${response.data.data.conversation._id}`);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to start conversation. Please try again.');
+      console.error(err);
+      setStartingChat(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -71,7 +158,11 @@ const PropertyDetails = () => {
         {/* Image Gallery */}
         <div className="image-gallery">
           <div className="main-image">
-            <img src={images[currentImageIndex].url} alt={images[currentImageIndex].caption || property.title} />
+            <PropertyPhoto
+              photo={images[currentImageIndex]}
+              size="large"
+              alt={images[currentImageIndex].caption || property.title}
+            />
             
             {images.length > 1 && (
               <>
@@ -94,9 +185,10 @@ const PropertyDetails = () => {
           {images.length > 1 && (
             <div className="thumbnail-gallery">
               {images.map((image, index) => (
-                <img
+                <PropertyPhoto
                   key={index}
-                  src={image.url}
+                  photo={image}
+                  size="thumbnail"
                   alt={image.caption || `Image ${index + 1}`}
                   className={`thumbnail ${index === currentImageIndex ? 'active' : ''}`}
                   onClick={() => setCurrentImageIndex(index)}
@@ -113,6 +205,9 @@ const PropertyDetails = () => {
             <div className="title-section">
               <div>
                 <h1>{property.title}</h1>
+                {property.isVerified && (
+                  <span className="verified-tag">✓ Verified Listing</span>
+                )}
                 <p className="location">
                   📍 {property.location.address}, {property.location.area}, {property.location.district}
                 </p>
@@ -221,14 +316,43 @@ const PropertyDetails = () => {
                   <span className="contact-value">{property.contact.name}</span>
                 </div>
                 
-                <div className="contact-item">
-                  <span className="contact-label">Phone:</span>
-                  <a href={`tel:${property.contact.phone}`} className="contact-value phone-link">
-                    📞 {property.contact.phone}
-                  </a>
-                </div>
-                
-                {property.contact.email && (
+                {property.contactMasked ? (
+                  <div className="contact-item">
+                    <span className="contact-label">Phone:</span>
+                    <span className="contact-value contact-masked">📞 {property.contact.phone}</span>
+                  </div>
+                ) : (
+                  <div className="contact-item">
+                    <span className="contact-label">Phone:</span>
+                    <a href={`tel:${property.contact.phone}`} className="contact-value phone-link">
+                      📞 {property.contact.phone}
+                    </a>
+                  </div>
+                )}
+
+                {property.contactMasked && property.contact.email && (
+                  <div className="contact-item">
+                    <span className="contact-label">Email:</span>
+                    <span className="contact-value contact-masked">✉️ {property.contact.email}</span>
+                  </div>
+                )}
+
+                {property.contactMasked && (
+                  <div className="premium-upsell">
+                    <p>⭐ Premium members see the owner's full phone number and email.</p>
+                    {!isAuthenticated ? (
+                      <Link to="/login" className="btn btn-primary save-btn">
+                        Login to see contact
+                      </Link>
+                    ) : isTenant && (
+                      <Link to="/premium" className="btn btn-primary save-btn">
+                        Get Premium
+                      </Link>
+                    )}
+                  </div>
+                )}
+
+                {!property.contactMasked && property.contact.email && (
                   <div className="contact-item">
                     <span className="contact-label">Email:</span>
                     <a href={`mailto:${property.contact.email}`} className="contact-value email-link">
@@ -245,7 +369,35 @@ const PropertyDetails = () => {
                   <span className="status-unavailable">✗ Not Available</span>
                 )}
               </div>
+
+              {isTenant && (
+                <button
+                  className="btn btn-primary save-btn"
+                  onClick={handleMessageOwner}
+                  disabled={startingChat}
+                >
+                  {startingChat ? 'Opening chat...' : '💬 Message Owner'}
+                </button>
+              )}
+
+              {isTenant && (
+                <button
+                  className={`btn save-btn ${isSaved ? 'btn-secondary' : 'btn-primary'}`}
+                  onClick={handleToggleSave}
+                  disabled={saving}
+                >
+                  {isSaved ? '★ Saved' : '☆ Save Property'}
+                </button>
+              )}
             </div>
+
+            {property.isAvailable && (
+              <ViewingBooking propertyId={property._id} canBook={isTenant} />
+            )}
+
+            {isAuthenticated && property.owner?._id !== user?.id && (
+              <ReportListing propertyId={property._id} />
+            )}
           </div>
         </div>
       </div>
@@ -253,4 +405,189 @@ const PropertyDetails = () => {
   );
 };
 
+// Viewing Booking Component - lists open slots and lets tenants request one
+const ViewingBooking = ({ propertyId, canBook }) => {
+  const [slots, setSlots] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState('');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchSlots();
+    // eslint-disable-next-line
+  }, [propertyId]);
+
+  const fetchSlots = async () => {
+    try {
+      const response = await viewingAPI.getPropertySlots(propertyId);
+      setSlots(response.data.data.slots);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    if (!selectedSlot) return;
+
+    setSubmitting(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      await viewingAPI.requestViewing(selectedSlot, note || undefined);
+      setMessage({ type: 'success', text: 'Viewing requested! The owner will confirm it soon.' });
+      setSelectedSlot('');
+      setNote('');
+      fetchSlots();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to request viewing.' });
+      // Slot list may be stale if someone else booked first
+      fetchSlots();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="contact-card viewing-card">
+      <h3>Book a Viewing</h3>
+
+      {message.text && (
+        <div className={`alert ${message.type === 'success' ? 'alert-success' : 'alert-error'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {slots.length === 0 ? (
+        <p className="viewing-empty">No viewing times available right now.</p>
+      ) : !canBook ? (
+        <p className="viewing-empty">
+          {slots.length} viewing time{slots.length > 1 ? 's' : ''} available.{' '}
+          <Link to="/login">Login as a tenant</Link> to book a visit.
+        </p>
+      ) : (
+        <form onSubmit={handleRequest}>
+          <div className="form-group">
+            <select
+              className="form-select"
+              value={selectedSlot}
+              onChange={(e) => setSelectedSlot(e.target.value)}
+              required
+            >
+              <option value="">Select a time</option>
+              {slots.map((slot) => (
+                <option key={slot._id} value={slot._id}>
+                  {formatSlot(slot)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <textarea
+              className="form-textarea"
+              placeholder="Note for the owner (optional)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={500}
+              rows="2"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary save-btn"
+            disabled={submitting || !selectedSlot}
+          >
+            {submitting ? 'Requesting...' : '📅 Request Viewing'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Report Listing Component - lets users flag fraudulent or misleading listings
+const ReportListing = ({ propertyId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const handleReport = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await propertyAPI.reportProperty(propertyId, {
+        reason,
+        details: details || undefined
+      });
+      setMessage({ type: 'success', text: response.data.message });
+      setIsOpen(false);
+      setReason('');
+      setDetails('');
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to report property.' });
+      console.error(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="report-listing">
+      {message.text && (
+        <div className={`alert ${message.type === 'success' ? 'alert-success' : 'alert-error'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {!isOpen ? (
+        <button className="report-link" onClick={() => setIsOpen(true)}>
+          🚩 Report this listing
+        </button>
+      ) : (
+        <form onSubmit={handleReport} className="contact-card">
+          <h3>Report Listing</h3>
+          <div className="form-group">
+            <select
+              className="form-select"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+            >
+              <option value="">Select a reason</option>
+              {Object.entries(reportReasons).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <textarea
+              className="form-textarea"
+              placeholder="Tell us more (optional)"
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              maxLength={500}
+              rows="3"
+            />
+          </div>
+          <div className="report-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setIsOpen(false)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-danger" disabled={submitting || !reason}>
+              {submitting ? 'Reporting...' : 'Submit Report'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
 export default PropertyDetails;
\ No newline at end of file
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [formData, setFormData] = useState({
+    emailOrMobile: location.state?.emailOrMobile || '',
+    code: '',
+    password: '',
+    confirmPassword: ''
+  });
+
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    // Validation
+    if (!/^[0-9]{6}$/.test(formData.code.trim())) {
+      setError('Reset code must be 6 digits');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword({
+        emailOrMobile: formData.emailOrMobile.trim(),
+        code: formData.code.trim(),
+        password: formData.password
+      });
+      setSuccess(response.data.message);
+      setTimeout(() => navigate('/login'), 2000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2 className="auth-title">Reset Password</h2>
+          <p className="auth-subtitle">Enter the code we sent you and choose a new password</p>
+
+          {error && (
+            <div className="alert alert-error">
+              {error}
+            </div>
+          )}
+
+          {success && (
+            <div className="alert alert-success">
+              {success}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            {/* Email or Mobile */}
+            <div className="form-group">
+              <label className="form-label">Email or Mobile Number *</label>
+              <input
+                type="text"
+                name="emailOrMobile"
+                className="form-input"
+                placeholder="Enter email or mobile number"
+                value={formData.emailOrMobile}
+                onChange={handleChange}
+                required
+              />
+            </div>
+
+            {/* Code */}
+            <div className="form-group">
+              <label className="form-label">Reset Code *</label>
+              <input
+                type="text"
+                name="code"
+                className="form-input"
+                placeholder="6-digit code"
+                inputMode="numeric"
+                maxLength={6}
+                value={formData.code}
+                onChange={handleChange}
+                required
+              />
+              <small className="form-hint">
+                The code expires 10 minutes after it was sent
+              </small>
+            </div>
+
+            {/* New Password */}
+            <div className="form-group">
+              <label className="form-label">New Password *</label>
+              <input
+                type="password"
+                name="password"
+                className="form-input"
+                placeholder="At least 6 characters"
+                value={formData.password}
+                onChange={handleChange}
+                required
+              />
+            </div>
+
+            {/* Confirm Password */}
+            <div className="form-group">
+              <label className="form-label">Confirm New Password *</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                className="form-input"
+                placeholder="Re-enter new password"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+              />
+            </div>
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={loading || !!success}
+            >
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </button>
+          </form>
+
+          <p className="auth-footer">
+            Didn't get a code?{' '}
+            <Link to="/forgot-password" className="auth-link">Send a new one</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
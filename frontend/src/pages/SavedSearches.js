@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { savedSearchAPI } from '../services/api';
+import { describeFilters } from '../utils/searchFilters';
+import './OwnerDashboard.css';
+import './SavedSearches.css';
+
+const SavedSearches = () => {
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSearches();
+  }, []);
+
+  const fetchSearches = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await savedSearchAPI.getSavedSearches();
+      setSearches(response.data.data.searches);
+    } catch (err) {
+      setError('Failed to load your saved searches.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Apply a change and swap in the updated search
+  const handleUpdate = async (id, changes) => {
+    try {
+      const response = await savedSearchAPI.updateSavedSearch(id, changes);
+      const updated = response.data.data.search;
+      setSearches(searches.map((search) => (search._id === id ? updated : search)));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update saved search. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this saved search? You will stop getting alerts for it.')) {
+      return;
+    }
+
+    try {
+      await savedSearchAPI.deleteSavedSearch(id);
+      setSearches(searches.filter((search) => search._id !== id));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete saved search. Please try again.');
+      console.error(err);
+    }
+  };
+
+  // Opening the matches marks them as seen
+  const handleMatchesSeen = (id) => {
+    setSearches(searches.map((search) => (search._id === id ? { ...search, newMatchCount: 0 } : search)));
+  };
+
+  if (loading) {
+    return (
+      <div className="owner-dashboard">
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading your saved searches...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-dashboard saved-searches-page">
+      <div className="container">
+        {/* Header */}
+        <div className="dashboard-header">
+          <div>
+            <h1>🔔 Saved Searches</h1>
+            <p>We let you know when new listings match your searches</p>
+          </div>
+          <Link to="/properties" className="btn btn-primary">
+            New Search
+          </Link>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {searches.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-icon">🔍</div>
+            <h3>No saved searches yet</h3>
+            <p>Set your filters on the Properties page and click "Save Search".</p>
+            <Link to="/properties" className="btn btn-primary">
+              Browse Properties
+            </Link>
+          </div>
+        ) : (
+          <div className="saved-search-list">
+            {searches.map((search) => (
+              <SavedSearchCard
+                key={search._id}
+                search={search}
+                onUpdate={handleUpdate}
+                onDelete={handleDelete}
+                onMatchesSeen={handleMatchesSeen}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Saved Search Card Component
+const SavedSearchCard = ({ search, onUpdate, onDelete, onMatchesSeen }) => {
+  const [matches, setMatches] = useState(null);
+  const [showMatches, setShowMatches] = useState(false);
+  const [loadingMatches, setLoadingMatches] = useState(false);
+
+  const resultsLink = `/properties?${new URLSearchParams(search.filters).toString()}`;
+
+  const toggleMatches = async () => {
+    if (showMatches) {
+      setShowMatches(false);
+      return;
+    }
+
+    setShowMatches(true);
+    setLoadingMatches(true);
+
+    try {
+      const response = await savedSearchAPI.getMatches(search._id);
+      setMatches(response.data.data.matches);
+      onMatchesSeen(search._id);
+    } catch (err) {
+      setMatches([]);
+      console.error(err);
+    } finally {
+      setLoadingMatches(false);
+    }
+  };
+
+  return (
+    <div className={`properties-section saved-search-card ${search.isActive ? '' : 'paused'}`}>
+      <div className="saved-search-header">
+        <div>
+          <h2>
+            {search.name}
+            {search.newMatchCount > 0 && (
+              <span className="match-count">{search.newMatchCount} new</span>
+            )}
+          </h2>
+          <div className="saved-search-filters">
+            {describeFilters(search.filters).map((label) => (
+              <span key={label} className="filter-chip">{label}</span>
+            ))}
+          </div>
+        </div>
+
+        <select
+          className="form-select saved-search-frequency"
+          value={search.frequency}
+          onChange={(e) => onUpdate(search._id, { frequency: e.target.value })}
+        >
+          <option value="instant">Alert instantly</option>
+          <option value="daily">Daily digest</option>
+        </select>
+      </div>
+
+      <div className="property-actions">
+        <Link to={resultsLink} className="btn-action btn-view">
+          View Results
+        </Link>
+        <button className="btn-action btn-edit" onClick={toggleMatches}>
+          {showMatches ? 'Hide Matches' : `Matches (${search.matchCount})`}
+        </button>
+        <button
+          className={`btn-action ${search.isActive ? 'btn-toggle-off' : 'btn-toggle-on'}`}
+          onClick={() => onUpdate(search._id, { isActive: !search.isActive })}
+        >
+          {search.isActive ? 'Pause Alerts' : 'Resume Alerts'}
+        </button>
+        <button className="btn-action btn-delete" onClick={() => onDelete(search._id)}>
+          Delete
+        </button>
+      </div>
+
+      {showMatches && (
+        <div className="saved-search-matches">
+          {loadingMatches ? (
+            <p className="viewing-empty">Loading matches...</p>
+          ) : matches.length === 0 ? (
+            <p className="viewing-empty">
+              No new listings yet. We will alert you as soon as one matches.
+            </p>
+          ) : (
+            <ul className="viewing-list">
+              {matches.map(({ property, matchedAt, isNew }) => (
+                <li key={property._id} className="viewing-item">
+                  <div>
+                    <Link to={`/properties/${property._id}`}>
+                      <strong>{property.title}</strong>
+                    </Link>
+                    {isNew && <span className="match-new">New</span>}
+                    <p className="viewing-note">
+                      ৳{property.rent.amount.toLocaleString()}/{property.rent.period} · {property.location.area}, {property.location.district}
+                    </p>
+                  </div>
+                  <span className="match-date">
+                    Matched {new Date(matchedAt).toLocaleDateString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -1,6 +1,7 @@
 import React, { useState, useContext } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
+import VerifyContact from '../components/VerifyContact';
 import './Auth.css';
 
 const Signup = () => {
@@ -19,6 +20,8 @@ const Signup = () => {
 
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Step 1 collects account details, step 2 confirms the emailed/SMS code
+  const [step, setStep] = useState('details');
 
   const handleChange = (e) => {
     setFormData({
@@ -87,17 +90,40 @@ const Signup = () => {
     setLoading(false);
 
     if (result.success) {
-      // Redirect based on account type
-      if (formData.accountType === 'owner') {
-        navigate('/dashboard/owner');
-      } else {
-        navigate('/properties');
-      }
+      setStep('verify');
     } else {
       setError(result.message || 'Signup failed. Please try again.');
     }
   };
 
+  // Redirect based on account type
+  const finishSignup = () => {
+    if (formData.accountType === 'owner') {
+      navigate('/dashboard/owner');
+    } else {
+      navigate('/properties');
+    }
+  };
+
+  if (step === 'verify') {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          <div className="auth-card">
+            <h2 className="auth-title">Verify Your {formData.useEmail ? 'Email' : 'Mobile'}</h2>
+
+            <VerifyContact onVerified={finishSignup} initialCooldown={60} />
+
+            {/* Owners can't list until verified, but can still look around */}
+            <button type="button" className="auth-link link-button auth-skip" onClick={finishSignup}>
+              Skip for now
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-page">
       <div className="auth-container">
@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { propertyAPI, tenantAPI, viewingAPI } from '../services/api';
+import { useSocketEvent } from '../services/socket';
+import PropertyPhoto from '../components/PropertyPhoto';
+import { formatSlot, viewingStatusLabels } from '../utils/viewingHelpers';
+import './OwnerDashboard.css';
+import './TenantDashboard.css';
+
+const TenantDashboard = () => {
+  const { user } = useContext(AuthContext);
+  const [savedProperties, setSavedProperties] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [viewings, setViewings] = useState([]);
+
+  useEffect(() => {
+    fetchSavedProperties();
+    fetchViewings();
+    // eslint-disable-next-line
+  }, []);
+
+  // Saved listings changed (availability, details, removal) - refresh in place.
+  // Tenants hear about these through their notifications.
+  useSocketEvent('notification:new', ({ notification }) => {
+    if (notification.type.startsWith('listing_')) {
+      fetchSavedProperties({ silent: true });
+    }
+    if (notification.type === 'listing_removed') {
+      fetchViewings();
+    }
+  });
+
+  // silent: refresh in place without the loading spinner (live updates)
+  const fetchSavedProperties = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+      setError('');
+    }
+
+    try {
+      const response = await tenantAPI.getSavedProperties();
+      setSavedProperties(response.data.data.savedProperties);
+    } catch (err) {
+      if (!silent) setError('Failed to load your saved properties.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchViewings = async () => {
+    try {
+      const response = await viewingAPI.getMyRequests();
+      setViewings(response.data.data.viewings);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleCancelViewing = async (id) => {
+    if (!window.confirm('Cancel this viewing request?')) {
+      return;
+    }
+
+    try {
+      await viewingAPI.cancelRequest(id);
+      fetchViewings();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel viewing. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleAcceptViewing = async (id) => {
+    try {
+      await viewingAPI.acceptRequest(id);
+      fetchViewings();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to accept the new time. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const handleRemove = async (propertyId) => {
+    try {
+      await propertyAPI.unsaveProperty(propertyId);
+      setSavedProperties(savedProperties.filter(item => item.property._id !== propertyId));
+    } catch (err) {
+      alert('Failed to remove property. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const availableCount = savedProperties.filter(item => item.property.isAvailable).length;
+
+  return (
+    <div className="owner-dashboard tenant-dashboard">
+      <div className="container">
+        {/* Header */}
+        <div className="dashboard-header">
+          <div>
+            <h1>My Dashboard</h1>
+            <p>Welcome back, {user?.fullName}! </p>
+          </div>
+          <Link to="/properties" className="btn btn-primary">
+            Browse Properties<br/>বাসা খুঁজুন
+          </Link>
+        </div>
+
+        {/* Stats Cards */}
+        <div className="stats-grid">
+          <div className="stat-card">
+            <div className="stat-icon"></div>
+            <div className="stat-info">
+              <h3>{savedProperties.length}</h3>
+              <p>Saved Properties</p>
+            </div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-icon"></div>
+            <div className="stat-info">
+              <h3>{availableCount}</h3>
+              <p>Still Available</p>
+            </div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-icon"></div>
+            <div className="stat-info">
+              <h3>{viewings.filter(v => v.status === 'pending' || v.status === 'confirmed').length}</h3>
+              <p>Upcoming Viewings</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Saved Properties List */}
+        <div className="properties-section">
+          <h2>Saved Properties ({savedProperties.length})</h2>
+
+          {loading ? (
+            <div className="loading-state">
+              <div className="spinner"></div>
+              <p>Loading your saved properties...</p>
+            </div>
+          ) : error ? (
+            <div className="alert alert-error">{error}</div>
+          ) : savedProperties.length === 0 ? (
+            <div className="empty-state">
+              <div className="empty-icon">🏠</div>
+              <h3>No Saved Properties Yet</h3>
+              <p>Save properties you like to find them here later!</p>
+              <Link to="/properties" className="btn btn-primary">
+                Browse Properties
+              </Link>
+            </div>
+          ) : (
+            <div className="owner-properties-grid">
+              {savedProperties.map((item) => (
+                <SavedPropertyCard
+                  key={item._id}
+                  property={item.property}
+                  onRemove={handleRemove}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Viewing Requests */}
+        <div className="properties-section viewing-section">
+          <h2>My Viewing Requests ({viewings.length})</h2>
+
+          {viewings.length === 0 ? (
+            <p className="viewing-empty">
+              You haven't requested any viewings yet. Book a visit from a property page.
+            </p>
+          ) : (
+            <div className="viewing-list">
+              {viewings.map((viewing) => (
+                <div key={viewing._id} className="viewing-item">
+                  <div>
+                    <Link to={`/properties/${viewing.property?._id}`}>
+                      <strong>{viewing.property?.title || 'Deleted property'}</strong>
+                    </Link>
+                    <p>📅 {formatSlot(viewing.slot)}</p>
+                    <p>Owner: {viewing.owner?.fullName}</p>
+                    {viewing.status === 'pending' && viewing.rescheduledAt && (
+                      <p className="viewing-note">The owner proposed this new time. Accept it or cancel the request.</p>
+                    )}
+                    {viewing.status === 'cancelled' && viewing.cancelledBy === 'owner' && (
+                      <p className="viewing-note">
+                        Declined by owner{viewing.cancelReason ? `: ${viewing.cancelReason}` : ''}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="viewing-actions">
+                    <span className={`viewing-status ${viewing.status}`}>
+                      {viewingStatusLabels[viewing.status]}
+                    </span>
+                    {viewing.status === 'pending' && viewing.rescheduledAt && (
+                      <button
+                        className="btn-action btn-toggle-on"
+                        onClick={() => handleAcceptViewing(viewing._id)}
+                      >
+                        ✓ Accept
+                      </button>
+                    )}
+                    {(viewing.status === 'pending' || viewing.status === 'confirmed') && (
+                      <button
+                        className="btn-action btn-toggle-off"
+                        onClick={() => handleCancelViewing(viewing._id)}
+                      >
+                        ✗ Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Saved Property Card Component for Tenant
+const SavedPropertyCard = ({ property, onRemove }) => {
+  return (
+    <div className={`owner-property-card ${property.isAvailable ? '' : 'saved-unavailable'}`}>
+      <div className="property-image">
+        <PropertyPhoto photo={property.photos?.[0]} alt={property.title} />
+        <div className={`availability-badge ${property.isAvailable ? 'available' : 'unavailable'}`}>
+          {property.isAvailable ? '✓ Available' : '✗ No Longer Available'}
+        </div>
+      </div>
+
+      <div className="property-content">
+        <h3>{property.title}</h3>
+        <p className="property-location">
+          📍 {property.location.area}, {property.location.district}
+        </p>
+
+        <div className="property-meta">
+          <span className="property-type">{property.propertyType}</span>
+          <span className="property-rent">৳{property.rent.amount.toLocaleString()}/{property.rent.period}</span>
+        </div>
+
+        {!property.isAvailable && (
+          <p className="unavailable-note">
+            This property is no longer available for rent.
+          </p>
+        )}
+
+        <div className="property-actions">
+          <Link to={`/properties/${property._id}`} className="btn-action btn-view">
+            👁️ View
+          </Link>
+          <button
+            className="btn-action btn-toggle-off"
+            onClick={() => onRemove(property._id)}
+          >
+            ✗ Remove
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TenantDashboard;
@@ -7,20 +7,29 @@ const API_URL = process.env.REACT_APP_API_URL
 
 console.log('API URL:', API_URL); // For debugging
 
-// Create axios instance
+// Create axios instance (withCredentials sends the httpOnly refresh cookie)
 const api = axios.create({
   baseURL: API_URL,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// Short-lived access token, kept in memory only (never in localStorage)
+let accessToken = null;
+
+export const setAccessToken = (token) => {
+  accessToken = token;
+};
+
+export const getAccessToken = () => accessToken;
+
 // Add token to requests automatically
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
@@ -29,22 +38,181 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints that must never trigger a refresh-and-retry
+const NO_REFRESH_URLS = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+// One refresh at a time - parallel 401s wait for the same request
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    // Another tab may have just rotated the cookie: try once more with its successor
+    refreshPromise = api.post('/auth/refresh')
+      .catch((error) => {
+        if (error.response?.status !== 401) throw error;
+        return api.post('/auth/refresh');
+      })
+      .then((response) => {
+        setAccessToken(response.data.data.token);
+        return response.data.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// On 401, refresh the access token once and retry the original request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retry ||
+      NO_REFRESH_URLS.some(url => original.url?.startsWith(url))
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+
+    try {
+      await refreshAccessToken();
+      return api(original);
+    } catch (refreshError) {
+      // Session is gone - let AuthContext clear the logged-in user
+      setAccessToken(null);
+      window.dispatchEvent(new Event('auth:expired'));
+      return Promise.reject(error);
+    }
+  }
+);
+
 // Auth API calls
 export const authAPI = {
   signup: (userData) => api.post('/auth/signup', userData),
   login: (credentials) => api.post('/auth/login', credentials),
-  getMe: () => api.get('/auth/me')
+  getMe: () => api.get('/auth/me'),
+  refresh: () => refreshAccessToken(),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  updateProfile: (profileData) => api.put('/auth/me', profileData),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/password', { currentPassword, newPassword }),
+  deleteAccount: (password) => api.delete('/auth/me', { data: { password } }),
+  forgotPassword: (emailOrMobile) => api.post('/auth/forgot-password', { emailOrMobile }),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  sendVerificationCode: (channel) => api.post('/auth/verify/send', { channel }),
+  confirmVerification: (code, channel) => api.post('/auth/verify/confirm', { code, channel })
 };
 
 // Property API calls
 export const propertyAPI = {
   getAllProperties: (filters) => api.get('/properties', { params: filters }),
+  getSuggestions: (q) => api.get('/properties/suggestions', { params: { q } }),
+  getRentStats: (params) => api.get('/properties/rent-stats', { params }),
   getPropertyById: (id) => api.get(`/properties/${id}`),
-  createProperty: (propertyData) => api.post('/properties', propertyData),
+  createProperty: (propertyData) => api.post('/properties', propertyData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
   updateProperty: (id, propertyData) => api.put(`/properties/${id}`, propertyData),
   deleteProperty: (id) => api.delete(`/properties/${id}`),
   getMyProperties: () => api.get('/properties/my-properties'),
-  toggleAvailability: (id) => api.patch(`/properties/${id}/toggle-availability`)
+  toggleAvailability: (id) => api.patch(`/properties/${id}/toggle-availability`),
+  saveProperty: (id) => api.post(`/properties/${id}/save`),
+  unsaveProperty: (id) => api.delete(`/properties/${id}/save`),
+  reportProperty: (id, reportData) => api.post(`/properties/${id}/report`, reportData),
+  getPropertyReports: (id) => api.get(`/properties/${id}/reports`),
+  reviewReports: (id, response) => api.patch(`/properties/${id}/reports/review`, { response }),
+  addPhotos: (id, photoData) => api.post(`/properties/${id}/photos`, photoData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  reorderPhotos: (id, order) => api.put(`/properties/${id}/photos/order`, { order }),
+  updatePhotoCaption: (id, photoId, caption) => api.patch(`/properties/${id}/photos/${photoId}`, { caption }),
+  setCoverPhoto: (id, photoId) => api.patch(`/properties/${id}/photos/${photoId}/cover`),
+  deletePhoto: (id, photoId) => api.delete(`/properties/${id}/photos/${photoId}`)
+};
+
+// Tenant API calls
+export const tenantAPI = {
+  getSavedProperties: () => api.get('/tenant/saved')
+};
+
+// Messaging API calls
+export const messageAPI = {
+  startConversation: (propertyId, message) => api.post('/conversations', { propertyId, message }),
+  getConversations: () => api.get('/conversations'),
+  getUnreadCount: () => api.get('/conversations/unread-count'),
+  getMessages: (conversationId) => api.get(`/conversations/${conversationId}/messages`),
+  sendMessage: (conversationId, message) => api.post(`/conversations/${conversationId}/messages`, { message })
+};
+
+// Admin moderation API calls
+export const adminAPI = {
+  getPendingProperties: (params) => api.get('/admin/properties/pending', { params }),
+  getReusedPhotos: (id) => api.get(`/admin/properties/${id}/reused-photos`),
+  approveProperty: (id) => api.patch(`/admin/properties/${id}/approve`),
+  rejectProperty: (id, reason) => api.patch(`/admin/properties/${id}/reject`, { reason }),
+  getReports: () => api.get('/admin/reports'),
+  resolveReports: (id, action, reason) => api.patch(`/admin/properties/${id}/reports/resolve`, { action, reason }),
+  getModerationRules: () => api.get('/admin/moderation/rules'),
+  createModerationRule: (ruleData) => api.post('/admin/moderation/rules', ruleData),
+  updateModerationRule: (id, ruleData) => api.put(`/admin/moderation/rules/${id}`, ruleData),
+  deleteModerationRule: (id) => api.delete(`/admin/moderation/rules/${id}`),
+  updateModerationSettings: (settings) => api.put('/admin/moderation/settings', settings),
+  testModerationRules: (text) => api.post('/admin/moderation/test', { text })
+};
+
+// Viewing appointment API calls
+export const viewingAPI = {
+  createSlot: (slotData) => api.post('/viewings/slots', slotData),
+  getMySlots: () => api.get('/viewings/my-slots'),
+  getPropertySlots: (propertyId) => api.get(`/viewings/slots/${propertyId}`),
+  deleteSlot: (slotId) => api.delete(`/viewings/slots/${slotId}`),
+  requestViewing: (slotId, note) => api.post('/viewings/requests', { slotId, note }),
+  getMyRequests: () => api.get('/viewings/requests'),
+  acceptRequest: (id) => api.patch(`/viewings/requests/${id}/accept`),
+  declineRequest: (id, reason) => api.patch(`/viewings/requests/${id}/decline`, { reason }),
+  rescheduleRequest: (id, slotId) => api.patch(`/viewings/requests/${id}/reschedule`, { slotId }),
+  cancelRequest: (id, reason) => api.patch(`/viewings/requests/${id}/cancel`, { reason }),
+  completeRequest: (id) => api.patch(`/viewings/requests/${id}/complete`)
+};
+
+// Subscription API calls
+export const subscriptionAPI = {
+  getPlans: () => api.get('/subscriptions/plans'),
+  getMySubscription: () => api.get('/subscriptions/me'),
+  checkout: (kind) => api.post('/subscriptions/checkout', { kind }),
+  start: (plan, paymentToken) => api.post('/subscriptions/start', { plan, paymentToken }),
+  renew: (paymentToken) => api.post('/subscriptions/renew', { paymentToken }),
+  cancel: () => api.post('/subscriptions/cancel')
+};
+
+// Location gazetteer API calls (cascading division/district/area dropdowns)
+export const locationAPI = {
+  getDivisions: () => api.get('/locations'),
+  getDistricts: (divisionId) => api.get(`/locations/divisions/${divisionId}/districts`),
+  getAreas: (districtId) => api.get(`/locations/districts/${districtId}/areas`)
+};
+
+// Saved search API calls
+export const savedSearchAPI = {
+  getSavedSearches: () => api.get('/saved-searches'),
+  createSavedSearch: (searchData) => api.post('/saved-searches', searchData),
+  updateSavedSearch: (id, searchData) => api.put(`/saved-searches/${id}`, searchData),
+  deleteSavedSearch: (id) => api.delete(`/saved-searches/${id}`),
+  getMatches: (id) => api.get(`/saved-searches/${id}/matches`)
+};
+
+// Notification API calls
+export const notificationAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markAsRead: (id) => api.patch(`/notifications/${id}/read`),
+  markAllAsRead: () => api.patch('/notifications/read-all')
 };
 
 export default api;
\ No newline at end of file
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { authAPI, getAccessToken } from './api';
+
+// Socket.IO runs on the API server itself
+const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// One connection for the whole app. The access token is read on every
+// (re)connect, so a refreshed token is picked up automatically.
+const socket = io(SOCKET_URL, {
+  autoConnect: false,
+  withCredentials: true,
+  auth: (cb) => cb({ token: getAccessToken() })
+});
+
+// Listings being watched (with how many components watch each)
+const watched = new Map();
+
+// The server refuses expired tokens - refresh once and try again
+let retried = false;
+
+// Rooms don't survive a reconnect, so join the watched listings again
+socket.on('connect', () => {
+  retried = false;
+  watched.forEach((count, propertyId) => socket.emit('property:watch', propertyId));
+});
+
+socket.on('connect_error', async (error) => {
+  if (retried || !getAccessToken() || !/token|session/i.test(error.message)) return;
+  retried = true;
+  try {
+    await authAPI.refresh();
+    socket.connect();
+  } catch (refreshError) {
+    console.error('Live updates unavailable:', refreshError);
+  }
+});
+
+// (Re)connect as whoever is logged in now (AuthContext calls this)
+export const connectSocket = () => {
+  socket.disconnect();
+  socket.connect();
+};
+
+// Run handler whenever the server pushes event, for the life of the component
+export const useSocketEvent = (event, handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }, [event]);
+};
+
+// Receive property:* events for a listing while the component is mounted
+export const useWatchProperty = (propertyId) => {
+  useEffect(() => {
+    if (!propertyId) return;
+
+    watched.set(propertyId, (watched.get(propertyId) || 0) + 1);
+    if (socket.connected) {
+      socket.emit('property:watch', propertyId);
+    }
+
+    return () => {
+      const count = watched.get(propertyId) - 1;
+      if (count > 0) {
+        watched.set(propertyId, count);
+      } else {
+        watched.delete(propertyId);
+        if (socket.connected) {
+          socket.emit('property:unwatch', propertyId);
+        }
+      }
+    };
+  }, [propertyId]);
+};
+
+export default socket;
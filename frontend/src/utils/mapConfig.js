@@ -0,0 +1,26 @@
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+
+// Leaflet looks for its marker images relative to the CSS file, which the
+// bundler moves - point it at the imported images instead.
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconUrl: markerIcon,
+  iconRetinaUrl: markerIcon2x,
+  shadowUrl: markerShadow
+});
+
+// Dhaka
+export const DEFAULT_CENTER = [23.8103, 90.4125];
+export const DEFAULT_ZOOM = 12;
+
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// GeoJSON stores [lng, lat]; Leaflet wants [lat, lng]
+export const toLatLng = (geo) => (
+  geo?.coordinates?.length === 2 ? [geo.coordinates[1], geo.coordinates[0]] : null
+);
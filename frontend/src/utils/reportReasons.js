@@ -0,0 +1,8 @@
+// Reasons a listing can be reported for (must match backend Report model)
+export const reportReasons = {
+  scam: 'Scam or fraud',
+  wrong_price: 'Wrong price',
+  already_rented: 'Already rented',
+  offensive_photos: 'Offensive photos',
+  duplicate: 'Duplicate listing'
+};
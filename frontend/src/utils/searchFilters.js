@@ -0,0 +1,49 @@
+// Gazetteer IDs ("dhaka", "chapai-nawabganj") as readable names
+const prettyId = (id) =>
+  id
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+const rulesLabels = {
+  petsAllowed: 'Pets allowed',
+  smokingAllowed: 'Smoking allowed',
+  utilitiesIncluded: 'Utilities included'
+};
+
+// Short labels for a set of listing filters, e.g. ["Dhaka", "৳10,000 – ৳25,000", "2+ beds"]
+export const describeFilters = (filters) => {
+  const labels = [];
+  const money = (value) => `৳${Number(value).toLocaleString()}`;
+
+  if (filters.search) labels.push(`"${filters.search}"`);
+  if (filters.propertyType) labels.push(prettyId(filters.propertyType));
+  if (filters.district) {
+    labels.push(prettyId(filters.district));
+  } else if (filters.division) {
+    labels.push(`${prettyId(filters.division)} Division`);
+  }
+  if (filters.area) labels.push(filters.area);
+
+  if (filters.minRent && filters.maxRent) {
+    labels.push(`${money(filters.minRent)} – ${money(filters.maxRent)}`);
+  } else if (filters.minRent) {
+    labels.push(`From ${money(filters.minRent)}`);
+  } else if (filters.maxRent) {
+    labels.push(`Up to ${money(filters.maxRent)}`);
+  }
+  if (filters.rentPeriod) labels.push(`${prettyId(filters.rentPeriod)} rent`);
+
+  if (filters.bedrooms) labels.push(`${filters.bedrooms} beds`);
+  if (filters.minBedrooms) labels.push(`${filters.minBedrooms}+ beds`);
+  if (filters.minBathrooms) labels.push(`${filters.minBathrooms}+ baths`);
+  if (filters.furnished) labels.push(prettyId(filters.furnished));
+  if (filters.amenities) labels.push(`With ${filters.amenities}`);
+  if (filters.maxDeposit) labels.push(`Deposit up to ${money(filters.maxDeposit)}`);
+
+  Object.entries(rulesLabels).forEach(([key, label]) => {
+    if (filters[key] === 'true') labels.push(label);
+  });
+
+  return labels;
+};
@@ -0,0 +1,24 @@
+// Format a viewing slot as "Mon, 20 Oct 2026, 10:00 – 10:30"
+export const formatSlot = (slot) => {
+  if (!slot) return '';
+
+  const start = new Date(slot.startTime);
+  const end = new Date(slot.endTime);
+  const date = start.toLocaleDateString(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+  return `${date}, ${time(start)} – ${time(end)}`;
+};
+
+// Labels for viewing request statuses
+export const viewingStatusLabels = {
+  pending: '⏳ Pending',
+  confirmed: '✓ Confirmed',
+  cancelled: '✗ Cancelled',
+  completed: '✔ Completed'
+};